@@ -9,6 +9,8 @@ const {
     emitRealtimeStatus,
     emitRealtimeLog,
     emitRealtimeAccountLog,
+    emitRealtimeStartup,
+    emitRealtimeRpcCall,
 } = require('./src/controllers/admin');
 const { createRuntimeEngine } = require('./src/runtime/runtime-engine');
 const { createModuleLogger } = require('./src/services/logger');
@@ -32,6 +34,12 @@ if (isWorkerProcess) {
         onAccountLog: (entry) => {
             emitRealtimeAccountLog(entry);
         },
+        onStartupProgress: (progress) => {
+            emitRealtimeStartup(progress);
+        },
+        onRpcCall: (accountId, call) => {
+            emitRealtimeRpcCall(accountId, call);
+        },
     });
 
     runtimeEngine.start({
@@ -8,6 +8,8 @@ const CONFIG = {
     clientVersion: '1.7.0.5_20260306',
     platform: 'qq',              // 平台: qq 或 wx (可通过 --wx 切换为微信)
     os: 'iOS',
+    proxy: '',                   // 出站代理 (http:// 或 socks5://)，空为直连；由主进程按账号下发
+    deviceProfile: null,         // 账号设备信息 (os/device_info/User-Agent)，null 使用全局 device_info；由主进程按账号下发
     heartbeatInterval: 25000,    // 心跳间隔 25秒
     farmCheckInterval: 2000,      // 兼容旧逻辑：自己农场固定巡查间隔(ms)
     friendCheckInterval: 10000,   // 兼容旧逻辑：好友固定巡查间隔(ms)
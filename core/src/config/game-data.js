@@ -0,0 +1,84 @@
+/**
+ * 游戏数据热更新 - 重新加载 proto 定义与 gameConfig（含 data/overrides 下的覆盖文件）
+ *
+ * 主进程通过管理接口立即重新加载并校验；worker 收到通知后只做标记，
+ * 在下一次建立连接前再加载，避免正在进行的请求前后使用不同的定义。
+ */
+
+const fs = require('node:fs');
+const { getProtoFiles, reloadProto } = require('../utils/proto');
+const { log } = require('../utils/utils');
+const { loadConfigs } = require('./gameConfig');
+const { getOverridePath } = require('./runtime-paths');
+
+const CONFIG_FILES = ['Plant.json', 'ItemInfo.json', 'RoleLevel.json'];
+
+let pendingReload = false;
+
+function fileUpdatedAt(file) {
+    try {
+        return fs.statSync(file).mtimeMs;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * 当前生效的 proto / 配置文件来源
+ */
+function getGameDataSources() {
+    return {
+        overrideDir: getOverridePath(),
+        proto: getProtoFiles().map(item => ({ name: item.name, source: item.source, updatedAt: fileUpdatedAt(item.file) })),
+        gameConfig: CONFIG_FILES.map((name) => {
+            const overrideFile = getOverridePath('gameConfig', name);
+            const isOverride = fs.existsSync(overrideFile);
+            return { name, source: isOverride ? 'override' : 'bundled', updatedAt: isOverride ? fileUpdatedAt(overrideFile) : 0 };
+        }),
+    };
+}
+
+/**
+ * 重新加载 proto 与 gameConfig；proto 有误时抛错且不改变当前定义
+ */
+function reloadGameData() {
+    const protoFiles = reloadProto();
+    const configResults = loadConfigs();
+    pendingReload = false;
+    const failed = configResults.filter(item => item.error);
+    return {
+        reloadedAt: Date.now(),
+        protoFiles: protoFiles.length,
+        protoOverrides: protoFiles.filter(item => item.source === 'override').map(item => item.name),
+        gameConfig: configResults,
+        ok: failed.length === 0,
+    };
+}
+
+// worker：标记待重新加载，下次连接前生效
+function markGameDataStale() {
+    pendingReload = true;
+}
+
+/**
+ * 有待生效的更新时重新加载，供 network.connect() 在建立连接前调用
+ */
+function applyPendingGameData() {
+    if (!pendingReload) return false;
+    pendingReload = false;
+    try {
+        const result = reloadGameData();
+        log('系统', `已加载更新后的游戏数据 (proto ${result.protoFiles} 个文件)`);
+        return true;
+    } catch (e) {
+        log('错误', `加载更新后的游戏数据失败，继续使用原定义: ${e.message}`);
+        return false;
+    }
+}
+
+module.exports = {
+    getGameDataSources,
+    reloadGameData,
+    markGameDataStale,
+    applyPendingGameData,
+};
@@ -5,7 +5,7 @@
 
 const fs = require('node:fs');
 const path = require('node:path');
-const { getResourcePath } = require('./runtime-paths');
+const { getOverridePath, getResourcePath } = require('./runtime-paths');
 
 // ============ 等级经验表 ============
 let roleLevelConfig = null;
@@ -22,33 +22,52 @@ const seedItemMap = new Map();  // seed_id -> item(type=5)
 const seedImageMap = new Map(); // seed_id -> image url
 const seedAssetImageMap = new Map(); // asset_name (Crop_xxx) -> image url
 
+// data/overrides/gameConfig 下的同名文件优先于内置配置
+function resolveConfigFile(name) {
+    const overridePath = getOverridePath('gameConfig', name);
+    if (fs.existsSync(overridePath)) return { file: overridePath, source: 'override' };
+    return { file: path.join(getResourcePath('gameConfig'), name), source: 'bundled' };
+}
+
+// 解析失败或格式不对时抛错，保留上一次加载的数据
+function readConfigArray(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(data)) throw new Error('内容不是数组');
+    return data;
+}
+
 /**
- * 加载配置文件
+ * 加载配置文件，可重复调用以重新加载
+ * @returns {{ name: string, source: string, count: number, error: string }[]} 各配置文件的加载结果
  */
 function loadConfigs() {
     const configDir = getResourcePath('gameConfig');
-    
+    const results = [];
+    const sourceLabel = source => (source === 'override' ? '，覆盖文件' : '');
+
     // 加载等级经验配置
+    const roleLevel = resolveConfigFile('RoleLevel.json');
     try {
-        const roleLevelPath = path.join(configDir, 'RoleLevel.json');
-        if (fs.existsSync(roleLevelPath)) {
-            roleLevelConfig = JSON.parse(fs.readFileSync(roleLevelPath, 'utf8'));
+        if (fs.existsSync(roleLevel.file)) {
+            roleLevelConfig = readConfigArray(roleLevel.file);
             // 构建累计经验表
             levelExpTable = [];
             for (const item of roleLevelConfig) {
                 levelExpTable[item.level] = item.exp;
             }
-            console.warn(`[配置] 已加载等级经验表 (${roleLevelConfig.length} 级)`);
+            console.warn(`[配置] 已加载等级经验表 (${roleLevelConfig.length} 级${sourceLabel(roleLevel.source)})`);
+            results.push({ name: 'RoleLevel.json', source: roleLevel.source, count: roleLevelConfig.length, error: '' });
         }
     } catch (e) {
         console.warn('[配置] 加载 RoleLevel.json 失败:', e.message);
+        results.push({ name: 'RoleLevel.json', source: roleLevel.source, count: 0, error: e.message });
     }
-    
+
     // 加载植物配置
+    const plant = resolveConfigFile('Plant.json');
     try {
-        const plantPath = path.join(configDir, 'Plant.json');
-        if (fs.existsSync(plantPath)) {
-            plantConfig = JSON.parse(fs.readFileSync(plantPath, 'utf8'));
+        if (fs.existsSync(plant.file)) {
+            plantConfig = readConfigArray(plant.file);
             plantMap.clear();
             seedToPlant.clear();
             fruitToPlant.clear();
@@ -61,17 +80,19 @@ function loadConfigs() {
                     fruitToPlant.set(plant.fruit.id, plant);
                 }
             }
-            console.warn(`[配置] 已加载植物配置 (${plantConfig.length} 种)`);
+            console.warn(`[配置] 已加载植物配置 (${plantConfig.length} 种${sourceLabel(plant.source)})`);
+            results.push({ name: 'Plant.json', source: plant.source, count: plantConfig.length, error: '' });
         }
     } catch (e) {
         console.warn('[配置] 加载 Plant.json 失败:', e.message);
+        results.push({ name: 'Plant.json', source: plant.source, count: 0, error: e.message });
     }
 
     // 加载物品配置（含种子/果实价格）
+    const itemInfo = resolveConfigFile('ItemInfo.json');
     try {
-        const itemInfoPath = path.join(configDir, 'ItemInfo.json');
-        if (fs.existsSync(itemInfoPath)) {
-            itemInfoConfig = JSON.parse(fs.readFileSync(itemInfoPath, 'utf8'));
+        if (fs.existsSync(itemInfo.file)) {
+            itemInfoConfig = readConfigArray(itemInfo.file);
             itemInfoMap.clear();
             seedItemMap.clear();
             for (const item of itemInfoConfig) {
@@ -82,10 +103,12 @@ function loadConfigs() {
                     seedItemMap.set(id, item);
                 }
             }
-            console.warn(`[配置] 已加载物品配置 (${itemInfoConfig.length} 项)`);
+            console.warn(`[配置] 已加载物品配置 (${itemInfoConfig.length} 项${sourceLabel(itemInfo.source)})`);
+            results.push({ name: 'ItemInfo.json', source: itemInfo.source, count: itemInfoConfig.length, error: '' });
         }
     } catch (e) {
         console.warn('[配置] 加载 ItemInfo.json 失败:', e.message);
+        results.push({ name: 'ItemInfo.json', source: itemInfo.source, count: 0, error: e.message });
     }
 
     // 加载种子图片映射（seed_images_named）
@@ -122,6 +145,7 @@ function loadConfigs() {
     } catch (e) {
         console.warn('[配置] 加载 seed_images_named 失败:', e.message);
     }
+    return results;
 }
 
 // ============ 等级经验相关 ============
@@ -16,7 +16,9 @@ function getAppRootForWritable() {
     return isPackaged ? path.dirname(process.execPath) : path.join(__dirname, '../..');
 }
 
+// DATA_DIR 可指定数据目录（如测试时使用临时目录），默认为应用目录下的 data
 function getDataDir() {
+    if (process.env.DATA_DIR) return path.resolve(process.env.DATA_DIR);
     return path.join(getAppRootForWritable(), 'data');
 }
 
@@ -30,6 +32,11 @@ function getDataFile(filename) {
     return path.join(getDataDir(), filename);
 }
 
+// 游戏更新后放在 data/overrides 下的 proto / gameConfig 覆盖文件
+function getOverridePath(...segments) {
+    return path.join(getDataDir(), 'overrides', ...segments);
+}
+
 function getShareFilePath() {
     return path.join(getAppRootForWritable(), 'share.txt');
 }
@@ -40,5 +47,6 @@ module.exports = {
     getDataDir,
     getDataFile,
     ensureDataDir,
+    getOverridePath,
     getShareFilePath,
 };
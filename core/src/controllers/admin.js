@@ -1,9 +1,9 @@
-const crypto = require('node:crypto');
 /**
  * 管理面板 HTTP 服务
  * 改写为接收 DataProvider 模式
  */
 
+const crypto = require('node:crypto');
 const fs = require('node:fs');
 const path = require('node:path');
 const process = require('node:process');
@@ -14,13 +14,21 @@ const { CONFIG } = require('../config/config');
 const { getLevelExpProgress } = require('../config/gameConfig');
 const { getResourcePath } = require('../config/runtime-paths');
 const store = require('../models/store');
+const { getStorageDriver } = require('../models/storage');
 const { addOrUpdateAccount, deleteAccount } = store;
 const { findAccountByRef, normalizeAccountRef, resolveAccountId } = require('../services/account-resolver');
+const { BUILTIN_OWNER, hasRole, isAccountRestricted, canAccessAccount, filterAccountsForUser, toPublicUser } = require('../services/access-control');
+const { BULK_ACTIONS, FARM_OP_TYPES, hasFilterCondition, matchAccountFilter, runBulk } = require('../services/account-bulk');
+const { API_KEY_SCOPES, createApiKeyStore, resolveRequiredScope } = require('../services/api-keys');
+const { createAuditLog, diffSnapshots } = require('../services/audit-log');
 const { createModuleLogger } = require('../services/logger');
 const { MiniProgramLoginSession } = require('../services/qrlogin');
 const { sendPushooMessage } = require('../services/push');
 const { getSchedulerRegistrySnapshot } = require('../services/scheduler');
+const { createSessionStore } = require('../services/session-store');
 const { fetchProfileByCode } = require('../services/manual-login-profile');
+const { generateDeviceProfile, normalizeAccountDevice, resolveAccountDevice } = require('../utils/device-profile');
+const { maskProxyUrl, normalizeAccountProxy, normalizeProxyUrl, resolveAccountProxy, restoreMaskedProxyUrl, testProxy } = require('../utils/proxy');
 const { 
     hashPassword: secureHash, 
     verifyPassword,
@@ -31,11 +39,16 @@ const {
 
 const hashPassword = (pwd) => secureHash(pwd); // 兼容旧接口
 const adminLogger = createModuleLogger('admin');
+const DIGITS_PATTERN = /^\d+$/;
+const BEARER_PATTERN = /^Bearer\s+(\S+)$/i;
+const ACCOUNT_PATH_PATTERN = /^\/accounts\/([^/]+)/;
+const ACCOUNTLESS_PATH_PATTERN = /^\/(?:users|api-keys|admin|audit|config-profiles|game-data|proxy-pool|proxy\/test|device-profile|accounts\/bulk)(?:\/|$)/;
 
 let app = null;
 let server = null;
 let provider = null; // DataProvider
 let io = null;
+let resolveSocketUser = null; // 由 startAdminServer 注入，用于按用户过滤推送内容
 
 function emitRealtimeStatus(accountId, status) {
     if (!io) return;
@@ -61,6 +74,45 @@ function emitRealtimeAccountLog(entry) {
     io.to('account:all').emit('account-log:new', payload);
 }
 
+// 协议调试只推送给订阅时开启了 inspector 的连接
+function emitRealtimeRpcCall(accountId, call) {
+    if (!io) return;
+    const id = String(accountId || '').trim();
+    if (!id) return;
+    io.to(`inspector:${id}`).emit('rpc:call', { accountId: id, call });
+}
+
+// 启动进度只保留当前用户可访问的账号
+function filterStartupProgressForUser(user, progress) {
+    const data = (progress && typeof progress === 'object') ? progress : {};
+    const items = Array.isArray(data.items) ? data.items : [];
+    if (!isAccountRestricted(user)) return { ...data, items };
+    return { ...data, items: items.filter(item => item && canAccessAccount(user, item.id)) };
+}
+
+function emitRealtimeStartup(progress) {
+    if (!io || !resolveSocketUser) return;
+    for (const socket of io.sockets.sockets.values()) {
+        const user = resolveSocketUser(socket);
+        if (user) socket.emit('startup:progress', filterStartupProgressForUser(user, progress));
+    }
+}
+
+// 查询参数中的时间：毫秒时间戳或可被 Date.parse 解析的字符串，空值返回 0，非法返回 NaN
+function parseTimeParam(value) {
+    const raw = String(value || '').trim();
+    if (!raw) return 0;
+    const ts = DIGITS_PATTERN.test(raw) ? Number(raw) : Date.parse(raw);
+    return Number.isFinite(ts) ? ts : Number.NaN;
+}
+
+// 比较前先做摘要，长度不同也不会提前返回
+function isSameSecret(provided, expected) {
+    const a = crypto.createHash('sha256').update(String(provided || '')).digest();
+    const b = crypto.createHash('sha256').update(String(expected || '')).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
 function startAdminServer(dataProvider) {
     if (app) return;
     provider = dataProvider;
@@ -68,27 +120,109 @@ function startAdminServer(dataProvider) {
     app = express();
     app.use(express.json());
 
-    const tokens = new Set();
+    const sessionStore = createSessionStore({
+        storage: getStorageDriver(),
+        getPolicy: () => store.getSessionPolicy(),
+    });
+
+    const apiKeyStore = createApiKeyStore({
+        storage: getStorageDriver(),
+        getAccountIds: () => (store.getAccounts().accounts || []).map(acc => acc.id),
+    });
+
+    const auditLog = createAuditLog({ storage: getStorageDriver() });
+
+    const getRequestMeta = req => ({
+        ip: req.ip || '',
+        userAgent: String(req.headers['user-agent'] || ''),
+    });
+
+    // 每次请求按用户名重新读取，角色/白名单修改与删除用户即时生效
+    const resolveSession = (token, meta) => {
+        const session = sessionStore.touch(token, meta);
+        if (!session) return null;
+        if (session.builtin) return { session, user: BUILTIN_OWNER };
+        const user = store.getUser(session.username);
+        if (!user) {
+            sessionStore.revoke(session.id);
+            return null;
+        }
+        return { session, user };
+    };
+
+    const isSameIdentity = (session, ref) => !!ref
+        && session.username === ref.username
+        && !!session.builtin === !!ref.builtin;
+
+    // 注销同一身份下除当前会话外的其它会话
+    const revokeOtherSessions = (currentSession) => {
+        if (!currentSession) return [];
+        const removed = sessionStore.revokeWhere(s => s.id !== currentSession.id && isSameIdentity(s, currentSession));
+        disconnectSessionSockets(removed);
+        return removed;
+    };
+
+    const disconnectSessionSockets = (sessionIds) => {
+        if (!io || sessionIds.length === 0) return;
+        for (const socket of io.sockets.sockets.values()) {
+            if (sessionIds.includes(socket.data.sessionId)) socket.disconnect(true);
+        }
+    };
+
+    // API 密钥请求：按路由校验 scope，以 owner 身份通过角色校验，账号白名单另行限制
+    const authByApiKey = (req, res, next, rawKey) => {
+        const key = apiKeyStore.verify(rawKey, getRequestMeta(req));
+        if (!key) {
+            return res.status(401).json({ ok: false, error: 'Invalid API key' });
+        }
+        const scope = resolveRequiredScope(req.method, req.path, req.body);
+        if (!scope || !key.scopes.includes(scope)) {
+            return res.status(403).json({ ok: false, error: scope ? `API 密钥缺少权限: ${scope}` : 'API 密钥不能调用该接口' });
+        }
+        req.apiKey = key;
+        req.user = { username: `apikey:${key.name}`, role: 'owner', accounts: key.accounts, restricted: key.restricted, apiKey: key.id };
+        next();
+    };
 
-    const issueToken = () => crypto.randomBytes(24).toString('hex');
     const authRequired = (req, res, next) => {
         // 检查是否禁用了密码认证
         if (store.getDisablePasswordAuth && store.getDisablePasswordAuth()) {
+            req.user = BUILTIN_OWNER;
             return next();
         }
-        
+
+        const bearer = String(req.headers.authorization || '').match(BEARER_PATTERN);
+        if (bearer) return authByApiKey(req, res, next, bearer[1]);
+
         const token = req.headers['x-admin-token'];
-        if (!token || !tokens.has(token)) {
+        const resolved = resolveSession(token, getRequestMeta(req));
+        if (!resolved) {
             return res.status(401).json({ ok: false, error: 'Unauthorized' });
         }
         req.adminToken = token;
+        req.adminSession = resolved.session;
+        req.user = resolved.user;
         next();
     };
 
+    const requireRole = minRole => (req, res, next) => {
+        if (!hasRole(req.user, minRole)) {
+            return res.status(403).json({ ok: false, error: '当前用户无权执行该操作' });
+        }
+        next();
+    };
+
+    // 校验当前用户能否访问指定账号，无权时直接回复 403
+    const ensureAccountAccess = (req, res, accountId) => {
+        if (!accountId || canAccessAccount(req.user, accountId)) return true;
+        res.status(403).json({ ok: false, error: '当前用户无权访问该账号' });
+        return false;
+    };
+
     app.use((req, res, next) => {
         res.header('Access-Control-Allow-Origin', '*');
         res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-        res.header('Access-Control-Allow-Headers', 'Content-Type, x-account-id, x-admin-token');
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-account-id, x-admin-token');
         if (req.method === 'OPTIONS') return res.sendStatus(200);
         next();
     });
@@ -109,9 +243,29 @@ function startAdminServer(dataProvider) {
     }
     app.use('/game-config', express.static(getResourcePath('gameConfig')));
 
+    // Prometheus 指标：不走面板登录，配置了 token 时校验 Authorization: Bearer 或 ?token=
+    app.get('/metrics', (req, res) => {
+        const cfg = store.getMetricsConfig();
+        if (!cfg.enabled) {
+            return res.status(404).type('text/plain').send('metrics disabled\n');
+        }
+        if (cfg.token) {
+            const bearer = String(req.headers.authorization || '').match(BEARER_PATTERN);
+            const provided = bearer ? bearer[1] : String(req.query.token || '');
+            if (!isSameSecret(provided, cfg.token)) {
+                return res.status(401).type('text/plain').send('unauthorized\n');
+            }
+        }
+        try {
+            res.type('text/plain; version=0.0.4; charset=utf-8').send(provider.renderMetrics());
+        } catch (e) {
+            res.status(500).type('text/plain').send(`${e.message}\n`);
+        }
+    });
+
     // 登录与鉴权
     app.post('/api/login', async (req, res) => {
-        const { password } = req.body || {};
+        const { username, password } = req.body || {};
         
         // 记录登录尝试
         try {
@@ -121,10 +275,14 @@ function startAdminServer(dataProvider) {
         }
         
         const input = String(password || '');
+        const name = String(username || '').trim();
+        const namedUser = (name && name !== BUILTIN_OWNER.username) ? store.getUser(name) : null;
         const storedHash = store.getAdminPasswordHash ? store.getAdminPasswordHash() : '';
         let ok = false;
         
-        if (storedHash) {
+        if (name && name !== BUILTIN_OWNER.username) {
+            ok = !!namedUser && await verifyPassword(input, namedUser.passwordHash);
+        } else if (storedHash) {
             // 优先使用安全验证 (支持PBKDF2和SHA256)
             ok = await verifyPassword(input, storedHash);
         } else {
@@ -138,14 +296,66 @@ function startAdminServer(dataProvider) {
         
         // 登录成功
         clearLoginAttempts(req.ip);
-        const token = issueToken();
-        tokens.add(token);
-        res.json({ ok: true, data: { token } });
+        const { token } = sessionStore.issue({
+            username: namedUser ? namedUser.username : BUILTIN_OWNER.username,
+            builtin: !namedUser,
+            ...getRequestMeta(req),
+        });
+        res.json({ ok: true, data: { token, user: toPublicUser(namedUser || BUILTIN_OWNER) } });
     });
 
     app.use('/api', (req, res, next) => {
         if (req.path === '/login' || req.path === '/qr/create' || req.path === '/qr/check' || req.path === '/auth/validate' || req.path === '/admin/password-auth-status') return next();
-        return authRequired(req, res, next);
+        // x-account-id 指向的账号统一在此校验白名单
+        return authRequired(req, res, () => {
+            if (!ensureAccountAccess(req, res, getAccId(req))) return;
+            next();
+        });
+    });
+
+    // 审计：已认证的写操作成功后记录操作者与配置快照差异
+    const resolveAuditAccountId = (req) => {
+        if (ACCOUNTLESS_PATH_PATTERN.test(req.path)) return '';
+        const matched = req.path.match(ACCOUNT_PATH_PATTERN);
+        if (matched) return resolveAccId(decodeURIComponent(matched[1]));
+        const body = (req.body && typeof req.body === 'object') ? req.body : {};
+        if (req.path === '/accounts') return resolveAccId(body.id);
+        if (req.path === '/account/remark') return resolveAccId(body.id || body.accountId) || getAccId(req);
+        return getAccId(req);
+    };
+
+    const findAccountName = (accountId) => {
+        if (!accountId) return '';
+        const acc = (store.getAccounts().accounts || []).find(a => String(a.id) === accountId);
+        return acc ? String(acc.name || acc.nick || '') : '';
+    };
+
+    app.use('/api', (req, res, next) => {
+        if (req.method === 'GET' || !req.user) return next();
+        const accountId = resolveAuditAccountId(req);
+        const before = store.getConfigSnapshot(accountId);
+        const beforeName = findAccountName(accountId);
+        res.on('finish', () => {
+            if (res.statusCode >= 400) return;
+            try {
+                // 新增账号的 id 由路由处理完成后写入 res.locals
+                const targetId = accountId || String(res.locals.auditAccountId || '');
+                auditLog.record({
+                    actor: req.user.username,
+                    actorType: req.apiKey ? 'apikey' : (req.user.builtin ? 'builtin' : 'user'),
+                    ip: req.ip,
+                    accountId: targetId,
+                    accountName: beforeName || findAccountName(targetId),
+                    method: req.method,
+                    route: `${req.baseUrl}${req.path}`,
+                    status: res.statusCode,
+                    changes: diffSnapshots(before, store.getConfigSnapshot(accountId)),
+                });
+            } catch (e) {
+                adminLogger.warn('audit record failed', { error: e.message, route: req.path });
+            }
+        });
+        next();
     });
 
     app.post('/api/admin/change-password', async (req, res) => {
@@ -155,6 +365,16 @@ function startAdminServer(dataProvider) {
         if (newPassword.length < 4) {
             return res.status(400).json({ ok: false, error: '新密码长度至少为 4 位' });
         }
+        const nextHash = await hashPassword(newPassword);
+        // 命名用户修改的是自己的登录密码
+        if (req.user && !req.user.builtin) {
+            if (!await verifyPassword(oldPassword, req.user.passwordHash)) {
+                return res.status(400).json({ ok: false, error: '原密码错误' });
+            }
+            store.saveUser({ username: req.user.username, passwordHash: nextHash });
+            revokeOtherSessions(req.adminSession);
+            return res.json({ ok: true });
+        }
         const storedHash = store.getAdminPasswordHash ? store.getAdminPasswordHash() : '';
         const ok = storedHash
             ? await verifyPassword(oldPassword, storedHash)
@@ -162,13 +382,67 @@ function startAdminServer(dataProvider) {
         if (!ok) {
             return res.status(400).json({ ok: false, error: '原密码错误' });
         }
-        const nextHash = await hashPassword(newPassword);
         if (store.setAdminPasswordHash) {
             store.setAdminPasswordHash(nextHash);
         }
+        revokeOtherSessions(req.adminSession);
         res.json({ ok: true });
     });
 
+    // API: 登录会话列表（owner 查看全部，其他用户只看自己的）
+    app.get('/api/admin/sessions', (req, res) => {
+        try {
+            const currentId = req.adminSession ? req.adminSession.id : '';
+            const isOwner = hasRole(req.user, 'owner');
+            const sessions = sessionStore.list()
+                .filter(s => isOwner || isSameIdentity(s, req.adminSession))
+                .map(s => ({ ...s, current: s.id === currentId }));
+            res.json({ ok: true, data: { sessions, policy: store.getSessionPolicy() } });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.post('/api/admin/sessions/revoke-others', (req, res) => {
+        if (!req.adminSession) {
+            return res.status(400).json({ ok: false, error: '当前请求未使用登录会话' });
+        }
+        try {
+            const removed = revokeOtherSessions(req.adminSession);
+            res.json({ ok: true, data: { revoked: removed.length } });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.post('/api/admin/sessions/policy', requireRole('owner'), (req, res) => {
+        try {
+            const body = (req.body && typeof req.body === 'object') ? req.body : {};
+            const data = store.setSessionPolicy(body);
+            sessionStore.prune();
+            res.json({ ok: true, data });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.delete('/api/admin/sessions/:sessionId', (req, res) => {
+        try {
+            const target = sessionStore.list().find(s => s.id === req.params.sessionId);
+            if (!target) {
+                return res.status(404).json({ ok: false, error: 'Session not found' });
+            }
+            if (!hasRole(req.user, 'owner') && !isSameIdentity(target, req.adminSession)) {
+                return res.status(403).json({ ok: false, error: '当前用户无权执行该操作' });
+            }
+            sessionStore.revoke(target.id);
+            disconnectSessionSockets([target.id]);
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
     // API: 获取密码认证状态
     app.get('/api/admin/password-auth-status', (req, res) => {
         try {
@@ -180,7 +454,7 @@ function startAdminServer(dataProvider) {
     });
 
     // API: 设置密码认证状态
-    app.post('/api/admin/toggle-password-auth', async (req, res) => {
+    app.post('/api/admin/toggle-password-auth', requireRole('owner'), async (req, res) => {
         try {
             const body = req.body || {};
             const disabled = Boolean(body.disabled);
@@ -194,6 +468,109 @@ function startAdminServer(dataProvider) {
         }
     });
 
+    // API: 面板用户管理（仅 owner）
+    app.get('/api/users', requireRole('owner'), (req, res) => {
+        try {
+            const users = store.getUsers().map(toPublicUser);
+            res.json({ ok: true, data: { users, roles: store.USER_ROLES } });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.post('/api/users', requireRole('owner'), async (req, res) => {
+        try {
+            const body = (req.body && typeof req.body === 'object') ? req.body : {};
+            const password = String(body.password || '');
+            if (password && password.length < 4) {
+                return res.status(400).json({ ok: false, error: '密码长度至少为 4 位' });
+            }
+            // 未提供的字段保留原值，便于只改角色或只重置密码
+            const payload = { username: String(body.username || '').trim() };
+            if (body.role !== undefined) payload.role = body.role;
+            if (Array.isArray(body.accounts)) payload.accounts = body.accounts.map(id => resolveAccId(id) || String(id));
+            if (password) payload.passwordHash = await hashPassword(password);
+            const user = store.saveUser(payload);
+            res.json({ ok: true, data: toPublicUser(user) });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.delete('/api/users/:username', requireRole('owner'), (req, res) => {
+        try {
+            const ok = store.deleteUser(req.params.username);
+            if (!ok) {
+                return res.status(404).json({ ok: false, error: 'User not found' });
+            }
+            disconnectSessionSockets(sessionStore.revokeWhere(s => !s.builtin && s.username === req.params.username));
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    // API: 管理 API 密钥（仅 owner；明文密钥只在创建时返回一次）
+    app.get('/api/api-keys', requireRole('owner'), (req, res) => {
+        try {
+            res.json({ ok: true, data: { keys: apiKeyStore.list(), scopes: API_KEY_SCOPES } });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.post('/api/api-keys', requireRole('owner'), (req, res) => {
+        try {
+            const body = (req.body && typeof req.body === 'object') ? req.body : {};
+            const accounts = Array.isArray(body.accounts) ? body.accounts.map(id => resolveAccId(id) || String(id)) : [];
+            const created = apiKeyStore.create({
+                name: body.name,
+                scopes: body.scopes,
+                accounts,
+                createdBy: req.user ? req.user.username : '',
+            });
+            res.json({ ok: true, data: created });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.delete('/api/api-keys/:id', requireRole('owner'), (req, res) => {
+        try {
+            if (!apiKeyStore.revoke(req.params.id)) {
+                return res.status(404).json({ ok: false, error: 'API key not found' });
+            }
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    // API: 审计记录（仅 owner）
+    app.get('/api/audit', requireRole('owner'), (req, res) => {
+        const from = parseTimeParam(req.query.from);
+        const to = parseTimeParam(req.query.to);
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            return res.status(400).json({ ok: false, error: 'Invalid from/to' });
+        }
+        try {
+            const accountRef = String(req.query.accountId || '').trim();
+            const data = auditLog.query({
+                from,
+                to,
+                actor: req.query.actor,
+                accountId: accountRef ? (resolveAccId(accountRef) || accountRef) : '',
+                keyword: req.query.keyword,
+                limit: req.query.limit,
+                offset: req.query.offset,
+                canView: item => !item.accountId || canAccessAccount(req.user, item.accountId),
+            });
+            res.json({ ok: true, data });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
     app.get('/api/ping', (req, res) => {
         res.json({ ok: true, data: { ok: true, uptime: process.uptime(), version } });
     });
@@ -201,15 +578,15 @@ function startAdminServer(dataProvider) {
     app.get('/api/auth/validate', (req, res) => {
         // 如果禁用了密码认证，直接返回有效
         if (store.getDisablePasswordAuth && store.getDisablePasswordAuth()) {
-            return res.json({ ok: true, data: { valid: true, passwordDisabled: true } });
+            return res.json({ ok: true, data: { valid: true, passwordDisabled: true, user: toPublicUser(BUILTIN_OWNER) } });
         }
         
         const token = String(req.headers['x-admin-token'] || '').trim();
-        const valid = !!token && tokens.has(token);
-        if (!valid) {
+        const resolved = resolveSession(token, getRequestMeta(req));
+        if (!resolved) {
             return res.status(401).json({ ok: false, data: { valid: false }, error: 'Unauthorized' });
         }
-        res.json({ ok: true, data: { valid: true, passwordDisabled: false } });
+        res.json({ ok: true, data: { valid: true, passwordDisabled: false, user: toPublicUser(resolved.user) } });
     });
 
     // API: 调度任务快照（用于调度收敛排查）
@@ -227,16 +604,10 @@ function startAdminServer(dataProvider) {
     });
 
     app.post('/api/logout', (req, res) => {
-        const token = req.adminToken;
-        if (token) {
-            tokens.delete(token);
-            if (io) {
-                for (const socket of io.sockets.sockets.values()) {
-                    if (String(socket.data.adminToken || '') === String(token)) {
-                        socket.disconnect(true);
-                    }
-                }
-            }
+        const session = req.adminSession;
+        if (session) {
+            sessionStore.revoke(session.id);
+            disconnectSessionSockets([session.id]);
         }
         res.json({ ok: true });
     });
@@ -284,6 +655,13 @@ function startAdminServer(dataProvider) {
         return resolveAccId(req.headers['x-account-id']);
     }
 
+    // 汇总日志只保留当前用户可访问账号的条目
+    function filterLogsForUser(user, list) {
+        const logs = Array.isArray(list) ? list : [];
+        if (!isAccountRestricted(user)) return logs;
+        return logs.filter(entry => entry && canAccessAccount(user, entry.accountId));
+    }
+
     // API: 完整状态
     app.get('/api/status', async (req, res) => {
         const id = getAccId(req);
@@ -302,7 +680,7 @@ function startAdminServer(dataProvider) {
         }
     });
 
-    app.post('/api/automation', async (req, res) => {
+    app.post('/api/automation', requireRole('operator'), async (req, res) => {
         const id = getAccId(req);
         if (!id) {
             return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
@@ -354,6 +732,22 @@ function startAdminServer(dataProvider) {
         }
     });
 
+    // API: 被偷记录（按好友汇总）
+    app.get('/api/steal-records', (req, res) => {
+        try {
+            res.json({ ok: true, data: provider.getStealRecords(getAccId(req)) });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.delete('/api/steal-records', requireRole('operator'), (req, res) => {
+        const id = getAccId(req);
+        if (!id) return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
+        provider.clearStealRecords(id);
+        res.json({ ok: true });
+    });
+
     app.get('/api/friend/:gid/lands', async (req, res) => {
         const id = getAccId(req);
         if (!id) return res.status(400).json({ ok: false });
@@ -366,7 +760,7 @@ function startAdminServer(dataProvider) {
     });
 
     // API: 对指定好友执行单次操作（偷菜/浇水/除草/捣乱）
-    app.post('/api/friend/:gid/op', async (req, res) => {
+    app.post('/api/friend/:gid/op', requireRole('operator'), async (req, res) => {
         const id = getAccId(req);
         if (!id) return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
         try {
@@ -378,6 +772,28 @@ function startAdminServer(dataProvider) {
         }
     });
 
+    /**
+     * API: 种植计划 - 按土地类型 (gold/black/red/normal) 或土地编号指定作物/策略
+     * body: { landTypes: { gold: { strategy, seedId } }, lands: { 1: { strategy, seedId } } }
+     * 未配置的土地跟随账号种植策略
+     */
+    app.get('/api/planting-plan', (req, res) => {
+        const id = getAccId(req);
+        if (!id) return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
+        res.json({ ok: true, data: store.getPlantingPlan(id) });
+    });
+
+    app.post('/api/planting-plan', requireRole('operator'), async (req, res) => {
+        const id = getAccId(req);
+        if (!id) return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
+        try {
+            const data = await provider.setPlantingPlan(id, req.body || {});
+            res.json({ ok: true, data });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
     // API: 好友黑名单
     app.get('/api/friend-blacklist', async (req, res) => {
         const id = getAccId(req);
@@ -394,7 +810,7 @@ function startAdminServer(dataProvider) {
         }
     });
 
-    app.post('/api/friend-blacklist/toggle', (req, res) => {
+    app.post('/api/friend-blacklist/toggle', requireRole('operator'), (req, res) => {
         const id = getAccId(req);
         if (!id) return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
         const gid = Number((req.body || {}).gid);
@@ -426,7 +842,7 @@ function startAdminServer(dataProvider) {
         }
     });
 
-    app.post('/api/friend-cache/update-from-visitors', async (req, res) => {
+    app.post('/api/friend-cache/update-from-visitors', requireRole('operator'), async (req, res) => {
         const id = getAccId(req);
         if (!id) return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
         try {
@@ -444,7 +860,7 @@ function startAdminServer(dataProvider) {
         }
     });
 
-    app.post('/api/friend-cache/import-gids', (req, res) => {
+    app.post('/api/friend-cache/import-gids', requireRole('operator'), (req, res) => {
         const id = getAccId(req);
         if (!id) return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
         try {
@@ -476,7 +892,7 @@ function startAdminServer(dataProvider) {
         }
     });
 
-    app.delete('/api/friend-cache/:gid', (req, res) => {
+    app.delete('/api/friend-cache/:gid', requireRole('operator'), (req, res) => {
         const id = getAccId(req);
         if (!id) return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
         const gid = Number(req.params.gid);
@@ -545,9 +961,11 @@ function startAdminServer(dataProvider) {
     });
 
     // API: 启动账号
-    app.post('/api/accounts/:id/start', (req, res) => {
+    app.post('/api/accounts/:id/start', requireRole('operator'), (req, res) => {
         try {
-            const ok = provider.startAccount(resolveAccId(req.params.id));
+            const accountId = resolveAccId(req.params.id);
+            if (!ensureAccountAccess(req, res, accountId)) return;
+            const ok = provider.startAccount(accountId);
             if (!ok) {
                 return res.status(404).json({ ok: false, error: 'Account not found' });
             }
@@ -558,9 +976,11 @@ function startAdminServer(dataProvider) {
     });
 
     // API: 停止账号
-    app.post('/api/accounts/:id/stop', (req, res) => {
+    app.post('/api/accounts/:id/stop', requireRole('operator'), (req, res) => {
         try {
-            const ok = provider.stopAccount(resolveAccId(req.params.id));
+            const accountId = resolveAccId(req.params.id);
+            if (!ensureAccountAccess(req, res, accountId)) return;
+            const ok = provider.stopAccount(accountId);
             if (!ok) {
                 return res.status(404).json({ ok: false, error: 'Account not found' });
             }
@@ -571,7 +991,7 @@ function startAdminServer(dataProvider) {
     });
 
     // API: 农场一键操作
-    app.post('/api/farm/operate', async (req, res) => {
+    app.post('/api/farm/operate', requireRole('operator'), async (req, res) => {
         const id = getAccId(req);
         if (!id) return res.status(400).json({ ok: false });
         try {
@@ -583,7 +1003,7 @@ function startAdminServer(dataProvider) {
         }
     });
 
-    app.post('/api/farm/land/operate', async (req, res) => {
+    app.post('/api/farm/land/operate', requireRole('operator'), async (req, res) => {
         const id = getAccId(req);
         if (!id) return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
         try {
@@ -625,8 +1045,27 @@ function startAdminServer(dataProvider) {
         }
     });
 
+    // API: 账号历史统计（from/to 为毫秒时间戳或日期字符串，bucket 如 5m/1h/1d）
+    app.get('/api/stats/history', (req, res) => {
+        const id = getAccId(req);
+        if (!id) return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
+
+        const from = parseTimeParam(req.query.from);
+        const to = parseTimeParam(req.query.to);
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            return res.status(400).json({ ok: false, error: 'Invalid from/to' });
+        }
+
+        try {
+            const data = provider.getStatsHistory(id, { from, to, bucket: req.query.bucket });
+            res.json({ ok: true, data });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
     // API: 设置页统一保存（单次写入+单次广播）
-    app.post('/api/settings/save', async (req, res) => {
+    app.post('/api/settings/save', requireRole('operator'), async (req, res) => {
         const id = getAccId(req);
         if (!id) {
             return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
@@ -651,7 +1090,7 @@ function startAdminServer(dataProvider) {
     });
 
     // API: 保存下线提醒配置
-    app.post('/api/settings/offline-reminder', async (req, res) => {
+    app.post('/api/settings/offline-reminder', requireRole('owner'), async (req, res) => {
         try {
             const body = (req.body && typeof req.body === 'object') ? req.body : {};
             const data = store.setOfflineReminder ? store.setOfflineReminder(body) : {};
@@ -661,8 +1100,300 @@ function startAdminServer(dataProvider) {
         }
     });
 
+    // API: 账号配置版本历史
+    app.get('/api/config/revisions', (req, res) => {
+        try {
+            const revisions = provider.getConfigRevisions(getAccId(req));
+            res.json({ ok: true, data: { revisions } });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.get('/api/config/revisions/:revision', (req, res) => {
+        try {
+            const data = provider.getConfigRevision(getAccId(req), req.params.revision);
+            if (!data) {
+                return res.status(404).json({ ok: false, error: 'Revision not found' });
+            }
+            res.json({ ok: true, data });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.post('/api/config/revisions/:revision/rollback', requireRole('operator'), async (req, res) => {
+        try {
+            const data = await provider.rollbackConfig(getAccId(req), req.params.revision);
+            res.json({ ok: true, data });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
+    // API: 账号崩溃记录
+    app.get('/api/crashes', (req, res) => {
+        try {
+            res.json({ ok: true, data: provider.getCrashHistory(getAccId(req)) });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
+    // API: 协议抓包（抓包内容包含账号的完整通信数据，仅所有者可操作）
+    app.get('/api/traffic/captures', requireRole('owner'), async (req, res) => {
+        try {
+            res.json({ ok: true, data: await provider.getTrafficCaptures(getAccId(req)) });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.post('/api/traffic/capture/start', requireRole('owner'), async (req, res) => {
+        try {
+            const body = (req.body && typeof req.body === 'object') ? req.body : {};
+            res.json({ ok: true, data: await provider.startTrafficCapture(getAccId(req), body) });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.post('/api/traffic/capture/stop', requireRole('owner'), async (req, res) => {
+        try {
+            res.json({ ok: true, data: await provider.stopTrafficCapture(getAccId(req)) });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.get('/api/traffic/captures/:name', requireRole('owner'), (req, res) => {
+        const file = provider.resolveTrafficCaptureFile(getAccId(req), req.params.name);
+        if (!file) return res.status(404).json({ ok: false, error: '抓包文件不存在' });
+        res.download(file, req.params.name);
+    });
+
+    app.delete('/api/traffic/captures/:name', requireRole('owner'), (req, res) => {
+        if (!provider.deleteTrafficCapture(getAccId(req), req.params.name)) {
+            return res.status(404).json({ ok: false, error: '抓包文件不存在' });
+        }
+        res.json({ ok: true });
+    });
+
+    // API: 配置模板（关联关系只返回当前用户可访问的账号）
+    app.get('/api/config-profiles', (req, res) => {
+        try {
+            const { profiles, links } = provider.getConfigProfiles();
+            const visibleLinks = Object.fromEntries(
+                Object.entries(links).filter(([accountId]) => canAccessAccount(req.user, accountId)),
+            );
+            res.json({ ok: true, data: { profiles, links: visibleLinks } });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    // 模板会同时改动所有关联账号，仅 owner 可编辑（限定账号的 API 密钥也不行）
+    const requireAllAccounts = (req, res, next) => {
+        if (isAccountRestricted(req.user)) {
+            return res.status(403).json({ ok: false, error: '当前用户无权执行该操作' });
+        }
+        next();
+    };
+
+    app.post('/api/config-profiles', requireRole('owner'), requireAllAccounts, async (req, res) => {
+        try {
+            const body = (req.body && typeof req.body === 'object') ? req.body : {};
+            const data = await provider.saveConfigProfile({ id: body.id, name: body.name, config: body.config });
+            res.json({ ok: true, data });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.delete('/api/config-profiles/:id', requireRole('owner'), requireAllAccounts, (req, res) => {
+        try {
+            if (!provider.deleteConfigProfile(req.params.id)) {
+                return res.status(404).json({ ok: false, error: 'Profile not found' });
+            }
+            res.json({ ok: true });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    // 关联/解除关联：body { accountIds, profileId（空为解除）, overrides? }
+    app.post('/api/config-profiles/link', requireRole('operator'), async (req, res) => {
+        const body = (req.body && typeof req.body === 'object') ? req.body : {};
+        const accountIds = Array.isArray(body.accountIds) ? body.accountIds.map(id => resolveAccId(id) || String(id)) : [];
+        if (accountIds.length === 0) {
+            return res.status(400).json({ ok: false, error: 'Missing accountIds' });
+        }
+        if (!accountIds.every(id => ensureAccountAccess(req, res, id))) return;
+        try {
+            const data = await provider.linkConfigProfile(accountIds, { profileId: body.profileId, overrides: body.overrides });
+            res.json({ ok: true, data });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: e.message });
+        }
+    });
+
+    // API: 保存历史统计采样配置
+    app.post('/api/settings/stats-history', requireRole('owner'), async (req, res) => {
+        try {
+            const body = (req.body && typeof req.body === 'object') ? req.body : {};
+            const data = provider.setStatsHistoryConfig(body);
+            res.json({ ok: true, data: data || {} });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    // API: 账号启动进度
+    app.get('/api/startup', async (req, res) => {
+        try {
+            res.json({ ok: true, data: filterStartupProgressForUser(req.user, provider.getStartupProgress()) });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    // API: 保存启动编排策略
+    app.post('/api/settings/startup', requireRole('owner'), async (req, res) => {
+        try {
+            const body = (req.body && typeof req.body === 'object') ? req.body : {};
+            const data = provider.setStartupPolicy(body);
+            res.json({ ok: true, data: data || {} });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    // API: 保存崩溃重启策略
+    app.post('/api/settings/restart-policy', requireRole('owner'), async (req, res) => {
+        try {
+            const body = (req.body && typeof req.body === 'object') ? req.body : {};
+            const data = provider.setRestartPolicy(body);
+            res.json({ ok: true, data: data || {} });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    // API: 游戏数据（proto 定义与 gameConfig）来源及热更新
+    app.get('/api/game-data', requireRole('owner'), (req, res) => {
+        try {
+            res.json({ ok: true, data: provider.getGameData() });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.post('/api/game-data/reload', requireRole('owner'), (req, res) => {
+        try {
+            res.json({ ok: true, data: provider.reloadGameData() });
+        } catch (e) {
+            res.status(400).json({ ok: false, error: `重新加载失败，继续使用原定义: ${e.message}` });
+        }
+    });
+
+    // API: 代理池与代理连通性测试
+    const getProxyPoolList = () => (store.getProxyPool ? store.getProxyPool().proxies : []);
+
+    // 返回给面板的代理地址隐藏密码，保存与测试时按已保存的地址还原
+    const toPublicProxyPool = pool => ({ ...pool, proxies: (pool.proxies || []).map(maskProxyUrl) });
+
+    app.get('/api/proxy-pool', requireRole('owner'), (req, res) => {
+        try {
+            res.json({ ok: true, data: toPublicProxyPool(store.getProxyPool()) });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    app.post('/api/proxy-pool', requireRole('owner'), (req, res) => {
+        try {
+            const body = (req.body && typeof req.body === 'object') ? req.body : {};
+            const saved = getProxyPoolList();
+            const list = (Array.isArray(body.proxies) ? body.proxies : []).map(item => restoreMaskedProxyUrl(item, saved));
+            const invalid = list.filter(item => String(item || '').trim() && !normalizeProxyUrl(item));
+            if (invalid.length > 0) {
+                return res.status(400).json({ ok: false, error: `代理地址无效: ${invalid.slice(0, 3).join('、')}` });
+            }
+            res.json({ ok: true, data: toPublicProxyPool(provider.setProxyPool({ proxies: list })) });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    // 代理池中或账号已保存的代理；测试会向代理地址发起连接，其余地址只允许所有者测试，避免借此探测内网端口
+    const isSavedProxy = (proxyUrl, accountId) => {
+        const pool = getProxyPoolList();
+        if (pool.some(item => normalizeProxyUrl(item) === proxyUrl)) return true;
+        const account = accountId ? getAccountList().find(acc => String(acc.id) === accountId) : null;
+        return !!account && resolveAccountProxy(account, pool) === proxyUrl;
+    };
+
+    /**
+     * API: 测试代理连通性，经代理连到游戏服务器（完成 TLS 握手）并返回耗时
+     * body: { url } 测试指定地址，或 { proxy: { mode, url }, accountId } 测试账号设置实际使用的代理
+     * 非所有者只能测试代理池中或该账号已保存的代理；代理不可用属于正常测试结果，返回 available: false
+     */
+    app.post('/api/proxy/test', requireRole('operator'), async (req, res) => {
+        const body = (req.body && typeof req.body === 'object') ? req.body : {};
+        const accountId = body.url !== undefined ? '' : resolveAccId(body.accountId);
+        if (!ensureAccountAccess(req, res, accountId)) return;
+        const proxyUrl = body.url !== undefined
+            ? normalizeProxyUrl(restoreMaskedProxyUrl(body.url, getProxyPoolList()))
+            : resolveAccountProxy({ id: accountId || '', proxy: body.proxy }, getProxyPoolList());
+        if (!proxyUrl) {
+            return res.status(400).json({ ok: false, error: body.url !== undefined ? '代理地址无效' : '未配置代理或代理池为空' });
+        }
+        if (!hasRole(req.user, 'owner') && !isSavedProxy(proxyUrl, accountId)) {
+            return res.status(403).json({ ok: false, error: '只有所有者可以测试未保存的代理地址' });
+        }
+        const runtimeClient = store.getRuntimeClientConfig ? store.getRuntimeClientConfig() : null;
+        const targetUrl = (runtimeClient && runtimeClient.serverUrl) || CONFIG.serverUrl;
+        try {
+            const result = await testProxy(proxyUrl, targetUrl, { timeoutMs: 8000 });
+            res.json({ ok: true, data: { proxy: maskProxyUrl(proxyUrl), available: true, ...result } });
+        } catch (e) {
+            res.json({ ok: true, data: { proxy: maskProxyUrl(proxyUrl), available: false, error: e.message } });
+        }
+    });
+
+    /**
+     * API: 随机生成一套设备信息，供添加/编辑账号时预览后保存
+     * query: { platform } qq 或 wx，决定 User-Agent 的宿主 App
+     */
+    app.get('/api/device-profile/random', requireRole('operator'), (req, res) => {
+        const platform = String(req.query.platform || 'qq').trim().toLowerCase();
+        res.json({ ok: true, data: generateDeviceProfile(platform) });
+    });
+
+    // API: 保存 Prometheus 指标配置
+    app.post('/api/settings/metrics', requireRole('owner'), async (req, res) => {
+        try {
+            const body = (req.body && typeof req.body === 'object') ? req.body : {};
+            const data = provider.setMetricsConfig(body);
+            res.json({ ok: true, data: data || {} });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
+    // API: 保存健康检查配置
+    app.post('/api/settings/health-watchdog', requireRole('owner'), async (req, res) => {
+        try {
+            const body = (req.body && typeof req.body === 'object') ? req.body : {};
+            const data = provider.setHealthWatchdogConfig(body);
+            res.json({ ok: true, data: data || {} });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
     // API: 保存二维码登录接口配置
-    app.post('/api/settings/qr-login', async (req, res) => {
+    app.post('/api/settings/qr-login', requireRole('owner'), async (req, res) => {
         try {
             const body = (req.body && typeof req.body === 'object') ? req.body : {};
             const data = store.setQrLoginConfig ? store.setQrLoginConfig(body) : { apiDomain: 'q.qq.com' };
@@ -672,7 +1403,7 @@ function startAdminServer(dataProvider) {
         }
     });
     // API: 保存运行时连接/设备配置
-    app.post('/api/settings/runtime-client', async (req, res) => {
+    app.post('/api/settings/runtime-client', requireRole('owner'), async (req, res) => {
         try {
             const body = (req.body && typeof req.body === 'object') ? req.body : {};
             if (provider && typeof provider.setRuntimeClientConfig === 'function') {
@@ -690,7 +1421,7 @@ function startAdminServer(dataProvider) {
     });
 
     // API: 测试下线提醒推送（不落盘）
-    app.post('/api/settings/offline-reminder/test', async (req, res) => {
+    app.post('/api/settings/offline-reminder/test', requireRole('owner'), async (req, res) => {
         try {
             const saved = store.getOfflineReminder ? store.getOfflineReminder() : {};
             const body = (req.body && typeof req.body === 'object') ? req.body : {};
@@ -732,6 +1463,20 @@ function startAdminServer(dataProvider) {
         }
     });
 
+    // 推送令牌等所有者级配置只返回给登录的所有者，API 密钥虽以 owner 身份执行也不返回
+    const canReadSecrets = req => hasRole(req.user, 'owner') && !req.apiKey;
+
+    const redactOfflineReminder = cfg => ({
+        ...cfg,
+        endpoint: '',
+        token: '',
+        custom_headers: '',
+        custom_body: '',
+        hasToken: !!cfg.token,
+    });
+
+    const redactMetricsConfig = cfg => ({ enabled: cfg.enabled, hasToken: !!cfg.token });
+
     // API: 获取配置
     app.get('/api/settings', async (req, res) => {
         try {
@@ -754,7 +1499,13 @@ function startAdminServer(dataProvider) {
             const runtimeClient = store.getRuntimeClientConfig
                 ? store.getRuntimeClientConfig()
                 : null;
-            res.json({ ok: true, data: { intervals, strategy, preferredSeed, bagSeedPriority, friendBlockLevel, friendQuietHours, automation, ui, offlineReminder, qrLogin, runtimeClient } });
+            const statsHistory = store.getStatsHistoryConfig();
+            const startupPolicy = store.getStartupPolicy();
+            const restartPolicy = store.getRestartPolicy();
+            const healthWatchdog = store.getHealthWatchdogConfig();
+            const metrics = store.getMetricsConfig();
+            const secrets = canReadSecrets(req);
+            res.json({ ok: true, data: { intervals, strategy, preferredSeed, bagSeedPriority, friendBlockLevel, friendQuietHours, automation, ui, offlineReminder: secrets ? offlineReminder : redactOfflineReminder(offlineReminder), qrLogin, runtimeClient, statsHistory, startupPolicy, restartPolicy, healthWatchdog, metrics: secrets ? metrics : redactMetricsConfig(metrics) } });
         } catch (e) {
             res.status(500).json({ ok: false, error: e.message });
         }
@@ -764,6 +1515,7 @@ function startAdminServer(dataProvider) {
     app.get('/api/accounts', (req, res) => {
         try {
             const data = provider.getAccounts();
+            data.accounts = filterAccountsForUser(req.user, data.accounts);
             res.json({ ok: true, data });
         } catch (e) {
             res.status(500).json({ ok: false, error: e.message });
@@ -771,7 +1523,7 @@ function startAdminServer(dataProvider) {
     });
 
     // API: 更新账号备注（兼容旧接口）
-    app.post('/api/account/remark', (req, res) => {
+    app.post('/api/account/remark', requireRole('operator'), (req, res) => {
         try {
             const body = (req.body && typeof req.body === 'object') ? req.body : {};
             const rawRef = body.id || body.accountId || body.uin || req.headers['x-account-id'];
@@ -780,6 +1532,7 @@ function startAdminServer(dataProvider) {
             if (!target || !target.id) {
                 return res.status(404).json({ ok: false, error: 'Account not found' });
             }
+            if (!ensureAccountAccess(req, res, String(target.id))) return;
 
             const remark = String(body.remark !== undefined ? body.remark : body.name || '').trim();
             if (!remark) {
@@ -794,17 +1547,22 @@ function startAdminServer(dataProvider) {
             if (provider && provider.addAccountLog) {
                 provider.addAccountLog('update', `更新账号备注: ${remark}`, accountId, remark);
             }
-            res.json({ ok: true, data });
+            res.json({ ok: true, data: { ...data, accounts: filterAccountsForUser(req.user, data.accounts) } });
         } catch (e) {
             res.status(500).json({ ok: false, error: e.message });
         }
     });
 
-    app.post('/api/accounts', async (req, res) => {
+    app.post('/api/accounts', requireRole('operator'), async (req, res) => {
         try {
             const body = (req.body && typeof req.body === 'object') ? req.body : {};
             const isUpdate = !!body.id;
+            // 新增账号仅 owner，operator 只能修改白名单内账号
+            if (!isUpdate && isAccountRestricted(req.user)) {
+                return res.status(403).json({ ok: false, error: '当前用户无权执行该操作' });
+            }
             const resolvedUpdateId = isUpdate ? resolveAccId(body.id) : '';
+            if (isUpdate && !ensureAccountAccess(req, res, resolvedUpdateId || String(body.id))) return;
             const payload = isUpdate ? { ...body, id: resolvedUpdateId || String(body.id) } : { ...body };
             let wasRunning = false;
             let oldAccount = null;
@@ -827,12 +1585,24 @@ function startAdminServer(dataProvider) {
                 }
             }
 
+            if (payload.proxy !== undefined) {
+                payload.proxy = normalizeAccountProxy(payload.proxy);
+            }
+
             const incomingCode = String(payload.code || '').trim();
             const manualPlatform = String(payload.platform || (oldAccount && oldAccount.platform) || 'qq').trim().toLowerCase();
+            if (payload.device !== undefined) {
+                // random：按账号平台生成一次，之后作为账号自己的设备信息保存，不再变化
+                payload.device = (payload.device && payload.device.mode === 'random')
+                    ? { mode: 'custom', profile: generateDeviceProfile(manualPlatform) }
+                    : normalizeAccountDevice(payload.device);
+            }
             if (incomingCode) {
                 try {
                     const basicProfile = await fetchProfileByCode(incomingCode, {
                         platform: manualPlatform,
+                        proxy: resolveAccountProxy({ ...(oldAccount || {}), ...payload }, getProxyPoolList()),
+                        device: resolveAccountDevice({ ...(oldAccount || {}), ...payload }),
                     });
 
                     if (basicProfile.avatar) {
@@ -872,40 +1642,123 @@ function startAdminServer(dataProvider) {
             // 如果是新增，自动启动
             if (!isUpdate) {
                 const newAcc = data.accounts[data.accounts.length - 1];
-                if (newAcc) provider.startAccount(newAcc.id);
+                if (newAcc) {
+                    res.locals.auditAccountId = String(newAcc.id);
+                    provider.startAccount(newAcc.id);
+                }
             } else if (wasRunning && !onlyRemarkChanged) {
                 // 如果是更新，且之前在运行，且不是仅修改备注，则重启
                 provider.restartAccount(payload.id);
             }
-            res.json({ ok: true, data });
+            res.json({ ok: true, data: { ...data, accounts: filterAccountsForUser(req.user, data.accounts) } });
         } catch (e) {
             res.status(500).json({ ok: false, error: e.message });
         }
     });
 
-    app.delete('/api/accounts/:id', (req, res) => {
+    // 停止并删除账号，记录账号日志
+    const removeAccount = (accountRef) => {
+        const resolvedId = resolveAccId(accountRef) || String(accountRef || '');
+        const before = provider.getAccounts();
+        const target = findAccountByRef(before.accounts || [], accountRef);
+        provider.stopAccount(resolvedId);
+        provider.clearCrashHistory(resolvedId);
+        provider.clearStealRecords(resolvedId);
+        provider.clearSeedSpend(resolvedId);
+        const data = deleteAccount(resolvedId);
+        if (provider.addAccountLog) {
+            provider.addAccountLog('delete', `删除账号: ${(target && target.name) || accountRef}`, resolvedId, target ? target.name : '');
+        }
+        return data;
+    };
+
+    app.delete('/api/accounts/:id', requireRole('owner'), (req, res) => {
         try {
-            const resolvedId = resolveAccId(req.params.id) || String(req.params.id || '');
-            const before = provider.getAccounts();
-            const target = findAccountByRef(before.accounts || [], req.params.id);
-            provider.stopAccount(resolvedId);
-            const data = deleteAccount(resolvedId);
-            if (provider.addAccountLog) {
-                provider.addAccountLog('delete', `删除账号: ${(target && target.name) || req.params.id}`, resolvedId, target ? target.name : '');
-            }
+            if (!ensureAccountAccess(req, res, resolveAccId(req.params.id))) return;
+            const data = removeAccount(req.params.id);
             res.json({ ok: true, data });
         } catch (e) {
             res.status(500).json({ ok: false, error: e.message });
         }
     });
 
+    /**
+     * API: 账号批量操作
+     * body: { action, accountIds? 或 filter?: { platform, remark, running }, payload? }
+     * payload: farm 为 { opType }，settings 为 { sourceAccountId } 或 { settings }
+     * 每个账号单独返回结果，部分失败不影响其它账号
+     */
+    app.post('/api/accounts/bulk', requireRole('operator'), async (req, res) => {
+        const body = (req.body && typeof req.body === 'object') ? req.body : {};
+        const payload = (body.payload && typeof body.payload === 'object') ? body.payload : {};
+        const action = String(body.action || '');
+        if (!BULK_ACTIONS.includes(action)) {
+            return res.status(400).json({ ok: false, error: `不支持的批量操作: ${action}` });
+        }
+        if (action === 'delete' && !hasRole(req.user, 'owner')) {
+            return res.status(403).json({ ok: false, error: '当前用户无权执行该操作' });
+        }
+        const opType = String(payload.opType || '');
+        if (action === 'farm' && !FARM_OP_TYPES.includes(opType)) {
+            return res.status(400).json({ ok: false, error: `不支持的农场操作: ${opType}` });
+        }
+
+        let settings = null;
+        if (action === 'settings') {
+            if (payload.sourceAccountId) {
+                const sourceId = resolveAccId(payload.sourceAccountId);
+                if (!sourceId) return res.status(404).json({ ok: false, error: 'Source account not found' });
+                if (!ensureAccountAccess(req, res, sourceId)) return;
+                settings = store.getConfigSnapshot(sourceId);
+            } else if (payload.settings && typeof payload.settings === 'object') {
+                settings = payload.settings;
+            } else {
+                return res.status(400).json({ ok: false, error: 'Missing sourceAccountId or settings' });
+            }
+        }
+
+        const accounts = provider.getAccounts().accounts || [];
+        let targets;
+        if (Array.isArray(body.accountIds) && body.accountIds.length > 0) {
+            targets = Array.from(new Set(body.accountIds.map(ref => String(ref))), (ref) => {
+                const account = findAccountByRef(accounts, ref);
+                if (!account) return { id: ref, error: 'Account not found' };
+                const id = String(account.id);
+                if (!canAccessAccount(req.user, id)) return { id, name: account.name, error: '当前用户无权访问该账号' };
+                return { id, name: account.name };
+            });
+        } else if (hasFilterCondition(body.filter)) {
+            targets = filterAccountsForUser(req.user, accounts)
+                .filter(account => matchAccountFilter(account, body.filter))
+                .map(account => ({ id: String(account.id), name: account.name }));
+        } else {
+            return res.status(400).json({ ok: false, error: '请指定账号或筛选条件' });
+        }
+
+        const handlers = {
+            start: ({ id }) => { if (!provider.startAccount(id)) throw new Error('Account not found'); },
+            stop: ({ id }) => { if (!provider.stopAccount(id)) throw new Error('Account not found'); },
+            restart: ({ id }) => { if (!provider.restartAccount(id)) throw new Error('Account not found'); },
+            delete: ({ id }) => { removeAccount(id); },
+            settings: async ({ id }) => { await provider.applySettings(id, settings); },
+            farm: async ({ id }) => { await provider.doFarmOp(id, opType); },
+        };
+        try {
+            const results = await runBulk(targets, handlers[action]);
+            const succeeded = results.filter(r => r.ok).length;
+            res.json({ ok: true, data: { action, total: results.length, succeeded, failed: results.length - succeeded, results } });
+        } catch (e) {
+            res.status(500).json({ ok: false, error: e.message });
+        }
+    });
+
     // API: 账号日志
     app.get('/api/account-logs', (req, res) => {
         try {
             const limit = Number.parseInt(req.query.limit) || 100;
             const list = provider.getAccountLogs ? provider.getAccountLogs(limit) : [];
             // 与当前 web 前端保持一致：直接返回数组
-            res.json(Array.isArray(list) ? list : []);
+            res.json(filterLogsForUser(req.user, list));
         } catch (e) {
             res.status(500).json({ ok: false, error: e.message });
         }
@@ -915,6 +1768,7 @@ function startAdminServer(dataProvider) {
     app.get('/api/logs', (req, res) => {
         const queryAccountIdRaw = (req.query.accountId || '').toString().trim();
         const id = queryAccountIdRaw ? (queryAccountIdRaw === 'all' ? '' : resolveAccId(queryAccountIdRaw)) : getAccId(req);
+        if (!ensureAccountAccess(req, res, id)) return;
         const options = {
             limit: Number.parseInt(req.query.limit) || 100,
             tag: req.query.tag || '',
@@ -926,11 +1780,11 @@ function startAdminServer(dataProvider) {
             timeTo: req.query.timeTo || '',
         };
         const list = provider.getLogs(id, options);
-        res.json({ ok: true, data: list });
+        res.json({ ok: true, data: id ? list : filterLogsForUser(req.user, list) });
     });
 
     // API: 清空当前账号运行日志
-    app.delete('/api/logs', (req, res) => {
+    app.delete('/api/logs', requireRole('operator'), (req, res) => {
         const id = getAccId(req);
         if (!id) return res.status(400).json({ ok: false, error: 'Missing x-account-id' });
 
@@ -959,10 +1813,27 @@ function startAdminServer(dataProvider) {
 
     // ============ QR Code Login APIs (无需账号选择) ============
     // 这些接口不需要 authRequired 也能调用（用于登录流程）
+    // 扫码接口可免登录调用，只有已登录的操作员才能指定代理（避免被当作任意出站代理使用）
+    const resolveQrProxy = (req) => {
+        const body = (req.body && typeof req.body === 'object') ? req.body : {};
+        if (!body.proxy) return '';
+        let user = null;
+        if (store.getDisablePasswordAuth && store.getDisablePasswordAuth()) {
+            user = BUILTIN_OWNER;
+        } else {
+            const resolved = resolveSession(req.headers['x-admin-token'], getRequestMeta(req));
+            user = resolved ? resolved.user : null;
+        }
+        if (!user || !hasRole(user, 'operator')) return '';
+        const accountId = resolveAccId(body.accountId) || '';
+        if (accountId && !canAccessAccount(user, accountId)) return '';
+        return resolveAccountProxy({ id: accountId, proxy: body.proxy }, getProxyPoolList());
+    };
+
     app.post('/api/qr/create', async (req, res) => {
         try {
             const qrLogin = store.getQrLoginConfig ? store.getQrLoginConfig() : { apiDomain: 'q.qq.com' };
-            const result = await MiniProgramLoginSession.requestLoginCode({ apiDomain: qrLogin.apiDomain });
+            const result = await MiniProgramLoginSession.requestLoginCode({ apiDomain: qrLogin.apiDomain, proxy: resolveQrProxy(req) });
             res.json({ ok: true, data: result });
         } catch (e) {
             res.status(500).json({ ok: false, error: e.message });
@@ -977,7 +1848,8 @@ function startAdminServer(dataProvider) {
 
         try {
             const qrLogin = store.getQrLoginConfig ? store.getQrLoginConfig() : { apiDomain: 'q.qq.com' };
-            const result = await MiniProgramLoginSession.queryStatus(code, { apiDomain: qrLogin.apiDomain });
+            const qrProxy = resolveQrProxy(req);
+            const result = await MiniProgramLoginSession.queryStatus(code, { apiDomain: qrLogin.apiDomain, proxy: qrProxy });
 
             if (result.status === 'OK') {
                 const ticket = result.ticket;
@@ -985,7 +1857,7 @@ function startAdminServer(dataProvider) {
                 const nickname = result.nickname || ''; // 获取昵称
                 const appid = '1112386029'; // Farm appid
 
-                const authCode = await MiniProgramLoginSession.getAuthCode(ticket, appid, { apiDomain: qrLogin.apiDomain });
+                const authCode = await MiniProgramLoginSession.getAuthCode(ticket, appid, { apiDomain: qrLogin.apiDomain, proxy: qrProxy });
 
                 let avatar = '';
                 if (uin) {
@@ -1016,20 +1888,51 @@ function startAdminServer(dataProvider) {
         }
     });
 
-    const applySocketSubscription = (socket, accountRef = '') => {
+    const getSocketUser = (socket) => {
+        if (store.getDisablePasswordAuth && store.getDisablePasswordAuth()) return BUILTIN_OWNER;
+        const resolved = resolveSession(socket.data.adminToken);
+        return resolved ? resolved.user : null;
+    };
+
+    resolveSocketUser = getSocketUser;
+
+    // 账号还有协议调试页在看时才让 worker 上报 RPC 调用
+    const syncRpcInspect = (accountId) => {
+        if (!accountId || !provider || typeof provider.setRpcInspect !== 'function') return;
+        const room = io.sockets.adapter.rooms.get(`inspector:${accountId}`);
+        provider.setRpcInspect(accountId, !!(room && room.size > 0));
+    };
+
+    const applySocketSubscription = (socket, accountRef = '', inspector = false) => {
+        const user = getSocketUser(socket);
+        if (!user) {
+            socket.disconnect(true);
+            return;
+        }
         const incoming = String(accountRef || '').trim();
-        const resolved = incoming && incoming !== 'all' ? resolveAccId(incoming) : '';
+        const requested = incoming && incoming !== 'all' ? resolveAccId(incoming) : '';
+        const resolved = requested && canAccessAccount(user, requested) ? requested : '';
+        const previousInspecting = socket.data.inspecting || '';
         for (const room of socket.rooms) {
-            if (room.startsWith('account:')) socket.leave(room);
+            if (room.startsWith('account:') || room.startsWith('inspector:')) socket.leave(room);
         }
         if (resolved) {
             socket.join(`account:${resolved}`);
             socket.data.accountId = resolved;
-        } else {
+        } else if (hasRole(user, 'owner')) {
             socket.join('account:all');
             socket.data.accountId = '';
+        } else {
+            // 非 owner 订阅"全部"时只加入白名单内账号的房间
+            for (const id of user.accounts) socket.join(`account:${id}`);
+            socket.data.accountId = '';
         }
-        socket.emit('subscribed', { accountId: socket.data.accountId || 'all' });
+        // 协议调试包含完整的请求/响应内容，仅所有者可订阅，且需指定账号
+        socket.data.inspecting = inspector && resolved && hasRole(user, 'owner') ? resolved : '';
+        if (socket.data.inspecting) socket.join(`inspector:${resolved}`);
+        syncRpcInspect(previousInspecting);
+        if (socket.data.inspecting !== previousInspecting) syncRpcInspect(socket.data.inspecting);
+        socket.emit('subscribed', { accountId: socket.data.accountId || 'all', inspector: !!socket.data.inspecting });
 
         try {
             const targetId = socket.data.accountId || '';
@@ -1041,15 +1944,21 @@ function startAdminServer(dataProvider) {
                 const currentLogs = provider.getLogs(targetId, { limit: 100 });
                 socket.emit('logs:snapshot', {
                     accountId: targetId || 'all',
-                    logs: Array.isArray(currentLogs) ? currentLogs : [],
+                    logs: targetId ? (Array.isArray(currentLogs) ? currentLogs : []) : filterLogsForUser(user, currentLogs),
                 });
             }
             if (provider && typeof provider.getAccountLogs === 'function') {
                 const currentAccountLogs = provider.getAccountLogs(100);
                 socket.emit('account-logs:snapshot', {
-                    logs: Array.isArray(currentAccountLogs) ? currentAccountLogs : [],
+                    logs: filterLogsForUser(user, currentAccountLogs),
                 });
             }
+            if (provider && typeof provider.getStartupProgress === 'function') {
+                socket.emit('startup:progress', filterStartupProgressForUser(user, provider.getStartupProgress()));
+            }
+            if (socket.data.inspecting && provider && typeof provider.getRpcCalls === 'function') {
+                socket.emit('rpc:snapshot', { accountId: socket.data.inspecting, calls: provider.getRpcCalls(socket.data.inspecting) });
+            }
         } catch {
             // ignore snapshot push errors
         }
@@ -1077,10 +1986,15 @@ function startAdminServer(dataProvider) {
             ? String(socket.handshake.headers['x-admin-token'])
             : '';
         const token = authToken || headerToken;
-        if (!token || !tokens.has(token)) {
+        const resolved = resolveSession(token, {
+            ip: socket.handshake.address,
+            userAgent: socket.handshake.headers && socket.handshake.headers['user-agent'],
+        });
+        if (!resolved) {
             return next(new Error('Unauthorized'));
         }
         socket.data.adminToken = token;
+        socket.data.sessionId = resolved.session.id;
         return next();
     });
 
@@ -1093,7 +2007,11 @@ function startAdminServer(dataProvider) {
 
         socket.on('subscribe', (payload) => {
             const body = (payload && typeof payload === 'object') ? payload : {};
-            applySocketSubscription(socket, body.accountId || '');
+            applySocketSubscription(socket, body.accountId || '', !!body.inspector);
+        });
+
+        socket.on('disconnect', () => {
+            syncRpcInspect(socket.data.inspecting || '');
         });
     });
 }
@@ -1103,4 +2021,6 @@ module.exports = {
     emitRealtimeStatus,
     emitRealtimeLog,
     emitRealtimeAccountLog,
+    emitRealtimeStartup,
+    emitRealtimeRpcCall,
 };
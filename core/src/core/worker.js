@@ -4,8 +4,10 @@ const process = require('node:process');
  */
 const { parentPort, workerData } = require('node:worker_threads');
 const { CONFIG } = require('../config/config');
+const { markGameDataStale } = require('../config/game-data');
 const { getLevelExpProgress } = require('../config/gameConfig');
 const { getAutomation, getPreferredSeed, getConfigSnapshot, applyConfigSnapshot } = require('../models/store');
+const { isAntiStealAlert, startAntiStealMonitor, stopAntiStealMonitor } = require('../services/anti-steal');
 const { checkAndClaimEmails } = require('../services/email');
 const { getEmailDailyState } = require('../services/email');
 const { checkFarm, startFarmCheckLoop, stopFarmCheckLoop, refreshFarmCheckLoop, getLandsDetail, getAvailableSeeds, runFarmOperation, runSingleLandOperation, runFertilizerByConfig } = require('../services/farm');
@@ -13,18 +15,24 @@ const { checkFriends, startFriendCheckLoop, stopFriendCheckLoop, refreshFriendCh
 const { getInteractRecords, extractFriendsFromInteractRecords } = require('../services/interact');
 const { processInviteCodes } = require('../services/invite');
 const { autoBuyOrganicFertilizer, buyFreeGifts, getFreeGiftDailyState } = require('../services/mall');
+const { getRequestMetrics, summarizeSchedulers } = require('../services/metrics');
 const { performDailyMonthCardGift, getMonthCardDailyState } = require('../services/monthcard');
 const { performDailyOpenServerGift, getOpenServerDailyState } = require('../services/openserver');
 const { performDailyVipGift, getVipDailyState } = require('../services/qqvip');
+const { getRateLimiterSnapshot } = require('../services/rate-limiter');
 const { createScheduler, getSchedulerRegistrySnapshot } = require('../services/scheduler');
+const { getSeedBudgetState, restoreSeedSpend, setSeedSpendSink } = require('../services/seed-budget');
 const { performDailyShare, getShareDailyState } = require('../services/share');
 const { setInitialValues, resetSessionGains, recordOperation } = require('../services/stats');
 const { initStatusBar, setStatusPlatform, statusData } = require('../services/status');
 const { setRecordGoldExpHook } = require('../services/status');
 const { cleanupTaskSystem, checkAndClaimTasks, getTaskClaimDailyState, getTaskDailyStateLikeApp, getGrowthTaskStateLikeApp } = require('../services/task');
 const { sellAllFruits, getBag, getBagItems, openFertilizerGiftPacksSilently } = require('../services/warehouse');
-const { connect, reconnect, cleanup, getWs, getUserState, networkEvents } = require('../utils/network');
+const { connect, reconnect, cleanup, getWs, getUserState, getReconnectState, getLastHeartbeatResponseAt, networkEvents } = require('../utils/network');
 const { loadProto } = require('../utils/proto');
+const { maskProxyUrl } = require('../utils/proxy');
+const { setRpcInspectorSink } = require('../utils/rpc-inspector');
+const { startRecording, stopRecording, getRecordingState } = require('../utils/traffic-recorder');
 const { setLogHook, log, toNum } = require('../utils/utils');
 const { validateAutomation, validateIntervals, validateQuietHours, validateBlockLevel } = require('../services/config-validator');
 
@@ -108,16 +116,22 @@ let farmTaskRunning = false;
 let friendTaskRunning = false;
 let nextFarmRunAt = 0;
 let nextFriendRunAt = 0;
+let lastTickAt = 0; // 最近一次完成调度的时间
+let tickStartedAt = 0; // 当前调度开始时间，0 表示空闲
 let lastStatusHash = '';
 let lastStatusSentAt = 0;
 let onSellGain = null;
 let onFarmHarvested = null;
 let harvestSellRunning = false;
-let onWsError = null;
-let wsErrorHandledAt = 0;
+let onCodeRejected = null;
+let onReconnecting = null;
 let lastDailyRunDate = '';
 const workerScheduler = createScheduler('worker');
 const INTERVAL_MAX_SEC = 86400;
+// 开启成熟定时收获后，间隔巡田只作兜底，间隔不低于该值
+const PRECISE_HARVEST_SAFETY_NET_MS = 5 * 60 * 1000;
+// 防偷警戒期间巡田间隔不超过该值
+const ANTI_STEAL_ALERT_FARM_MS = 60 * 1000;
 
 function isDailyRoutineEnabled(auto) {
     const a = (auto && typeof auto === 'object') ? auto : {};
@@ -221,10 +235,16 @@ async function runFarmTick(auto) {
     farmTaskRunning = true;
     // 立即同步状态，告知前端开始巡查
     syncStatus();
-    const farmMs = randomIntervalMs(
+    let farmMs = randomIntervalMs(
         CONFIG.farmCheckIntervalMin || CONFIG.farmCheckInterval || 2000,
         CONFIG.farmCheckIntervalMax || CONFIG.farmCheckInterval || 2000
     );
+    if (auto.farm && auto.farm_precise_harvest) {
+        farmMs = Math.max(farmMs, PRECISE_HARVEST_SAFETY_NET_MS);
+    }
+    if (auto.farm && isAntiStealAlert()) {
+        farmMs = Math.min(farmMs, ANTI_STEAL_ALERT_FARM_MS);
+    }
     try {
         if (auto.farm) await checkFarm();
         if (auto.task) await checkAndClaimTasks();
@@ -278,7 +298,13 @@ async function runUnifiedTick() {
     const tasks = [];
     if (dueFarm) tasks.push(runFarmTick(auto));
     if (dueFriend) tasks.push(runFriendTick(auto));
-    await Promise.all(tasks);
+    tickStartedAt = now;
+    try {
+        await Promise.all(tasks);
+        lastTickAt = Date.now();
+    } finally {
+        tickStartedAt = 0;
+    }
 }
 
 function scheduleUnifiedNextTick() {
@@ -309,6 +335,43 @@ function startUnifiedScheduler() {
     scheduleUnifiedNextTick();
 }
 
+// 向主进程报告存活与调度进度，主进程据此判断 worker 是否卡死
+function sendHeartbeat() {
+    sendToMaster({
+        type: 'heartbeat',
+        data: {
+            ts: Date.now(),
+            loginReady,
+            lastTickAt,
+            tickStartedAt,
+            nextTickAt: unifiedSchedulerRunning ? Math.min(Number(nextFarmRunAt) || 0, Number(nextFriendRunAt) || 0) : 0,
+            serverHeartbeatAt: loginReady ? getLastHeartbeatResponseAt() : 0,
+        },
+    });
+}
+
+// 上报请求耗时、限流队列与调度任务统计，供主进程汇总输出 /metrics
+function sendMetrics() {
+    sendToMaster({
+        type: 'metrics',
+        data: {
+            requests: getRequestMetrics(),
+            rateLimiter: getRateLimiterSnapshot(),
+            schedulers: summarizeSchedulers(getSchedulerRegistrySnapshot()),
+        },
+    });
+}
+
+function startAntiStealGuard() {
+    startAntiStealMonitor({
+        // 进入警戒立即巡田一次，按警戒范围重新安排守护
+        onAlert: () => {
+            if (getAutomation().farm) checkFarm().catch(() => null);
+        },
+        onStealRecords: records => sendToMaster({ type: 'steal_records', data: records }),
+    });
+}
+
 function stopUnifiedScheduler() {
     unifiedSchedulerRunning = false;
     farmTaskRunning = false;
@@ -467,19 +530,40 @@ onMasterMessage(async (msg) => {
             handleApiCall(msg);
         } else if (msg.type === 'config_sync') {
             applyRuntimeConfig(msg.config || {}, true);
+        } else if (msg.type === 'game_data_reload') {
+            markGameDataStale();
+            log('系统', '游戏数据已更新，将在下次重连时生效');
+        } else if (msg.type === 'rpc_inspect') {
+            // 面板打开协议调试页时逐条上报 RPC 调用
+            setRpcInspectorSink(msg.enabled ? call => sendToMaster({ type: 'rpc_call', data: call }) : null);
         }
     } catch (e) {
         sendToMaster({ type: 'error', error: e.message });
     }
 });
 
+function detachConnectionHandlers() {
+    if (onReconnecting) {
+        networkEvents.off('reconnecting', onReconnecting);
+        onReconnecting = null;
+    }
+    if (onCodeRejected) {
+        networkEvents.off('code_rejected', onCodeRejected);
+        onCodeRejected = null;
+    }
+}
+
 async function startBot(config) {
     if (isRunning) return;
     isRunning = true;
 
-    const { code, platform, farmInterval, friendInterval } = config;
+    const { code, platform, farmInterval, friendInterval, proxy, device, seedSpend } = config;
 
     CONFIG.platform = platform || 'qq';
+    CONFIG.proxy = proxy || '';
+    CONFIG.deviceProfile = (device && typeof device === 'object') ? device : null;
+    restoreSeedSpend(seedSpend);
+    setSeedSpendSink(usage => sendToMaster({ type: 'seed_spend', data: usage }));
     if (farmInterval) {
         CONFIG.farmCheckInterval = farmInterval;
         CONFIG.farmCheckIntervalMin = farmInterval;
@@ -493,7 +577,10 @@ async function startBot(config) {
 
     await loadProto();
 
-    log('系统', '正在连接服务器...');
+    log('系统', CONFIG.proxy ? `正在经代理 ${maskProxyUrl(CONFIG.proxy)} 连接服务器...` : '正在连接服务器...');
+    if (CONFIG.deviceProfile) {
+        log('系统', `使用账号设备信息: ${CONFIG.deviceProfile.device_id || '-'} (${CONFIG.deviceProfile.sys_software || CONFIG.deviceProfile.os || '-'})`);
+    }
 
     // 加载保存的配置
     applyRuntimeConfig(getConfigSnapshot(), false);
@@ -501,32 +588,33 @@ async function startBot(config) {
     initStatusBar();
     setStatusPlatform(CONFIG.platform);
 
-    if (onWsError) {
-        networkEvents.off('ws_error', onWsError);
-        onWsError = null;
-    }
-    onWsError = (payload) => {
-        if ((Number(payload?.code) || 0) !== 400) return;
-        const now = Date.now();
-        if (now - wsErrorHandledAt < 4000) return;
-        wsErrorHandledAt = now;
+    detachConnectionHandlers();
+    // 断线期间暂停调度，网络层按退避自动重连
+    onReconnecting = () => {
+        if (!loginReady) return;
+        loginReady = false;
+        stopAntiStealMonitor();
+        syncStatus();
+    };
+    // 只有服务器明确拒绝 Code 时才上报主进程，走重新登录流程
+    onCodeRejected = (payload) => {
+        loginReady = false;
+        stopAntiStealMonitor();
         log('系统', '连接被拒绝，可能需要更新 Code');
         sendToMaster({
             type: 'ws_error',
             code: 400,
             message: payload?.message || '',
         });
-        if (isRunning) {
-            workerScheduler.setTimeoutTask('ws_error_cleanup', 1000, () => {
-                if (isRunning) cleanup();
-            });
-        }
+        syncStatus();
     };
-    networkEvents.on('ws_error', onWsError);
+    networkEvents.on('reconnecting', onReconnecting);
+    networkEvents.on('code_rejected', onCodeRejected);
 
     networkEvents.on('kickout', onKickout);
 
-    const onLoginSuccess = async () => {
+    // resumed: 断线重连后恢复会话，沿用本次运行的统计基线，只重新挂载巡查循环
+    const onLoginSuccess = async ({ resumed = false } = {}) => {
         loginReady = true;
         if (onSellGain) {
             networkEvents.off('sell', onSellGain);
@@ -571,6 +659,19 @@ async function startBot(config) {
         } catch {
             // ignore
         }
+        if (resumed) {
+            // 断线期间调度已停下，重新挂载巡查循环
+            stopUnifiedScheduler();
+            stopFarmCheckLoop();
+            stopFriendCheckLoop();
+            startFarmCheckLoop({ externalScheduler: true });
+            startFriendCheckLoop({ externalScheduler: true });
+            startUnifiedScheduler();
+            startAntiStealGuard();
+            syncStatus();
+            return;
+        }
+
         // 登录成功后，以当前金币/经验/点券作为统计基线，并清空会话增量
         const latest = getUserState();
         setInitialValues(Number(latest.gold || 0), Number(latest.exp || 0), Number(latest.coupon || 0));
@@ -584,6 +685,7 @@ async function startBot(config) {
         startFarmCheckLoop({ externalScheduler: true });
         startFriendCheckLoop({ externalScheduler: true });
         startUnifiedScheduler();
+        startAntiStealGuard();
         // 每日礼包/任务改为跨日调度，不在农场轮询内执行
         startDailyRoutineTimer();
 
@@ -595,6 +697,8 @@ async function startBot(config) {
 
     // 启动定时状态同步
     workerScheduler.setIntervalTask('status_sync', 3000, syncStatus, { preventOverlap: true });
+    workerScheduler.setIntervalTask('health_heartbeat', 10000, sendHeartbeat, { runImmediately: true });
+    workerScheduler.setIntervalTask('metrics_report', 15000, sendMetrics);
 }
 
 async function stopBot() {
@@ -603,10 +707,7 @@ async function stopBot() {
     loginReady = false;
     stopUnifiedScheduler();
     networkEvents.off('kickout', onKickout);
-    if (onWsError) {
-        networkEvents.off('ws_error', onWsError);
-        onWsError = null;
-    }
+    detachConnectionHandlers();
     if (onSellGain) {
         networkEvents.off('sell', onSellGain);
         onSellGain = null;
@@ -617,9 +718,11 @@ async function stopBot() {
     }
     stopFarmCheckLoop();
     stopFriendCheckLoop();
+    stopAntiStealMonitor();
     stopDailyRoutineTimer();
     cleanupTaskSystem();
     workerScheduler.clearAll();
+    stopRecording('账号停止');
     cleanup();
     const ws = getWs();
     if (ws) ws.close();
@@ -699,6 +802,22 @@ async function handleApiCall(msg) {
             case 'getSchedulers':
                 result = getSchedulerRegistrySnapshot();
                 break;
+            case 'startTrafficRecording': {
+                const opts = args && args[0] ? args[0] : {};
+                result = startRecording({
+                    accountId: process.env.FARM_ACCOUNT_ID,
+                    accountName: getUserState().name,
+                    maxBytes: opts.maxBytes,
+                    meta: { clientVersion: CONFIG.clientVersion, platform: CONFIG.platform, gid: getUserState().gid },
+                });
+                break;
+            }
+            case 'stopTrafficRecording':
+                result = stopRecording('手动停止');
+                break;
+            case 'getTrafficRecording':
+                result = getRecordingState();
+                break;
             default:
                 error = 'Unknown method';
         }
@@ -812,8 +931,10 @@ function syncStatus() {
         friendWaiting,
     };
 
+    fullStats.connection.reconnect = getReconnectState();
     fullStats.automation = getAutomation();
     fullStats.preferredSeed = getPreferredSeed();
+    fullStats.seedBudget = getSeedBudgetState();
     fullStats.levelProgress = expProgress;
     fullStats.configRevision = appliedConfigRevision;
     const hash = JSON.stringify(fullStats);
@@ -0,0 +1,982 @@
+const { Buffer } = require('node:buffer');
+const EventEmitter = require('node:events');
+const fs = require('node:fs');
+const path = require('node:path');
+const process = require('node:process');
+/**
+ * 本地模拟游戏服务器 - 离线联调 worker / 自动化断言
+ *
+ * 与 utils/network.js 使用同一套 GateMessage/EventMessage 外壳和 proto 定义，
+ * 实现 plant/friend/item/shop/task/visit 等服务，土地与好友状态由剧本(scenario)描述。
+ *
+ * 让账号连到本服务：把 runtimeClient.serverUrl 设置为 ws://127.0.0.1:<port>/prod/ws
+ * 命令行启动: node src/devtools/mock-game-server.js --port 9527 --scenario ./scenario.json
+ */
+
+const { WebSocketServer } = require('ws');
+const { getPlantById, getPlantBySeedId, getAllSeeds, getFruitPrice, getPlantExp } = require('../config/gameConfig');
+const { createModuleLogger } = require('../services/logger');
+const { loadProto, types } = require('../utils/proto');
+const { toLong, toNum } = require('../utils/utils');
+const cryptoWasm = require('../utils/crypto-wasm');
+
+const mockLogger = createModuleLogger('mock-server');
+
+const PHASE = { SEED: 1, GERMINATION: 2, MATURE: 6, DEAD: 7 };
+const GOLD_ITEM_ID = 1001;
+const COUPON_ITEM_ID = 1002;
+const EXP_ITEM_ID = 1101;
+const SEED_SHOP_ID = 2;
+const DEFAULT_OP_LIMIT = 50;
+
+// 与线上一致的业务错误码（客户端会根据 code= 关键字做分支判断）
+const ERR_PARAM = 1000020;
+const ERR_LOGIN = 1000016;
+const ERR_NOT_ENOUGH_GOLD = 1000019;
+const ERR_NOT_IMPLEMENTED = 1000404;
+
+class MockServiceError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// ============ 剧本 ============
+
+function buildDefaultScenario() {
+    const seeds = getAllSeeds()
+        .filter(s => s.requiredLevel > 0 && s.requiredLevel <= 10)
+        .slice(0, 6);
+    const firstSeed = seeds[0] ? seeds[0].seedId : 20002;
+    return {
+        user: { gid: 10001, name: '本地农夫', level: 10, exp: 1200, gold: 5000, coupon: 0 },
+        lands: [
+            { id: 1, plant: { seedId: firstSeed, state: 'mature' } },
+            { id: 2, plant: { seedId: firstSeed, state: 'growing', matureInSec: 600, weed: true } },
+            { id: 3, plant: { seedId: firstSeed, state: 'growing', matureInSec: 900, dry: true, insect: true } },
+            { id: 4, plant: { seedId: firstSeed, state: 'dead' } },
+            { id: 5 },
+            { id: 6, unlocked: false, couldUnlock: true },
+        ],
+        bag: [{ id: firstSeed, count: 2 }],
+        shop: seeds.map((s, i) => ({ goodsId: i + 1, seedId: s.seedId, price: s.price || 10, level: s.requiredLevel })),
+        friends: [
+            {
+                gid: 20001,
+                name: '邻居阿花',
+                level: 12,
+                lands: [
+                    { id: 1, plant: { seedId: firstSeed, state: 'mature' } },
+                    { id: 2, plant: { seedId: firstSeed, state: 'growing', matureInSec: 300, dry: true, insect: true } },
+                ],
+            },
+            {
+                gid: 20002,
+                name: '邻居老王',
+                level: 8,
+                lands: [
+                    { id: 1, plant: { seedId: firstSeed, state: 'growing', matureInSec: 1800, weed: true } },
+                    { id: 2 },
+                ],
+            },
+        ],
+        applications: [],
+        tasks: { growth_tasks: [], daily_tasks: [], tasks: [], actives: [] },
+    };
+}
+
+function resolvePlantConfig(spec) {
+    if (spec.plantId) return getPlantById(toNum(spec.plantId)) || null;
+    if (spec.seedId) return getPlantBySeedId(toNum(spec.seedId)) || null;
+    return null;
+}
+
+function createPlantState(spec, nowSec) {
+    const cfg = resolvePlantConfig(spec);
+    if (!cfg) return null;
+    const growSec = Math.max(2, toNum(spec.growSec) || 60);
+    const stateName = String(spec.state || 'growing');
+    let matureAt = nowSec + Math.max(1, toNum(spec.matureInSec) || growSec);
+    if (stateName === 'mature' || stateName === 'dead') matureAt = nowSec - 10;
+    const fruitNum = Math.max(1, toNum(spec.fruitNum) || toNum(cfg.fruit && cfg.fruit.count) || 1);
+    return {
+        plantId: toNum(cfg.id),
+        name: cfg.name,
+        fruitId: toNum(cfg.fruit && cfg.fruit.id),
+        plantedAt: Math.min(matureAt - growSec, nowSec),
+        matureAt,
+        deadAt: stateName === 'dead' ? nowSec - 5 : 0,
+        dryNum: spec.dry ? 1 : 0,
+        weedOwners: spec.weed ? [0] : [],
+        insectOwners: spec.insect ? [0] : [],
+        stealers: [],
+        fruitNum,
+        leftFruitNum: fruitNum,
+        stealable: spec.stealable !== false,
+        leftFertTimes: 1,
+    };
+}
+
+function createLandState(spec, nowSec) {
+    const src = (spec && typeof spec === 'object') ? spec : {};
+    const unlocked = src.unlocked !== false;
+    return {
+        id: toNum(src.id),
+        unlocked,
+        level: Math.max(1, toNum(src.level) || 1),
+        maxLevel: Math.max(1, toNum(src.maxLevel) || 4),
+        couldUnlock: !!src.couldUnlock,
+        couldUpgrade: !!src.couldUpgrade,
+        plant: unlocked && src.plant ? createPlantState(src.plant, nowSec) : null,
+    };
+}
+
+function createWorldState(scenario, nowSec) {
+    const src = (scenario && typeof scenario === 'object') ? scenario : buildDefaultScenario();
+    const user = { gid: 10001, name: '本地农夫', level: 1, exp: 0, gold: 0, coupon: 0, ...(src.user || {}) };
+    const bag = new Map();
+    for (const item of src.bag || []) {
+        const id = toNum(item && item.id);
+        if (id > 0) bag.set(id, (bag.get(id) || 0) + Math.max(0, toNum(item.count)));
+    }
+    const friends = new Map();
+    for (const f of src.friends || []) {
+        const gid = toNum(f && f.gid);
+        if (!gid) continue;
+        friends.set(gid, {
+            gid,
+            name: String(f.name || `好友${gid}`),
+            level: Math.max(1, toNum(f.level) || 1),
+            lands: (f.lands || []).map(l => createLandState(l, nowSec)),
+        });
+    }
+    return {
+        user,
+        bag,
+        lands: (src.lands || []).map(l => createLandState(l, nowSec)),
+        shop: (src.shop || []).map(g => ({
+            goodsId: toNum(g.goodsId),
+            seedId: toNum(g.seedId),
+            price: Math.max(0, toNum(g.price)),
+            level: Math.max(0, toNum(g.level)),
+            itemCount: Math.max(1, toNum(g.itemCount) || 1),
+            limitCount: Math.max(0, toNum(g.limitCount)),
+            boughtNum: 0,
+        })),
+        friends,
+        applications: Array.isArray(src.applications) ? src.applications.map(a => ({ ...a })) : [],
+        tasks: src.tasks && typeof src.tasks === 'object' ? JSON.parse(JSON.stringify(src.tasks)) : {},
+        operationCounts: new Map(),
+    };
+}
+
+// ============ 协议对象构建 ============
+
+function getPhaseInfos(plant) {
+    const phases = [{ phase: PHASE.SEED, begin_time: plant.plantedAt }];
+    const midAt = Math.floor((plant.plantedAt + plant.matureAt) / 2);
+    if (midAt > plant.plantedAt && midAt < plant.matureAt) {
+        phases.push({ phase: PHASE.GERMINATION, begin_time: midAt });
+    }
+    phases.push({ phase: PHASE.MATURE, begin_time: plant.matureAt });
+    if (plant.deadAt) phases.push({ phase: PHASE.DEAD, begin_time: plant.deadAt });
+    return phases;
+}
+
+function isMature(plant, nowSec) {
+    return !!plant && !plant.deadAt && plant.matureAt <= nowSec;
+}
+
+function buildLandInfo(land, viewerGid, nowSec) {
+    const info = {
+        id: land.id,
+        unlocked: land.unlocked,
+        level: land.level,
+        max_level: land.maxLevel,
+        could_unlock: land.couldUnlock,
+        could_upgrade: land.couldUpgrade,
+        land_size: 1,
+    };
+    const plant = land.plant;
+    if (!plant) return info;
+    const alreadyStolen = plant.stealers.includes(viewerGid);
+    info.plant = {
+        id: plant.plantId,
+        name: plant.name,
+        phases: getPhaseInfos(plant),
+        season: 1,
+        dry_num: plant.dryNum,
+        fruit_id: plant.fruitId,
+        fruit_num: plant.fruitNum,
+        left_fruit_num: plant.leftFruitNum,
+        weed_owners: plant.weedOwners,
+        insect_owners: plant.insectOwners,
+        stealers: plant.stealers,
+        stole_num: plant.stealers.length,
+        grow_sec: Math.max(0, plant.matureAt - plant.plantedAt),
+        stealable: isMature(plant, nowSec) && plant.stealable && !alreadyStolen && plant.leftFruitNum > 1,
+        left_inorc_fert_times: plant.leftFertTimes,
+    };
+    return info;
+}
+
+function summarizeFriendPlant(friend, nowSec) {
+    const summary = { steal_plant_num: 0, dry_num: 0, weed_num: 0, insect_num: 0 };
+    for (const land of friend.lands) {
+        const plant = land.plant;
+        if (!plant || plant.deadAt) continue;
+        if (isMature(plant, nowSec) && plant.stealable && plant.leftFruitNum > 1) summary.steal_plant_num++;
+        if (plant.dryNum > 0) summary.dry_num++;
+        if (plant.weedOwners.length > 0) summary.weed_num++;
+        if (plant.insectOwners.length > 0) summary.insect_num++;
+    }
+    return summary;
+}
+
+function buildGameFriend(friend, nowSec) {
+    return {
+        gid: friend.gid,
+        open_id: `mock_${friend.gid}`,
+        name: friend.name,
+        remark: '',
+        level: friend.level,
+        plant: summarizeFriendPlant(friend, nowSec),
+    };
+}
+
+// ============ 服务器 ============
+
+/**
+ * 创建模拟服务器
+ * @param {object} [options]
+ * @param {number} [options.port] - 监听端口，0 表示随机端口
+ * @param {string} [options.host]
+ * @param {object} [options.scenario] - 剧本，缺省使用内置剧本
+ * @param {string[]} [options.rejectCodes] - 登录时视为失效的 code
+ */
+function createMockGameServer(options = {}) {
+    const events = new EventEmitter();
+    const host = options.host || '127.0.0.1';
+    const rejectCodes = new Set((options.rejectCodes || []).map(String));
+    const customHandlers = new Map();
+    const requests = [];
+    const clients = new Set();
+    let wss = null;
+    let listenPort = 0;
+    let serverSeq = 0;
+    let timeOffsetMs = 0;
+
+    const nowMs = () => Date.now() + timeOffsetMs;
+    const nowSec = () => Math.floor(nowMs() / 1000);
+    const world = createWorldState(options.scenario || buildDefaultScenario(), nowSec());
+
+    function getBagCount(id) {
+        return world.bag.get(id) || 0;
+    }
+
+    function addBagItem(id, delta) {
+        const next = Math.max(0, getBagCount(id) + delta);
+        if (next > 0) world.bag.set(id, next);
+        else world.bag.delete(id);
+        return next;
+    }
+
+    function countOperation(opId, times = 1) {
+        world.operationCounts.set(opId, (world.operationCounts.get(opId) || 0) + times);
+    }
+
+    function buildOperationLimits() {
+        const limits = [];
+        for (let opId = 10001; opId <= 10008; opId++) {
+            const used = world.operationCounts.get(opId) || 0;
+            limits.push({
+                id: opId,
+                day_times: used,
+                day_times_lt: DEFAULT_OP_LIMIT,
+                day_exp_times: used,
+                day_ex_times_lt: DEFAULT_OP_LIMIT,
+            });
+        }
+        return limits;
+    }
+
+    function resolveHost(hostGid) {
+        const gid = toNum(hostGid);
+        if (!gid || gid === toNum(world.user.gid)) {
+            return { isSelf: true, gid: toNum(world.user.gid), lands: world.lands, friend: null };
+        }
+        const friend = world.friends.get(gid);
+        if (!friend) throw new MockServiceError(ERR_PARAM, `好友不存在: ${gid}`);
+        return { isSelf: false, gid, lands: friend.lands, friend };
+    }
+
+    function pickLands(lands, landIds) {
+        const idSet = new Set((landIds || []).map(id => toNum(id)));
+        return lands.filter(l => idSet.has(l.id));
+    }
+
+    function landReply(lands) {
+        const viewer = toNum(world.user.gid);
+        const t = nowSec();
+        return {
+            land: lands.map(l => buildLandInfo(l, viewer, t)),
+            operation_limits: buildOperationLimits(),
+        };
+    }
+
+    // 真实服务器通过 ItemNotify 下发经验变化，客户端据此判断帮忙是否还有经验
+    function grantExp(client, delta) {
+        if (delta <= 0) return;
+        world.user.exp += delta;
+        pushNotify('ItemNotify', { items: [{ item: { id: EXP_ITEM_ID, count: world.user.exp }, delta }] }, null, client);
+    }
+
+    function applyHelp(req, ctx, field, opId) {
+        const target = resolveHost(req.host_gid);
+        const lands = pickLands(target.lands, req.land_ids);
+        for (const land of lands) {
+            if (!land.plant) continue;
+            if (field === 'dry') land.plant.dryNum = 0;
+            else land.plant[field] = [];
+        }
+        if (!target.isSelf && lands.length > 0) {
+            const used = world.operationCounts.get(opId) || 0;
+            countOperation(opId, lands.length);
+            grantExp(ctx.client, Math.min(lands.length, Math.max(0, DEFAULT_OP_LIMIT - used)));
+        }
+        return landReply(lands);
+    }
+
+    function applyPut(req, field, opId) {
+        const target = resolveHost(req.host_gid);
+        if (target.isSelf) throw new MockServiceError(ERR_PARAM, '不能对自己农场捣乱');
+        const lands = pickLands(target.lands, req.land_ids);
+        const self = toNum(world.user.gid);
+        for (const land of lands) {
+            const owners = land.plant ? land.plant[field] : null;
+            if (!owners || owners.includes(self) || owners.length >= 2) continue;
+            owners.push(self);
+        }
+        if (lands.length > 0) countOperation(opId, lands.length);
+        return landReply(lands);
+    }
+
+    // service.method -> handler(req, ctx) 返回回复对象；类型名用于编解码
+    const serviceHandlers = {
+        'gamepb.userpb.UserService.Login': {
+            req: 'LoginRequest',
+            reply: 'LoginReply',
+            handle: (_req, ctx) => {
+                if (rejectCodes.has(ctx.code)) throw new MockServiceError(ERR_LOGIN, '登录凭证已失效');
+                ctx.client.loggedIn = true;
+                events.emit('login', { code: ctx.code, gid: world.user.gid });
+                return {
+                    basic: {
+                        gid: world.user.gid,
+                        name: world.user.name,
+                        level: world.user.level,
+                        exp: world.user.exp,
+                        gold: world.user.gold,
+                    },
+                    time_now_millis: nowMs(),
+                };
+            },
+        },
+        'gamepb.userpb.UserService.Heartbeat': {
+            req: 'HeartbeatRequest',
+            reply: 'HeartbeatReply',
+            handle: () => ({ server_time: nowMs() }),
+        },
+        'gamepb.plantpb.PlantService.AllLands': {
+            req: 'AllLandsRequest',
+            reply: 'AllLandsReply',
+            handle: (req) => {
+                const target = resolveHost(req.host_gid);
+                const { land, operation_limits } = landReply(target.lands);
+                return { lands: land, operation_limits };
+            },
+        },
+        'gamepb.plantpb.PlantService.Harvest': {
+            req: 'HarvestRequest',
+            reply: 'HarvestReply',
+            handle: (req, ctx) => {
+                const target = resolveHost(req.host_gid);
+                const self = toNum(world.user.gid);
+                const t = nowSec();
+                const lands = pickLands(target.lands, req.land_ids);
+                const done = [];
+                for (const land of lands) {
+                    const plant = land.plant;
+                    if (!isMature(plant, t)) continue;
+                    if (target.isSelf) {
+                        addBagItem(plant.fruitId, plant.leftFruitNum);
+                        grantExp(ctx.client, getPlantExp(plant.plantId) || 1);
+                        plant.leftFruitNum = 0;
+                        plant.deadAt = t;
+                    } else {
+                        if (!plant.stealable || plant.stealers.includes(self) || plant.leftFruitNum <= 1) continue;
+                        plant.stealers.push(self);
+                        plant.leftFruitNum -= 1;
+                        addBagItem(plant.fruitId, 1);
+                    }
+                    done.push(land);
+                }
+                if (done.length === 0) throw new MockServiceError(ERR_PARAM, '没有可收获的土地');
+                countOperation(target.isSelf ? 10001 : 10008, done.length);
+                return landReply(done);
+            },
+        },
+        'gamepb.plantpb.PlantService.WaterLand': {
+            req: 'WaterLandRequest',
+            reply: 'WaterLandReply',
+            handle: (req, ctx) => applyHelp(req, ctx, 'dry', 10007),
+        },
+        'gamepb.plantpb.PlantService.WeedOut': {
+            req: 'WeedOutRequest',
+            reply: 'WeedOutReply',
+            handle: (req, ctx) => applyHelp(req, ctx, 'weedOwners', 10005),
+        },
+        'gamepb.plantpb.PlantService.Insecticide': {
+            req: 'InsecticideRequest',
+            reply: 'InsecticideReply',
+            handle: (req, ctx) => applyHelp(req, ctx, 'insectOwners', 10006),
+        },
+        'gamepb.plantpb.PlantService.PutWeeds': {
+            req: 'PutWeedsRequest',
+            reply: 'PutWeedsReply',
+            handle: req => applyPut(req, 'weedOwners', 10003),
+        },
+        'gamepb.plantpb.PlantService.PutInsects': {
+            req: 'PutInsectsRequest',
+            reply: 'PutInsectsReply',
+            handle: req => applyPut(req, 'insectOwners', 10004),
+        },
+        'gamepb.plantpb.PlantService.RemovePlant': {
+            req: 'RemovePlantRequest',
+            reply: 'RemovePlantReply',
+            handle: (req) => {
+                const lands = pickLands(world.lands, req.land_ids);
+                for (const land of lands) land.plant = null;
+                countOperation(10002, lands.length);
+                return landReply(lands);
+            },
+        },
+        'gamepb.plantpb.PlantService.Plant': {
+            req: 'PlantRequest',
+            reply: 'PlantReply',
+            handle: (req) => {
+                const t = nowSec();
+                const items = Array.isArray(req.items) ? req.items : [];
+                const changed = [];
+                for (const item of items) {
+                    const seedId = toNum(item.seed_id);
+                    const cfg = getPlantBySeedId(seedId);
+                    if (!cfg) throw new MockServiceError(ERR_PARAM, `未知种子: ${seedId}`);
+                    for (const land of pickLands(world.lands, item.land_ids)) {
+                        if (!land.unlocked || land.plant) throw new MockServiceError(ERR_PARAM, `土地#${land.id} 不可种植`);
+                        if (getBagCount(seedId) <= 0) throw new MockServiceError(ERR_PARAM, '种子数量不足');
+                        addBagItem(seedId, -1);
+                        land.plant = createPlantState({ seedId, state: 'growing' }, t);
+                        changed.push(land);
+                    }
+                }
+                return landReply(changed);
+            },
+        },
+        'gamepb.plantpb.PlantService.Fertilize': {
+            req: 'FertilizeRequest',
+            reply: 'FertilizeReply',
+            handle: (req) => {
+                const t = nowSec();
+                const lands = pickLands(world.lands, req.land_ids).filter(l => l.plant && !isMature(l.plant, t));
+                for (const land of lands) {
+                    // 肥料统一按缩短一半剩余时间处理，足够覆盖客户端的施肥分支
+                    land.plant.matureAt = t + Math.floor((land.plant.matureAt - t) / 2);
+                    land.plant.leftFertTimes = Math.max(0, land.plant.leftFertTimes - 1);
+                }
+                return landReply(lands);
+            },
+        },
+        'gamepb.plantpb.PlantService.UnlockLand': {
+            req: 'UnlockLandRequest',
+            reply: 'UnlockLandReply',
+            handle: (req) => {
+                const land = pickLands(world.lands, [req.land_id])[0];
+                if (!land || land.unlocked || !land.couldUnlock) throw new MockServiceError(ERR_PARAM, '土地不可解锁');
+                land.unlocked = true;
+                land.couldUnlock = false;
+                return { land: buildLandInfo(land, toNum(world.user.gid), nowSec()) };
+            },
+        },
+        'gamepb.plantpb.PlantService.UpgradeLand': {
+            req: 'UpgradeLandRequest',
+            reply: 'UpgradeLandReply',
+            handle: (req) => {
+                const land = pickLands(world.lands, [req.land_id])[0];
+                if (!land || !land.couldUpgrade) throw new MockServiceError(ERR_PARAM, '土地不可升级');
+                land.level = Math.min(land.maxLevel, land.level + 1);
+                land.couldUpgrade = land.level < land.maxLevel;
+                return { land: buildLandInfo(land, toNum(world.user.gid), nowSec()) };
+            },
+        },
+        'gamepb.plantpb.PlantService.CheckCanOperate': {
+            req: 'CheckCanOperateRequest',
+            reply: 'CheckCanOperateReply',
+            handle: (req) => {
+                const opId = toNum(req.operation_id);
+                const left = DEFAULT_OP_LIMIT - (world.operationCounts.get(opId) || 0);
+                return { can_operate: left > 0, can_steal_num: Math.max(0, left) };
+            },
+        },
+        'gamepb.itempb.ItemService.Bag': {
+            req: 'BagRequest',
+            reply: 'BagReply',
+            handle: () => {
+                const items = [
+                    { id: GOLD_ITEM_ID, count: world.user.gold },
+                    { id: COUPON_ITEM_ID, count: world.user.coupon || 0 },
+                    { id: EXP_ITEM_ID, count: world.user.exp },
+                ];
+                for (const [id, count] of world.bag) items.push({ id, count });
+                return { item_bag: { items } };
+            },
+        },
+        'gamepb.itempb.ItemService.Sell': {
+            req: 'SellRequest',
+            reply: 'SellReply',
+            handle: (req) => {
+                const sold = [];
+                let gain = 0;
+                for (const item of req.items || []) {
+                    const id = toNum(item.id);
+                    const count = Math.min(toNum(item.count), getBagCount(id));
+                    if (count <= 0) continue;
+                    addBagItem(id, -count);
+                    gain += count * (getFruitPrice(id) || 1);
+                    sold.push({ id, count });
+                }
+                world.user.gold += gain;
+                return { sell_items: sold, get_items: gain > 0 ? [{ id: GOLD_ITEM_ID, count: gain }] : [] };
+            },
+        },
+        'gamepb.itempb.ItemService.Use': {
+            req: 'UseRequest',
+            reply: 'UseReply',
+            handle: (req) => {
+                const id = toNum(req.item_id);
+                const count = Math.max(1, toNum(req.count));
+                if (getBagCount(id) < count) throw new MockServiceError(ERR_PARAM, '请求参数错误');
+                addBagItem(id, -count);
+                return { items: [{ id, count: getBagCount(id) }] };
+            },
+        },
+        'gamepb.itempb.ItemService.BatchUse': {
+            req: 'BatchUseRequest',
+            reply: 'BatchUseReply',
+            handle: (req) => {
+                const used = [];
+                for (const item of req.items || []) {
+                    const id = toNum(item.id);
+                    const count = Math.min(Math.max(1, toNum(item.count)), getBagCount(id));
+                    if (count <= 0) continue;
+                    addBagItem(id, -count);
+                    used.push({ id, count });
+                }
+                return { used_items: used, items: [] };
+            },
+        },
+        'gamepb.shoppb.ShopService.ShopProfiles': {
+            req: 'ShopProfilesRequest',
+            reply: 'ShopProfilesReply',
+            handle: () => ({ shop_profiles: [{ shop_id: SEED_SHOP_ID, shop_name: '种子商店', shop_type: 1 }] }),
+        },
+        'gamepb.shoppb.ShopService.ShopInfo': {
+            req: 'ShopInfoRequest',
+            reply: 'ShopInfoReply',
+            handle: (req) => {
+                if (toNum(req.shop_id) !== SEED_SHOP_ID) return { goods_list: [] };
+                return {
+                    goods_list: world.shop.map(g => ({
+                        id: g.goodsId,
+                        bought_num: g.boughtNum,
+                        price: g.price,
+                        limit_count: g.limitCount,
+                        unlocked: true,
+                        item_id: g.seedId,
+                        item_count: g.itemCount,
+                        conds: g.level > 0 ? [{ type: 1, param: g.level }] : [],
+                    })),
+                };
+            },
+        },
+        'gamepb.shoppb.ShopService.BuyGoods': {
+            req: 'BuyGoodsRequest',
+            reply: 'BuyGoodsReply',
+            handle: (req) => {
+                const goods = world.shop.find(g => g.goodsId === toNum(req.goods_id));
+                if (!goods) throw new MockServiceError(ERR_PARAM, '商品不存在');
+                const num = Math.max(1, toNum(req.num));
+                const cost = goods.price * num;
+                if (world.user.gold < cost) throw new MockServiceError(ERR_NOT_ENOUGH_GOLD, '金币不足');
+                world.user.gold -= cost;
+                goods.boughtNum += num;
+                addBagItem(goods.seedId, goods.itemCount * num);
+                return {
+                    goods: { id: goods.goodsId, bought_num: goods.boughtNum, price: goods.price, item_id: goods.seedId, unlocked: true },
+                    get_items: [{ id: goods.seedId, count: goods.itemCount * num }],
+                    cost_items: [{ id: GOLD_ITEM_ID, count: cost }],
+                };
+            },
+        },
+        'gamepb.friendpb.FriendService.GetAll': {
+            req: 'GetAllFriendsRequest',
+            reply: 'GetAllFriendsReply',
+            handle: () => ({
+                game_friends: listGameFriends(),
+                application_count: world.applications.length,
+            }),
+        },
+        'gamepb.friendpb.FriendService.SyncAll': {
+            req: 'SyncAllRequest',
+            reply: 'SyncAllReply',
+            handle: () => ({
+                game_friends: listGameFriends(),
+                application_count: world.applications.length,
+            }),
+        },
+        'gamepb.friendpb.FriendService.GetGameFriends': {
+            req: 'GetGameFriendsRequest',
+            reply: 'GetGameFriendsReply',
+            handle: (req) => {
+                const t = nowSec();
+                const list = (req.gids || []).map(g => world.friends.get(toNum(g))).filter(Boolean);
+                return { game_friends: list.map(f => buildGameFriend(f, t)) };
+            },
+        },
+        'gamepb.friendpb.FriendService.GetApplications': {
+            req: 'GetApplicationsRequest',
+            reply: 'GetApplicationsReply',
+            handle: () => ({ applications: world.applications }),
+        },
+        'gamepb.friendpb.FriendService.AcceptFriends': {
+            req: 'AcceptFriendsRequest',
+            reply: 'AcceptFriendsReply',
+            handle: (req) => {
+                const gids = new Set((req.friend_gids || []).map(g => toNum(g)));
+                const accepted = [];
+                world.applications = world.applications.filter((app) => {
+                    const gid = toNum(app.gid);
+                    if (!gids.has(gid)) return true;
+                    const friend = { gid, name: app.name || `好友${gid}`, level: Math.max(1, toNum(app.level) || 1), lands: [] };
+                    world.friends.set(gid, friend);
+                    accepted.push(buildGameFriend(friend, nowSec()));
+                    return false;
+                });
+                return { friends: accepted };
+            },
+        },
+        'gamepb.visitpb.VisitService.Enter': {
+            req: 'VisitEnterRequest',
+            reply: 'VisitEnterReply',
+            handle: (req) => {
+                const target = resolveHost(req.host_gid);
+                if (target.isSelf) throw new MockServiceError(ERR_PARAM, '不能拜访自己');
+                const t = nowSec();
+                const viewer = toNum(world.user.gid);
+                return {
+                    basic: { gid: target.gid, name: target.friend.name, level: target.friend.level },
+                    lands: target.lands.map(l => buildLandInfo(l, viewer, t)),
+                };
+            },
+        },
+        'gamepb.visitpb.VisitService.Leave': {
+            req: 'VisitLeaveRequest',
+            reply: 'VisitLeaveReply',
+            handle: () => ({}),
+        },
+        'gamepb.taskpb.TaskService.TaskInfo': {
+            req: 'TaskInfoRequest',
+            reply: 'TaskInfoReply',
+            handle: () => ({ task_info: world.tasks }),
+        },
+        'gamepb.taskpb.TaskService.ClaimTaskReward': {
+            req: 'ClaimTaskRewardRequest',
+            reply: 'ClaimTaskRewardReply',
+            handle: req => ({ items: claimTasks([toNum(req.id)]), task_info: world.tasks }),
+        },
+        'gamepb.taskpb.TaskService.BatchClaimTaskReward': {
+            req: 'BatchClaimTaskRewardRequest',
+            reply: 'BatchClaimTaskRewardReply',
+            handle: req => ({ items: claimTasks((req.ids || []).map(id => toNum(id))), task_info: world.tasks }),
+        },
+        'gamepb.taskpb.TaskService.ClaimDailyReward': {
+            req: 'ClaimDailyRewardRequest',
+            reply: 'ClaimDailyRewardReply',
+            handle: () => ({ items: [], task_info: world.tasks }),
+        },
+    };
+
+    function listGameFriends() {
+        const t = nowSec();
+        return Array.from(world.friends.values(), f => buildGameFriend(f, t));
+    }
+
+    function claimTasks(ids) {
+        const wanted = new Set(ids);
+        const items = [];
+        const lists = [world.tasks.growth_tasks, world.tasks.daily_tasks, world.tasks.tasks];
+        for (const list of lists) {
+            for (const task of list || []) {
+                if (!wanted.has(toNum(task.id)) || task.is_claimed) continue;
+                task.is_claimed = true;
+                for (const reward of task.rewards || []) {
+                    const id = toNum(reward.id);
+                    const count = toNum(reward.count);
+                    if (id === GOLD_ITEM_ID) world.user.gold += count;
+                    else addBagItem(id, count);
+                    items.push({ id, count });
+                }
+            }
+        }
+        return items;
+    }
+
+    // ============ 帧编解码 ============
+
+    function nextServerSeq() {
+        serverSeq += 1;
+        return serverSeq;
+    }
+
+    function sendFrame(client, meta, body) {
+        if (!client.socket || client.socket.readyState !== client.socket.OPEN) return;
+        const frame = types.GateMessage.encode(types.GateMessage.create({
+            meta: { ...meta, server_seq: toLong(nextServerSeq()) },
+            body: body || Buffer.alloc(0),
+        })).finish();
+        client.socket.send(frame);
+    }
+
+    async function decodeRequestBody(body) {
+        const raw = Buffer.from(body || []);
+        if (raw.length === 0) return raw;
+        try {
+            return await cryptoWasm.decryptBuffer(raw);
+        } catch {
+            // 客户端加密失败时会退回明文发送
+            return raw;
+        }
+    }
+
+    async function handleFrame(client, data) {
+        let msg;
+        try {
+            msg = types.GateMessage.decode(Buffer.isBuffer(data) ? data : Buffer.from(data));
+        } catch (e) {
+            mockLogger.warn('decode gate message failed', { error: e.message });
+            return;
+        }
+        const meta = msg.meta || {};
+        if (toNum(meta.message_type) !== 1) return;
+
+        const key = `${meta.service_name}.${meta.method_name}`;
+        const replyMeta = {
+            service_name: meta.service_name,
+            method_name: meta.method_name,
+            message_type: 2,
+            client_seq: meta.client_seq,
+        };
+        const entry = customHandlers.get(key) || serviceHandlers[key] || null;
+        const bodyBytes = await decodeRequestBody(msg.body);
+        const record = { service: meta.service_name, method: meta.method_name, at: nowMs(), body: null, error: '' };
+
+        try {
+            if (!entry) {
+                // 未实现的接口默认返回空回复（所有字段取默认值），保证客户端流程不中断
+                if (options.strictUnknown) throw new MockServiceError(ERR_NOT_IMPLEMENTED, `未实现: ${key}`);
+                requests.push(record);
+                events.emit('request', record);
+                sendFrame(client, replyMeta, Buffer.alloc(0));
+                return;
+            }
+            const reqType = entry.req ? types[entry.req] : null;
+            const req = reqType ? reqType.toObject(reqType.decode(bodyBytes), { longs: Number, defaults: true }) : {};
+            record.body = req;
+            const reply = await entry.handle(req, { client, code: client.code, meta });
+            const replyType = entry.reply ? types[entry.reply] : null;
+            const replyBytes = replyType ? replyType.encode(replyType.fromObject(reply || {})).finish() : Buffer.alloc(0);
+            sendFrame(client, replyMeta, replyBytes);
+        } catch (e) {
+            record.error = e.message;
+            sendFrame(client, {
+                ...replyMeta,
+                error_code: toLong(e instanceof MockServiceError ? e.code : ERR_PARAM),
+                error_message: e.message,
+            });
+        }
+        if (entry) {
+            requests.push(record);
+            events.emit('request', record);
+        }
+    }
+
+    // ============ 对外接口 ============
+
+    function pushNotify(typeName, payload, messageType, onlyClient) {
+        const type = types[typeName];
+        if (!type) throw new Error(`未知推送类型: ${typeName}`);
+        const eventBody = type.encode(type.fromObject(payload || {})).finish();
+        const body = types.EventMessage.encode(types.EventMessage.create({
+            message_type: messageType || type.fullName.slice(1),
+            body: eventBody,
+        })).finish();
+        for (const client of clients) {
+            if (onlyClient && client !== onlyClient) continue;
+            if (client.loggedIn) sendFrame(client, { message_type: 3 }, body);
+        }
+    }
+
+    function pushLandsNotify(hostGid = 0, landIds = null) {
+        const target = resolveHost(hostGid);
+        const lands = Array.isArray(landIds) ? pickLands(target.lands, landIds) : target.lands;
+        const t = nowSec();
+        pushNotify('LandsNotify', {
+            host_gid: target.gid,
+            lands: lands.map(l => buildLandInfo(l, toNum(world.user.gid), t)),
+        });
+    }
+
+    function kickout(reason = '账号在其他地方登录') {
+        pushNotify('KickoutNotify', { reason: 1, reason_message: reason }, 'gatepb.Kickout');
+    }
+
+    function dropConnections(code = 1006) {
+        for (const client of clients) {
+            try {
+                if (code === 1006) client.socket.terminate();
+                else client.socket.close(code);
+            } catch {}
+        }
+    }
+
+    function setHandler(serviceName, methodName, handler) {
+        const key = `${serviceName}.${methodName}`;
+        if (!handler) {
+            customHandlers.delete(key);
+            return;
+        }
+        const base = serviceHandlers[key] || {};
+        customHandlers.set(key, typeof handler === 'function' ? { ...base, handle: handler } : { ...base, ...handler });
+    }
+
+    function getRequests(filter = {}) {
+        return requests.filter(r => (!filter.service || r.service === filter.service) && (!filter.method || r.method === filter.method));
+    }
+
+    function waitForRequest(method, timeoutMs = 10000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                events.off('request', onRequest);
+                reject(new Error(`等待请求超时: ${method}`));
+            }, timeoutMs);
+            function onRequest(record) {
+                if (record.method !== method) return;
+                clearTimeout(timer);
+                events.off('request', onRequest);
+                resolve(record);
+            }
+            events.on('request', onRequest);
+        });
+    }
+
+    async function start() {
+        if (wss) return { port: listenPort, url: getUrl() };
+        await loadProto();
+        await cryptoWasm.initWasm();
+        wss = new WebSocketServer({ host, port: toNum(options.port) || 0 });
+        wss.on('connection', (socket, req) => {
+            const params = new URL(req.url || '/', `http://${host}`).searchParams;
+            const client = { socket, code: String(params.get('code') || ''), loggedIn: false, headers: req.headers };
+            clients.add(client);
+            events.emit('connection', { code: client.code, headers: req.headers });
+            socket.on('message', (data) => {
+                handleFrame(client, data).catch((e) => {
+                    mockLogger.warn('handle frame failed', { error: e.message });
+                });
+            });
+            socket.on('close', () => clients.delete(client));
+        });
+        await new Promise((resolve, reject) => {
+            wss.once('listening', resolve);
+            wss.once('error', reject);
+        });
+        listenPort = wss.address().port;
+        mockLogger.info('mock game server started', { url: getUrl() });
+        return { port: listenPort, url: getUrl() };
+    }
+
+    function stop() {
+        if (!wss) return Promise.resolve();
+        dropConnections();
+        const server = wss;
+        wss = null;
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    function getUrl() {
+        return listenPort ? `ws://${host}:${listenPort}/prod/ws` : '';
+    }
+
+    return {
+        start,
+        stop,
+        getUrl,
+        events,
+        getWorld: () => world,
+        getRequests,
+        clearRequests: () => { requests.length = 0; },
+        waitForRequest,
+        setHandler,
+        pushNotify,
+        pushLandsNotify,
+        kickout,
+        dropConnections,
+        advanceTime: (sec) => { timeOffsetMs += Math.max(0, toNum(sec)) * 1000; },
+    };
+}
+
+// ============ 命令行入口 ============
+
+function parseCliArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i];
+        if (key === '--port') args.port = toNum(argv[++i]);
+        else if (key === '--scenario') args.scenario = argv[++i];
+        else if (key === '--reject-code') args.rejectCodes = [...(args.rejectCodes || []), argv[++i]];
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseCliArgs(process.argv.slice(2));
+    const scenario = args.scenario
+        ? JSON.parse(fs.readFileSync(path.resolve(args.scenario), 'utf8'))
+        : undefined;
+    const server = createMockGameServer({ port: args.port || 9527, scenario, rejectCodes: args.rejectCodes });
+    server.events.on('request', (r) => {
+        console.log(`[mock] ${r.service}.${r.method}${r.error ? ` ✗ ${r.error}` : ''}`);
+    });
+    server.start().then(({ url }) => {
+        console.log(`[mock] 模拟服务器已启动: ${url}`);
+    }).catch((e) => {
+        console.error(`[mock] 启动失败: ${e.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    createMockGameServer,
+    buildDefaultScenario,
+};
@@ -0,0 +1,172 @@
+const { Buffer } = require('node:buffer');
+const fs = require('node:fs');
+const path = require('node:path');
+const process = require('node:process');
+/**
+ * 抓包回放 - 把协议抓包中收到的帧离线交给 network.js 的消息处理逻辑，复现推送处理与农场分析
+ *
+ * 每条消息回放前把服务器时间同步到抓包时刻，土地成熟/缺水等基于时间的判断与当时一致。
+ * 同时用当前 proto 定义重新解码每条消息，列出解码失败的条目（游戏更新后 proto 变化时最常见）。
+ *
+ * 命令行: node src/devtools/replay-capture.js data/captures/<文件>.jsonl [--analyze] [--method AllLands] [--verbose]
+ */
+
+const { analyzeLands } = require('../services/farm');
+const { getUserState, handleMessage, networkEvents } = require('../utils/network');
+const { loadProto, types } = require('../utils/proto');
+const { decodeNotifyBody, decodeRpcBody } = require('../utils/traffic-recorder');
+const { syncServerTime, toNum } = require('../utils/utils');
+
+// 回放时打印的 network 事件
+const REPLAY_EVENTS = ['kickout', 'landsChanged', 'friendApplicationReceived', 'goodsUnlockNotify', 'taskInfoNotify'];
+
+function readCapture(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    let header = null;
+    const entries = [];
+    lines.forEach((line, index) => {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            throw new Error(`第 ${index + 1} 行不是合法 JSON`);
+        }
+        if (entry.type === 'header') header = entry;
+        else entries.push(entry);
+    });
+    return { header, entries };
+}
+
+// 用当前 proto 定义重新解码，返回错误信息
+function redecode(entry) {
+    if (entry.dir === 'out') {
+        return decodeRpcBody(entry.service, entry.method, Buffer.from(entry.body || '', 'base64'), false).decodeError || '';
+    }
+    let msg;
+    try {
+        msg = types.GateMessage.decode(Buffer.from(entry.raw || '', 'base64'));
+    } catch (e) {
+        return e.message;
+    }
+    if (entry.kind === 'notify') return decodeNotifyBody(msg.body).decodeError || '';
+    if (entry.kind === 'response' && !entry.errorCode) {
+        return decodeRpcBody(entry.service, entry.method, msg.body, true).decodeError || '';
+    }
+    return '';
+}
+
+function summarizeAnalysis(result) {
+    return ['harvestable', 'needWater', 'needWeed', 'needBug', 'growing', 'empty', 'dead']
+        .map(key => `${key}=${result[key].length ? result[key].join(',') : '-'}`)
+        .join(' ');
+}
+
+// 响应在回放时没有对应的请求回调，登录/土地等需要的响应在这里单独处理
+function applyResponse(entry, msg, options, print) {
+    if (entry.errorCode) return;
+    if (entry.method === 'Login' && msg.body && msg.body.length > 0) {
+        const reply = types.LoginReply.decode(msg.body);
+        if (reply.basic) {
+            const userState = getUserState();
+            userState.gid = toNum(reply.basic.gid);
+            userState.name = reply.basic.name || '';
+            userState.level = toNum(reply.basic.level);
+            userState.gold = toNum(reply.basic.gold);
+            userState.exp = toNum(reply.basic.exp);
+            print(`登录: ${userState.name} gid=${userState.gid} Lv${userState.level}`);
+        }
+    }
+    if (options.analyze && entry.method === 'AllLands' && msg.body && msg.body.length > 0) {
+        const reply = types.AllLandsReply.decode(msg.body);
+        print(`土地分析: ${summarizeAnalysis(analyzeLands(reply.lands || []))}`);
+    }
+}
+
+/**
+ * 回放抓包文件
+ * options: { analyze, method, verbose, print }
+ */
+async function replayCapture(file, options = {}) {
+    const print = typeof options.print === 'function' ? options.print : console.log;
+    await loadProto();
+    const { header, entries } = readCapture(file);
+    if (header) {
+        print(`抓包: 账号 ${header.accountName || header.accountId}，开始于 ${new Date(header.startedAt).toLocaleString()}，客户端版本 ${header.clientVersion || '未知'}`);
+    }
+
+    const listeners = REPLAY_EVENTS.map((event) => {
+        const listener = (payload) => {
+            print(`  → 事件 ${event}${options.verbose ? ` ${JSON.stringify(payload)}` : ''}`);
+            if (event === 'landsChanged' && options.analyze) {
+                print(`  → 土地分析: ${summarizeAnalysis(analyzeLands(payload || []))}`);
+            }
+        };
+        networkEvents.on(event, listener);
+        return [event, listener];
+    });
+
+    const summary = { total: entries.length, replayed: 0, decodeErrors: [] };
+    try {
+        for (const [index, entry] of entries.entries()) {
+            if (options.method && entry.method !== options.method) continue;
+            const decodeError = redecode(entry);
+            if (decodeError) {
+                summary.decodeErrors.push({ index, ts: entry.ts, service: entry.service, method: entry.method || entry.eventType, error: decodeError });
+                print(`#${index} 解码失败 ${entry.dir} ${entry.service || ''}.${entry.method || entry.eventType || ''}: ${decodeError}`);
+            }
+            if (entry.dir !== 'in' || !entry.raw) continue;
+
+            syncServerTime(entry.ts);
+            const frame = Buffer.from(entry.raw, 'base64');
+            const label = entry.kind === 'notify' ? `推送 ${entry.eventType || ''}` : `${entry.kind} ${entry.service}.${entry.method}`;
+            print(`#${index} ${new Date(entry.ts).toLocaleTimeString()} ${label}${entry.errorCode ? ` code=${entry.errorCode}` : ''}`);
+            if (options.verbose && entry.decoded) print(`  ${JSON.stringify(entry.decoded)}`);
+
+            handleMessage(frame);
+            if (entry.kind === 'response') {
+                try {
+                    applyResponse(entry, types.GateMessage.decode(frame), options, print);
+                } catch (e) {
+                    print(`  处理响应失败: ${e.message}`);
+                }
+            }
+            summary.replayed += 1;
+        }
+    } finally {
+        for (const [event, listener] of listeners) networkEvents.off(event, listener);
+    }
+
+    print(`回放完成：共 ${summary.total} 条，回放收到的消息 ${summary.replayed} 条，解码失败 ${summary.decodeErrors.length} 条`);
+    return summary;
+}
+
+function parseCliArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i];
+        if (key === '--analyze') args.analyze = true;
+        else if (key === '--verbose') args.verbose = true;
+        else if (key === '--method') args.method = argv[++i];
+        else if (!args.file) args.file = key;
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseCliArgs(process.argv.slice(2));
+    if (!args.file) {
+        console.error('用法: node src/devtools/replay-capture.js <抓包文件.jsonl> [--analyze] [--method AllLands] [--verbose]');
+        process.exit(1);
+    }
+    replayCapture(path.resolve(args.file), args).then((summary) => {
+        process.exit(summary.decodeErrors.length > 0 ? 2 : 0);
+    }).catch((e) => {
+        console.error(`[replay] 回放失败: ${e.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    readCapture,
+    replayCapture,
+};
@@ -0,0 +1,77 @@
+const process = require('node:process');
+/**
+ * 存储驱动选择 - 通过环境变量 STORE_DRIVER 切换 json(默认) / sqlite
+ *
+ * 首次切到 sqlite 时会自动从 JSON 数据导入一次（配置、账号、各文档、历史统计与审计记录），原 JSON 文件保留作为备份。
+ * sqlite 依赖 Node.js 22.5+ 内置的 node:sqlite，Docker 镜像（Node 20）与二进制发布版（Node 18）无法使用。
+ */
+
+const { ensureDataDir } = require('../../config/runtime-paths');
+const { createJsonDriver } = require('./json-driver');
+const { createSqliteDriver, isSqliteAvailable } = require('./sqlite-driver');
+
+const SUPPORTED_DRIVERS = ['json', 'sqlite'];
+// 迁移时导入的时序数据与记录流，新增使用 appendSample / appendRecord 的数据时需同步加入
+const SAMPLE_SERIES = ['stats_history'];
+const RECORD_STREAMS = ['audit'];
+
+let activeDriver = null;
+
+function resolveDriverName() {
+    const raw = String(process.env.STORE_DRIVER || 'json').trim().toLowerCase();
+    return SUPPORTED_DRIVERS.includes(raw) ? raw : 'json';
+}
+
+/**
+ * 从 JSON 驱动迁移到 sqlite 的导入选项：数据目录下的全部文档与已知的时序数据、记录流
+ */
+function getImportOptions(jsonDriver, options = {}) {
+    return {
+        ...options,
+        documentKeys: jsonDriver.listDocuments(),
+        series: SAMPLE_SERIES,
+        streams: RECORD_STREAMS,
+    };
+}
+
+function formatImportResult(result) {
+    return `${result.accounts} 个账号、${result.configs} 份账号配置、${result.documents} 个文档、${result.samples} 条历史统计、${result.records} 条审计记录`;
+}
+
+function openSqliteWithMigration(dataDir) {
+    const driver = createSqliteDriver({ dataDir });
+    const jsonDriver = createJsonDriver({ dataDir });
+    const result = driver.importFrom(jsonDriver, getImportOptions(jsonDriver));
+    if (result.imported) {
+        console.warn(`[存储] 已从 JSON 导入 ${formatImportResult(result)}到 ${driver.location}`);
+    }
+    return driver;
+}
+
+function getStorageDriver() {
+    if (activeDriver) return activeDriver;
+    const dataDir = ensureDataDir();
+    const name = resolveDriverName();
+    if (name === 'sqlite') {
+        // 明确选择了 sqlite 却无法使用时直接退出，避免悄悄写到 JSON、之后换回 sqlite 时数据对不上
+        if (!isSqliteAvailable()) {
+            console.error(`[存储] STORE_DRIVER=sqlite 需要 Node.js 22.5+ 内置的 node:sqlite（22.13 以下需加 --experimental-sqlite），当前 ${process.version} 不支持。Docker 镜像与二进制发布版无法使用 sqlite，请去掉 STORE_DRIVER 或升级 Node.js`);
+            process.exit(1);
+        }
+        try {
+            activeDriver = openSqliteWithMigration(dataDir);
+            return activeDriver;
+        } catch (e) {
+            console.error(`[存储] SQLite 打开失败，回退 JSON 存储: ${e.message}`);
+        }
+    }
+    activeDriver = createJsonDriver({ dataDir });
+    return activeDriver;
+}
+
+module.exports = {
+    SUPPORTED_DRIVERS,
+    getImportOptions,
+    formatImportResult,
+    getStorageDriver,
+};
@@ -0,0 +1,161 @@
+/**
+ * JSON 文件存储驱动 - store.json / accounts.json（默认驱动，兼容旧版本数据）
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { readTextFile, readJsonFile, writeJsonFileAtomic } = require('../../services/json-db');
+
+function createJsonDriver(options = {}) {
+    const { dataDir } = options;
+    const storeFile = path.join(dataDir, 'store.json');
+    const accountsFile = path.join(dataDir, 'accounts.json');
+
+    function getDocumentFile(key) {
+        return path.join(dataDir, `${key}.json`);
+    }
+
+    // 时序数据按天分文件: data/<series>/<accountId>/<YYYY-MM-DD>.jsonl（UTC 日期）
+    function getSeriesDir(series, accountId = '') {
+        return path.join(dataDir, String(series), String(accountId));
+    }
+
+    function toDayKey(ts) {
+        return new Date(ts).toISOString().slice(0, 10);
+    }
+
+    function listDayFiles(dir) {
+        try {
+            return fs.readdirSync(dir).filter(name => name.endsWith('.jsonl')).sort();
+        } catch {
+            return [];
+        }
+    }
+
+    // 读取目录下 [from, to] 范围内的按天文件，按 ts 升序（同 ts 保持写入顺序）
+    function readDayFiles(dir, range) {
+        const from = Number(range.from) || 0;
+        const to = Number(range.to) || Date.now();
+        const fromDay = toDayKey(from);
+        const toDay = toDayKey(to);
+        const list = [];
+        for (const name of listDayFiles(dir)) {
+            const day = name.slice(0, -'.jsonl'.length);
+            if (day < fromDay || day > toDay) continue;
+            for (const line of readTextFile(path.join(dir, name), '').split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    const item = JSON.parse(line);
+                    if (item.ts >= from && item.ts <= to) list.push(item);
+                } catch {
+                    // 跳过写入中断产生的残行
+                }
+            }
+        }
+        return list.sort((a, b) => a.ts - b.ts);
+    }
+
+    return {
+        name: 'json',
+        location: storeFile,
+
+        loadStore() {
+            return readJsonFile(storeFile, () => ({}));
+        },
+
+        // 内容未变化时不写盘，返回是否实际写入
+        saveStore(data) {
+            const oldJson = readTextFile(storeFile, '');
+            const newJson = JSON.stringify(data, null, 2);
+            if (oldJson === newJson) return false;
+            writeJsonFileAtomic(storeFile, data);
+            return true;
+        },
+
+        loadAccounts() {
+            return readJsonFile(accountsFile, () => ({ accounts: [], nextId: 1 }));
+        },
+
+        saveAccounts(data) {
+            writeJsonFileAtomic(accountsFile, data);
+        },
+
+        // 数据目录下除 store.json / accounts.json 外的 <key>.json 都是文档
+        listDocuments() {
+            const reserved = new Set([path.basename(storeFile), path.basename(accountsFile)]);
+            try {
+                return fs.readdirSync(dataDir)
+                    .filter(name => name.endsWith('.json') && !reserved.has(name))
+                    .map(name => name.slice(0, -'.json'.length))
+                    .sort();
+            } catch {
+                return [];
+            }
+        },
+
+        readDocument(key, fallbackFactory = () => null) {
+            return readJsonFile(getDocumentFile(key), fallbackFactory);
+        },
+
+        writeDocument(key, data) {
+            writeJsonFileAtomic(getDocumentFile(key), data);
+        },
+
+        appendSample(series, accountId, sample) {
+            const dir = getSeriesDir(series, accountId);
+            fs.mkdirSync(dir, { recursive: true });
+            fs.appendFileSync(path.join(dir, `${toDayKey(sample.ts)}.jsonl`), `${JSON.stringify(sample)}\n`, 'utf8');
+        },
+
+        querySamples(series, accountId, range = {}) {
+            return readDayFiles(getSeriesDir(series, accountId), range);
+        },
+
+        listSampleAccounts(series) {
+            try {
+                return fs.readdirSync(getSeriesDir(series), { withFileTypes: true })
+                    .filter(entry => entry.isDirectory())
+                    .map(entry => entry.name);
+            } catch {
+                return [];
+            }
+        },
+
+        // 删除整天都早于 beforeTs 的文件
+        pruneSamples(series, beforeTs) {
+            const cutoffDay = toDayKey(beforeTs);
+            const root = getSeriesDir(series);
+            let removed = 0;
+            let accountDirs = [];
+            try {
+                accountDirs = fs.readdirSync(root);
+            } catch {
+                return 0;
+            }
+            for (const accountId of accountDirs) {
+                const dir = path.join(root, accountId);
+                for (const name of listDayFiles(dir)) {
+                    if (name.slice(0, -'.jsonl'.length) >= cutoffDay) continue;
+                    fs.unlinkSync(path.join(dir, name));
+                    removed++;
+                }
+            }
+            return removed;
+        },
+
+        // 只追加的记录流: data/<stream>/<YYYY-MM-DD>.jsonl，同一毫秒的多条记录都会保留
+        appendRecord(stream, record) {
+            const dir = getSeriesDir(stream);
+            fs.mkdirSync(dir, { recursive: true });
+            fs.appendFileSync(path.join(dir, `${toDayKey(record.ts)}.jsonl`), `${JSON.stringify(record)}\n`, 'utf8');
+        },
+
+        queryRecords(stream, range = {}) {
+            return readDayFiles(getSeriesDir(stream), range);
+        },
+
+        close() {},
+    };
+}
+
+module.exports = { createJsonDriver };
@@ -0,0 +1,43 @@
+const process = require('node:process');
+/**
+ * 一次性迁移: JSON 数据（store.json / accounts.json、各文档、历史统计与审计记录）→ store.db
+ *
+ * 用法: node src/models/storage/migrate.js [--force]
+ * 默认库内已有数据时跳过；--force 会清空库内配置与账号后重新导入。
+ */
+
+const { ensureDataDir } = require('../../config/runtime-paths');
+const { getImportOptions, formatImportResult } = require('./index');
+const { createJsonDriver } = require('./json-driver');
+const { createSqliteDriver } = require('./sqlite-driver');
+
+function migrateJsonToSqlite(options = {}) {
+    const dataDir = options.dataDir || ensureDataDir();
+    const sqliteDriver = createSqliteDriver({ dataDir });
+    const jsonDriver = createJsonDriver({ dataDir });
+    try {
+        return {
+            ...sqliteDriver.importFrom(jsonDriver, getImportOptions(jsonDriver, { force: !!options.force })),
+            location: sqliteDriver.location,
+        };
+    } finally {
+        sqliteDriver.close();
+    }
+}
+
+if (require.main === module) {
+    try {
+        const result = migrateJsonToSqlite({ force: process.argv.includes('--force') });
+        if (result.imported) {
+            console.log(`[存储] 迁移完成: ${formatImportResult(result)} → ${result.location}`);
+            console.log('[存储] 以 STORE_DRIVER=sqlite 启动即可使用新存储，原 JSON 文件已保留');
+        } else {
+            console.log(`[存储] 跳过迁移 (${result.reason})，如需覆盖请加 --force`);
+        }
+    } catch (e) {
+        console.error(`[存储] 迁移失败: ${e.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { migrateJsonToSqlite };
@@ -0,0 +1,329 @@
+const process = require('node:process');
+/**
+ * SQLite 存储驱动 - 按账号/按配置项分行存储，只写入发生变化的行
+ *
+ * 使用 Node.js 内置的 node:sqlite（需要 Node.js 22.5+），WAL 模式下主进程与各 worker 可并发读写。
+ */
+
+const path = require('node:path');
+
+const SCHEMA_SQL = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS store_kv (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS account_configs (
+    account_id TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS accounts (
+    id TEXT PRIMARY KEY,
+    sort INTEGER NOT NULL,
+    value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS documents (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS samples (
+    series TEXT NOT NULL,
+    account_id TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (series, account_id, ts)
+);
+CREATE INDEX IF NOT EXISTS idx_samples_ts ON samples (series, ts);
+CREATE TABLE IF NOT EXISTS records (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    stream TEXT NOT NULL,
+    ts INTEGER NOT NULL,
+    value TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_records_ts ON records (stream, ts);
+`;
+
+function loadSqliteModule() {
+    try {
+        return require('node:sqlite');
+    } catch {
+        return null;
+    }
+}
+
+function isSqliteAvailable() {
+    const mod = loadSqliteModule();
+    return !!(mod && mod.DatabaseSync);
+}
+
+function parseJson(text, fallback = null) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return fallback;
+    }
+}
+
+// 行缓存键形如 kv:ui / cfg:3
+function splitRowKey(rowKey) {
+    const idx = rowKey.indexOf(':');
+    return { kind: rowKey.slice(0, idx), key: rowKey.slice(idx + 1) };
+}
+
+function createSqliteDriver(options = {}) {
+    const sqlite = loadSqliteModule();
+    if (!sqlite || !sqlite.DatabaseSync) {
+        throw new Error(`当前 Node.js ${process.version} 不支持 node:sqlite（需要 22.5+，22.13 以下需加 --experimental-sqlite）`);
+    }
+
+    const dbFile = options.dbFile || path.join(options.dataDir, 'store.db');
+    const db = new sqlite.DatabaseSync(dbFile);
+    db.exec('PRAGMA journal_mode = WAL;');
+    db.exec('PRAGMA busy_timeout = 5000;');
+    db.exec(SCHEMA_SQL);
+
+    const stmts = {
+        getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+        allKv: db.prepare('SELECT key, value FROM store_kv'),
+        setKv: db.prepare('INSERT INTO store_kv (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+        delKv: db.prepare('DELETE FROM store_kv WHERE key = ?'),
+        allConfigs: db.prepare('SELECT account_id, value FROM account_configs'),
+        setConfig: db.prepare('INSERT INTO account_configs (account_id, value, updated_at) VALUES (?, ?, ?) ON CONFLICT(account_id) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'),
+        delConfig: db.prepare('DELETE FROM account_configs WHERE account_id = ?'),
+        allAccounts: db.prepare('SELECT id, value FROM accounts ORDER BY sort ASC'),
+        setAccount: db.prepare('INSERT INTO accounts (id, sort, value) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET sort = excluded.sort, value = excluded.value'),
+        delAccount: db.prepare('DELETE FROM accounts WHERE id = ?'),
+        getDoc: db.prepare('SELECT value FROM documents WHERE key = ?'),
+        setDoc: db.prepare('INSERT INTO documents (key, value, updated_at) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'),
+        addSample: db.prepare('INSERT OR REPLACE INTO samples (series, account_id, ts, value) VALUES (?, ?, ?, ?)'),
+        rangeSamples: db.prepare('SELECT value FROM samples WHERE series = ? AND account_id = ? AND ts >= ? AND ts <= ? ORDER BY ts ASC'),
+        pruneSamples: db.prepare('DELETE FROM samples WHERE series = ? AND ts < ?'),
+        addRecord: db.prepare('INSERT INTO records (stream, ts, value) VALUES (?, ?, ?)'),
+        rangeRecords: db.prepare('SELECT value FROM records WHERE stream = ? AND ts >= ? AND ts <= ? ORDER BY ts ASC, id ASC'),
+        delRecords: db.prepare('DELETE FROM records WHERE stream = ?'),
+        countRows: db.prepare('SELECT (SELECT COUNT(*) FROM store_kv) + (SELECT COUNT(*) FROM account_configs) + (SELECT COUNT(*) FROM accounts) AS total'),
+    };
+
+    // 本进程最近一次读/写到的行内容，用于只写变化的行
+    const storeRowCache = new Map();
+
+    function transaction(fn) {
+        db.exec('BEGIN IMMEDIATE');
+        try {
+            const result = fn();
+            db.exec('COMMIT');
+            return result;
+        } catch (e) {
+            db.exec('ROLLBACK');
+            throw e;
+        }
+    }
+
+    function loadStore() {
+        const data = {};
+        storeRowCache.clear();
+        for (const row of stmts.allKv.all()) {
+            data[row.key] = parseJson(row.value);
+            storeRowCache.set(`kv:${row.key}`, row.value);
+        }
+        const accountConfigs = {};
+        for (const row of stmts.allConfigs.all()) {
+            accountConfigs[row.account_id] = parseJson(row.value, {});
+            storeRowCache.set(`cfg:${row.account_id}`, row.value);
+        }
+        data.accountConfigs = accountConfigs;
+        return data;
+    }
+
+    function writeStoreRows(data) {
+        const src = (data && typeof data === 'object') ? data : {};
+        const nextRows = new Map();
+        for (const [key, value] of Object.entries(src)) {
+            if (key === 'accountConfigs' || value === undefined) continue;
+            nextRows.set(`kv:${key}`, JSON.stringify(value));
+        }
+        const cfgMap = (src.accountConfigs && typeof src.accountConfigs === 'object') ? src.accountConfigs : {};
+        for (const [id, cfg] of Object.entries(cfgMap)) {
+            nextRows.set(`cfg:${id}`, JSON.stringify(cfg));
+        }
+
+        const now = Date.now();
+        let changed = 0;
+        for (const [rowKey, json] of nextRows) {
+            if (storeRowCache.get(rowKey) === json) continue;
+            const { kind, key } = splitRowKey(rowKey);
+            if (kind === 'kv') stmts.setKv.run(key, json);
+            else stmts.setConfig.run(key, json, now);
+            changed++;
+        }
+        for (const rowKey of storeRowCache.keys()) {
+            if (nextRows.has(rowKey)) continue;
+            const { kind, key } = splitRowKey(rowKey);
+            if (kind === 'kv') stmts.delKv.run(key);
+            else stmts.delConfig.run(key);
+            changed++;
+        }
+        return { changed, nextRows };
+    }
+
+    function saveStore(data) {
+        const { changed, nextRows } = transaction(() => writeStoreRows(data));
+        storeRowCache.clear();
+        for (const [rowKey, json] of nextRows) storeRowCache.set(rowKey, json);
+        return changed > 0;
+    }
+
+    function loadAccounts() {
+        const accounts = stmts.allAccounts.all().map(row => parseJson(row.value)).filter(Boolean);
+        const nextIdRow = stmts.getMeta.get('accounts.nextId');
+        return { accounts, nextId: nextIdRow ? Number.parseInt(nextIdRow.value, 10) : 1 };
+    }
+
+    function writeAccountRows(data) {
+        const accounts = Array.isArray(data && data.accounts) ? data.accounts : [];
+        const keep = new Set();
+        accounts.forEach((acc, index) => {
+            const id = String(acc && acc.id || '');
+            if (!id) return;
+            keep.add(id);
+            stmts.setAccount.run(id, index, JSON.stringify(acc));
+        });
+        for (const row of stmts.allAccounts.all()) {
+            if (!keep.has(row.id)) stmts.delAccount.run(row.id);
+        }
+        stmts.setMeta.run('accounts.nextId', String(Number(data && data.nextId) || 1));
+    }
+
+    function saveAccounts(data) {
+        transaction(() => writeAccountRows(data));
+    }
+
+    function readDocument(key, fallbackFactory = () => null) {
+        const row = stmts.getDoc.get(String(key));
+        const fallback = typeof fallbackFactory === 'function' ? fallbackFactory() : fallbackFactory;
+        if (!row) return fallback;
+        return parseJson(row.value, fallback);
+    }
+
+    function writeDocument(key, data) {
+        stmts.setDoc.run(String(key), JSON.stringify(data), Date.now());
+    }
+
+    function appendSample(series, accountId, sample) {
+        stmts.addSample.run(String(series), String(accountId), Number(sample.ts), JSON.stringify(sample));
+    }
+
+    function querySamples(series, accountId, range = {}) {
+        const from = Number(range.from) || 0;
+        const to = Number(range.to) || Date.now();
+        return stmts.rangeSamples.all(String(series), String(accountId), from, to)
+            .map(row => parseJson(row.value))
+            .filter(Boolean);
+    }
+
+    function pruneSamples(series, beforeTs) {
+        return Number(stmts.pruneSamples.run(String(series), Number(beforeTs)).changes) || 0;
+    }
+
+    function appendRecord(stream, record) {
+        stmts.addRecord.run(String(stream), Number(record.ts), JSON.stringify(record));
+    }
+
+    function queryRecords(stream, range = {}) {
+        const from = Number(range.from) || 0;
+        const to = Number(range.to) || Date.now();
+        return stmts.rangeRecords.all(String(stream), from, to)
+            .map(row => parseJson(row.value))
+            .filter(Boolean);
+    }
+
+    /**
+     * 从 JSON 驱动导入全部数据（一次性迁移）
+     * 已导入过或库内已有数据时跳过，除非 force
+     * importOptions: documentKeys 要导入的文档，series / streams 要导入的时序数据与记录流
+     */
+    function importFrom(sourceDriver, importOptions = {}) {
+        return transaction(() => {
+            const migratedAt = stmts.getMeta.get('migratedAt');
+            const hasRows = Number(stmts.countRows.get().total) > 0;
+            if (!importOptions.force && (migratedAt || hasRows)) {
+                return { imported: false, reason: migratedAt ? 'already_migrated' : 'not_empty' };
+            }
+            if (importOptions.force) {
+                db.exec('DELETE FROM store_kv; DELETE FROM account_configs; DELETE FROM accounts;');
+                storeRowCache.clear();
+            }
+            const storeData = sourceDriver.loadStore() || {};
+            const accountsData = sourceDriver.loadAccounts() || { accounts: [], nextId: 1 };
+            const { nextRows } = writeStoreRows(storeData);
+            writeAccountRows(accountsData);
+            let documents = 0;
+            for (const key of importOptions.documentKeys || []) {
+                const doc = sourceDriver.readDocument(key, () => null);
+                if (doc === null || doc === undefined) continue;
+                stmts.setDoc.run(key, JSON.stringify(doc), Date.now());
+                documents++;
+            }
+            let samples = 0;
+            for (const series of importOptions.series || []) {
+                for (const accountId of sourceDriver.listSampleAccounts(series)) {
+                    for (const sample of sourceDriver.querySamples(series, accountId, { from: 0 })) {
+                        appendSample(series, accountId, sample);
+                        samples++;
+                    }
+                }
+            }
+            let records = 0;
+            for (const stream of importOptions.streams || []) {
+                // 记录流没有主键去重，强制导入时先清空避免重复
+                if (importOptions.force) stmts.delRecords.run(stream);
+                for (const record of sourceDriver.queryRecords(stream, { from: 0 })) {
+                    appendRecord(stream, record);
+                    records++;
+                }
+            }
+            stmts.setMeta.run('migratedAt', String(Date.now()));
+            storeRowCache.clear();
+            for (const [rowKey, json] of nextRows) storeRowCache.set(rowKey, json);
+            const accountCount = Array.isArray(accountsData.accounts) ? accountsData.accounts.length : 0;
+            return {
+                imported: true,
+                accounts: accountCount,
+                configs: Object.keys(storeData.accountConfigs || {}).length,
+                documents,
+                samples,
+                records,
+            };
+        });
+    }
+
+    return {
+        name: 'sqlite',
+        location: dbFile,
+        loadStore,
+        saveStore,
+        loadAccounts,
+        saveAccounts,
+        readDocument,
+        writeDocument,
+        appendSample,
+        querySamples,
+        pruneSamples,
+        appendRecord,
+        queryRecords,
+        importFrom,
+        close() {
+            try {
+                db.close();
+            } catch {}
+        },
+    };
+}
+
+module.exports = { createSqliteDriver, isSqliteAvailable };
@@ -1,14 +1,15 @@
+const crypto = require('node:crypto');
 const process = require('node:process');
 /**
  * 运行时存储 - 自动化开关、种子偏好、账号管理
  */
 
-const { getDataFile, ensureDataDir } = require('../config/runtime-paths');
 const { CONFIG: BASE_CONFIG } = require('../config/config');
-const { readTextFile, readJsonFile, writeJsonFileAtomic } = require('../services/json-db');
+const { normalizeAccountDevice } = require('../utils/device-profile');
+const { normalizeAccountProxy, normalizeProxyUrl } = require('../utils/proxy');
+const { getStorageDriver } = require('./storage');
 
-const STORE_FILE = getDataFile('store.json');
-const ACCOUNTS_FILE = getDataFile('accounts.json');
+const storage = getStorageDriver();
 const ALLOWED_PLANTING_STRATEGIES = ['preferred', 'level', 'max_exp', 'max_fert_exp', 'max_profit', 'max_fert_profit', 'bag_priority'];
 const PUSHOO_CHANNELS = new Set([
     'webhook', 'qmsg', 'serverchan', 'pushplus', 'pushplushxtrip',
@@ -22,6 +23,8 @@ const DEFAULT_OFFLINE_DELETE_SEC = 1;
 const DEFAULT_FERTILIZER_LAND_TYPES = ['gold', 'black', 'red', 'normal'];
 const FERTILIZER_LAND_TYPE_SET = new Set(DEFAULT_FERTILIZER_LAND_TYPES);
 const DEFAULT_STEAL_PLANT_BLACKLIST = [];
+// 种植计划：按土地编号或土地类型指定作物/策略，优先级 土地编号 > 土地类型 > 账号种植策略
+const MAX_PLAN_LAND_ID = 1000;
 const DEFAULT_OFFLINE_REMINDER = {
     channel: 'webhook',
     reloginUrlMode: 'none',
@@ -39,6 +42,84 @@ const DEFAULT_QR_LOGIN = {
     apiDomain: 'q.qq.com',
 };
 
+const USER_ROLES = ['owner', 'operator', 'viewer'];
+const RESERVED_USERNAME = 'admin'; // 内置管理员（管理密码登录）保留名
+const USERNAME_PATTERN = /^[\w.-]{2,32}$/;
+
+// 账号配置版本：每个账号保留最近 N 个版本，friendCache 属于访客同步数据，不计入版本
+const CONFIG_REVISIONS_DOCUMENT = 'config_revisions';
+const CONFIG_REVISION_LIMIT = 20;
+const CONFIG_REVISION_MERGE_MS = 2000; // 面板一次保存会分多次请求写入，短时间内的连续修改合并为一个版本
+const CONFIG_REVISION_EXCLUDED_KEYS = ['friendCache'];
+
+// 配置模板：多个账号共用的一组配置，账号可单独覆盖其中的字段
+// 种植策略依赖的偏好种子与背包种子顺序随策略一起下发；种植计划按账号土地保存，不进模板
+const CONFIG_PROFILE_FIELDS = [
+    'automation',
+    'plantingStrategy',
+    'preferredSeedId',
+    'bagSeedPriority',
+    'intervals',
+    'friendQuietHours',
+    'friendBlockLevel',
+];
+const CONFIG_PROFILE_NAME_MAX = 32;
+const CONFIG_PROFILE_ID_PATTERN = /^[\w-]{1,32}$/;
+
+const DEFAULT_SESSION_POLICY = {
+    idleTimeoutHours: 24,
+    maxAgeDays: 7,
+};
+
+const STATS_HISTORY_INTERVAL_MIN_SEC = 60;
+const STATS_HISTORY_RETENTION_MAX_DAYS = 365;
+const DEFAULT_STATS_HISTORY = {
+    enabled: true,
+    intervalSec: 300,
+    retentionDays: 30,
+};
+
+// 面板启动时拉起账号的节奏；priorityAccountIds 中的账号按顺序优先启动
+const STARTUP_CONCURRENCY_MAX = 20;
+const DEFAULT_STARTUP_POLICY = {
+    concurrency: 3,
+    delayMinSec: 2,
+    delayMaxSec: 6,
+    loginTimeoutSec: 60,
+    maxRetries: 3,
+    retryBaseSec: 30,
+    retryMaxSec: 600,
+    priorityAccountIds: [],
+};
+
+// worker 意外退出后的重启策略：always 任何意外退出都重启，on-failure 仅异常退出码重启，never 不重启
+const RESTART_MODES = ['always', 'on-failure', 'never'];
+const DEFAULT_RESTART_POLICY = {
+    mode: 'on-failure',
+    maxRestarts: 5,
+    windowSec: 600,
+    backoffBaseSec: 5,
+    backoffMaxSec: 300,
+};
+
+const DEFAULT_HEALTH_WATCHDOG = {
+    enabled: true,
+    heartbeatTimeoutSec: 60,
+    tickTimeoutSec: 300,
+    serverTimeoutSec: 180,
+    autoRestart: true,
+    restartAfterSec: 120,
+};
+
+// Prometheus /metrics 输出；token 为空时不校验
+const DEFAULT_METRICS = {
+    enabled: false,
+    token: '',
+};
+
+// 代理池：账号代理选择「从代理池分配」时按账号固定取其中一个
+const MAX_PROXY_POOL_SIZE = 200;
+
 const DEFAULT_RUNTIME_CLIENT = {
     serverUrl: BASE_CONFIG.serverUrl,
     clientVersion: BASE_CONFIG.clientVersion,
@@ -59,6 +140,10 @@ const DEFAULT_ACCOUNT_CONFIG = {
         farm_weed: true, // 自动除草
         farm_bug: true, // 自动除虫
         farm_push: true,   // 收到 LandsNotify 推送时是否立即触发巡田
+        farm_harvest_align: false, // 收获对齐：按巡田间隔选种，成熟时唤醒巡田
+        farm_precise_harvest: false, // 成熟定时收获：按土地成熟时间登记收获，间隔巡田只作兜底
+        farm_anti_steal: false, // 防偷守护：临近成熟或有访客时加密巡田，成熟即收
+        farm_anti_steal_window: 30, // 防偷守护：距成熟不超过该秒数的土地加密巡田
         land_upgrade: true, // 是否自动升级土地
         friend: true,       // 好友互动总开关
         friend_help_exp_limit: true, // 帮忙经验达上限后自动停止帮忙
@@ -74,6 +159,11 @@ const DEFAULT_ACCOUNT_CONFIG = {
         fertilizer_buy_max: 10,
         fertilizer_buy_mode: 'threshold',
         fertilizer_buy_threshold: 100,
+        seed_budget: false, // 买种预算：保留金币、每日/每轮买种上限
+        seed_budget_reserve: 0, // 买种时始终保留的金币
+        seed_budget_daily_max: 0, // 每日买种最多花费，0 为不限
+        seed_budget_cycle_max: 0, // 每轮种植买种最多花费，0 为不限
+        seed_budget_fallback: true, // 预算不足时按策略排名回退到更便宜的种子
         free_gifts: true,
         share_reward: true,
         vip_gift: true,
@@ -87,6 +177,10 @@ const DEFAULT_ACCOUNT_CONFIG = {
     plantingStrategy: 'preferred',
     preferredSeedId: 0,
     bagSeedPriority: [],
+    plantingPlan: {
+        landTypes: {},
+        lands: {},
+    },
     intervals: {
         farm: 2,
         friend: 10,
@@ -129,7 +223,17 @@ const globalConfig = {
     },
     offlineReminder: { ...DEFAULT_OFFLINE_REMINDER },
     qrLogin: { ...DEFAULT_QR_LOGIN },
+    statsHistory: { ...DEFAULT_STATS_HISTORY },
+    startupPolicy: { ...DEFAULT_STARTUP_POLICY, priorityAccountIds: [] },
+    restartPolicy: { ...DEFAULT_RESTART_POLICY },
+    healthWatchdog: { ...DEFAULT_HEALTH_WATCHDOG },
+    metrics: { ...DEFAULT_METRICS },
+    proxyPool: { proxies: [] },
     runtimeClient: { ...DEFAULT_RUNTIME_CLIENT, device_info: { ...DEFAULT_RUNTIME_CLIENT.device_info } },
+    users: [],
+    sessionPolicy: { ...DEFAULT_SESSION_POLICY },
+    configProfiles: [],
+    accountProfiles: {},
     adminPasswordHash: '',
     disablePasswordAuth: false,
 };
@@ -213,6 +317,192 @@ function normalizeQrLoginConfig(input) {
     };
 }
 
+function normalizeStatsHistoryConfig(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    let intervalSec = Number.parseInt(src.intervalSec, 10);
+    if (!Number.isFinite(intervalSec)) intervalSec = DEFAULT_STATS_HISTORY.intervalSec;
+    let retentionDays = Number.parseInt(src.retentionDays, 10);
+    if (!Number.isFinite(retentionDays)) retentionDays = DEFAULT_STATS_HISTORY.retentionDays;
+    return {
+        enabled: src.enabled !== undefined ? !!src.enabled : DEFAULT_STATS_HISTORY.enabled,
+        intervalSec: Math.max(STATS_HISTORY_INTERVAL_MIN_SEC, Math.min(INTERVAL_MAX_SEC, intervalSec)),
+        retentionDays: Math.max(1, Math.min(STATS_HISTORY_RETENTION_MAX_DAYS, retentionDays)),
+    };
+}
+
+function clampInt(value, min, max, fallback) {
+    const n = Number.parseInt(value, 10);
+    if (!Number.isFinite(n)) return fallback;
+    return Math.max(min, Math.min(max, n));
+}
+
+function normalizeStartupPolicy(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    const d = DEFAULT_STARTUP_POLICY;
+    const delayMinSec = clampInt(src.delayMinSec, 0, 300, d.delayMinSec);
+    const retryBaseSec = clampInt(src.retryBaseSec, 5, 3600, d.retryBaseSec);
+    const ids = Array.isArray(src.priorityAccountIds) ? src.priorityAccountIds : [];
+    return {
+        concurrency: clampInt(src.concurrency, 1, STARTUP_CONCURRENCY_MAX, d.concurrency),
+        delayMinSec,
+        delayMaxSec: clampInt(src.delayMaxSec, delayMinSec, 300, Math.max(delayMinSec, d.delayMaxSec)),
+        loginTimeoutSec: clampInt(src.loginTimeoutSec, 10, 600, d.loginTimeoutSec),
+        maxRetries: clampInt(src.maxRetries, 0, 10, d.maxRetries),
+        retryBaseSec,
+        retryMaxSec: clampInt(src.retryMaxSec, retryBaseSec, INTERVAL_MAX_SEC, Math.max(retryBaseSec, d.retryMaxSec)),
+        priorityAccountIds: [...new Set(ids.map(id => String(id ?? '').trim()).filter(Boolean))],
+    };
+}
+
+function normalizeRestartPolicy(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    const d = DEFAULT_RESTART_POLICY;
+    const mode = String(src.mode || '').trim().toLowerCase();
+    const backoffBaseSec = clampInt(src.backoffBaseSec, 1, 3600, d.backoffBaseSec);
+    return {
+        mode: RESTART_MODES.includes(mode) ? mode : d.mode,
+        maxRestarts: clampInt(src.maxRestarts, 1, 100, d.maxRestarts),
+        windowSec: clampInt(src.windowSec, 60, INTERVAL_MAX_SEC, d.windowSec),
+        backoffBaseSec,
+        backoffMaxSec: clampInt(src.backoffMaxSec, backoffBaseSec, INTERVAL_MAX_SEC, Math.max(backoffBaseSec, d.backoffMaxSec)),
+    };
+}
+
+function normalizeHealthWatchdogConfig(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    const d = DEFAULT_HEALTH_WATCHDOG;
+    return {
+        enabled: src.enabled !== undefined ? !!src.enabled : d.enabled,
+        heartbeatTimeoutSec: clampInt(src.heartbeatTimeoutSec, 30, 3600, d.heartbeatTimeoutSec),
+        tickTimeoutSec: clampInt(src.tickTimeoutSec, 60, INTERVAL_MAX_SEC, d.tickTimeoutSec),
+        serverTimeoutSec: clampInt(src.serverTimeoutSec, 60, 3600, d.serverTimeoutSec),
+        autoRestart: src.autoRestart !== undefined ? !!src.autoRestart : d.autoRestart,
+        restartAfterSec: clampInt(src.restartAfterSec, 30, INTERVAL_MAX_SEC, d.restartAfterSec),
+    };
+}
+
+function normalizeMetricsConfig(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    return {
+        enabled: src.enabled !== undefined ? !!src.enabled : DEFAULT_METRICS.enabled,
+        token: String(src.token || '').trim().slice(0, 256),
+    };
+}
+
+function normalizeProxyPool(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    const list = Array.isArray(src.proxies) ? src.proxies : [];
+    const proxies = [...new Set(list.map(normalizeProxyUrl).filter(Boolean))];
+    return { proxies: proxies.slice(0, MAX_PROXY_POOL_SIZE) };
+}
+
+function normalizeSessionPolicy(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    let idleTimeoutHours = Number.parseInt(src.idleTimeoutHours, 10);
+    if (!Number.isFinite(idleTimeoutHours)) idleTimeoutHours = DEFAULT_SESSION_POLICY.idleTimeoutHours;
+    let maxAgeDays = Number.parseInt(src.maxAgeDays, 10);
+    if (!Number.isFinite(maxAgeDays)) maxAgeDays = DEFAULT_SESSION_POLICY.maxAgeDays;
+    return {
+        idleTimeoutHours: Math.max(1, Math.min(720, idleTimeoutHours)),
+        maxAgeDays: Math.max(1, Math.min(365, maxAgeDays)),
+    };
+}
+
+function normalizeUserAccounts(input) {
+    const list = Array.isArray(input) ? input : [];
+    const ids = [];
+    for (const item of list) {
+        const id = String(item ?? '').trim();
+        if (id && !ids.includes(id)) ids.push(id);
+    }
+    return ids;
+}
+
+function normalizeUser(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    const username = String(src.username || '').trim();
+    if (!USERNAME_PATTERN.test(username) || username.toLowerCase() === RESERVED_USERNAME) return null;
+    const role = USER_ROLES.includes(src.role) ? src.role : 'viewer';
+    return {
+        username,
+        role,
+        // owner 可访问全部账号，不需要白名单
+        accounts: role === 'owner' ? [] : normalizeUserAccounts(src.accounts),
+        passwordHash: typeof src.passwordHash === 'string' ? src.passwordHash : '',
+        createdAt: Number(src.createdAt) || Date.now(),
+        updatedAt: Number(src.updatedAt) || Date.now(),
+    };
+}
+
+function normalizeUsers(input) {
+    const list = Array.isArray(input) ? input : [];
+    const users = [];
+    for (const item of list) {
+        const user = normalizeUser(item);
+        if (user && !users.some(u => u.username === user.username)) users.push(user);
+    }
+    return users;
+}
+
+function normalizeProfileConfig(input, fallback = DEFAULT_ACCOUNT_CONFIG) {
+    const cfg = normalizeAccountConfig(input, fallback);
+    const out = {};
+    for (const key of CONFIG_PROFILE_FIELDS) out[key] = cfg[key];
+    return out;
+}
+
+function normalizeConfigProfile(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    const id = String(src.id || '').trim();
+    const name = String(src.name || '').trim().slice(0, CONFIG_PROFILE_NAME_MAX);
+    if (!CONFIG_PROFILE_ID_PATTERN.test(id) || !name) return null;
+    return {
+        id,
+        name,
+        config: normalizeProfileConfig(src.config),
+        createdAt: Number(src.createdAt) || Date.now(),
+        updatedAt: Number(src.updatedAt) || Date.now(),
+    };
+}
+
+function normalizeConfigProfiles(input) {
+    const list = Array.isArray(input) ? input : [];
+    const profiles = [];
+    for (const item of list) {
+        const profile = normalizeConfigProfile(item);
+        if (profile && !profiles.some(p => p.id === profile.id)) profiles.push(profile);
+    }
+    return profiles;
+}
+
+// 覆盖字段：顶层字段名（如 intervals）或 automation.<开关名>
+function normalizeProfileOverrides(input) {
+    const list = Array.isArray(input) ? input : [];
+    const overrides = [];
+    for (const item of list) {
+        const path = String(item || '').trim();
+        const [field, key] = path.split('.');
+        const valid = key === undefined
+            ? (CONFIG_PROFILE_FIELDS.includes(field) && field !== 'automation')
+            : (field === 'automation' && ALLOWED_AUTOMATION_KEYS.has(key));
+        if (valid && !overrides.includes(path)) overrides.push(path);
+    }
+    return overrides;
+}
+
+function normalizeAccountProfiles(input, profiles) {
+    const src = (input && typeof input === 'object' && !Array.isArray(input)) ? input : {};
+    const profileIds = new Set((profiles || []).map(p => p.id));
+    const links = {};
+    for (const [id, link] of Object.entries(src)) {
+        const sid = String(id || '').trim();
+        const profileId = String((link && link.profileId) || '').trim();
+        if (!sid || !profileIds.has(profileId)) continue;
+        links[sid] = { profileId, overrides: normalizeProfileOverrides(link.overrides) };
+    }
+    return links;
+}
+
 function normalizeRuntimeClientVersion(input, fallback = DEFAULT_RUNTIME_CLIENT.clientVersion) {
     const raw = String(input || '').trim();
     if (!raw) return fallback;
@@ -351,6 +641,38 @@ function normalizeBagSeedPriority(input) {
     return normalized;
 }
 
+/**
+ * 种植计划规则：{ strategy, seedId }，strategy 为 preferred 时表示种指定作物 seedId
+ * 无效规则返回 null（跟随账号策略）
+ */
+function normalizePlantingRule(input) {
+    if (!input || typeof input !== 'object') return null;
+    const strategy = String(input.strategy || '').trim();
+    if (!ALLOWED_PLANTING_STRATEGIES.includes(strategy)) return null;
+    if (strategy !== 'preferred') return { strategy, seedId: 0 };
+    const seedId = Math.max(0, Number.parseInt(input.seedId, 10) || 0);
+    return seedId > 0 ? { strategy, seedId } : null;
+}
+
+function normalizePlantingPlan(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    const landTypes = {};
+    const srcTypes = (src.landTypes && typeof src.landTypes === 'object') ? src.landTypes : {};
+    for (const type of DEFAULT_FERTILIZER_LAND_TYPES) {
+        const rule = normalizePlantingRule(srcTypes[type]);
+        if (rule) landTypes[type] = rule;
+    }
+    const lands = {};
+    const srcLands = (src.lands && typeof src.lands === 'object') ? src.lands : {};
+    for (const [key, value] of Object.entries(srcLands)) {
+        const landId = Number.parseInt(key, 10);
+        if (!Number.isFinite(landId) || landId <= 0 || landId > MAX_PLAN_LAND_ID) continue;
+        const rule = normalizePlantingRule(value);
+        if (rule) lands[String(landId)] = rule;
+    }
+    return { landTypes, lands };
+}
+
 function normalizeFertilizerBuyAutomation(automation) {
     const next = (automation && typeof automation === 'object') ? automation : {};
     const mode = String(next.fertilizer_buy_mode || '').trim().toLowerCase();
@@ -431,6 +753,7 @@ function cloneAccountConfig(base = DEFAULT_ACCOUNT_CONFIG) {
             : DEFAULT_ACCOUNT_CONFIG.plantingStrategy,
         preferredSeedId: Math.max(0, Number.parseInt(base.preferredSeedId, 10) || 0),
         bagSeedPriority: normalizeBagSeedPriority(base.bagSeedPriority),
+        plantingPlan: normalizePlantingPlan(base.plantingPlan),
     };
 }
 
@@ -461,6 +784,12 @@ function normalizeAccountConfig(input, fallback = accountFallbackConfig) {
             } else if (k === 'fertilizer_buy_threshold') {
                 const n = Number(v);
                 cfg.automation[k] = (Number.isFinite(n) && n >= 0) ? n : cfg.automation[k];
+            } else if (k === 'seed_budget_reserve' || k === 'seed_budget_daily_max' || k === 'seed_budget_cycle_max') {
+                const n = Number.parseInt(v, 10);
+                cfg.automation[k] = (Number.isFinite(n) && n >= 0) ? n : cfg.automation[k];
+            } else if (k === 'farm_anti_steal_window') {
+                const n = Number.parseInt(v, 10);
+                cfg.automation[k] = Number.isFinite(n) ? Math.max(10, Math.min(3600, n)) : cfg.automation[k];
             } else if (k === 'fertilizer_land_types') {
                 cfg.automation[k] = normalizeFertilizerLandTypes(v, cfg.automation[k]);
             } else if (k === 'friend_steal_blacklist') {
@@ -484,6 +813,10 @@ function normalizeAccountConfig(input, fallback = accountFallbackConfig) {
         cfg.bagSeedPriority = normalizeBagSeedPriority(src.bagSeedPriority);
     }
 
+    if (src.plantingPlan !== undefined) {
+        cfg.plantingPlan = normalizePlantingPlan(src.plantingPlan);
+    }
+
     if (src.intervals && typeof src.intervals === 'object') {
         for (const [type, sec] of Object.entries(src.intervals)) {
             if (cfg.intervals[type] === undefined) continue;
@@ -528,7 +861,7 @@ function getAccountConfigSnapshot(accountId) {
     return normalizeAccountConfig(globalConfig.accountConfigs[id], accountFallbackConfig);
 }
 
-function setAccountConfigSnapshot(accountId, nextConfig, persist = true) {
+function setAccountConfigSnapshot(accountId, nextConfig, persist = true, revisionMeta = {}) {
     const id = resolveAccountId(accountId);
     if (!id) {
         accountFallbackConfig = normalizeAccountConfig(nextConfig, accountFallbackConfig);
@@ -536,20 +869,105 @@ function setAccountConfigSnapshot(accountId, nextConfig, persist = true) {
         if (persist) saveGlobalConfig();
         return cloneAccountConfig(accountFallbackConfig);
     }
+    const previous = getAccountConfigSnapshot(id);
     globalConfig.accountConfigs[id] = normalizeAccountConfig(nextConfig, accountFallbackConfig);
-    if (persist) saveGlobalConfig();
+    if (persist) {
+        recordConfigRevision(id, previous, globalConfig.accountConfigs[id], revisionMeta);
+        saveGlobalConfig();
+    }
     return cloneAccountConfig(globalConfig.accountConfigs[id]);
 }
 
 function removeAccountConfig(accountId) {
     const id = resolveAccountId(accountId);
     if (!id) return;
+    removeConfigRevisions(id);
     if (globalConfig.accountConfigs[id]) {
         delete globalConfig.accountConfigs[id];
         saveGlobalConfig();
     }
 }
 
+let configRevisions = null; // accountId -> { seq, items: [{ revision, ts, config, baseline?, rollbackOf?, profile? }] }
+
+function loadConfigRevisions() {
+    if (!configRevisions) {
+        const data = storage.readDocument(CONFIG_REVISIONS_DOCUMENT, () => ({}));
+        configRevisions = (data && typeof data === 'object' && !Array.isArray(data)) ? data : {};
+    }
+    return configRevisions;
+}
+
+function toRevisionConfig(cfg) {
+    const out = cloneAccountConfig(cfg);
+    for (const key of CONFIG_REVISION_EXCLUDED_KEYS) delete out[key];
+    return out;
+}
+
+// 只在主进程记录：worker 内的配置由主进程下发，写入会与主进程互相覆盖
+function recordConfigRevision(id, previousConfig, nextConfig, meta = {}) {
+    if (process.env.FARM_ACCOUNT_ID) return null;
+    const all = loadConfigRevisions();
+    const history = all[id] || { seq: 0, items: [] };
+    const config = toRevisionConfig(nextConfig);
+    const latest = history.items.at(-1);
+    const latestJson = JSON.stringify(latest ? latest.config : toRevisionConfig(previousConfig));
+    if (latestJson === JSON.stringify(config)) return null;
+
+    const now = Date.now();
+    const mergeable = latest && !latest.baseline && !latest.rollbackOf && !latest.profile && !meta.rollbackOf && !meta.profile;
+    if (mergeable && now - latest.ts < CONFIG_REVISION_MERGE_MS) {
+        latest.config = config;
+        latest.ts = now;
+        storage.writeDocument(CONFIG_REVISIONS_DOCUMENT, all);
+        return latest;
+    }
+    // 首次变更时把修改前的配置记为基线版本，保证可以回到最初状态
+    if (!latest) {
+        history.items.push({ revision: ++history.seq, ts: now, config: toRevisionConfig(previousConfig), baseline: true });
+    }
+    const entry = { revision: ++history.seq, ts: now, config };
+    if (meta.rollbackOf) entry.rollbackOf = meta.rollbackOf;
+    if (meta.profile) entry.profile = meta.profile;
+    history.items.push(entry);
+    history.items = history.items.slice(-CONFIG_REVISION_LIMIT);
+    all[id] = history;
+    storage.writeDocument(CONFIG_REVISIONS_DOCUMENT, all);
+    return entry;
+}
+
+function removeConfigRevisions(id) {
+    const all = loadConfigRevisions();
+    if (!all[id]) return;
+    delete all[id];
+    storage.writeDocument(CONFIG_REVISIONS_DOCUMENT, all);
+}
+
+// 当前生效的账号配置（与版本记录同口径，不含 friendCache）
+function getRevisionableConfig(accountId) {
+    return toRevisionConfig(getAccountConfigSnapshot(accountId));
+}
+
+// 新版本在前
+function getConfigRevisions(accountId) {
+    const id = resolveAccountId(accountId);
+    const history = id ? loadConfigRevisions()[id] : null;
+    if (!history) return [];
+    return history.items.map(item => JSON.parse(JSON.stringify(item))).reverse();
+}
+
+/**
+ * 回滚账号配置到指定版本（保留当前 friendCache），回滚本身记为一个新版本
+ */
+function rollbackAccountConfig(accountId, revision) {
+    const id = resolveAccountId(accountId);
+    const target = getConfigRevisions(id).find(item => item.revision === Number(revision));
+    if (!target) throw new Error(`配置版本 ${revision} 不存在`);
+    const current = getAccountConfigSnapshot(id);
+    setAccountConfigSnapshot(id, { ...target.config, friendCache: current.friendCache }, true, { rollbackOf: target.revision });
+    return getConfigSnapshot(id);
+}
+
 function ensureAccountConfig(accountId, options = {}) {
     const id = resolveAccountId(accountId);
     if (!id) return null;
@@ -567,9 +985,8 @@ function ensureAccountConfig(accountId, options = {}) {
 
 // 加载全局配置
 function loadGlobalConfig() {
-    ensureDataDir();
     try {
-        const data = readJsonFile(STORE_FILE, () => ({}));
+        const data = storage.loadStore();
         if (data && typeof data === 'object') {
             if (data.defaultAccountConfig && typeof data.defaultAccountConfig === 'object') {
                 accountFallbackConfig = normalizeAccountConfig(data.defaultAccountConfig, DEFAULT_ACCOUNT_CONFIG);
@@ -597,6 +1014,16 @@ function loadGlobalConfig() {
             globalConfig.ui.theme = theme === 'light' ? 'light' : 'dark';
             globalConfig.offlineReminder = normalizeOfflineReminder(data.offlineReminder);
             globalConfig.qrLogin = normalizeQrLoginConfig(data.qrLogin);
+            globalConfig.statsHistory = normalizeStatsHistoryConfig(data.statsHistory);
+            globalConfig.startupPolicy = normalizeStartupPolicy(data.startupPolicy);
+            globalConfig.restartPolicy = normalizeRestartPolicy(data.restartPolicy);
+            globalConfig.healthWatchdog = normalizeHealthWatchdogConfig(data.healthWatchdog);
+            globalConfig.metrics = normalizeMetricsConfig(data.metrics);
+            globalConfig.proxyPool = normalizeProxyPool(data.proxyPool);
+            globalConfig.users = normalizeUsers(data.users);
+            globalConfig.sessionPolicy = normalizeSessionPolicy(data.sessionPolicy);
+            globalConfig.configProfiles = normalizeConfigProfiles(data.configProfiles);
+            globalConfig.accountProfiles = normalizeAccountProfiles(data.accountProfiles, globalConfig.configProfiles);
             if (data.runtimeClient && typeof data.runtimeClient === 'object') {
                 // normalize 时使用当前 default 作为 fallback
                 normalizeRuntimeClientConfig.current = DEFAULT_RUNTIME_CLIENT;
@@ -648,16 +1075,10 @@ function sanitizeGlobalConfigBeforeSave() {
 
 // 保存全局配置
 function saveGlobalConfig() {
-    ensureDataDir();
     try {
-        const oldJson = readTextFile(STORE_FILE, '');
-
         sanitizeGlobalConfigBeforeSave();
-        const newJson = JSON.stringify(globalConfig, null, 2);
-        
-        if (oldJson !== newJson) {
-            console.warn('[系统] 正在保存配置到:', STORE_FILE);
-            writeJsonFileAtomic(STORE_FILE, globalConfig);
+        if (storage.saveStore(globalConfig)) {
+            console.warn('[系统] 已保存配置到:', storage.location);
         }
     } catch (e) {
         console.error('保存配置失败:', e.message);
@@ -684,6 +1105,57 @@ function setDisablePasswordAuth(disabled) {
     return globalConfig.disablePasswordAuth;
 }
 
+// ============ 面板用户 ============
+function getUsers() {
+    return normalizeUsers(globalConfig.users).map(u => ({ ...u, accounts: [...u.accounts] }));
+}
+
+function getUser(username) {
+    const name = String(username || '').trim();
+    return getUsers().find(u => u.username === name) || null;
+}
+
+function saveUser(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    const current = getUser(src.username);
+    const user = normalizeUser({ ...(current || {}), ...src, updatedAt: Date.now() });
+    if (!user) {
+        throw new Error(`用户名需为 2-32 位字母、数字、下划线、点或横线，且不能为 ${RESERVED_USERNAME}`);
+    }
+    if (!user.passwordHash) throw new Error('新用户必须设置密码');
+    const users = getUsers().filter(u => u.username !== user.username);
+    globalConfig.users = [...users, user];
+    saveGlobalConfig();
+    return { ...user, accounts: [...user.accounts] };
+}
+
+function deleteUser(username) {
+    const name = String(username || '').trim();
+    const users = getUsers();
+    const next = users.filter(u => u.username !== name);
+    if (next.length === users.length) return false;
+    globalConfig.users = next;
+    saveGlobalConfig();
+    return true;
+}
+
+function getSessionPolicy() {
+    return normalizeSessionPolicy(globalConfig.sessionPolicy);
+}
+
+function setSessionPolicy(cfg) {
+    const current = normalizeSessionPolicy(globalConfig.sessionPolicy);
+    globalConfig.sessionPolicy = normalizeSessionPolicy({ ...current, ...(cfg || {}) });
+    saveGlobalConfig();
+    return getSessionPolicy();
+}
+
+// 账号删除后同步清理各用户的账号白名单（随后由调用方落盘）
+function removeAccountFromUsers(accountId) {
+    const id = String(accountId || '').trim();
+    globalConfig.users = getUsers().map(u => ({ ...u, accounts: u.accounts.filter(a => a !== id) }));
+}
+
 // 初始化加载
 loadGlobalConfig();
 
@@ -700,6 +1172,7 @@ function getConfigSnapshot(accountId) {
         automation: { ...cfg.automation },
         plantingStrategy: cfg.plantingStrategy,
         preferredSeedId: cfg.preferredSeedId,
+        plantingPlan: normalizePlantingPlan(cfg.plantingPlan),
         intervals: { ...cfg.intervals },
         friendBlockLevel: { ...cfg.friendBlockLevel },
         friendQuietHours: { ...cfg.friendQuietHours },
@@ -734,6 +1207,12 @@ function applyConfigSnapshot(snapshot, options = {}) {
             } else if (k === 'fertilizer_buy_threshold') {
                 const n = Number(v);
                 next.automation[k] = (Number.isFinite(n) && n >= 0) ? n : next.automation[k];
+            } else if (k === 'seed_budget_reserve' || k === 'seed_budget_daily_max' || k === 'seed_budget_cycle_max') {
+                const n = Number.parseInt(v, 10);
+                next.automation[k] = (Number.isFinite(n) && n >= 0) ? n : next.automation[k];
+            } else if (k === 'farm_anti_steal_window') {
+                const n = Number.parseInt(v, 10);
+                next.automation[k] = Number.isFinite(n) ? Math.max(10, Math.min(3600, n)) : next.automation[k];
             } else if (k === 'fertilizer_land_types') {
                 next.automation[k] = normalizeFertilizerLandTypes(v, next.automation[k]);
             } else if (k === 'friend_steal_blacklist') {
@@ -757,6 +1236,10 @@ function applyConfigSnapshot(snapshot, options = {}) {
         next.bagSeedPriority = normalizeBagSeedPriority(cfg.bagSeedPriority);
     }
 
+    if (cfg.plantingPlan !== undefined) {
+        next.plantingPlan = normalizePlantingPlan(cfg.plantingPlan);
+    }
+
     if (cfg.intervals && typeof cfg.intervals === 'object') {
         for (const [type, sec] of Object.entries(cfg.intervals)) {
             if (next.intervals[type] === undefined) continue;
@@ -797,11 +1280,120 @@ function applyConfigSnapshot(snapshot, options = {}) {
         }
     }
 
-    setAccountConfigSnapshot(accountId, next, false);
-    if (persist) saveGlobalConfig();
+    const saved = setAccountConfigSnapshot(accountId, next, false);
+    if (persist) {
+        const id = resolveAccountId(accountId);
+        if (id) recordConfigRevision(id, current, saved);
+        saveGlobalConfig();
+    }
     return getConfigSnapshot(accountId);
 }
 
+// ============ 配置模板 ============
+function cloneConfigProfile(profile) {
+    return JSON.parse(JSON.stringify(profile));
+}
+
+function getConfigProfiles() {
+    return normalizeConfigProfiles(globalConfig.configProfiles).map(cloneConfigProfile);
+}
+
+function getConfigProfile(profileId) {
+    const id = String(profileId || '').trim();
+    return getConfigProfiles().find(p => p.id === id) || null;
+}
+
+function getAccountProfileLinks() {
+    return JSON.parse(JSON.stringify(globalConfig.accountProfiles || {}));
+}
+
+function getLinkedAccountIds(profileId) {
+    return Object.keys(globalConfig.accountProfiles || {})
+        .filter(id => globalConfig.accountProfiles[id].profileId === profileId);
+}
+
+// 把模板下发到账号配置（跳过该账号的覆盖字段），不落盘，由调用方统一保存
+function applyProfileToAccount(accountId, profile) {
+    const link = globalConfig.accountProfiles[accountId];
+    if (!link || !profile) return;
+    const snapshot = JSON.parse(JSON.stringify(profile.config));
+    for (const path of link.overrides) {
+        const [field, key] = path.split('.');
+        if (key === undefined) delete snapshot[field];
+        else delete snapshot.automation[key];
+    }
+    const previous = getAccountConfigSnapshot(accountId);
+    applyConfigSnapshot(snapshot, { accountId, persist: false });
+    recordConfigRevision(accountId, previous, getAccountConfigSnapshot(accountId), { profile: profile.name });
+}
+
+/**
+ * 新建或更新模板（传 id 为更新，config 可只含部分字段），更新后同步到所有关联账号
+ * 返回 { profile, accountIds }，accountIds 为需要下发配置的账号
+ */
+function saveConfigProfile(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    const current = src.id ? getConfigProfile(src.id) : null;
+    if (src.id && !current) throw new Error(`配置模板 ${src.id} 不存在`);
+    const name = src.name !== undefined ? String(src.name).trim() : (current ? current.name : '');
+    if (!name) throw new Error('模板名称不能为空');
+    if (getConfigProfiles().some(p => p.name === name && (!current || p.id !== current.id))) {
+        throw new Error(`模板名称 ${name} 已存在`);
+    }
+    const now = Date.now();
+    const profile = normalizeConfigProfile({
+        id: current ? current.id : crypto.randomBytes(4).toString('hex'),
+        name,
+        config: normalizeProfileConfig(src.config, current ? current.config : DEFAULT_ACCOUNT_CONFIG),
+        createdAt: current ? current.createdAt : now,
+        updatedAt: now,
+    });
+    globalConfig.configProfiles = [...getConfigProfiles().filter(p => p.id !== profile.id), profile];
+    const accountIds = getLinkedAccountIds(profile.id);
+    for (const id of accountIds) applyProfileToAccount(id, profile);
+    saveGlobalConfig();
+    return { profile: cloneConfigProfile(profile), accountIds };
+}
+
+// 删除模板只解除关联，账号保留当前生效的配置
+function deleteConfigProfile(profileId) {
+    const id = String(profileId || '').trim();
+    const profiles = getConfigProfiles();
+    const next = profiles.filter(p => p.id !== id);
+    if (next.length === profiles.length) return false;
+    globalConfig.configProfiles = next;
+    globalConfig.accountProfiles = normalizeAccountProfiles(globalConfig.accountProfiles, next);
+    saveGlobalConfig();
+    return true;
+}
+
+/**
+ * 批量关联账号到模板并立即应用；profileId 为空表示解除关联
+ * 返回配置发生变化、需要下发的账号
+ */
+function setAccountProfileLinks(accountIds, link = {}) {
+    const ids = [...new Set((Array.isArray(accountIds) ? accountIds : []).map(id => String(id || '').trim()).filter(Boolean))];
+    const profileId = String(link.profileId || '').trim();
+    if (!profileId) {
+        for (const id of ids) delete globalConfig.accountProfiles[id];
+        saveGlobalConfig();
+        return [];
+    }
+    const profile = getConfigProfile(profileId);
+    if (!profile) throw new Error(`配置模板 ${profileId} 不存在`);
+    for (const id of ids) {
+        const existing = globalConfig.accountProfiles[id];
+        // 未指定 overrides 时沿用该账号已有的覆盖字段
+        const overrides = link.overrides !== undefined
+            ? normalizeProfileOverrides(link.overrides)
+            : (existing ? existing.overrides : []);
+        globalConfig.accountProfiles[id] = { profileId, overrides };
+        applyProfileToAccount(id, profile);
+    }
+    saveGlobalConfig();
+    return ids;
+}
+
 function setAutomation(key, value, accountId) {
     return applyConfigSnapshot({ automation: { [key]: value } }, { accountId });
 }
@@ -822,6 +1414,15 @@ function getBagSeedPriority(accountId) {
     return [...(getAccountConfigSnapshot(accountId).bagSeedPriority || [])];
 }
 
+function getPlantingPlan(accountId) {
+    return normalizePlantingPlan(getAccountConfigSnapshot(accountId).plantingPlan);
+}
+
+function setPlantingPlan(accountId, plan) {
+    applyConfigSnapshot({ plantingPlan: plan }, { accountId });
+    return getPlantingPlan(accountId);
+}
+
 function setPlantingStrategy(accountId, strategy) {
     if (!ALLOWED_PLANTING_STRATEGIES.includes(strategy)) return false;
     applyConfigSnapshot({ plantingStrategy: strategy }, { accountId });
@@ -950,16 +1551,78 @@ function setQrLoginConfig(cfg) {
     saveGlobalConfig();
     return getQrLoginConfig();
 }
+
+function getStatsHistoryConfig() {
+    return normalizeStatsHistoryConfig(globalConfig.statsHistory);
+}
+
+function setStatsHistoryConfig(cfg) {
+    const current = normalizeStatsHistoryConfig(globalConfig.statsHistory);
+    globalConfig.statsHistory = normalizeStatsHistoryConfig({ ...current, ...(cfg || {}) });
+    saveGlobalConfig();
+    return getStatsHistoryConfig();
+}
+
+function getStartupPolicy() {
+    return normalizeStartupPolicy(globalConfig.startupPolicy);
+}
+
+function setStartupPolicy(cfg) {
+    const current = normalizeStartupPolicy(globalConfig.startupPolicy);
+    globalConfig.startupPolicy = normalizeStartupPolicy({ ...current, ...(cfg || {}) });
+    saveGlobalConfig();
+    return getStartupPolicy();
+}
+
+function getRestartPolicy() {
+    return normalizeRestartPolicy(globalConfig.restartPolicy);
+}
+
+function setRestartPolicy(cfg) {
+    const current = normalizeRestartPolicy(globalConfig.restartPolicy);
+    globalConfig.restartPolicy = normalizeRestartPolicy({ ...current, ...(cfg || {}) });
+    saveGlobalConfig();
+    return getRestartPolicy();
+}
+
+function getHealthWatchdogConfig() {
+    return normalizeHealthWatchdogConfig(globalConfig.healthWatchdog);
+}
+
+function setHealthWatchdogConfig(cfg) {
+    const current = normalizeHealthWatchdogConfig(globalConfig.healthWatchdog);
+    globalConfig.healthWatchdog = normalizeHealthWatchdogConfig({ ...current, ...(cfg || {}) });
+    saveGlobalConfig();
+    return getHealthWatchdogConfig();
+}
+
+function getMetricsConfig() {
+    return normalizeMetricsConfig(globalConfig.metrics);
+}
+
+function setMetricsConfig(cfg) {
+    const current = normalizeMetricsConfig(globalConfig.metrics);
+    globalConfig.metrics = normalizeMetricsConfig({ ...current, ...(cfg || {}) });
+    saveGlobalConfig();
+    return getMetricsConfig();
+}
+function getProxyPool() {
+    return normalizeProxyPool(globalConfig.proxyPool);
+}
+
+function setProxyPool(cfg) {
+    globalConfig.proxyPool = normalizeProxyPool(cfg);
+    saveGlobalConfig();
+    return getProxyPool();
+}
+
 // ============ 账号管理 ============
 function loadAccounts() {
-    ensureDataDir();
-    const data = readJsonFile(ACCOUNTS_FILE, () => ({ accounts: [], nextId: 1 }));
-    return normalizeAccountsData(data);
+    return normalizeAccountsData(storage.loadAccounts());
 }
 
 function saveAccounts(data) {
-    ensureDataDir();
-    writeJsonFileAtomic(ACCOUNTS_FILE, normalizeAccountsData(data));
+    storage.saveAccounts(normalizeAccountsData(data));
 }
 
 function getAccounts() {
@@ -1005,6 +1668,8 @@ function addOrUpdateAccount(acc) {
             uin: acc.uin ? String(acc.uin) : '',
             qq: acc.qq ? String(acc.qq) : (acc.uin ? String(acc.uin) : ''),
             avatar: acc.avatar || acc.avatarUrl || '',
+            proxy: normalizeAccountProxy(acc.proxy),
+            device: normalizeAccountDevice(acc.device),
             createdAt: Date.now(),
             updatedAt: Date.now(),
         });
@@ -1023,19 +1688,32 @@ function deleteAccount(id) {
         data.nextId = 1;
     }
     saveAccounts(data);
+    removeAccountFromUsers(id);
+    delete globalConfig.accountProfiles[String(id)];
+    const startupPolicy = normalizeStartupPolicy(globalConfig.startupPolicy);
+    globalConfig.startupPolicy = {
+        ...startupPolicy,
+        priorityAccountIds: startupPolicy.priorityAccountIds.filter(accId => accId !== String(id)),
+    };
     removeAccountConfig(id);
+    saveGlobalConfig();
     return data;
 }
 
 module.exports = {
     getConfigSnapshot,
     applyConfigSnapshot,
+    getConfigRevisions,
+    getRevisionableConfig,
+    rollbackAccountConfig,
     getAutomation,
     setAutomation,
     isAutomationOn,
     getPreferredSeed,
     getPlantingStrategy,
     getBagSeedPriority,
+    getPlantingPlan,
+    setPlantingPlan,
     setPlantingStrategy,
     getIntervals,
     getFriendBlockLevel,
@@ -1051,6 +1729,18 @@ module.exports = {
     setOfflineReminder,
     getQrLoginConfig,
     setQrLoginConfig,
+    getStatsHistoryConfig,
+    setStatsHistoryConfig,
+    getStartupPolicy,
+    setStartupPolicy,
+    getRestartPolicy,
+    setRestartPolicy,
+    getHealthWatchdogConfig,
+    setHealthWatchdogConfig,
+    getMetricsConfig,
+    setMetricsConfig,
+    getProxyPool,
+    setProxyPool,
     getRuntimeClientConfig,
     setRuntimeClientConfig,
     getAccounts,
@@ -1060,4 +1750,17 @@ module.exports = {
     setAdminPasswordHash,
     getDisablePasswordAuth,
     setDisablePasswordAuth,
+    USER_ROLES,
+    getUsers,
+    getUser,
+    saveUser,
+    deleteUser,
+    getSessionPolicy,
+    setSessionPolicy,
+    getConfigProfiles,
+    getConfigProfile,
+    saveConfigProfile,
+    deleteConfigProfile,
+    getAccountProfileLinks,
+    setAccountProfileLinks,
 };
@@ -1,5 +1,8 @@
+const { getGameDataSources, reloadGameData } = require('../config/game-data');
 const { findAccountByRef, normalizeAccountRef, resolveAccountId: resolveAccountIdByList } = require('../services/account-resolver');
+const { diffSnapshots } = require('../services/audit-log');
 const { getSchedulerRegistrySnapshot } = require('../services/scheduler');
+const { deleteCapture, listCaptures, resolveCaptureFile } = require('../utils/traffic-recorder');
 
 function createDataProvider(options) {
     const {
@@ -18,7 +21,17 @@ function createDataProvider(options) {
         startWorker,
         stopWorker,
         restartWorker,
+        statsHistory,
+        stealRecords,
+        seedSpend,
+        startupOrchestrator,
+        workerSupervisor,
+        healthWatchdog,
+        fleetMetrics,
+        setRpcInspect,
+        notifyGameDataReload,
     } = options;
+    let lastGameDataReload = null;
 
     function getStoredAccountsList() {
         const data = getAccounts();
@@ -157,6 +170,37 @@ function createDataProvider(options) {
             };
         },
 
+        setPlantingPlan: async (accountRef, plan) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId) {
+                throw new Error('Missing x-account-id');
+            }
+            const saved = store.setPlantingPlan(accountId, plan);
+            const rev = nextConfigRevision();
+            broadcastConfigToWorkers(accountId);
+            return { plantingPlan: saved, configRevision: rev };
+        },
+
+        // 批量应用设置：只取自动化开关与设置页字段，好友黑名单等账号私有数据不随之复制
+        applySettings: async (accountRef, settings) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId) {
+                throw new Error('Missing x-account-id');
+            }
+            const body = (settings && typeof settings === 'object') ? settings : {};
+            store.applyConfigSnapshot({
+                automation: body.automation,
+                plantingStrategy: body.plantingStrategy,
+                preferredSeedId: body.preferredSeedId,
+                intervals: body.intervals,
+                friendBlockLevel: body.friendBlockLevel,
+                friendQuietHours: body.friendQuietHours,
+            }, { accountId });
+            const rev = nextConfigRevision();
+            broadcastConfigToWorkers(accountId);
+            return { configRevision: rev };
+        },
+
         setUITheme: async (theme) => {
             const snapshot = store.setUITheme(theme);
             return { ui: snapshot.ui || store.getUI() };
@@ -177,6 +221,66 @@ function createDataProvider(options) {
             return { runtimeClient: store.getRuntimeClientConfig ? store.getRuntimeClientConfig() : null, configRevision: rev };
         },
 
+        // 配置版本列表，每个版本附带相对上一版本的差异
+        getConfigRevisions: (accountRef) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId) throw new Error('Missing x-account-id');
+            const list = store.getConfigRevisions(accountId);
+            const currentJson = JSON.stringify(store.getRevisionableConfig(accountId));
+            const currentIndex = list.findIndex(item => JSON.stringify(item.config) === currentJson);
+            return list.map((item, index) => {
+                const prev = list[index + 1];
+                const { config, ...meta } = item;
+                return { ...meta, current: index === currentIndex, changes: prev ? diffSnapshots(prev.config, config) : [] };
+            });
+        },
+
+        // 指定版本的完整配置，以及回滚到该版本会产生的变更
+        getConfigRevision: (accountRef, revision) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId) throw new Error('Missing x-account-id');
+            const target = store.getConfigRevisions(accountId).find(item => item.revision === Number(revision));
+            if (!target) return null;
+            return { ...target, changesFromCurrent: diffSnapshots(store.getRevisionableConfig(accountId), target.config) };
+        },
+
+        rollbackConfig: async (accountRef, revision) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId) throw new Error('Missing x-account-id');
+            const snapshot = store.rollbackAccountConfig(accountId, revision);
+            const rev = nextConfigRevision();
+            broadcastConfigToWorkers(accountId);
+            return { ...snapshot, configRevision: rev };
+        },
+
+        // 配置模板及各账号的关联关系
+        getConfigProfiles: () => ({
+            profiles: store.getConfigProfiles(),
+            links: store.getAccountProfileLinks(),
+        }),
+
+        saveConfigProfile: async (payload) => {
+            const { profile, accountIds } = store.saveConfigProfile(payload);
+            const rev = nextConfigRevision();
+            for (const id of accountIds) broadcastConfigToWorkers(id);
+            return { profile, accountIds, configRevision: rev };
+        },
+
+        deleteConfigProfile: (profileId) => store.deleteConfigProfile(profileId),
+
+        linkConfigProfile: async (accountRefs, link) => {
+            const refs = Array.isArray(accountRefs) ? accountRefs : [];
+            const accountIds = refs.map((ref) => {
+                const account = findAccountByAnyRef(ref);
+                if (!account) throw new Error(`账号 ${ref} 不存在`);
+                return String(account.id);
+            });
+            const changed = store.setAccountProfileLinks(accountIds, link);
+            const rev = nextConfigRevision();
+            for (const id of changed) broadcastConfigToWorkers(id);
+            return { accountIds, links: store.getAccountProfileLinks(), configRevision: rev };
+        },
+
         broadcastConfig: (accountId) => {
             broadcastConfigToWorkers(accountId);
         },
@@ -196,6 +300,7 @@ function createDataProvider(options) {
             data.accounts.forEach((a) => {
                 const worker = workers[a.id];
                 a.running = !!worker;
+                a.health = (worker && worker.health) ? worker.health : null;
                 if (worker && worker.status && worker.status.status && worker.status.status.name) {
                     a.nick = worker.status.status.name;
                 }
@@ -232,6 +337,123 @@ function createDataProvider(options) {
             return !!(accountId && workers[accountId]);
         },
 
+        getStatsHistory: (accountRef, params) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId) throw new Error('缺少账号');
+            return statsHistory.query(accountId, params);
+        },
+
+        setStatsHistoryConfig: (cfg) => {
+            const saved = store.setStatsHistoryConfig(cfg);
+            statsHistory.refresh();
+            return saved;
+        },
+
+        getStartupProgress: () => startupOrchestrator.getProgress(),
+
+        // 新策略从下一次启动编排开始生效
+        setStartupPolicy: cfg => store.setStartupPolicy(cfg),
+
+        getCrashHistory: (accountRef) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId) throw new Error('缺少账号');
+            return workerSupervisor.getAccountCrashes(accountId);
+        },
+
+        clearCrashHistory: (accountRef) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (accountId) workerSupervisor.removeAccount(accountId);
+        },
+
+        getStealRecords: (accountRef) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId) throw new Error('缺少账号');
+            return stealRecords.getAccountRecords(accountId);
+        },
+
+        clearStealRecords: (accountRef) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (accountId) stealRecords.removeAccount(accountId);
+        },
+
+        clearSeedSpend: (accountRef) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (accountId) seedSpend.removeAccount(accountId);
+        },
+
+        setRestartPolicy: cfg => store.setRestartPolicy(cfg),
+
+        setHealthWatchdogConfig: (cfg) => {
+            const saved = store.setHealthWatchdogConfig(cfg);
+            healthWatchdog.refresh();
+            return saved;
+        },
+
+        renderMetrics: () => fleetMetrics.render(),
+
+        setMetricsConfig: cfg => store.setMetricsConfig(cfg),
+
+        setProxyPool: cfg => store.setProxyPool(cfg),
+
+        // 抓包由 worker 写文件，面板只负责开关与管理抓包文件
+        getTrafficCaptures: async (accountRef) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId) throw new Error('缺少账号');
+            let state = { recording: false };
+            if (workers[accountId]) {
+                state = await callWorkerApi(accountId, 'getTrafficRecording');
+            }
+            return { ...state, running: !!workers[accountId], files: listCaptures(accountId) };
+        },
+
+        startTrafficCapture: async (accountRef, options = {}) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId) throw new Error('缺少账号');
+            if (!workers[accountId]) throw new Error('账号未运行');
+            const maxMb = Number(options.maxMb) || 0;
+            const state = await callWorkerApi(accountId, 'startTrafficRecording', { maxBytes: maxMb > 0 ? maxMb * 1024 * 1024 : 0 });
+            addAccountLog('traffic_capture', `开始抓包: ${state.file}`, accountId, workers[accountId].name);
+            return state;
+        },
+
+        stopTrafficCapture: async (accountRef) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId) throw new Error('缺少账号');
+            if (!workers[accountId]) return { recording: false };
+            return callWorkerApi(accountId, 'stopTrafficRecording');
+        },
+
+        // 文件名以账号 ID 开头，只允许访问本账号的抓包
+        resolveTrafficCaptureFile: (accountRef, name) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId || !String(name || '').startsWith(`${accountId}-`)) return null;
+            return resolveCaptureFile(name);
+        },
+
+        deleteTrafficCapture: (accountRef, name) => {
+            const accountId = resolveAccountRefId(accountRef);
+            if (!accountId || !String(name || '').startsWith(`${accountId}-`)) return false;
+            return deleteCapture(name);
+        },
+
+        getGameData: () => ({ ...getGameDataSources(), lastReload: lastGameDataReload }),
+
+        // 主进程先重新加载并校验，成功后通知运行中的 worker 在下次重连时切换
+        reloadGameData: () => {
+            const result = reloadGameData();
+            lastGameDataReload = { ...result, notifiedWorkers: notifyGameDataReload() };
+            return lastGameDataReload;
+        },
+
+        // 协议调试：由 socket 订阅情况决定是否让 worker 上报 RPC 调用
+        setRpcInspect: (accountId, enabled) => setRpcInspect(accountId, enabled),
+
+        getRpcCalls: (accountRef) => {
+            const accountId = resolveAccountRefId(accountRef);
+            const worker = accountId ? workers[accountId] : null;
+            return worker && Array.isArray(worker.rpcCalls) ? [...worker.rpcCalls] : [];
+        },
+
         getSchedulerStatus: async (accountRef) => {
             const accountId = resolveAccountRefId(accountRef);
             const runtime = getSchedulerRegistrySnapshot();
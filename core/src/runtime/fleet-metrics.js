@@ -0,0 +1,140 @@
+/**
+ * 全局运行指标 - 汇总所有账号的状态与 worker 上报的指标，输出 Prometheus 文本格式
+ *
+ * 账号状态来自 status_sync；请求耗时、限流队列与 worker 内调度任务来自 worker 每 15 秒一次的 metrics 上报。
+ * 账号名称只出现在 qqfarm_account_info 中，其余指标以 account_id 关联，改名不会产生新的时间序列。
+ */
+
+const { LATENCY_BUCKETS_MS, renderPrometheus, summarizeSchedulers } = require('../services/metrics');
+const { getSchedulerRegistrySnapshot } = require('../services/scheduler');
+
+const PREFIX = 'qqfarm_';
+
+function family(name, type, help) {
+    return { name: `${PREFIX}${name}`, type, help, samples: [] };
+}
+
+// 同一账号的各 method 按 service 合并为一条直方图
+function buildLatencyHistogram(target, accountId, requests) {
+    const byService = new Map();
+    for (const item of requests) {
+        let merged = byService.get(item.service);
+        if (!merged) {
+            merged = { count: 0, sumMs: 0, buckets: LATENCY_BUCKETS_MS.map(() => 0) };
+            byService.set(item.service, merged);
+        }
+        merged.count += Number(item.count) || 0;
+        merged.sumMs += Number(item.sumMs) || 0;
+        LATENCY_BUCKETS_MS.forEach((_, index) => {
+            merged.buckets[index] += Number(item.buckets && item.buckets[index]) || 0;
+        });
+    }
+    for (const [service, merged] of byService.entries()) {
+        LATENCY_BUCKETS_MS.forEach((le, index) => {
+            target.samples.push({ suffix: '_bucket', labels: { account_id: accountId, service, le: String(le / 1000) }, value: merged.buckets[index] });
+        });
+        target.samples.push({ suffix: '_bucket', labels: { account_id: accountId, service, le: '+Inf' }, value: merged.count });
+        target.samples.push({ suffix: '_sum', labels: { account_id: accountId, service }, value: merged.sumMs / 1000 });
+        target.samples.push({ suffix: '_count', labels: { account_id: accountId, service }, value: merged.count });
+    }
+}
+
+function pushSchedulers(families, scope, accountId, schedulers) {
+    for (const item of schedulers) {
+        const labels = { scope, account_id: accountId, namespace: item.namespace };
+        families.schedulerTasks.samples.push({ labels, value: Number(item.taskCount) || 0 });
+        families.schedulerRunning.samples.push({ labels, value: Number(item.runningCount) || 0 });
+        families.schedulerRuns.samples.push({ labels, value: Number(item.runCount) || 0 });
+    }
+}
+
+function createFleetMetrics(options) {
+    const {
+        workers,
+        getAccounts,
+    } = options;
+
+    function collect() {
+        const families = {
+            accounts: family('accounts', 'gauge', 'Number of configured accounts'),
+            workersRunning: family('workers_running', 'gauge', 'Number of running account workers'),
+            info: family('account_info', 'gauge', 'Account metadata'),
+            running: family('account_running', 'gauge', 'Whether the account worker is running'),
+            online: family('account_online', 'gauge', 'Whether the account is connected to the game server'),
+            level: family('account_level', 'gauge', 'Account level'),
+            gold: family('account_gold', 'gauge', 'Account gold'),
+            exp: family('account_exp', 'gauge', 'Account experience'),
+            coupon: family('account_coupon', 'gauge', 'Account coupons'),
+            uptime: family('account_uptime_seconds', 'gauge', 'Seconds since the account worker started'),
+            wsError: family('account_ws_error_code', 'gauge', 'Last websocket error code, 0 when none'),
+            operations: family('account_operations_total', 'counter', 'Operations performed since the worker started'),
+            requests: family('requests_total', 'counter', 'Game server requests sent via sendMsgAsync'),
+            requestErrors: family('request_errors_total', 'counter', 'Failed game server requests by type'),
+            latency: family('request_duration_seconds', 'histogram', 'Game server request latency'),
+            queueDepth: family('rate_limiter_queue_depth', 'gauge', 'Requests waiting in the rate limiter queue'),
+            queueTokens: family('rate_limiter_available_tokens', 'gauge', 'Available rate limiter tokens'),
+            schedulerTasks: family('scheduler_tasks', 'gauge', 'Registered scheduler tasks'),
+            schedulerRunning: family('scheduler_running_tasks', 'gauge', 'Scheduler tasks currently running'),
+            schedulerRuns: family('scheduler_task_runs_total', 'counter', 'Scheduler task executions'),
+        };
+
+        const accounts = (getAccounts().accounts || []);
+        families.accounts.samples.push({ value: accounts.length });
+        families.workersRunning.samples.push({ value: Object.keys(workers).length });
+
+        for (const acc of accounts) {
+            const accountId = String(acc.id);
+            const worker = workers[accountId];
+            const status = (worker && worker.status) || {};
+            const basic = status.status || {};
+            const labels = { account_id: accountId };
+            families.info.samples.push({ labels: { account_id: accountId, name: acc.name || '', platform: acc.platform || '' }, value: 1 });
+            families.running.samples.push({ labels, value: worker ? 1 : 0 });
+            families.online.samples.push({ labels, value: (status.connection && status.connection.connected) ? 1 : 0 });
+            families.wsError.samples.push({ labels, value: (worker && worker.wsError && Number(worker.wsError.code)) || 0 });
+            if (!worker) continue;
+
+            families.level.samples.push({ labels, value: Number(basic.level) || 0 });
+            families.gold.samples.push({ labels, value: Number(basic.gold) || 0 });
+            families.exp.samples.push({ labels, value: Number(basic.exp) || 0 });
+            families.coupon.samples.push({ labels, value: Number(basic.coupon) || 0 });
+            families.uptime.samples.push({ labels, value: Number(status.uptime) || 0 });
+            for (const [op, count] of Object.entries(status.operations || {})) {
+                families.operations.samples.push({ labels: { account_id: accountId, op }, value: Number(count) || 0 });
+            }
+
+            const reported = worker.metrics;
+            if (!reported) continue;
+            const requests = Array.isArray(reported.requests) ? reported.requests : [];
+            for (const item of requests) {
+                const reqLabels = { account_id: accountId, service: item.service, method: item.method };
+                families.requests.samples.push({ labels: reqLabels, value: Number(item.count) || 0 });
+                families.requestErrors.samples.push({ labels: { ...reqLabels, type: 'error' }, value: Number(item.errors) || 0 });
+                families.requestErrors.samples.push({ labels: { ...reqLabels, type: 'timeout' }, value: Number(item.timeouts) || 0 });
+            }
+            buildLatencyHistogram(families.latency, accountId, requests);
+            for (const queue of (Array.isArray(reported.rateLimiter) ? reported.rateLimiter : [])) {
+                const queueLabels = { account_id: accountId, queue: queue.name };
+                families.queueDepth.samples.push({ labels: queueLabels, value: Number(queue.queueSize) || 0 });
+                families.queueTokens.samples.push({ labels: queueLabels, value: Number(queue.availableTokens) || 0 });
+            }
+            pushSchedulers(families, 'worker', accountId, Array.isArray(reported.schedulers) ? reported.schedulers : []);
+        }
+
+        pushSchedulers(families, 'master', '', summarizeSchedulers(getSchedulerRegistrySnapshot()));
+
+        return Object.values(families);
+    }
+
+    function render() {
+        return renderPrometheus(collect());
+    }
+
+    return {
+        render,
+    };
+}
+
+module.exports = {
+    createFleetMetrics,
+};
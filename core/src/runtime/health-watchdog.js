@@ -0,0 +1,132 @@
+/**
+ * 健康检查 - 根据 worker 心跳与调度进度判断账号是否卡死，持续异常时自动重启
+ *
+ * worker 每 10 秒上报一次心跳，携带最近一次调度完成时间、当前调度开始时间、下次调度时间与服务器心跳回包时间。
+ * 任一项超过阈值即标记为降级（degraded）；降级持续 restartAfterSec 后按配置自动重启该账号。
+ */
+
+const { createScheduler } = require('../services/scheduler');
+
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+// heartbeat: worker 心跳中断 tick_hung: 单次调度执行过久 tick_overdue: 调度到期未执行 server_heartbeat: 服务器心跳无回包
+const REASON_LABELS = {
+    heartbeat: '进程心跳中断',
+    tick_hung: '调度执行卡住',
+    tick_overdue: '调度长时间未执行',
+    server_heartbeat: '服务器心跳无响应',
+};
+
+function createHealthWatchdog(options) {
+    const {
+        store,
+        workers,
+        restartWorker,
+        getAccounts,
+        log,
+        addAccountLog,
+    } = options;
+
+    const scheduler = createScheduler('health_watchdog');
+
+    function collectReasons(worker, cfg, now) {
+        const reasons = [];
+        const hb = worker.heartbeat;
+        const lastSeenAt = (hb && hb.receivedAt) || worker.startedAt || now;
+        if (now - lastSeenAt > cfg.heartbeatTimeoutSec * 1000) reasons.push('heartbeat');
+        // 未登录完成（连接中/重连中）时调度本就不运行，只检查进程心跳
+        if (!hb || !hb.loginReady) return reasons;
+
+        const tickTimeoutMs = cfg.tickTimeoutSec * 1000;
+        if (hb.tickStartedAt > 0 && now - hb.tickStartedAt > tickTimeoutMs) {
+            reasons.push('tick_hung');
+        } else if (hb.nextTickAt > 0 && now - hb.nextTickAt > tickTimeoutMs) {
+            reasons.push('tick_overdue');
+        }
+        if (hb.serverHeartbeatAt > 0 && now - hb.serverHeartbeatAt > cfg.serverTimeoutSec * 1000) {
+            reasons.push('server_heartbeat');
+        }
+        return reasons;
+    }
+
+    function findAccount(accountId) {
+        const list = (getAccounts().accounts || []);
+        return list.find(acc => String(acc.id) === accountId) || null;
+    }
+
+    function checkWorker(accountId, worker, cfg, now) {
+        const prev = worker.health;
+        const reasons = collectReasons(worker, cfg, now);
+        const hb = worker.heartbeat;
+        const state = reasons.length > 0 ? 'degraded' : (hb && hb.loginReady ? 'healthy' : 'starting');
+        const since = (prev && prev.state === state) ? prev.since : now;
+        worker.health = {
+            state,
+            reasons,
+            since,
+            lastHeartbeatAt: hb ? hb.receivedAt : 0,
+            lastTickAt: hb ? (Number(hb.lastTickAt) || 0) : 0,
+            checkedAt: now,
+        };
+
+        const accountName = worker.name || accountId;
+        if (state === 'degraded' && (!prev || prev.state !== 'degraded')) {
+            const detail = reasons.map(r => REASON_LABELS[r] || r).join('、');
+            log('错误', `账号 ${accountName} 运行异常: ${detail}`, { accountId, accountName });
+            addAccountLog('health_degraded', `账号 ${accountName} 运行异常: ${detail}`, accountId, accountName, { reasons });
+        } else if (state === 'healthy' && prev && prev.state === 'degraded') {
+            log('系统', `账号 ${accountName} 已恢复正常`, { accountId, accountName });
+        }
+
+        if (state !== 'degraded' || !cfg.autoRestart) return;
+        if (now - since < cfg.restartAfterSec * 1000) return;
+        const account = findAccount(accountId);
+        if (!account) return;
+        log('系统', `账号 ${accountName} 异常持续 ${Math.round((now - since) / 1000)} 秒，自动重启`, { accountId, accountName });
+        addAccountLog('watchdog_restart', `账号 ${accountName} 运行异常，已自动重启`, accountId, accountName, { reasons });
+        restartWorker(account);
+    }
+
+    function checkAll() {
+        const cfg = store.getHealthWatchdogConfig();
+        const now = Date.now();
+        for (const [accountId, worker] of Object.entries(workers)) {
+            if (!worker || worker.stopping) continue;
+            checkWorker(String(accountId), worker, cfg, now);
+        }
+    }
+
+    // 按当前配置启停巡检；关闭时清除已有的健康状态
+    function refresh() {
+        const cfg = store.getHealthWatchdogConfig();
+        if (!cfg.enabled) {
+            scheduler.clearAll();
+            for (const worker of Object.values(workers)) {
+                if (worker) worker.health = null;
+            }
+            return;
+        }
+        if (!scheduler.has('check')) {
+            scheduler.setIntervalTask('check', CHECK_INTERVAL_MS, checkAll);
+        }
+    }
+
+    function start() {
+        refresh();
+    }
+
+    function stop() {
+        scheduler.clearAll();
+    }
+
+    return {
+        start,
+        stop,
+        refresh,
+        checkAll,
+    };
+}
+
+module.exports = {
+    createHealthWatchdog,
+};
@@ -1,3 +1,4 @@
+const { resolveAccountProxy } = require('../utils/proxy');
 const { sleep } = require('../utils/utils');
 const QRCode = require('qrcode');
 
@@ -24,9 +25,15 @@ function createReloginReminderService(options) {
         return sec * 1000;
     }
 
-    function getQrLoginOptions() {
+    // 扫码接口与该账号的游戏连接走同一代理出口
+    function getQrLoginOptions(accountId = '') {
         const cfg = store.getQrLoginConfig ? store.getQrLoginConfig() : null;
-        return { apiDomain: String((cfg && cfg.apiDomain) || 'q.qq.com').trim() || 'q.qq.com' };
+        const account = accountId ? (getAccounts().accounts || []).find(a => String(a.id) === String(accountId)) : null;
+        const pool = store.getProxyPool ? store.getProxyPool().proxies : [];
+        return {
+            apiDomain: String((cfg && cfg.apiDomain) || 'q.qq.com').trim() || 'q.qq.com',
+            proxy: account ? resolveAccountProxy(account, pool) : '',
+        };
     }
     function applyReloginCode({ accountId = '', accountName = '', authCode = '', uin = '' }) {
         const code = String(authCode || '').trim();
@@ -100,7 +107,7 @@ function createReloginReminderService(options) {
             const maxRounds = 120; // ~2分钟
             for (let i = 0; i < maxRounds; i += 1) {
                 try {
-                    const status = await miniProgramLoginSession.queryStatus(code, getQrLoginOptions());
+                    const status = await miniProgramLoginSession.queryStatus(code, getQrLoginOptions(accountId));
                     if (!status || status.status === 'Wait') {
                         await sleep(1000);
                         continue;
@@ -118,7 +125,7 @@ function createReloginReminderService(options) {
                             stop();
                             return;
                         }
-                        const authCode = await miniProgramLoginSession.getAuthCode(ticket, '1112386029', getQrLoginOptions());
+                        const authCode = await miniProgramLoginSession.getAuthCode(ticket, '1112386029', getQrLoginOptions(accountId));
                         if (!authCode) {
                             log('错误', '重登录监听失败: 未获取到新 code');
                             stop();
@@ -161,7 +168,7 @@ function createReloginReminderService(options) {
 
             if (reloginUrlMode === 'qq_link' || reloginUrlMode === 'qr_code' || reloginUrlMode === 'all') {
                 try {
-                    const qr = await miniProgramLoginSession.requestLoginCode(getQrLoginOptions());
+                    const qr = await miniProgramLoginSession.requestLoginCode(getQrLoginOptions(payload.accountId));
                     const loginCode = String((qr && qr.code) || '').trim();
                     const qqUrl = String((qr && (qr.url || qr.loginUrl)) || '').trim();
                     // const qrCodeUrl = String((qr && qr.qrcode) || '').trim();
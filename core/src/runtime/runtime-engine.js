@@ -3,12 +3,21 @@ const path = require('node:path')
 const process = require('node:process');
 const { Worker } = require('node:worker_threads')
 const store = require('../models/store')
+const { getStorageDriver } = require('../models/storage')
 const { sendPushooMessage } = require('../services/push')
 const { MiniProgramLoginSession } = require('../services/qrlogin')
+const { resolveAccountProxy } = require('../utils/proxy')
 const { createDataProvider } = require('./data-provider')
+const { createFleetMetrics } = require('./fleet-metrics')
+const { createHealthWatchdog } = require('./health-watchdog')
 const { createReloginReminderService } = require('./relogin-reminder')
 const { createRuntimeState } = require('./runtime-state')
+const { createSeedSpendService } = require('./seed-spend')
+const { createStartupOrchestrator } = require('./startup-orchestrator')
+const { createStatsHistoryService } = require('./stats-history')
+const { createStealRecordService } = require('./steal-records')
 const { createWorkerManager } = require('./worker-manager')
+const { createWorkerSupervisor } = require('./worker-supervisor')
 
 const OPERATION_KEYS = ['harvest', 'water', 'weed', 'bug', 'fertilize', 'plant', 'steal', 'helpWater', 'helpWeed', 'helpBug', 'taskClaim', 'sell', 'upgrade']
 
@@ -20,6 +29,8 @@ function createRuntimeEngine(options = {}) {
   const onStatusSync = typeof options.onStatusSync === 'function' ? options.onStatusSync : null
   const onLog = typeof options.onLog === 'function' ? options.onLog : null
   const onAccountLog = typeof options.onAccountLog === 'function' ? options.onAccountLog : null
+  const onStartupProgress = typeof options.onStartupProgress === 'function' ? options.onStartupProgress : null
+  const onRpcCall = typeof options.onRpcCall === 'function' ? options.onRpcCall : null
   const startAdminServer = typeof options.startAdminServer === 'function' ? options.startAdminServer : null
 
   const workerControls = { startWorker: null, restartWorker: null }
@@ -57,7 +68,7 @@ function createRuntimeEngine(options = {}) {
     triggerOfflineReminder,
   } = reloginReminder
 
-  const { startWorker, stopWorker, restartWorker, callWorkerApi } = createWorkerManager({
+  const { startWorker, stopWorker, restartWorker, callWorkerApi, setRpcInspect } = createWorkerManager({
     fork,
     WorkerThread: Worker,
     runtimeMode,
@@ -89,6 +100,7 @@ function createRuntimeEngine(options = {}) {
     },
     broadcastConfigToWorkers,
     onStatusSync: (accountId, status, accountName) => {
+      startupOrchestrator.handleStatus(accountId, status)
       runtimeEvents.emit('status', { accountId, status, accountName })
       if (onStatusSync) onStatusSync(accountId, status, accountName)
     },
@@ -96,10 +108,100 @@ function createRuntimeEngine(options = {}) {
       runtimeEvents.emit('worker_log', { entry, accountId, accountName })
       if (onLog) onLog(entry, accountId, accountName)
     },
+    onRpcCall: (accountId, call, accountName) => {
+      if (onRpcCall) onRpcCall(accountId, call, accountName)
+    },
+    onWsError: (accountId, error) => {
+      startupOrchestrator.handleWsError(accountId, error)
+    },
+    onStealRecords: (accountId, records) => {
+      stealRecords.addRecords(accountId, records)
+    },
+    getSeedSpend: accountId => seedSpend.get(accountId),
+    onSeedSpend: (accountId, usage) => {
+      seedSpend.record(accountId, usage)
+    },
+    onWorkerExit: (accountId, info) => {
+      if (!startupOrchestrator.handleWorkerExit(accountId, info)) workerSupervisor.handleWorkerExit(accountId, info)
+    },
+    resolveAccountProxy: account => resolveAccountProxy(account, store.getProxyPool().proxies),
   })
   workerControls.startWorker = startWorker
   workerControls.restartWorker = restartWorker
 
+  const startupOrchestrator = createStartupOrchestrator({
+    store,
+    workers,
+    startWorker,
+    stopWorker,
+    log,
+    onProgress: (progress) => {
+      runtimeEvents.emit('startup_progress', progress)
+      if (onStartupProgress) onStartupProgress(progress)
+    },
+  })
+
+  const workerSupervisor = createWorkerSupervisor({
+    store,
+    storage: getStorageDriver(),
+    workers,
+    startWorker,
+    getAccounts: store.getAccounts,
+    log,
+    addAccountLog,
+    sendPushooMessage,
+  })
+
+  // 手动停止/删除的账号同时移出启动队列并取消待执行的崩溃重启，避免稍后又被拉起
+  function stopAccountWorker(accountId) {
+    startupOrchestrator.cancel(accountId)
+    workerSupervisor.cancel(accountId)
+    stopWorker(accountId)
+  }
+
+  // 手动启动/重启视为人工介入，崩溃计数重新开始
+  function startAccountWorker(account) {
+    if (account) workerSupervisor.reset(account.id)
+    return startWorker(account)
+  }
+
+  function restartAccountWorker(account) {
+    if (account) workerSupervisor.reset(account.id)
+    return restartWorker(account)
+  }
+
+  const stealRecords = createStealRecordService({
+    storage: getStorageDriver(),
+    log,
+  })
+
+  const seedSpend = createSeedSpendService({
+    storage: getStorageDriver(),
+    log,
+  })
+
+  const statsHistory = createStatsHistoryService({
+    workers,
+    store,
+    storage: getStorageDriver(),
+    log,
+  })
+
+  // 卡死的 worker 直接重启，不计入崩溃次数
+  const healthWatchdog = createHealthWatchdog({
+    store,
+    workers,
+    restartWorker,
+    getAccounts: store.getAccounts,
+    log,
+    addAccountLog,
+  })
+
+  const fleetMetrics = createFleetMetrics({
+    workers,
+    getAccounts: store.getAccounts,
+  })
+
   const dataProvider = createDataProvider({
     workers,
     globalLogs: GLOBAL_LOGS,
@@ -113,9 +215,18 @@ function createRuntimeEngine(options = {}) {
     addAccountLog,
     nextConfigRevision,
     broadcastConfigToWorkers,
-    startWorker,
-    stopWorker,
-    restartWorker,
+    startWorker: startAccountWorker,
+    stopWorker: stopAccountWorker,
+    restartWorker: restartAccountWorker,
+    statsHistory,
+    stealRecords,
+    seedSpend,
+    startupOrchestrator,
+    workerSupervisor,
+    healthWatchdog,
+    fleetMetrics,
+    setRpcInspect,
+    notifyGameDataReload,
   })
 
   runtimeEvents.on('log', (entry) => {
@@ -139,11 +250,26 @@ function createRuntimeEngine(options = {}) {
     }
   }
 
+  // proto / gameConfig 重新加载后通知 worker，各自在下次重连时生效
+  function notifyGameDataReload() {
+    let notified = 0
+    for (const worker of Object.values(workers)) {
+      try {
+        worker.process.send({ type: 'game_data_reload' })
+        notified += 1
+      }
+      catch {
+        // ignore IPC failures for exited workers
+      }
+    }
+    return notified
+  }
+
   function startAllAccounts() {
     const accounts = (store.getAccounts().accounts || [])
     if (accounts.length > 0) {
-      log('系统', `发现 ${accounts.length} 个账号，正在启动...`)
-      accounts.forEach(acc => startWorker(acc))
+      log('系统', `发现 ${accounts.length} 个账号，正在按启动策略依次启动...`)
+      startupOrchestrator.startAll(accounts)
     }
     else {
       log('系统', '未发现账号，请访问管理面板添加账号')
@@ -158,13 +284,18 @@ function createRuntimeEngine(options = {}) {
       startAdminServer(dataProvider)
     }
 
+    statsHistory.start()
+    healthWatchdog.start()
+
     if (shouldAutoStartAccounts) {
       startAllAccounts()
     }
   }
 
   function stopAllAccounts() {
+    startupOrchestrator.cancelAll()
     for (const accountId of Object.keys(workers)) {
+      workerSupervisor.cancel(accountId)
       stopWorker(accountId)
     }
   }
@@ -174,6 +305,10 @@ function createRuntimeEngine(options = {}) {
     runtimeEvents,
     workers,
     dataProvider,
+    statsHistory,
+    startupOrchestrator,
+    workerSupervisor,
+    healthWatchdog,
     start,
     startAllAccounts,
     stopAllAccounts,
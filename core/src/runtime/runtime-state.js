@@ -39,6 +39,7 @@ function createRuntimeState(options) {
             automation: store.getAutomation(accountId),
             plantingStrategy: store.getPlantingStrategy(accountId),
             preferredSeedId: store.getPreferredSeed(accountId),
+            plantingPlan: store.getPlantingPlan(accountId),
             intervals: store.getIntervals(accountId),
             friendBlockLevel: store.getFriendBlockLevel(accountId),
             friendQuietHours: store.getFriendQuietHours(accountId),
@@ -0,0 +1,58 @@
+/**
+ * 买种花费 - 保存各账号当天的买种花费，worker 重启后据此恢复每日预算
+ */
+
+const DOCUMENT_KEY = 'seed_spend';
+
+function createSeedSpendService(options) {
+    const { storage, log } = options;
+    let data = null; // accountId -> { date, spent }
+
+    function load() {
+        if (!data) {
+            const doc = storage.readDocument(DOCUMENT_KEY, () => ({}));
+            data = (doc && typeof doc === 'object') ? doc : {};
+        }
+        return data;
+    }
+
+    function save() {
+        try {
+            storage.writeDocument(DOCUMENT_KEY, data);
+        } catch (e) {
+            log('错误', `买种花费写入失败: ${e.message}`);
+        }
+    }
+
+    function get(accountId) {
+        const entry = load()[String(accountId || '')];
+        return entry ? { ...entry } : null;
+    }
+
+    function record(accountId, usage) {
+        const id = String(accountId || '').trim();
+        const date = String((usage && usage.date) || '');
+        const spent = Math.max(0, Number(usage && usage.spent) || 0);
+        if (!id || !date) return;
+        load()[id] = { date, spent };
+        save();
+    }
+
+    function removeAccount(accountId) {
+        const all = load();
+        const id = String(accountId || '');
+        if (!all[id]) return;
+        delete all[id];
+        save();
+    }
+
+    return {
+        get,
+        record,
+        removeAccount,
+    };
+}
+
+module.exports = {
+    createSeedSpendService,
+};
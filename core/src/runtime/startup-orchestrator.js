@@ -0,0 +1,272 @@
+/**
+ * 启动编排 - 面板启动时按优先级分批拉起账号，避免同一时刻大量登录触发网关限流
+ *
+ * 同时处于登录中的账号不超过 concurrency，相邻两次启动之间等待 delayMinSec~delayMaxSec 的随机时长。
+ * 连上服务器前进程退出或登录超时视为登录失败，按指数退避重试；Code 失效（ws_error 400）不再重试。
+ */
+
+const { createScheduler } = require('../services/scheduler');
+
+// queued: 排队中 starting: 登录中 running: 已上线 retrying: 等待重试 failed: 放弃 cancelled: 已手动停止/删除
+const PENDING_STATES = new Set(['queued', 'starting', 'retrying']);
+const RETRY_JITTER_RATIO = 0.2;
+
+function randomBetween(min, max) {
+    return min + Math.random() * Math.max(0, max - min);
+}
+
+// 退避时长：retryBaseSec * 2^(n-1)，上限 retryMaxSec，并加入 ±20% 抖动避免多个账号同时重试
+function computeRetryDelayMs(policy, attempt) {
+    const baseMs = Math.min(policy.retryMaxSec, policy.retryBaseSec * (2 ** Math.max(0, attempt - 1))) * 1000;
+    return Math.round(baseMs * randomBetween(1 - RETRY_JITTER_RATIO, 1 + RETRY_JITTER_RATIO));
+}
+
+// priorityAccountIds 中的账号按列表顺序排在前面，其余保持原有顺序
+function sortByPriority(accounts, priorityAccountIds) {
+    const rank = new Map(priorityAccountIds.map((id, index) => [id, index]));
+    return accounts
+        .map((acc, index) => ({ acc, index, rank: rank.has(String(acc.id)) ? rank.get(String(acc.id)) : Number.POSITIVE_INFINITY }))
+        .sort((a, b) => (a.rank - b.rank) || (a.index - b.index))
+        .map(item => item.acc);
+}
+
+function createStartupOrchestrator(options) {
+    const {
+        store,
+        workers,
+        startWorker,
+        stopWorker,
+        log,
+        onProgress,
+    } = options;
+
+    const scheduler = createScheduler('startup_orchestrator');
+    const entries = new Map(); // accountId -> { id, name, state, attempts, error, nextRetryAt }
+    let order = [];
+    let policy = store.getStartupPolicy();
+    let startedAt = 0;
+    let finishedAt = 0;
+    let lastLaunchAt = 0;
+    let launchGapMs = 0;
+
+    function isActive() {
+        return startedAt > 0 && finishedAt === 0;
+    }
+
+    function getProgress() {
+        return {
+            active: isActive(),
+            startedAt,
+            finishedAt,
+            concurrency: policy.concurrency,
+            items: order.map((id) => {
+                const entry = entries.get(id);
+                return {
+                    id: entry.id,
+                    name: entry.name,
+                    state: entry.state,
+                    attempts: entry.attempts,
+                    error: entry.error,
+                    nextRetryAt: entry.nextRetryAt,
+                };
+            }),
+        };
+    }
+
+    function emitProgress() {
+        if (typeof onProgress !== 'function') return;
+        try {
+            onProgress(getProgress());
+        } catch {}
+    }
+
+    function countState(state) {
+        let count = 0;
+        for (const entry of entries.values()) {
+            if (entry.state === state) count += 1;
+        }
+        return count;
+    }
+
+    function clearEntryTasks(id) {
+        scheduler.clear(`login_timeout_${id}`);
+        scheduler.clear(`retry_${id}`);
+    }
+
+    function finishIfDone() {
+        if (!isActive()) return;
+        for (const entry of entries.values()) {
+            if (PENDING_STATES.has(entry.state)) return;
+        }
+        finishedAt = Date.now();
+        scheduler.clear('pump');
+        log('系统', `账号启动完成：成功 ${countState('running')} 个，失败 ${countState('failed')} 个，用时 ${Math.round((finishedAt - startedAt) / 1000)} 秒`);
+    }
+
+    function findAccount(id) {
+        const accounts = (store.getAccounts().accounts || []);
+        return accounts.find(acc => String(acc.id) === id) || null;
+    }
+
+    function launch(entry) {
+        const account = findAccount(entry.id);
+        if (!account) {
+            entry.state = 'cancelled';
+            entry.error = '账号已删除';
+            return;
+        }
+        entry.name = account.name || entry.name;
+        entry.attempts += 1;
+        entry.error = '';
+        entry.nextRetryAt = 0;
+        lastLaunchAt = Date.now();
+        launchGapMs = Math.round(randomBetween(policy.delayMinSec, policy.delayMaxSec) * 1000);
+
+        // 已被手动启动的账号不再重复拉起，只等待其上线
+        if (!workers[entry.id] && !startWorker(account)) {
+            markLoginFailure(entry, '进程启动失败');
+            return;
+        }
+        entry.state = 'starting';
+        scheduler.setTimeoutTask(`login_timeout_${entry.id}`, policy.loginTimeoutSec * 1000, () => {
+            handleLoginFailure(entry.id, `登录超时（${policy.loginTimeoutSec} 秒）`);
+        });
+    }
+
+    function pump() {
+        if (!isActive()) return;
+        while (countState('starting') < policy.concurrency) {
+            const next = order.map(id => entries.get(id)).find(entry => entry.state === 'queued');
+            if (!next) break;
+            const waitMs = lastLaunchAt + launchGapMs - Date.now();
+            if (waitMs > 0) {
+                scheduler.setTimeoutTask('pump', waitMs, pump);
+                break;
+            }
+            launch(next);
+        }
+        finishIfDone();
+        emitProgress();
+    }
+
+    function markLoginFailure(entry, reason) {
+        const id = entry.id;
+        clearEntryTasks(id);
+        // 登录超时的进程仍在重连，先停掉，重试时重新拉起
+        if (workers[id]) stopWorker(id);
+        entry.error = reason;
+
+        if (entry.attempts > policy.maxRetries) {
+            entry.state = 'failed';
+            log('错误', `账号 ${entry.name} 启动失败（已尝试 ${entry.attempts} 次）: ${reason}`, { accountId: id, accountName: entry.name });
+        } else {
+            const delayMs = computeRetryDelayMs(policy, entry.attempts);
+            entry.state = 'retrying';
+            entry.nextRetryAt = Date.now() + delayMs;
+            log('系统', `账号 ${entry.name} 登录失败: ${reason}，${Math.round(delayMs / 1000)} 秒后第 ${entry.attempts} 次重试`, { accountId: id, accountName: entry.name });
+            scheduler.setTimeoutTask(`retry_${id}`, delayMs, () => {
+                if (entry.state !== 'retrying') return;
+                entry.state = 'queued';
+                entry.nextRetryAt = 0;
+                pump();
+            });
+        }
+    }
+
+    function handleLoginFailure(id, reason) {
+        const entry = entries.get(id);
+        if (!entry || !PENDING_STATES.has(entry.state)) return;
+        markLoginFailure(entry, reason);
+        pump();
+    }
+
+    /**
+     * 按当前启动策略拉起账号；重复调用会放弃上一轮尚未完成的排队与重试
+     */
+    function startAll(accounts) {
+        scheduler.clearAll();
+        policy = store.getStartupPolicy();
+        const list = sortByPriority(Array.isArray(accounts) ? accounts : [], policy.priorityAccountIds);
+        entries.clear();
+        order = [];
+        for (const acc of list) {
+            const id = String((acc && acc.id) || '').trim();
+            if (!id || entries.has(id)) continue;
+            entries.set(id, { id, name: acc.name || id, state: 'queued', attempts: 0, error: '', nextRetryAt: 0 });
+            order.push(id);
+        }
+        startedAt = Date.now();
+        finishedAt = 0;
+        lastLaunchAt = 0;
+        launchGapMs = 0;
+        if (order.length > 0) {
+            log('系统', `启动编排：共 ${order.length} 个账号，并发 ${policy.concurrency}，间隔 ${policy.delayMinSec}~${policy.delayMaxSec} 秒`);
+        }
+        pump();
+    }
+
+    function handleStatus(accountId, status) {
+        const id = String(accountId || '');
+        const entry = entries.get(id);
+        if (!entry || !PENDING_STATES.has(entry.state)) return;
+        if (!status || !status.connection || !status.connection.connected) return;
+        clearEntryTasks(id);
+        entry.state = 'running';
+        entry.error = '';
+        entry.nextRetryAt = 0;
+        pump();
+    }
+
+    function handleWsError(accountId, error) {
+        const id = String(accountId || '');
+        const entry = entries.get(id);
+        if (!entry || entry.state !== 'starting') return;
+        if (!error || Number(error.code) !== 400) return;
+        clearEntryTasks(id);
+        entry.state = 'failed';
+        entry.error = 'Code 已失效，请更新后手动启动';
+        pump();
+    }
+
+    // 返回 true 表示该退出发生在登录阶段，已由启动编排处理
+    function handleWorkerExit(accountId, info = {}) {
+        const id = String(accountId || '');
+        const entry = entries.get(id);
+        if (!entry || entry.state !== 'starting') return false;
+        if (info.stopping) {
+            cancel(id);
+        } else {
+            handleLoginFailure(id, `登录前进程退出 (code=${info.code})`);
+        }
+        return true;
+    }
+
+    // 手动停止或删除账号时移出启动队列
+    function cancel(accountId) {
+        const id = String(accountId || '');
+        const entry = entries.get(id);
+        if (!entry || !PENDING_STATES.has(entry.state)) return;
+        clearEntryTasks(id);
+        entry.state = 'cancelled';
+        entry.nextRetryAt = 0;
+        pump();
+    }
+
+    function cancelAll() {
+        for (const id of order) cancel(id);
+    }
+
+    return {
+        startAll,
+        cancel,
+        cancelAll,
+        handleStatus,
+        handleWsError,
+        handleWorkerExit,
+        getProgress,
+    };
+}
+
+module.exports = {
+    createStartupOrchestrator,
+};
@@ -0,0 +1,173 @@
+/**
+ * 账号历史统计 - 按固定间隔采样各账号金币/经验/点券/等级与收获/偷菜/帮忙次数并持久化
+ *
+ * worker 内的 operations 计数在重启后清零，这里记录每个采样周期内的增量，
+ * 计数回退视为 worker 已重启，以当前值作为本周期增量。
+ */
+
+const { createScheduler } = require('../services/scheduler');
+
+const SERIES = 'stats_history';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_QUERY_RANGE_MS = 7 * DAY_MS;
+const BUCKET_PATTERN = /^(\d+)\s*([smhd]?)$/i;
+const BUCKET_UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS };
+const VALUE_KEYS = ['gold', 'exp', 'coupon', 'level'];
+const COUNTER_KEYS = ['harvest', 'steal', 'help'];
+
+// 支持 300 / 300s / 5m / 1h / 1d；空或 raw 表示不聚合
+function parseBucketMs(input) {
+    const raw = String(input ?? '').trim().toLowerCase();
+    if (!raw || raw === 'raw') return 0;
+    const matched = raw.match(BUCKET_PATTERN);
+    if (!matched) return null;
+    const ms = Number(matched[1]) * BUCKET_UNIT_MS[matched[2] || 's'];
+    return ms > 0 ? ms : null;
+}
+
+function readCounters(status) {
+    const ops = (status && status.operations) || {};
+    return {
+        harvest: Number(ops.harvest) || 0,
+        steal: Number(ops.steal) || 0,
+        help: (Number(ops.helpWater) || 0) + (Number(ops.helpWeed) || 0) + (Number(ops.helpBug) || 0),
+    };
+}
+
+function createStatsHistoryService(options) {
+    const {
+        workers,
+        store,
+        storage,
+        log,
+    } = options;
+
+    const scheduler = createScheduler('stats_history');
+    const lastCounters = new Map(); // accountId -> { harvest, steal, help }
+    let activeIntervalSec = 0;
+
+    function getConfig() {
+        return store.getStatsHistoryConfig();
+    }
+
+    function buildSample(status, ts, accountId) {
+        const basic = (status && status.status) || {};
+        const counters = readCounters(status);
+        const prev = lastCounters.get(accountId);
+        lastCounters.set(accountId, counters);
+
+        const sample = { ts };
+        for (const key of VALUE_KEYS) sample[key] = Number(basic[key]) || 0;
+        for (const key of COUNTER_KEYS) {
+            const current = counters[key];
+            sample[key] = (prev && current >= prev[key]) ? current - prev[key] : current;
+        }
+        return sample;
+    }
+
+    function sampleAll() {
+        const ts = Date.now();
+        for (const accountId of lastCounters.keys()) {
+            if (!workers[accountId]) lastCounters.delete(accountId);
+        }
+        for (const [accountId, worker] of Object.entries(workers)) {
+            const status = worker && worker.status;
+            if (!status || !status.connection || !status.connection.connected) continue;
+            try {
+                storage.appendSample(SERIES, accountId, buildSample(status, ts, accountId));
+            } catch (e) {
+                log('系统', `历史统计写入失败(${accountId}): ${e.message}`);
+            }
+        }
+    }
+
+    function prune() {
+        const cfg = getConfig();
+        try {
+            storage.pruneSamples(SERIES, Date.now() - cfg.retentionDays * DAY_MS);
+        } catch (e) {
+            log('系统', `历史统计清理失败: ${e.message}`);
+        }
+    }
+
+    // 按当前配置（重新）安排采样任务
+    function refresh() {
+        const cfg = getConfig();
+        if (!cfg.enabled) {
+            scheduler.clearAll();
+            activeIntervalSec = 0;
+            return;
+        }
+        if (activeIntervalSec !== cfg.intervalSec) {
+            scheduler.setIntervalTask('sample', cfg.intervalSec * 1000, sampleAll);
+            activeIntervalSec = cfg.intervalSec;
+        }
+        if (!scheduler.has('prune')) {
+            scheduler.setIntervalTask('prune', PRUNE_INTERVAL_MS, prune, { runImmediately: true });
+        }
+    }
+
+    function start() {
+        refresh();
+    }
+
+    function stop() {
+        scheduler.clearAll();
+        activeIntervalSec = 0;
+    }
+
+    function aggregate(samples, bucketMs) {
+        // 按本地时区对齐桶边界，按天聚合时与自然日一致
+        const tzOffsetMs = new Date().getTimezoneOffset() * 60 * 1000;
+        const buckets = new Map();
+        for (const sample of samples) {
+            const start = Math.floor((sample.ts - tzOffsetMs) / bucketMs) * bucketMs + tzOffsetMs;
+            let bucket = buckets.get(start);
+            if (!bucket) {
+                bucket = { ts: start, samples: 0 };
+                for (const key of COUNTER_KEYS) bucket[key] = 0;
+                buckets.set(start, bucket);
+            }
+            for (const key of VALUE_KEYS) bucket[key] = Number(sample[key]) || 0;
+            for (const key of COUNTER_KEYS) bucket[key] += Number(sample[key]) || 0;
+            bucket.samples += 1;
+        }
+        return Array.from(buckets.values());
+    }
+
+    /**
+     * 查询账号历史
+     * 金币/经验/点券/等级取桶内最后一次采样值，收获/偷菜/帮忙为桶内次数之和
+     */
+    function query(accountId, params = {}) {
+        const to = Number(params.to) || Date.now();
+        const from = Number(params.from) || (to - DEFAULT_QUERY_RANGE_MS);
+        if (from > to) throw new Error('from 不能晚于 to');
+        const bucketMs = parseBucketMs(params.bucket);
+        if (bucketMs === null) throw new Error('bucket 格式无效，示例: 300、5m、1h、1d');
+
+        const samples = storage.querySamples(SERIES, accountId, { from, to });
+        return {
+            accountId,
+            from,
+            to,
+            bucketSec: bucketMs / 1000,
+            intervalSec: getConfig().intervalSec,
+            points: bucketMs ? aggregate(samples, bucketMs) : samples,
+        };
+    }
+
+    return {
+        start,
+        stop,
+        refresh,
+        sampleAll,
+        prune,
+        query,
+    };
+}
+
+module.exports = {
+    createStatsHistoryService,
+};
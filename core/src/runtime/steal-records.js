@@ -0,0 +1,122 @@
+/**
+ * 被偷记录 - 汇总 worker 上报的访客偷菜记录，按好友统计被偷次数和作物数量
+ *
+ * worker 每次重启都会把访客记录里的旧记录重新上报一遍，按记录时间和内容去重。
+ */
+
+const DOCUMENT_KEY = 'steal_records';
+const RECENT_LIMIT = 200;
+
+function getRecordKey(record) {
+    return `${record.serverTimeSec}-${record.visitorGid}-${record.cropId}-${record.landId}`;
+}
+
+function normalizeRecord(raw) {
+    const src = (raw && typeof raw === 'object') ? raw : {};
+    return {
+        serverTimeSec: Math.max(0, Number(src.serverTimeSec) || 0),
+        visitorGid: Math.max(0, Number(src.visitorGid) || 0),
+        nick: String(src.nick || '').trim(),
+        cropId: Math.max(0, Number(src.cropId) || 0),
+        cropName: String(src.cropName || '').trim(),
+        cropCount: Math.max(0, Number(src.cropCount) || 0),
+        landId: Math.max(0, Number(src.landId) || 0),
+    };
+}
+
+function createStealRecordService(options) {
+    const { storage, log } = options;
+    let data = null; // accountId -> { syncedAt, friends: { gid: {...} }, recent: [record] }
+
+    function load() {
+        if (!data) {
+            const doc = storage.readDocument(DOCUMENT_KEY, () => ({}));
+            data = (doc && typeof doc === 'object') ? doc : {};
+        }
+        return data;
+    }
+
+    function save() {
+        try {
+            storage.writeDocument(DOCUMENT_KEY, data);
+        } catch (e) {
+            log('错误', `被偷记录写入失败: ${e.message}`);
+        }
+    }
+
+    function getAccountEntry(accountId) {
+        const all = load();
+        if (!all[accountId] || typeof all[accountId] !== 'object') {
+            all[accountId] = { syncedAt: 0, friends: {}, recent: [] };
+        }
+        return all[accountId];
+    }
+
+    /**
+     * 记录一批被偷记录，返回新增条数
+     */
+    function addRecords(accountId, records) {
+        const id = String(accountId || '').trim();
+        if (!id || !Array.isArray(records) || records.length === 0) return 0;
+        const entry = getAccountEntry(id);
+        const seen = new Set(entry.recent.filter(r => r.serverTimeSec >= entry.syncedAt).map(getRecordKey));
+
+        const fresh = records
+            .map(normalizeRecord)
+            .filter(r => r.visitorGid > 0 && r.serverTimeSec >= entry.syncedAt && !seen.has(getRecordKey(r)))
+            .sort((a, b) => a.serverTimeSec - b.serverTimeSec);
+        if (fresh.length === 0) return 0;
+
+        for (const record of fresh) {
+            const gid = String(record.visitorGid);
+            const friend = entry.friends[gid] || { gid: record.visitorGid, nick: '', times: 0, count: 0, lastAt: 0, crops: {} };
+            friend.nick = record.nick || friend.nick;
+            friend.times += 1;
+            friend.count += record.cropCount;
+            friend.lastAt = Math.max(friend.lastAt, record.serverTimeSec);
+            if (record.cropId > 0) {
+                const crop = friend.crops[record.cropId] || { cropId: record.cropId, cropName: record.cropName, count: 0 };
+                crop.cropName = record.cropName || crop.cropName;
+                crop.count += record.cropCount;
+                friend.crops[record.cropId] = crop;
+            }
+            entry.friends[gid] = friend;
+            entry.recent.push(record);
+            seen.add(getRecordKey(record));
+        }
+        entry.recent = entry.recent.slice(-RECENT_LIMIT);
+        entry.syncedAt = Math.max(entry.syncedAt, fresh.at(-1).serverTimeSec);
+        save();
+        return fresh.length;
+    }
+
+    function getAccountRecords(accountId) {
+        const entry = load()[String(accountId || '')];
+        if (!entry) return { friends: [], recent: [] };
+        const friends = Object.values(entry.friends || {})
+            .map(friend => ({
+                ...friend,
+                crops: Object.values(friend.crops || {}).sort((a, b) => b.count - a.count),
+            }))
+            .sort((a, b) => (b.count - a.count) || (b.lastAt - a.lastAt));
+        return { friends, recent: [...(entry.recent || [])].reverse() };
+    }
+
+    function removeAccount(accountId) {
+        const all = load();
+        const id = String(accountId || '');
+        if (!all[id]) return;
+        delete all[id];
+        save();
+    }
+
+    return {
+        addRecords,
+        getAccountRecords,
+        removeAccount,
+    };
+}
+
+module.exports = {
+    createStealRecordService,
+};
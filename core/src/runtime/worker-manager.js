@@ -1,4 +1,5 @@
 const { createScheduler } = require('../services/scheduler');
+const { resolveAccountDevice } = require('../utils/device-profile');
 
 function createWorkerManager(options) {
     const {
@@ -22,9 +23,18 @@ function createWorkerManager(options) {
         broadcastConfigToWorkers,
         onStatusSync,
         onWorkerLog,
+        onRpcCall,
+        onWsError,
+        onStealRecords,
+        getSeedSpend,
+        onSeedSpend,
+        onWorkerExit,
+        resolveAccountProxy,
     } = options;
     const managerScheduler = createScheduler('worker_manager');
     const useThreadRuntime = runtimeMode === 'thread' && !processRef.pkg && typeof WorkerThread === 'function';
+    // 正在被协议调试页查看的账号，worker 重启后继续上报
+    const inspectedAccounts = new Set();
 
     function createThreadWorker(account) {
         const worker = new WorkerThread(workerScriptPath, {
@@ -86,6 +96,12 @@ function createWorkerManager(options) {
             disconnectedSince: 0,
             autoDeleteTriggered: false,
             wsError: null,
+            codeRejected: false, // 服务器已明确拒绝 Code，已发出重登录提醒
+            startedAt: Date.now(),
+            heartbeat: null, // worker 最近一次心跳上报
+            metrics: null, // worker 最近一次运行指标上报
+            health: null, // 健康检查结果
+            rpcCalls: [], // 协议调试：最近的 RPC 调用
         };
 
         // 发送启动指令
@@ -94,9 +110,13 @@ function createWorkerManager(options) {
             config: {
                 code: account.code,
                 platform: account.platform,
+                proxy: typeof resolveAccountProxy === 'function' ? resolveAccountProxy(account) : '',
+                device: resolveAccountDevice(account),
+                seedSpend: typeof getSeedSpend === 'function' ? getSeedSpend(account.id) : null,
             },
         });
         child.send({ type: 'config_sync', config: buildConfigSnapshotForAccount(account.id) });
+        if (inspectedAccounts.has(String(account.id))) child.send({ type: 'rpc_inspect', enabled: true });
 
         // 监听消息
         child.on('message', (msg) => {
@@ -131,6 +151,15 @@ function createWorkerManager(options) {
 
             if (current && current.process === child) {
                 delete workers[account.id];
+                if (typeof onWorkerExit === 'function') {
+                    onWorkerExit(account.id, {
+                        code,
+                        signal,
+                        stopping: !!current.stopping,
+                        accountName: displayName,
+                        logs: current.logs,
+                    });
+                }
             }
         });
         return true;
@@ -228,6 +257,7 @@ function createWorkerManager(options) {
                 worker.disconnectedSince = 0;
                 worker.autoDeleteTriggered = false;
                 worker.wsError = null;
+                worker.codeRejected = false;
             } else if (!worker.stopping) {
                 const now = Date.now();
                 if (!worker.disconnectedSince) worker.disconnectedSince = now;
@@ -237,12 +267,15 @@ function createWorkerManager(options) {
                     worker.autoDeleteTriggered = true;
                     const offlineMin = Math.floor(offlineMs / 60000);
                     log('系统', `账号 ${worker.name} 持续离线 ${offlineMin} 分钟，自动删除账号信息`);
-                    triggerOfflineReminder({
-                        accountId,
-                        accountName: worker.name,
-                        reason: 'offline_timeout',
-                        offlineMs,
-                    });
+                    // Code 被拒时已发过提醒
+                    if (!worker.codeRejected) {
+                        triggerOfflineReminder({
+                            accountId,
+                            accountName: worker.name,
+                            reason: 'offline_timeout',
+                            offlineMs,
+                        });
+                    }
                     addAccountLog(
                         'offline_delete',
                         `账号 ${worker.name} 持续离线 ${offlineMin} 分钟，已自动删除`,
@@ -275,19 +308,41 @@ function createWorkerManager(options) {
             if (typeof onWorkerLog === 'function') {
                 onWorkerLog(logEntry, accountId, worker.name);
             }
+        } else if (msg.type === 'heartbeat') {
+            worker.heartbeat = { ...(msg.data || {}), receivedAt: Date.now() };
+        } else if (msg.type === 'metrics') {
+            worker.metrics = { ...(msg.data || {}), receivedAt: Date.now() };
+        } else if (msg.type === 'rpc_call') {
+            const call = msg.data || {};
+            worker.rpcCalls.push(call);
+            if (worker.rpcCalls.length > 200) worker.rpcCalls.shift();
+            if (typeof onRpcCall === 'function') {
+                onRpcCall(accountId, call, worker.name);
+            }
         } else if (msg.type === 'error') {
             log('错误', `账号[${accountId}]进程报错: ${msg.error}`, { accountId: String(accountId), accountName: worker.name });
         } else if (msg.type === 'ws_error') {
             const code = Number(msg.code) || 0;
             const message = msg.message || '';
             worker.wsError = { code, message, at: Date.now() };
-            if (code === 400) {
+            // worker 只在服务器明确拒绝 Code 时上报 400，普通断线由 worker 自行重连
+            if (code === 400 && !worker.codeRejected) {
+                worker.codeRejected = true;
                 addAccountLog(
                     'ws_400',
                     `账号 ${worker.name} 登录失效，请更新 Code`,
                     accountId,
                     worker.name,
                 );
+                triggerOfflineReminder({
+                    accountId,
+                    accountName: worker.name,
+                    reason: 'code_rejected',
+                    offlineMs: worker.disconnectedSince ? Date.now() - worker.disconnectedSince : 0,
+                });
+            }
+            if (typeof onWsError === 'function') {
+                onWsError(accountId, worker.wsError);
             }
         } else if (msg.type === 'account_kicked') {
             const reason = msg.reason || '未知';
@@ -310,6 +365,12 @@ function createWorkerManager(options) {
                     broadcastConfigToWorkers(accountId);
                 }
             } catch {}
+        } else if (msg.type === 'steal_records') {
+            if (typeof onStealRecords === 'function' && Array.isArray(msg.data)) {
+                onStealRecords(accountId, msg.data, worker.name);
+            }
+        } else if (msg.type === 'seed_spend') {
+            if (typeof onSeedSpend === 'function') onSeedSpend(accountId, msg.data);
         } else if (msg.type === 'api_response') {
             const { id, result, error } = msg;
             managerScheduler.clear(`api_timeout_${accountId}_${id}`);
@@ -342,11 +403,27 @@ function createWorkerManager(options) {
         });
     }
 
+    // 开启/关闭账号的 RPC 调用上报，未运行的账号在启动时生效
+    function setRpcInspect(accountId, enabled) {
+        const id = String(accountId || '').trim();
+        if (!id) return;
+        if (enabled) inspectedAccounts.add(id);
+        else inspectedAccounts.delete(id);
+        const worker = workers[id];
+        if (!worker) return;
+        try {
+            worker.process.send({ type: 'rpc_inspect', enabled: !!enabled });
+        } catch {
+            // worker 已退出
+        }
+    }
+
     return {
         startWorker,
         stopWorker,
         restartWorker,
         callWorkerApi,
+        setRpcInspect,
     };
 }
 
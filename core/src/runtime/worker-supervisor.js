@@ -0,0 +1,212 @@
+/**
+ * 崩溃重启 - worker 意外退出后按重启策略自动拉起，并记录每个账号的崩溃历史
+ *
+ * 手动停止、被踢下线等主动停止不算崩溃；启动编排负责登录阶段的退出，这里只处理运行中的 worker。
+ * 统计窗口内自动重启次数达到 maxRestarts 视为崩溃循环：不再重启，并通过下线提醒渠道告警，
+ * 直到手动启动该账号。
+ */
+
+const { createScheduler } = require('../services/scheduler');
+
+const DOCUMENT_KEY = 'crash_history';
+const HISTORY_LIMIT = 20;
+const LAST_LOG_LINES = 10;
+
+function isFailureExit(code, signal) {
+    return !!signal || (code !== 0 && code !== null && code !== undefined);
+}
+
+function pickLastLogs(logs) {
+    const list = Array.isArray(logs) ? logs.slice(-LAST_LOG_LINES) : [];
+    return list.map(entry => ({
+        ts: Number(entry && entry.ts) || 0,
+        tag: String((entry && entry.tag) || ''),
+        msg: String((entry && entry.msg) || ''),
+    }));
+}
+
+function createWorkerSupervisor(options) {
+    const {
+        store,
+        storage,
+        workers,
+        startWorker,
+        getAccounts,
+        log,
+        addAccountLog,
+        sendPushooMessage,
+    } = options;
+
+    const scheduler = createScheduler('worker_supervisor');
+    const states = new Map(); // accountId -> { restarts: [ts], nextRestartAt, crashLoop }
+    let history = null; // accountId -> [{ ts, code, signal, action, delayMs, lastLogs }]
+
+    function loadHistory() {
+        if (!history) {
+            const data = storage.readDocument(DOCUMENT_KEY, () => ({}));
+            history = (data && typeof data === 'object') ? data : {};
+        }
+        return history;
+    }
+
+    function appendHistory(accountId, entry) {
+        const all = loadHistory();
+        const list = Array.isArray(all[accountId]) ? all[accountId] : [];
+        list.push(entry);
+        all[accountId] = list.slice(-HISTORY_LIMIT);
+        try {
+            storage.writeDocument(DOCUMENT_KEY, all);
+        } catch (e) {
+            log('错误', `崩溃记录写入失败(${accountId}): ${e.message}`);
+        }
+    }
+
+    function getState(accountId) {
+        let state = states.get(accountId);
+        if (!state) {
+            state = { restarts: [], nextRestartAt: 0, crashLoop: false };
+            states.set(accountId, state);
+        }
+        return state;
+    }
+
+    function findAccount(accountId) {
+        const list = (getAccounts().accounts || []);
+        return list.find(acc => String(acc.id) === accountId) || null;
+    }
+
+    async function sendCrashLoopAlert(accountId, accountName, entry, policy, restartCount) {
+        const cfg = store.getOfflineReminder ? store.getOfflineReminder() : null;
+        if (!cfg) return;
+        const channel = String(cfg.channel || '').trim().toLowerCase();
+        const endpoint = String(cfg.endpoint || '').trim();
+        const token = String(cfg.token || '').trim();
+        if (!channel) return;
+        if ((channel === 'webhook' || channel === 'custom_request') && !endpoint) return;
+        if (channel !== 'custom_request' && !token) return;
+
+        const logLines = entry.lastLogs.map(line => `[${line.tag}] ${line.msg}`).join('\n');
+        const content = [
+            `账号 ${accountName} 在 ${Math.round(policy.windowSec / 60)} 分钟内已自动重启 ${restartCount} 次仍然退出，已停止自动重启，请检查后手动启动。`,
+            `最近一次退出: code=${entry.code}, signal=${entry.signal || 'none'}`,
+            logLines ? `最近日志:\n${logLines}` : '',
+        ].filter(Boolean).join('\n\n');
+        try {
+            const ret = await sendPushooMessage({
+                channel,
+                endpoint,
+                token,
+                title: `账号崩溃告警 ${accountName}`,
+                content,
+                custom_headers: String(cfg.custom_headers || '').trim(),
+                custom_body: String(cfg.custom_body || '').trim(),
+            });
+            if (ret && ret.ok) {
+                log('系统', `崩溃告警发送成功: ${accountName}`, { accountId, accountName });
+            } else {
+                log('错误', `崩溃告警发送失败: ${ret && ret.msg ? ret.msg : 'unknown'}`, { accountId, accountName });
+            }
+        } catch (e) {
+            log('错误', `崩溃告警发送异常: ${e.message}`, { accountId, accountName });
+        }
+    }
+
+    function scheduleRestart(accountId, accountName, delayMs) {
+        const state = getState(accountId);
+        state.nextRestartAt = Date.now() + delayMs;
+        scheduler.setTimeoutTask(`restart_${accountId}`, delayMs, () => {
+            state.nextRestartAt = 0;
+            if (workers[accountId]) return;
+            const account = findAccount(accountId);
+            if (!account) return;
+            state.restarts.push(Date.now());
+            log('系统', `账号 ${accountName} 崩溃后自动重启`, { accountId, accountName });
+            startWorker(account);
+        });
+    }
+
+    /**
+     * worker 退出时调用；info: { code, signal, stopping, logs, accountName }
+     */
+    function handleWorkerExit(accountId, info = {}) {
+        const id = String(accountId || '');
+        if (!id || info.stopping) return;
+        const policy = store.getRestartPolicy();
+        const state = getState(id);
+        const accountName = info.accountName || id;
+        const now = Date.now();
+        state.restarts = state.restarts.filter(ts => now - ts < policy.windowSec * 1000);
+
+        const code = info.code ?? null;
+        const signal = info.signal || null;
+        const shouldRestart = policy.mode === 'always' || (policy.mode === 'on-failure' && isFailureExit(code, signal));
+        const entry = { ts: now, code, signal, action: 'none', delayMs: 0, lastLogs: pickLastLogs(info.logs) };
+
+        if (shouldRestart && state.restarts.length >= policy.maxRestarts) {
+            entry.action = 'crash_loop';
+            state.crashLoop = true;
+            log('错误', `账号 ${accountName} 持续崩溃（${Math.round(policy.windowSec / 60)} 分钟内重启 ${state.restarts.length} 次），已停止自动重启`, { accountId: id, accountName });
+            addAccountLog('crash_loop', `账号 ${accountName} 持续崩溃，已停止自动重启`, id, accountName, { code, signal });
+            sendCrashLoopAlert(id, accountName, entry, policy, state.restarts.length);
+        } else if (shouldRestart) {
+            const delaySec = Math.min(policy.backoffMaxSec, policy.backoffBaseSec * (2 ** state.restarts.length));
+            entry.action = 'restart';
+            entry.delayMs = delaySec * 1000;
+            log('系统', `账号 ${accountName} 意外退出 (code=${code}, signal=${signal || 'none'})，${delaySec} 秒后自动重启`, { accountId: id, accountName });
+            addAccountLog('crash', `账号 ${accountName} 意外退出，${delaySec} 秒后自动重启`, id, accountName, { code, signal });
+            scheduleRestart(id, accountName, entry.delayMs);
+        } else {
+            addAccountLog('crash', `账号 ${accountName} 意外退出`, id, accountName, { code, signal });
+        }
+        appendHistory(id, entry);
+    }
+
+    // 手动停止/删除时取消待执行的重启
+    function cancel(accountId) {
+        const id = String(accountId || '');
+        scheduler.clear(`restart_${id}`);
+        const state = states.get(id);
+        if (state) state.nextRestartAt = 0;
+    }
+
+    // 手动启动视为人工介入，重新开始计数
+    function reset(accountId) {
+        cancel(accountId);
+        states.delete(String(accountId || ''));
+    }
+
+    function getAccountCrashes(accountId) {
+        const id = String(accountId || '');
+        const state = states.get(id);
+        const list = loadHistory()[id];
+        return {
+            crashLoop: !!(state && state.crashLoop),
+            nextRestartAt: state ? state.nextRestartAt : 0,
+            recentRestarts: state ? state.restarts.length : 0,
+            history: Array.isArray(list) ? [...list].reverse() : [],
+        };
+    }
+
+    function removeAccount(accountId) {
+        const id = String(accountId || '');
+        reset(id);
+        const all = loadHistory();
+        if (!all[id]) return;
+        delete all[id];
+        try {
+            storage.writeDocument(DOCUMENT_KEY, all);
+        } catch {}
+    }
+
+    return {
+        handleWorkerExit,
+        cancel,
+        reset,
+        removeAccount,
+        getAccountCrashes,
+    };
+}
+
+module.exports = {
+    createWorkerSupervisor,
+};
@@ -0,0 +1,59 @@
+/**
+ * 面板访问控制 - 角色与账号白名单
+ *
+ * owner: 全部权限；operator: 对白名单内账号启停、改设置；viewer: 白名单内账号只读
+ * API 密钥以 owner 身份通过角色校验，实际权限由 scope 决定；配置了账号白名单时同样受其限制
+ */
+
+const ROLE_LEVELS = { viewer: 1, operator: 2, owner: 3 };
+
+// 管理密码登录 / 关闭密码认证时使用的内置管理员
+const BUILTIN_OWNER = Object.freeze({ username: 'admin', role: 'owner', accounts: [], builtin: true });
+
+function hasRole(user, minRole) {
+    if (!user) return false;
+    return (ROLE_LEVELS[user.role] || 0) >= (ROLE_LEVELS[minRole] || Number.POSITIVE_INFINITY);
+}
+
+// 是否只能访问白名单内账号
+function isAccountRestricted(user) {
+    if (!user) return true;
+    if (user.role !== 'owner') return true;
+    return !!user.apiKey && !!user.restricted;
+}
+
+function canAccessAccount(user, accountId) {
+    if (!user) return false;
+    if (!isAccountRestricted(user)) return true;
+    const id = String(accountId || '').trim();
+    return !!id && Array.isArray(user.accounts) && user.accounts.includes(id);
+}
+
+function filterAccountsForUser(user, accounts) {
+    const list = Array.isArray(accounts) ? accounts : [];
+    if (!isAccountRestricted(user)) return list;
+    return list.filter(acc => acc && canAccessAccount(user, acc.id));
+}
+
+// 对外返回的用户信息（不含密码哈希）
+function toPublicUser(user) {
+    if (!user) return null;
+    return {
+        username: user.username,
+        role: user.role,
+        accounts: Array.isArray(user.accounts) ? [...user.accounts] : [],
+        builtin: !!user.builtin,
+        createdAt: user.createdAt || 0,
+        updatedAt: user.updatedAt || 0,
+    };
+}
+
+module.exports = {
+    ROLE_LEVELS,
+    BUILTIN_OWNER,
+    hasRole,
+    isAccountRestricted,
+    canAccessAccount,
+    filterAccountsForUser,
+    toPublicUser,
+};
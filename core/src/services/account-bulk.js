@@ -0,0 +1,70 @@
+/**
+ * 账号批量操作 - 按账号列表或筛选条件选出账号，逐个执行并分别记录结果
+ */
+
+const BULK_ACTIONS = ['start', 'stop', 'restart', 'delete', 'settings', 'farm'];
+const FARM_OP_TYPES = ['all', 'harvest', 'clear', 'plant', 'upgrade'];
+const BULK_CONCURRENCY = 5; // 农场操作需等待 worker 响应，限制同时进行的账号数
+
+function hasFilterCondition(filter) {
+    if (!filter || typeof filter !== 'object') return false;
+    return ['platform', 'remark', 'running'].some(key => filter[key] !== undefined && filter[key] !== '');
+}
+
+/**
+ * 筛选条件：platform 精确匹配，remark 匹配备注名关键字，running 匹配运行状态
+ */
+function matchAccountFilter(account, filter = {}) {
+    if (!account) return false;
+    const platform = String(filter.platform || '').trim().toLowerCase();
+    if (platform && String(account.platform || 'qq').toLowerCase() !== platform) return false;
+    const remark = String(filter.remark || '').trim().toLowerCase();
+    if (remark && !String(account.name || '').toLowerCase().includes(remark)) return false;
+    if (filter.running !== undefined && filter.running !== '' && !!account.running !== (filter.running === true || filter.running === 'true')) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 以有限并发对每个目标执行 handler，单个失败不影响其它账号
+ * targets: [{ id, name, error? }]，带 error 的目标直接记为失败
+ * 返回与 targets 顺序一致的 [{ id, name, ok, error?, data? }]
+ */
+async function runBulk(targets, handler, concurrency = BULK_CONCURRENCY) {
+    const list = Array.isArray(targets) ? targets : [];
+    const results = Array.from({ length: list.length });
+    let cursor = 0;
+
+    async function next() {
+        while (cursor < list.length) {
+            const index = cursor++;
+            const target = list[index];
+            const base = { id: target.id, name: target.name || '' };
+            if (target.error) {
+                results[index] = { ...base, ok: false, error: target.error };
+                continue;
+            }
+            try {
+                const data = await handler(target);
+                results[index] = data === undefined ? { ...base, ok: true } : { ...base, ok: true, data };
+            } catch (e) {
+                results[index] = { ...base, ok: false, error: e.message };
+            }
+        }
+    }
+
+    const workers = [];
+    const size = Math.min(Math.max(1, concurrency), list.length);
+    for (let i = 0; i < size; i += 1) workers.push(next());
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = {
+    BULK_ACTIONS,
+    FARM_OP_TYPES,
+    hasFilterCondition,
+    matchAccountFilter,
+    runBulk,
+};
@@ -139,4 +139,6 @@ function getPlantRankings(sortBy = 'exp') {
 
 module.exports = {
     getPlantRankings,
+    parseGrowTime,
+    parseNormalFertilizerReduceSec,
 };
@@ -0,0 +1,90 @@
+/**
+ * 防偷守护 - 定时拉取访客记录，有好友来访或偷菜时进入警戒，并把被偷记录上报主进程
+ *
+ * 警戒期间农场巡田会放宽加密巡田的范围、缩短兜底间隔（见 farm.js 防偷守护）。
+ */
+
+const { isAutomationOn } = require('../models/store');
+const { getServerTimeSec, log, logWarn } = require('../utils/utils');
+const { getInteractRecords } = require('./interact');
+const { createScheduler } = require('./scheduler');
+
+const RECORD_POLL_MS = 60 * 1000;
+// 最近一次来访后保持警戒的时长
+const ALERT_DURATION_SEC = 10 * 60;
+const ACTION_STEAL = 1;
+
+const antiStealScheduler = createScheduler('anti_steal');
+let lastSeenSec = 0;
+let alertUntilSec = 0;
+let polling = false;
+let handlers = {};
+
+function isAntiStealAlert() {
+    return isAutomationOn('farm_anti_steal') && getServerTimeSec() < alertUntilSec;
+}
+
+async function pollInteractRecords() {
+    if (polling || !isAutomationOn('farm_anti_steal')) return;
+    polling = true;
+    try {
+        const records = await getInteractRecords();
+        const fresh = records.filter(r => r.serverTimeSec > lastSeenSec);
+        if (fresh.length === 0) return;
+        lastSeenSec = Math.max(...fresh.map(r => r.serverTimeSec));
+
+        const steals = fresh.filter(r => r.actionType === ACTION_STEAL && r.visitorGid > 0);
+        if (steals.length > 0 && typeof handlers.onStealRecords === 'function') {
+            handlers.onStealRecords(steals.map(r => ({
+                serverTimeSec: r.serverTimeSec,
+                visitorGid: r.visitorGid,
+                nick: r.nick,
+                cropId: r.cropId,
+                cropName: r.cropName,
+                cropCount: r.cropCount,
+                landId: r.landId,
+            })));
+        }
+
+        // 只有近期的来访才触发警戒；首次拉取到的旧记录只做上报
+        const nowSec = getServerTimeSec();
+        const recent = fresh.filter(r => nowSec - r.serverTimeSec < ALERT_DURATION_SEC);
+        if (recent.length === 0) return;
+        const wasAlert = nowSec < alertUntilSec;
+        alertUntilSec = Math.max(alertUntilSec, lastSeenSec + ALERT_DURATION_SEC);
+        if (!wasAlert) {
+            const names = [...new Set(recent.map(r => r.nick))].slice(0, 3).join('、');
+            const stolen = recent.some(r => r.actionType === ACTION_STEAL);
+            log('防偷', `${names} ${stolen ? '偷了你的菜' : '来访'}，进入防偷警戒`, {
+                module: 'farm', event: 'anti_steal', result: 'alert', visitors: recent.length, stolen,
+            });
+            if (typeof handlers.onAlert === 'function') handlers.onAlert();
+        }
+    } catch (e) {
+        logWarn('防偷', `拉取访客记录失败: ${e.message}`);
+    } finally {
+        polling = false;
+    }
+}
+
+/**
+ * 启动访客记录轮询；关闭防偷守护时轮询空转，开关切换无需重启
+ * @param {{onAlert?: Function, onStealRecords?: Function}} [options] onAlert 进入警戒时回调；onStealRecords 收到新的被偷记录
+ */
+function startAntiStealMonitor(options = {}) {
+    stopAntiStealMonitor();
+    handlers = options;
+    antiStealScheduler.setIntervalTask('interact_poll', RECORD_POLL_MS, pollInteractRecords, { runImmediately: true, preventOverlap: true });
+}
+
+function stopAntiStealMonitor() {
+    antiStealScheduler.clearAll();
+    alertUntilSec = 0;
+    handlers = {};
+}
+
+module.exports = {
+    isAntiStealAlert,
+    startAntiStealMonitor,
+    stopAntiStealMonitor,
+};
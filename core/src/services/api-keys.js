@@ -0,0 +1,190 @@
+/**
+ * 管理 API 密钥 - 供脚本通过 Authorization: Bearer 调用 REST 接口
+ *
+ * 密钥格式 fk_<id>_<secret>，只保存摘要；权限由 scope 与可选账号白名单共同限定。
+ * 用户/会话/密钥管理等接口不对密钥开放。
+ */
+
+const crypto = require('node:crypto');
+
+const DOCUMENT_KEY = 'api_keys';
+const KEY_PREFIX = 'fk_';
+const LAST_USED_PERSIST_INTERVAL_MS = 60 * 1000;
+
+const API_KEY_SCOPES = ['read:status', 'read:logs', 'write:farm', 'write:settings', 'write:accounts'];
+
+// 路径相对 /api；未命中的请求一律拒绝
+const FORBIDDEN_PATHS = [/^\/users(?:\/|$)/, /^\/admin\//, /^\/api-keys(?:\/|$)/];
+const LOG_READ_PATHS = [/^\/logs$/, /^\/account-logs$/];
+// 仅所有者可读的接口：密钥虽以 owner 身份执行，read:status 也不能覆盖这些数据
+const OWNER_READ_PATHS = [/^\/audit$/, /^\/game-data$/, /^\/traffic\//, /^\/proxy-pool$/];
+const WRITE_SCOPE_RULES = [
+    { scope: 'write:farm', method: 'POST', pattern: /^\/farm\/(?:operate|land\/operate)$/ },
+    { scope: 'write:farm', method: 'POST', pattern: /^\/friend\/[^/]+\/op$/ },
+    { scope: 'write:farm', method: 'POST', pattern: /^\/friend-(?:blacklist\/toggle|cache\/update-from-visitors|cache\/import-gids)$/ },
+    { scope: 'write:farm', method: 'DELETE', pattern: /^\/friend-cache\/[^/]+$/ },
+    { scope: 'write:farm', method: 'DELETE', pattern: /^\/steal-records$/ },
+    { scope: 'write:settings', method: 'POST', pattern: /^\/(?:automation|settings\/save|planting-plan)$/ },
+    { scope: 'write:settings', method: 'POST', pattern: /^\/config\/revisions\/\d+\/rollback$/ },
+    { scope: 'write:settings', method: 'POST', pattern: /^\/config-profiles(?:\/link)?$/ },
+    { scope: 'write:settings', method: 'DELETE', pattern: /^\/config-profiles\/[^/]+$/ },
+    { scope: 'write:accounts', method: 'POST', pattern: /^\/accounts(?:\/[^/]+\/(?:start|stop))?$/ },
+    { scope: 'write:accounts', method: 'POST', pattern: /^\/account\/remark$/ },
+    { scope: 'write:accounts', method: 'DELETE', pattern: /^\/accounts\/[^/]+$/ },
+];
+
+// 批量接口按 body.action 区分所需 scope
+const BULK_ACTION_SCOPES = {
+    start: 'write:accounts',
+    stop: 'write:accounts',
+    restart: 'write:accounts',
+    delete: 'write:accounts',
+    settings: 'write:settings',
+    farm: 'write:farm',
+};
+
+/**
+ * 计算请求所需的 scope，返回 null 表示 API 密钥不可调用
+ */
+function resolveRequiredScope(method, apiPath, body) {
+    const m = String(method || '').toUpperCase();
+    const p = String(apiPath || '');
+    if (FORBIDDEN_PATHS.some(re => re.test(p))) return null;
+    if (m === 'GET') {
+        if (OWNER_READ_PATHS.some(re => re.test(p))) return null;
+        return LOG_READ_PATHS.some(re => re.test(p)) ? 'read:logs' : 'read:status';
+    }
+    if (m === 'POST' && p === '/accounts/bulk') {
+        const action = String((body && body.action) || '');
+        return Object.hasOwn(BULK_ACTION_SCOPES, action) ? BULK_ACTION_SCOPES[action] : null;
+    }
+    const rule = WRITE_SCOPE_RULES.find(r => r.method === m && r.pattern.test(p));
+    return rule ? rule.scope : null;
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function normalizeScopes(input) {
+    const list = Array.isArray(input) ? input : [];
+    return API_KEY_SCOPES.filter(scope => list.includes(scope));
+}
+
+function normalizeAccountIds(input) {
+    const list = Array.isArray(input) ? input : [];
+    return [...new Set(list.map(id => String(id ?? '').trim()).filter(Boolean))];
+}
+
+function createApiKeyStore(options = {}) {
+    const { storage, getAccountIds } = options;
+    const keys = new Map(); // id -> record
+
+    for (const item of (storage.readDocument(DOCUMENT_KEY, () => []) || [])) {
+        if (item && item.id && item.secretHash) keys.set(item.id, { ...item });
+    }
+
+    function persist() {
+        storage.writeDocument(DOCUMENT_KEY, Array.from(keys.values()));
+    }
+
+    function toPublicKey(record) {
+        return {
+            id: record.id,
+            name: record.name,
+            prefix: `${KEY_PREFIX}${record.id}_${record.secretHint}…`,
+            scopes: [...record.scopes],
+            restricted: !!record.restricted,
+            accounts: [...record.accounts],
+            createdAt: record.createdAt,
+            createdBy: record.createdBy,
+            lastUsedAt: record.lastUsedAt || 0,
+            lastUsedIp: record.lastUsedIp || '',
+        };
+    }
+
+    // 账号可能被自动删除且 id 会被复用，剔除已不存在的账号
+    function pruneAccounts(record) {
+        if (!record.restricted || typeof getAccountIds !== 'function') return false;
+        const existing = new Set(getAccountIds().map(String));
+        const next = record.accounts.filter(id => existing.has(id));
+        if (next.length === record.accounts.length) return false;
+        record.accounts = next;
+        return true;
+    }
+
+    function create({ name, scopes, accounts, createdBy = '' }) {
+        const keyName = String(name || '').trim().slice(0, 64);
+        if (!keyName) throw new Error('请填写密钥名称');
+        const keyScopes = normalizeScopes(scopes);
+        if (keyScopes.length === 0) throw new Error('至少选择一个权限范围');
+
+        const keyAccounts = normalizeAccountIds(accounts);
+        const id = crypto.randomBytes(4).toString('hex');
+        const secret = crypto.randomBytes(24).toString('hex');
+        const record = {
+            id,
+            name: keyName,
+            secretHash: hashSecret(secret),
+            secretHint: secret.slice(0, 4),
+            scopes: keyScopes,
+            // 限定账号的密钥在白名单账号全部删除后不再能访问任何账号
+            restricted: keyAccounts.length > 0,
+            accounts: keyAccounts,
+            createdAt: Date.now(),
+            createdBy: String(createdBy || ''),
+            lastUsedAt: 0,
+            lastUsedIp: '',
+        };
+        keys.set(id, record);
+        persist();
+        // 明文密钥只在创建时返回一次
+        return { key: `${KEY_PREFIX}${id}_${secret}`, record: toPublicKey(record) };
+    }
+
+    // 校验明文密钥并记录最近使用时间，无效返回 null
+    function verify(rawKey, meta = {}) {
+        const raw = String(rawKey || '').trim();
+        if (!raw.startsWith(KEY_PREFIX)) return null;
+        const sep = raw.indexOf('_', KEY_PREFIX.length);
+        if (sep < 0) return null;
+        const record = keys.get(raw.slice(KEY_PREFIX.length, sep));
+        if (!record) return null;
+        const expected = Buffer.from(record.secretHash, 'hex');
+        const actual = Buffer.from(hashSecret(raw.slice(sep + 1)), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+        const now = Date.now();
+        const shouldPersist = pruneAccounts(record) || now - (record.lastUsedAt || 0) >= LAST_USED_PERSIST_INTERVAL_MS;
+        record.lastUsedAt = now;
+        if (meta.ip) record.lastUsedIp = String(meta.ip);
+        if (shouldPersist) persist();
+        return toPublicKey(record);
+    }
+
+    function list() {
+        let changed = false;
+        for (const record of keys.values()) changed = pruneAccounts(record) || changed;
+        if (changed) persist();
+        return Array.from(keys.values(), toPublicKey).sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    function revoke(id) {
+        if (!keys.delete(String(id || ''))) return false;
+        persist();
+        return true;
+    }
+
+    return {
+        create,
+        verify,
+        list,
+        revoke,
+    };
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    createApiKeyStore,
+    resolveRequiredScope,
+};
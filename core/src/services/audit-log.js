@@ -0,0 +1,101 @@
+/**
+ * 管理操作审计 - 只追加记录谁在何时从何处改了什么
+ *
+ * 每条记录包含操作者、IP、账号、路由以及配置快照（getConfigSnapshot）前后差异，
+ * 请求体可能含密码/登录码，不落盘。
+ */
+
+const crypto = require('node:crypto');
+
+const STREAM = 'audit';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_QUERY_RANGE_MS = 30 * DAY_MS;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 对比两份配置快照，返回叶子字段变化列表 [{ path, before, after }]
+ * 数组整体比较，避免顺序调整产生大量噪音
+ */
+function diffSnapshots(before, after, prefix = '') {
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const changes = [];
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of keys) {
+            changes.push(...diffSnapshots(before[key], after[key], prefix ? `${prefix}.${key}` : key));
+        }
+        return changes;
+    }
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    return [{ path: prefix, before: before ?? null, after: after ?? null }];
+}
+
+function createAuditLog(options = {}) {
+    const { storage } = options;
+
+    function record(entry) {
+        const item = {
+            id: crypto.randomBytes(6).toString('hex'),
+            ts: Date.now(),
+            actor: String(entry.actor || ''),
+            actorType: String(entry.actorType || 'user'),
+            ip: String(entry.ip || ''),
+            accountId: String(entry.accountId || ''),
+            accountName: String(entry.accountName || ''),
+            method: String(entry.method || '').toUpperCase(),
+            route: String(entry.route || ''),
+            status: Number(entry.status) || 0,
+            changes: Array.isArray(entry.changes) ? entry.changes : [],
+        };
+        storage.appendRecord(STREAM, item);
+        return item;
+    }
+
+    /**
+     * 查询审计记录（新记录在前）
+     * filters: from/to 时间范围，actor/accountId 精确匹配，keyword 匹配路由与变更字段
+     */
+    function query(filters = {}) {
+        const to = Number(filters.to) || Date.now();
+        const from = Number(filters.from) || (to - DEFAULT_QUERY_RANGE_MS);
+        if (from > to) throw new Error('from 不能晚于 to');
+        const limit = Math.min(MAX_LIMIT, Math.max(1, Number.parseInt(filters.limit, 10) || DEFAULT_LIMIT));
+        const offset = Math.max(0, Number.parseInt(filters.offset, 10) || 0);
+        const actor = String(filters.actor || '').trim();
+        const accountId = String(filters.accountId || '').trim();
+        const keyword = String(filters.keyword || '').trim().toLowerCase();
+        const canView = typeof filters.canView === 'function' ? filters.canView : () => true;
+
+        const matched = storage.queryRecords(STREAM, { from, to })
+            .filter((item) => {
+                if (actor && item.actor !== actor) return false;
+                if (accountId && item.accountId !== accountId) return false;
+                if (!canView(item)) return false;
+                if (!keyword) return true;
+                if (item.route.toLowerCase().includes(keyword)) return true;
+                return item.changes.some(change => String(change.path).toLowerCase().includes(keyword));
+            })
+            .reverse();
+
+        return {
+            from,
+            to,
+            total: matched.length,
+            items: matched.slice(offset, offset + limit),
+        };
+    }
+
+    return {
+        record,
+        query,
+    };
+}
+
+module.exports = {
+    createAuditLog,
+    diffSnapshots,
+};
@@ -53,6 +53,10 @@ const AUTOMATION_SCHEMA = {
         farm_weed: { type: 'boolean', default: true },
         farm_bug: { type: 'boolean', default: true },
         farm_push: { type: 'boolean', default: true },
+        farm_harvest_align: { type: 'boolean', default: false },
+        farm_precise_harvest: { type: 'boolean', default: false },
+        farm_anti_steal: { type: 'boolean', default: false },
+        farm_anti_steal_window: { type: 'number', min: 10, max: 3600, default: 30 },
         land_upgrade: { type: 'boolean', default: true },
         friend: { type: 'boolean', default: true },
         friend_steal: { type: 'boolean', default: true },
@@ -68,6 +72,11 @@ const AUTOMATION_SCHEMA = {
         fertilizer_buy_max: { type: 'number', min: 1, max: 10, default: 10 },
         fertilizer_buy_mode: { type: 'string', oneOf: ['threshold', 'unlimited'], default: 'threshold' },
         fertilizer_buy_threshold: { type: 'number', min: 0, default: 100 },
+        seed_budget: { type: 'boolean', default: false },
+        seed_budget_reserve: { type: 'number', min: 0, default: 0 },
+        seed_budget_daily_max: { type: 'number', min: 0, default: 0 },
+        seed_budget_cycle_max: { type: 'number', min: 0, default: 0 },
+        seed_budget_fallback: { type: 'boolean', default: true },
         free_gifts: { type: 'boolean', default: true },
         share_reward: { type: 'boolean', default: true },
         vip_gift: { type: 'boolean', default: true },
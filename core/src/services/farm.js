@@ -5,12 +5,15 @@
 const protobuf = require('protobufjs');
 const { CONFIG, PlantPhase, PHASE_NAMES } = require('../config/config');
 const { getPlantNameBySeedId, getPlantName, getPlantExp, formatGrowTime, getPlantGrowTime, getAllSeeds, getPlantById, getPlantBySeedId, getSeedImageBySeedId } = require('../config/gameConfig');
-const { isAutomationOn, getPreferredSeed, getAutomation, getPlantingStrategy, getBagSeedPriority, setPlantingStrategy } = require('../models/store');
+const { isAutomationOn, getPreferredSeed, getAutomation, getPlantingStrategy, getPlantingPlan, getBagSeedPriority, setPlantingStrategy } = require('../models/store');
 const { sendMsgAsync, getUserState, networkEvents, getWsErrorState } = require('../utils/network');
 const { types } = require('../utils/proto');
 const { toLong, toNum, getServerTimeSec, toTimeSec, log, logWarn, sleep } = require('../utils/utils');
 const { getPlantRankings } = require('./analytics');
+const { isAntiStealAlert } = require('./anti-steal');
+const { pickAlignedSeed, getSeedMatureSec } = require('./harvest-align');
 const { createScheduler } = require('./scheduler');
+const { getSeedBudgetAllowance, getSeedBudgetRules, beginSeedBudgetCycle, recordSeedSpend, markSeedBudgetLimited } = require('./seed-budget');
 const { recordOperation } = require('./stats');
 const { getFarmOptimizer } = require('./rate-limiter');
 
@@ -21,6 +24,8 @@ let farmLoopRunning = false;
 let externalSchedulerMode = false;
 const farmScheduler = createScheduler('farm');
 const pendingNormalFertilizerPlans = new Map();
+const MATURE_STALE_SEC = 60; // 成熟时间已过超过该值仍未成熟的土地不再登记定时收获
+const landReplyUpdates = new Map(); // 收获/种植/施肥回复中变化后的土地 landId -> LandInfo，巡田结束时据此更新成熟时间
 
 // ============ 农场 API ============
 
@@ -61,7 +66,16 @@ async function harvest(landIds) {
         is_all: true,
     })).finish();
     const { body: replyBody } = await sendMsgAsync('gamepb.plantpb.PlantService', 'Harvest', body);
-    return types.HarvestReply.decode(replyBody);
+    const reply = types.HarvestReply.decode(replyBody);
+    rememberLandUpdates(reply.land);
+    return reply;
+}
+
+function rememberLandUpdates(lands) {
+    for (const land of Array.isArray(lands) ? lands : []) {
+        const id = toNum(land && land.id);
+        if (id > 0) landReplyUpdates.set(id, land);
+    }
 }
 
 async function waterLand(landIds) {
@@ -96,7 +110,8 @@ async function fertilize(landIds, fertilizerId = NORMAL_FERTILIZER_ID) {
                 land_ids: [toLong(landId)],
                 fertilizer_id: toLong(fertilizerId),
             })).finish();
-            await sendMsgAsync('gamepb.plantpb.PlantService', 'Fertilize', body);
+            const { body: replyBody } = await sendMsgAsync('gamepb.plantpb.PlantService', 'Fertilize', body);
+            rememberLandUpdates(types.FertilizeReply.decode(replyBody).land);
             successCount++;
         } catch {
             // 施肥失败（可能肥料不足），停止继续
@@ -298,7 +313,8 @@ async function fertilizeOrganicLoop(landIds) {
                 land_ids: [toLong(landId)],
                 fertilizer_id: toLong(ORGANIC_FERTILIZER_ID),
             })).finish();
-            await sendMsgAsync('gamepb.plantpb.PlantService', 'Fertilize', body);
+            const { body: replyBody } = await sendMsgAsync('gamepb.plantpb.PlantService', 'Fertilize', body);
+            rememberLandUpdates(types.FertilizeReply.decode(replyBody).land);
             successCount++;
         } catch {
             // 常见是有机肥耗尽，按需求直接停止
@@ -663,6 +679,7 @@ async function plantSeeds(seedId, landIds, options = {}) {
             const { body: replyBody } = await sendMsgAsync('gamepb.plantpb.PlantService', 'Plant', body);
             const reply = types.PlantReply.decode(replyBody);
             const changedLands = Array.isArray(reply && reply.land) ? reply.land : [];
+            rememberLandUpdates(changedLands);
             const changedMap = buildLandMap(changedLands);
             const selfLand = changedMap.get(landId);
             const displayContext = getDisplayLandContext(selfLand || { id: landId }, changedMap);
@@ -688,7 +705,12 @@ async function plantSeeds(seedId, landIds, options = {}) {
     };
 }
 
-async function findBestSeed() {
+/**
+ * 从种子商店选出要购买的种子
+ * @param {object|null} rule 种植计划规则 { strategy, seedId }，为空时使用账号种植策略
+ * @returns {Promise<{best: object, ranked: object[]}|null>} best 为选中的种子，ranked 为策略排序后的全部可购买种子（预算不足时从中回退）
+ */
+async function findBestSeed(rule = null) {
     const SEED_SHOP_ID = 2;
     const shopReply = await getShopInfo(SEED_SHOP_ID);
     if (!shopReply.goods_list || shopReply.goods_list.length === 0) {
@@ -733,8 +755,28 @@ async function findBestSeed() {
         return null;
     }
 
-    // 按策略排序
-    const strategy = getPlantingStrategy();
+    const strategy = rule ? rule.strategy : getPlantingStrategy();
+    // 偏好模式：指定了作物就直接种，不参与收获对齐
+    if (strategy === 'preferred') {
+        const preferred = rule ? rule.seedId : getPreferredSeed();
+        if (preferred > 0) {
+            const found = available.find(a => a.seedId === preferred);
+            if (found) return { best: found, ranked: [found, ...rankAvailableSeeds(available, strategy, state.level).filter(a => a !== found)] };
+            logWarn('商店', `优先种子 ${preferred} 当前不可购买，回退自动选择`);
+        }
+    }
+
+    const ranked = rankAvailableSeeds(available, strategy, state.level);
+    if (!isAutomationOn('farm_harvest_align')) return { best: ranked[0], ranked };
+    return { best: pickHarvestAlignedSeed(ranked), ranked };
+}
+
+/**
+ * 按策略对可购买种子排序，排名第一的即该策略下的最佳种子
+ */
+function rankAvailableSeeds(available, strategy, userLevel) {
+    // 最高等级模式，也是偏好未命中与其他策略的默认排序
+    const byLevel = [...available].sort((a, b) => b.requiredLevel - a.requiredLevel);
     const analyticsSortByMap = {
         max_exp: 'exp',
         max_fert_exp: 'fert',
@@ -742,47 +784,83 @@ async function findBestSeed() {
         max_fert_profit: 'fert_profit',
     };
     const analyticsSortBy = analyticsSortByMap[strategy];
-    if (analyticsSortBy) {
-        try {
-            const rankings = getPlantRankings(analyticsSortBy);
-            const availableBySeedId = new Map(available.map(a => [a.seedId, a]));
-            for (const row of rankings) {
-                const seedId = Number(row && row.seedId) || 0;
-                if (seedId <= 0) continue;
-                const lv = Number(row && row.level);
-                if (Number.isFinite(lv) && lv > state.level) continue;
-                const found = availableBySeedId.get(seedId);
-                if (found) return found;
-            }
-            logWarn('商店', `策略 ${strategy} 未找到可购买作物，回退最高等级`);
-        } catch (e) {
-            logWarn('商店', `策略 ${strategy} 计算失败: ${e.message}，回退最高等级`);
-        }
-        available.sort((a, b) => b.requiredLevel - a.requiredLevel);
-        return available[0];
-    }
-    
-    // 偏好模式
-    if (strategy === 'preferred') {
-        const preferred = getPreferredSeed();
-        if (preferred > 0) {
-            const found = available.find(a => a.seedId === preferred);
-            if (found) return found;
-            logWarn('商店', `优先种子 ${preferred} 当前不可购买，回退自动选择`);
-        }
-        // 如果偏好未找到或未设置，回退到默认（等级最高）
-        available.sort((a, b) => b.requiredLevel - a.requiredLevel);
-    }
-    // 最高等级模式
-    else if (strategy === 'level') {
-        available.sort((a, b) => b.requiredLevel - a.requiredLevel);
-    } 
-    // 默认
-    else {
-        available.sort((a, b) => b.requiredLevel - a.requiredLevel);
+    if (!analyticsSortBy) return byLevel;
+
+    try {
+        const rankings = getPlantRankings(analyticsSortBy);
+        const availableBySeedId = new Map(available.map(a => [a.seedId, a]));
+        const ranked = [];
+        for (const row of rankings) {
+            const seedId = Number(row && row.seedId) || 0;
+            if (seedId <= 0) continue;
+            const lv = Number(row && row.level);
+            if (Number.isFinite(lv) && lv > userLevel) continue;
+            const found = availableBySeedId.get(seedId);
+            if (found) ranked.push(found);
+        }
+        if (ranked.length > 0) {
+            // 排行中没有的作物按等级排在后面
+            const rankedIds = new Set(ranked.map(a => a.seedId));
+            return [...ranked, ...byLevel.filter(a => !rankedIds.has(a.seedId))];
+        }
+        logWarn('商店', `策略 ${strategy} 未找到可购买作物，回退最高等级`);
+    } catch (e) {
+        logWarn('商店', `策略 ${strategy} 计算失败: ${e.message}，回退最高等级`);
     }
+    return byLevel;
+}
 
-    return available[0];
+function isNormalFertilizerEnabled() {
+    const mode = (getAutomation() || {}).fertilizer;
+    return mode === 'normal' || mode === 'both';
+}
+
+// 收获对齐：按巡田间隔，在排名靠前的作物中挑成熟后等待最短的
+function pickHarvestAlignedSeed(ranked) {
+    // 开启成熟定时收获时成熟即收，巡田间隔不再影响等待
+    const intervalSec = isAutomationOn('farm_precise_harvest')
+        ? 1
+        : Math.max(1, Math.round((CONFIG.farmCheckIntervalMax || CONFIG.farmCheckInterval || 2000) / 1000));
+    const picked = pickAlignedSeed(ranked, {
+        intervalSec,
+        fertilized: isNormalFertilizerEnabled(),
+    });
+    if (!picked) return ranked[0];
+
+    const seedName = getPlantNameBySeedId(picked.seed.seedId);
+    log('商店', picked.aligned
+        ? `收获对齐: 选择 ${seedName}，${formatGrowTime(picked.matureSec)} 后成熟，预计等待 ${picked.exposureSec} 秒收获`
+        : `收获对齐: 没有能对齐的作物，选择等待最短的 ${seedName}（约 ${formatGrowTime(picked.exposureSec)}）`, {
+        module: 'farm',
+        event: 'harvest_align',
+        result: picked.aligned ? 'aligned' : 'closest',
+        seedId: picked.seed.seedId,
+        matureSec: picked.matureSec,
+        exposureSec: picked.exposureSec,
+    });
+    return picked.seed;
+}
+
+/**
+ * 对齐种植后在成熟时刻唤醒一次巡田，不必等下一轮间隔
+ */
+function scheduleAlignedHarvestWakeup(matureSec) {
+    // 开启成熟定时收获时，种植后会按实际成熟时间登记收获，无需单独唤醒
+    if (!farmLoopRunning || !(matureSec > 0) || isAutomationOn('farm_precise_harvest')) return;
+    // 好友静默时段只暂停好友操作，自己的农场照常收获，成熟即唤醒
+    const wakeAt = Date.now() + matureSec * 1000 + MATURE_HARVEST_DELAY_MS;
+    const taskName = `harvest_align_${Math.floor(wakeAt / 1000)}`;
+    const runWakeup = async () => {
+        if (!farmLoopRunning) return;
+        // 正在巡田时稍后重试，避免唤醒被跳过
+        if (isCheckingFarm) {
+            farmScheduler.setTimeoutTask(taskName, 5000, runWakeup);
+            return;
+        }
+        log('巡田', '收获对齐: 作物成熟，唤醒巡田', { module: 'farm', event: 'harvest_align', result: 'wakeup' });
+        await checkFarm();
+    };
+    farmScheduler.setTimeoutTask(taskName, Math.max(0, wakeAt - Date.now()), runWakeup);
 }
 
 async function getAvailableSeeds() {
@@ -1001,7 +1079,66 @@ async function getLandsDetail() {
     }
 }
 
-async function autoPlantEmptyLands(deadLandIds, emptyLandIds) {
+function formatPlantingRule(rule) {
+    if (!rule) return '账号策略';
+    if (rule.strategy === 'preferred') return getPlantNameBySeedId(rule.seedId) || `种子${rule.seedId}`;
+    return rule.strategy;
+}
+
+/**
+ * 按种植计划把待种土地分组，优先级：土地编号 > 土地类型 > 账号种植策略（rule 为 null）
+ */
+function groupLandsByPlantingPlan(landIds, landsMap) {
+    const plan = getPlantingPlan();
+    const groups = new Map();
+    for (const landId of landIds) {
+        const land = landsMap ? landsMap.get(landId) : null;
+        const rule = plan.lands[String(landId)]
+            || (land ? plan.landTypes[getLandTypeByLevel(land.level)] : null)
+            || null;
+        const key = rule ? `${rule.strategy}:${rule.seedId}` : '';
+        if (!groups.has(key)) groups.set(key, { rule, landIds: [] });
+        groups.get(key).landIds.push(landId);
+    }
+    // 账号策略的土地最后种，避免先花光金币导致计划作物买不起
+    return [...groups.values()].sort((a, b) => (a.rule ? 0 : 1) - (b.rule ? 0 : 1));
+}
+
+async function plantLandsByRule(landIds, rule, state) {
+    // 账号策略（沿用原有流程）
+    if (!rule) {
+        const strategy = getPlantingStrategy();
+        log('种植', `当前种植策略: ${strategy}`, {
+            module: 'farm', event: 'plant_strategy', strategy
+        });
+        if (strategy === 'bag_priority') {
+            const { handled } = await plantFromBagSeeds(landIds);
+            if (handled) return;
+            // 背包种子用完或空地不足，继续检查是否需要切换策略
+        }
+        await plantFromShop(landIds, state);
+        return;
+    }
+
+    log('种植', `种植计划: 土地 ${landIds.join(',')} → ${formatPlantingRule(rule)}`, {
+        module: 'farm', event: 'plant_plan', strategy: rule.strategy, seedId: rule.seedId, landIds
+    });
+    if (rule.strategy === 'bag_priority') {
+        const { handled } = await plantFromBagSeeds(landIds, { fromPlan: true });
+        if (!handled) await plantFromShop(landIds, state, { strategy: 'level', seedId: 0 });
+        return;
+    }
+    // 指定作物：背包里有该种子先用背包，不足的再从商店购买
+    let remaining = landIds;
+    if (rule.strategy === 'preferred') {
+        const { usedLandIds } = await plantFromBagSeeds(landIds, { fromPlan: true, seedId: rule.seedId });
+        const used = new Set(usedLandIds);
+        remaining = landIds.filter(id => !used.has(id));
+    }
+    if (remaining.length > 0) await plantFromShop(remaining, state, rule);
+}
+
+async function autoPlantEmptyLands(deadLandIds, emptyLandIds, landsMap = null) {
     const landsToPlant = [...emptyLandIds];
     const state = getUserState();
 
@@ -1023,27 +1160,24 @@ async function autoPlantEmptyLands(deadLandIds, emptyLandIds) {
 
     if (landsToPlant.length === 0) return;
 
-    const strategy = getPlantingStrategy();
-    log('种植', `当前种植策略: ${strategy}`, {
-        module: 'farm', event: 'plant_strategy', strategy
-    });
-
-    // 2. 背包种子优先模式
-    if (strategy === 'bag_priority') {
-        const planted = await plantFromBagSeeds(landsToPlant);
-        if (planted) return;
-        // 背包种子用完或空地不足，继续检查是否需要切换策略
+    // 2. 按种植计划分组种植，本次全部买种算作一轮种植预算，未配置计划的土地走账号策略（背包优先或商店购买）
+    beginSeedBudgetCycle();
+    for (const group of groupLandsByPlantingPlan(landsToPlant, landsMap)) {
+        await plantLandsByRule(group.landIds, group.rule, state);
     }
-
-    // 3. 非背包优先模式，或背包种子已用完，从商店购买
-    await plantFromShop(landsToPlant, state);
 }
 
 /**
  * 从背包种子种植
- * @returns {boolean} true=已种植或等待中，false=需要从商店购买
+ * @param {number[]} landsToPlant 待种土地
+ * @param {object} [options]
+ * @param {boolean} [options.fromPlan] 种植计划触发：背包没有可用种子时不切换账号策略
+ * @param {number} [options.seedId] 只使用该种子（种植计划指定的作物）
+ * @returns {Promise<{handled: boolean, usedLandIds: number[]}>} handled=true 已种植或等待中，false=需要从商店购买
  */
-async function plantFromBagSeeds(landsToPlant) {
+async function plantFromBagSeeds(landsToPlant, options = {}) {
+    const fromPlan = !!options.fromPlan;
+    const onlySeedId = toNum(options.seedId);
     const { getBagSeeds } = require('./warehouse');
 
     let bagSeeds;
@@ -1054,15 +1188,21 @@ async function plantFromBagSeeds(landsToPlant) {
         });
     } catch (e) {
         logWarn('背包', `获取背包种子失败: ${e.message}`);
-        return false;
+        return { handled: false, usedLandIds: [] };
+    }
+
+    if (onlySeedId > 0) {
+        bagSeeds = (bagSeeds || []).filter(seed => seed.seedId === onlySeedId);
+        if (bagSeeds.length === 0) return { handled: false, usedLandIds: [] };
     }
 
     if (!bagSeeds || bagSeeds.length === 0) {
+        if (fromPlan) return { handled: false, usedLandIds: [] };
         log('种植', '背包无种子，自动切换为最高等级策略', {
             module: 'farm', event: 'bag_empty', result: 'switch_strategy'
         });
         setPlantingStrategy(undefined, 'level');
-        return false;
+        return { handled: false, usedLandIds: [] };
     }
 
     // 按用户设置的优先级排序
@@ -1098,19 +1238,20 @@ async function plantFromBagSeeds(landsToPlant) {
         // 检查是否有 1x1 种子
         const has1x1Seeds = sortedSeeds.some(s => s.count > 0 && (s.plantSize || 1) === 1);
         if (!has1x1Seeds) {
+            if (fromPlan) return { handled: false, usedLandIds: [] };
             log('种植', '背包无可用 1x1 种子，自动切换为最高等级策略', {
                 module: 'farm', event: 'bag_seeds_exhausted', result: 'switch_strategy'
             });
             setPlantingStrategy(undefined, 'level');
-            return false;
+            return { handled: false, usedLandIds: [] };
         }
-        return true;
+        return { handled: true, usedLandIds: [] };
     }
 
     // 计算能种多少
     const needCount = Math.min(landsToPlant.length, availableSeed.count);
     if (needCount <= 0) {
-        return true;
+        return { handled: true, usedLandIds: [] };
     }
 
     // 种植背包种子
@@ -1128,7 +1269,7 @@ async function plantFromBagSeeds(landsToPlant) {
         plantedLands = plantedLandIds;
     } catch (e) {
         logWarn('种植', `背包种子种植失败: ${e.message}`);
-        return false;
+        return { handled: false, usedLandIds: [] };
     }
 
     const isEvent = availableSeed.requiredLevel >= 200;
@@ -1148,7 +1289,7 @@ async function plantFromBagSeeds(landsToPlant) {
 
     // 施肥
     await runFertilizerByConfig(plantedLands);
-    return true;
+    return { handled: true, usedLandIds: landsToUse };
 }
 
 /**
@@ -1187,18 +1328,74 @@ function sortBagSeedsByPriority(bagSeeds, priority) {
  * row3:  4     8    12    16    20    24
  */
 
+/**
+ * 种子需要购买的数量，大尺寸作物按占地合并
+ */
+function getSeedNeedCount(seed, landCount) {
+    const plantSize = getPlantSizeBySeedId(seed.seedId);
+    return Math.floor(landCount / (plantSize * plantSize));
+}
+
+/**
+ * 预算内回退：按策略排名取第一个能种满全部空地的种子，都种不满时取能种最多地的
+ * @param {object[]} ranked 策略排序后的可购买种子
+ * @param {number} landCount 待种土地数
+ * @param {number} budget 可花金币
+ */
+function pickSeedWithinBudget(ranked, landCount, budget) {
+    let best = null;
+    let bestLands = 0;
+    for (const seed of ranked) {
+        const needCount = getSeedNeedCount(seed, landCount);
+        if (needCount <= 0) continue;
+        const canBuy = seed.price > 0 ? Math.min(needCount, Math.floor(budget / seed.price)) : needCount;
+        if (canBuy === needCount) return seed;
+        const plantSize = getPlantSizeBySeedId(seed.seedId);
+        const lands = canBuy * plantSize * plantSize;
+        if (lands > bestLands) {
+            best = seed;
+            bestLands = lands;
+        }
+    }
+    return best;
+}
+
+const SEED_BUDGET_REASONS = {
+    reserve: '保留金币',
+    daily: '每日买种上限',
+    cycle: '每轮买种上限',
+};
+
 /**
  * 从商店购买种子并种植
+ * @param {number[]} landsToPlant 待种土地
+ * @param {object} state 用户状态，购买后扣减金币
+ * @param {object|null} rule 种植计划规则，为空时使用账号种植策略
  */
-async function plantFromShop(landsToPlant, state) {
-    let bestSeed;
+async function plantFromShop(landsToPlant, state, rule = null) {
+    let found;
     try {
-        bestSeed = await findBestSeed();
+        found = await findBestSeed(rule);
     } catch (e) {
         logWarn('商店', `查询失败: ${e.message}`);
         return;
     }
-    if (!bestSeed) return;
+    if (!found || !found.best) return;
+    let bestSeed = found.best;
+
+    // 预算不足以按最佳种子种满时，按设置回退到排名靠后的便宜种子
+    const { amount: budget, reason: budgetReason } = getSeedBudgetAllowance(state.gold);
+    let budgetLimited = false;
+    if (budgetReason && bestSeed.price * getSeedNeedCount(bestSeed, landsToPlant.length) > budget) {
+        budgetLimited = true;
+        const fallback = getSeedBudgetRules().fallback ? pickSeedWithinBudget(found.ranked, landsToPlant.length, budget) : null;
+        if (fallback && fallback !== bestSeed) {
+            log('商店', `买种预算剩余 ${budget} 金币（${SEED_BUDGET_REASONS[budgetReason]}），${getPlantNameBySeedId(bestSeed.seedId)} 种不满，改种 ${getPlantNameBySeedId(fallback.seedId)}`, {
+                module: 'warehouse', event: 'seed_budget', result: 'fallback', reason: budgetReason, budget, seedId: fallback.seedId, fromSeedId: bestSeed.seedId,
+            });
+            bestSeed = fallback;
+        }
+    }
 
     const seedName = getPlantNameBySeedId(bestSeed.seedId);
     const growTime = getPlantGrowTime(1020000 + (bestSeed.seedId - 20000));
@@ -1225,12 +1422,21 @@ async function plantFromShop(landsToPlant, state) {
         }
     }
     const totalCost = bestSeed.price * needCount;
-    if (totalCost > state.gold) {
-        logWarn('商店', `金币不足! 需要 ${totalCost} 金币, 当前 ${state.gold} 金币`, {
-            module: 'farm', event: 'seed_buy_skip', result: 'insufficient_gold', need: totalCost, current: state.gold
-        });
-        const canBuy = Math.floor(state.gold / bestSeed.price);
-        if (canBuy <= 0) return;
+    if (totalCost > budget) {
+        if (budgetReason) {
+            logWarn('商店', `买种预算不足! 需要 ${totalCost} 金币, 受${SEED_BUDGET_REASONS[budgetReason]}限制本次最多花 ${budget} 金币`, {
+                module: 'warehouse', event: 'seed_budget', result: 'limited', reason: budgetReason, need: totalCost, budget,
+            });
+        } else {
+            logWarn('商店', `金币不足! 需要 ${totalCost} 金币, 当前 ${state.gold} 金币`, {
+                module: 'farm', event: 'seed_buy_skip', result: 'insufficient_gold', need: totalCost, current: state.gold
+            });
+        }
+        const canBuy = Math.floor(budget / bestSeed.price);
+        if (canBuy <= 0) {
+            if (budgetReason) markSeedBudgetLimited();
+            return;
+        }
         needCount = canBuy;
         log('商店', plantSize > 1 ? `金币有限，只尝试种植 ${canBuy} 组 ${plantSize}x${plantSize} 作物` : `金币有限，只种 ${canBuy} 块地`);
     }
@@ -1243,11 +1449,14 @@ async function plantFromShop(landsToPlant, state) {
             const gotId = toNum(gotItem.id);
             if (gotId > 0) actualSeedId = gotId;
         }
+        let spent = 0;
         if (buyReply.cost_items) {
             for (const item of buyReply.cost_items) {
-                state.gold -= toNum(item.count);
+                spent += toNum(item.count);
             }
+            state.gold -= spent;
         }
+        recordSeedSpend(spent || bestSeed.price * needCount, budgetLimited);
         const boughtName = getPlantNameBySeedId(actualSeedId);
         log('购买', `已购买 ${boughtName}种子 x${needCount}, 花费 ${bestSeed.price * needCount} 金币`, {
             module: 'warehouse',
@@ -1279,6 +1488,10 @@ async function plantFromShop(landsToPlant, state) {
         if (planted > 0) {
             plantedLands = plantedLandIds;
             recordOperation('plant', planted);
+            // 按实际种下的作物计算成熟时间，预算回退或商店换发的种子与选种结果可能不同
+            if (isAutomationOn('farm_harvest_align')) {
+                scheduleAlignedHarvestWakeup(getSeedMatureSec(actualSeedId, { fertilized: isNormalFertilizerEnabled() }));
+            }
         }
     } catch (e) {
         logWarn('种植', e.message);
@@ -1325,6 +1538,7 @@ function analyzeLands(lands) {
         harvestable: [], needWater: [], needWeed: [], needBug: [],
         growing: [], empty: [], dead: [], unlockable: [], upgradable: [],
         harvestableInfo: [],
+        maturing: [], // 生长中土地的成熟时间 { landId, matureAt }（服务器时间，秒）
     };
 
     const nowSec = getServerTimeSec();
@@ -1401,11 +1615,21 @@ function analyzeLands(lands) {
         }
 
         result.growing.push(id);
+        // 刚到成熟时间但服务端还没切到成熟阶段的也保留，稍后再收
+        const matureAt = getLandMatureTimeSec(plant.phases);
+        if (matureAt > nowSec - MATURE_STALE_SEC) {
+            result.maturing.push({ landId: id, matureAt });
+        }
     }
 
     return result;
 }
 
+function getLandMatureTimeSec(phases) {
+    const mature = (phases || []).find(p => toNum(p.phase) === PlantPhase.MATURE);
+    return mature ? toTimeSec(mature.begin_time) : 0;
+}
+
 function buildLandMap(lands) {
     const map = new Map();
     const list = Array.isArray(lands) ? lands : [];
@@ -1534,6 +1758,7 @@ async function runFarmOperation(opType, options = {}) {
 
     const lands = landsReply.lands;
     const status = analyzeLands(lands);
+    landReplyUpdates.clear();
 
     // 摘要
     const statusParts = [];
@@ -1648,7 +1873,7 @@ async function runFarmOperation(opType, options = {}) {
         if (allDeadLands.length > 0 || allEmptyLands.length > 0) {
             try {
                 const plantCount = allDeadLands.length + allEmptyLands.length;
-                await autoPlantEmptyLands(allDeadLands, allEmptyLands);
+                await autoPlantEmptyLands(allDeadLands, allEmptyLands, buildLandMap(lands));
                 actions.push(`种植${plantCount}`);
                 recordOperation('plant', plantCount);
             } catch (e) { logWarn('种植', e.message); }
@@ -1717,6 +1942,14 @@ async function runFarmOperation(opType, options = {}) {
         }
     }
 
+    const preciseHarvest = isAutomationOn('farm_precise_harvest');
+    const antiSteal = isAutomationOn('farm_anti_steal');
+    if (farmLoopRunning && (preciseHarvest || antiSteal)) {
+        const maturing = mergeMaturingLands(status.maturing);
+        if (preciseHarvest) refreshMaturityHarvests(maturing);
+        if (antiSteal) refreshAntiStealGuard(maturing);
+    }
+
     // 日志
     const actionStr = actions.length > 0 ? ` → ${actions.join('/')}` : '';
     if (actions.length > 0) {
@@ -1770,6 +2003,187 @@ async function runSingleLandOperation(payload = {}) {
     throw new Error(`不支持的单地块操作: ${action || 'unknown'}`);
 }
 
+// ============ 成熟定时收获 ============
+const MATURE_TASK_PREFIX = 'harvest_at_';
+const MATURE_GROUP_WINDOW_SEC = 10; // 成熟时间相差不超过该值的土地合并为一次收获
+const MATURE_HARVEST_DELAY_MS = 2000; // 成熟后稍等再收获，避免服务端尚未切换到成熟阶段
+const MATURE_RETRY_MS = 3000;
+let lastMaturitySignature = '';
+
+function groupMaturingLands(maturing) {
+    const sorted = [...maturing].sort((a, b) => a.matureAt - b.matureAt);
+    const groups = [];
+    for (const item of sorted) {
+        const last = groups.at(-1);
+        if (last && item.matureAt - last.firstAt <= MATURE_GROUP_WINDOW_SEC) {
+            last.landIds.push(item.landId);
+            last.matureAt = item.matureAt;
+        } else {
+            groups.push({ firstAt: item.matureAt, matureAt: item.matureAt, landIds: [item.landId] });
+        }
+    }
+    return groups;
+}
+
+function clearMaturityHarvests() {
+    for (const name of farmScheduler.getTaskNames()) {
+        if (name.startsWith(MATURE_TASK_PREFIX)) farmScheduler.clear(name);
+    }
+}
+
+async function runMaturityHarvest(taskName, group) {
+    if (!farmLoopRunning || !isAutomationOn('farm_precise_harvest')) return;
+    if (isCheckingFarm) {
+        farmScheduler.setTimeoutTask(taskName, MATURE_RETRY_MS, () => runMaturityHarvest(taskName, group));
+        return;
+    }
+    log('巡田', `定时收获: 土地#${group.landIds.join(',')} 已成熟`, {
+        module: 'farm', event: 'harvest_schedule', result: 'trigger', landIds: group.landIds,
+    });
+    await checkFarm();
+}
+
+/**
+ * 取各土地的成熟时间：收获、种植、施肥的回复带有变化后的土地，用它们替换巡田开始时的分析结果，
+ * 不必再拉取一次全部土地
+ * @param {Array<{landId: number, matureAt: number}>} maturing 本轮巡田开始时分析出的成熟时间
+ */
+function mergeMaturingLands(maturing) {
+    const list = maturing || [];
+    if (landReplyUpdates.size === 0) return list;
+    const updated = [...landReplyUpdates.values()];
+    landReplyUpdates.clear();
+    const changedIds = new Set(updated.map(land => toNum(land.id)));
+    return [...list.filter(item => !changedIds.has(item.landId)), ...analyzeLands(updated).maturing];
+}
+
+/**
+ * 按每块土地的成熟时间重新登记定时收获，一组成熟时间相近的土地对应一个一次性任务
+ * @param {Array<{landId: number, matureAt: number}>} maturing 各土地的成熟时间
+ */
+function refreshMaturityHarvests(maturing) {
+    clearMaturityHarvests();
+    const groups = groupMaturingLands(maturing);
+    const nowSec = getServerTimeSec();
+    for (const group of groups) {
+        const matureAtMs = Date.now() + Math.max(0, group.matureAt - nowSec) * 1000;
+        const wakeAt = matureAtMs + MATURE_HARVEST_DELAY_MS;
+        const taskName = `${MATURE_TASK_PREFIX}${group.matureAt}`;
+        farmScheduler.setTimeoutTask(taskName, Math.max(0, wakeAt - Date.now()), () => runMaturityHarvest(taskName, group));
+    }
+
+    const signature = groups.map(g => `${g.matureAt}:${g.landIds.join(',')}`).join(';');
+    if (signature && signature !== lastMaturitySignature) {
+        const next = groups[0];
+        log('巡田', `已安排 ${groups.length} 次定时收获，最近一次 ${formatGrowTime(Math.max(0, next.matureAt - nowSec))} 后 (土地#${next.landIds.join(',')})`, {
+            module: 'farm', event: 'harvest_schedule', result: 'scheduled', groups: groups.length, nextAt: next.matureAt,
+        });
+    }
+    lastMaturitySignature = signature;
+}
+
+// ============ 防偷守护 ============
+const GUARD_TASK_PREFIX = 'steal_guard_';
+const GUARD_ALERT_WINDOW_SEC = 10 * 60; // 警戒期间距成熟不超过该值的土地也纳入守护
+const GUARD_ALERT_POLL_MS = 30 * 1000; // 警戒期间尚未临近成熟时的巡田间隔
+const GUARD_HARVEST_DELAY_MS = 1000;
+const GUARD_HARVEST_RETRIES = 3; // 服务端可能稍晚才切换到成熟阶段，定点收获失败后的重试次数
+let lastGuardSignature = '';
+
+function clearAntiStealGuard() {
+    for (const name of farmScheduler.getTaskNames()) {
+        if (name.startsWith(GUARD_TASK_PREFIX)) farmScheduler.clear(name);
+    }
+}
+
+async function runGuardCheck(taskName) {
+    if (!farmLoopRunning || !isAutomationOn('farm_anti_steal')) return;
+    if (isCheckingFarm) {
+        farmScheduler.setTimeoutTask(taskName, MATURE_RETRY_MS, () => runGuardCheck(taskName));
+        return;
+    }
+    await checkFarm();
+}
+
+/**
+ * 成熟时刻直接收获守护中的土地，不先拉取全部土地；收获后巡田一次补种并重新安排守护
+ */
+async function runGuardHarvest(taskName, landIds, attempt = 0) {
+    if (!farmLoopRunning || !isAutomationOn('farm_anti_steal')) return;
+    if (isCheckingFarm) {
+        farmScheduler.setTimeoutTask(taskName, MATURE_RETRY_MS, () => runGuardHarvest(taskName, landIds, attempt));
+        return;
+    }
+    try {
+        await harvest(landIds);
+        log('防偷', `土地#${landIds.join(',')} 成熟即收`, {
+            module: 'farm', event: 'anti_steal', result: 'harvest', landIds,
+        });
+        recordOperation('harvest', landIds.length);
+        networkEvents.emit('farmHarvested', { count: landIds.length, landIds: [...landIds], opType: 'guard' });
+    } catch (e) {
+        if (attempt < GUARD_HARVEST_RETRIES) {
+            farmScheduler.setTimeoutTask(taskName, MATURE_RETRY_MS, () => runGuardHarvest(taskName, landIds, attempt + 1));
+            return;
+        }
+        logWarn('防偷', `土地#${landIds.join(',')} 定点收获失败: ${e.message}`, {
+            module: 'farm', event: 'anti_steal', result: 'harvest_error', landIds,
+        });
+    }
+    await checkFarm();
+}
+
+/**
+ * 按最近成熟的土地安排防偷守护：距成熟不超过守护窗口时在成熟时刻直接收获这些土地，
+ * 否则在进入窗口时巡田一次确认成熟时间；警戒期间 10 分钟内成熟的土地按较短间隔巡田。
+ * 防偷守护不受静默时段限制，每次巡田结束都会重新调用，直到土地被收获。
+ * @param {Array<{landId: number, matureAt: number}>} maturing 各土地的成熟时间
+ */
+function refreshAntiStealGuard(maturing) {
+    clearAntiStealGuard();
+    const nowSec = getServerTimeSec();
+    const list = maturing || [];
+    if (list.length === 0) {
+        lastGuardSignature = '';
+        return;
+    }
+    const nextAt = Math.min(...list.map(item => item.matureAt));
+    const group = list.filter(item => item.matureAt - nextAt <= MATURE_GROUP_WINDOW_SEC);
+    const landIds = group.map(item => item.landId);
+    const remainingMs = (nextAt - nowSec) * 1000;
+    const windowSec = Number(getAutomation().farm_anti_steal_window) || 30;
+    const alert = isAntiStealAlert();
+
+    let delayMs;
+    let mode;
+    if (nextAt - nowSec <= windowSec) {
+        // 一组土地按最晚成熟的时间收获；已过成熟时间的稍后即收，失败时由 runGuardHarvest 重试
+        const harvestAt = Math.max(...group.map(item => item.matureAt));
+        delayMs = Math.max(0, harvestAt - nowSec) * 1000 + GUARD_HARVEST_DELAY_MS;
+        mode = 'guard';
+    } else if (alert && nextAt - nowSec <= GUARD_ALERT_WINDOW_SEC) {
+        delayMs = Math.min(GUARD_ALERT_POLL_MS, remainingMs - windowSec * 1000);
+        mode = 'alert';
+    } else {
+        delayMs = remainingMs - windowSec * 1000;
+        mode = 'arm';
+    }
+    const taskName = `${GUARD_TASK_PREFIX}${mode}`;
+    farmScheduler.setTimeoutTask(taskName, Math.max(0, delayMs), mode === 'guard'
+        ? () => runGuardHarvest(taskName, landIds)
+        : () => runGuardCheck(taskName));
+
+    const signature = `${mode}:${nextAt}`;
+    if (signature !== lastGuardSignature && mode !== 'arm') {
+        log('防偷', mode === 'guard'
+            ? `土地#${landIds.join(',')} ${formatGrowTime(Math.max(0, nextAt - nowSec))} 后成熟，成熟即收`
+            : `警戒中，土地#${landIds.join(',')} ${formatGrowTime(nextAt - nowSec)} 后成熟，缩短巡田间隔`, {
+            module: 'farm', event: 'anti_steal', result: mode, landIds, nextAt,
+        });
+    }
+    lastGuardSignature = signature;
+}
+
 function scheduleNextFarmCheck(delayMs = CONFIG.farmCheckInterval) {
     if (externalSchedulerMode) return;
     if (!farmLoopRunning) return;
@@ -1810,6 +2224,8 @@ function onLandsChangedPush(lands) {
 
 function stopFarmCheckLoop() {
     farmLoopRunning = false;
+    lastMaturitySignature = '';
+    lastGuardSignature = '';
     externalSchedulerMode = false;
     farmScheduler.clearAll();
     networkEvents.removeListener('landsChanged', onLandsChangedPush);
@@ -1831,6 +2247,7 @@ module.exports = {
     runFarmOperation, // 导出新函数
     runSingleLandOperation,
     runFertilizerByConfig,
+    analyzeLands,
     buildLandMap,
     getDisplayLandContext,
     isOccupiedSlaveLand,
@@ -0,0 +1,70 @@
+/**
+ * 收获对齐选种 - 让作物在巡田前刚好成熟，减少成熟后无人收获、暴露给好友偷菜的时间
+ *
+ * 暴露时间 = 成熟到下一次巡田之间的等待，按巡田间隔推算。
+ * 好友静默时段只暂停好友操作，自己农场照常收获，因此不参与计算。
+ */
+
+const { getPlantBySeedId } = require('../config/gameConfig');
+const { parseGrowTime, parseNormalFertilizerReduceSec } = require('./analytics');
+
+// 暴露时间不超过该值即视为已对齐，按策略排名取第一个
+const ALIGN_TOLERANCE_SEC = 60;
+// 只在策略排名靠前的这些作物里对齐，避免为对齐牺牲太多收益
+const ALIGN_CANDIDATE_LIMIT = 5;
+
+/**
+ * 种子从种下到第一次成熟的秒数（多季作物只算第一季）
+ * @param {number} seedId 种子 ID
+ * @param {{fertilized?: boolean}} [options] fertilized 为 true 时扣除一次普通化肥的加速
+ */
+function getSeedMatureSec(seedId, options = {}) {
+    const plant = getPlantBySeedId(seedId);
+    if (!plant || !plant.grow_phases) return 0;
+    const growSec = parseGrowTime(plant.grow_phases, 1);
+    if (!options.fertilized) return growSec;
+    return Math.max(1, growSec - parseNormalFertilizerReduceSec(plant.grow_phases, 1));
+}
+
+/**
+ * 估算作物成熟后要等多久才会被收获
+ * @param {number} matureSec 生长秒数
+ * @param {{intervalSec: number}} options intervalSec 为巡田间隔（秒）
+ * @returns {number} 暴露秒数
+ */
+function estimateExposureSec(matureSec, options) {
+    const intervalSec = Math.max(1, Number(options.intervalSec) || 1);
+    const nextCheckSec = Math.ceil(matureSec / intervalSec) * intervalSec;
+    return nextCheckSec - matureSec;
+}
+
+/**
+ * 从按策略排好序的候选种子中挑选收获时间对齐的一个，都对不齐时取等待最短的
+ * @param {Array<{seedId: number}>} ranked 策略排序后的候选（排名靠前收益更高）
+ * @param {{intervalSec: number, fertilized?: boolean}} options
+ * @returns {{seed: object, matureSec: number, exposureSec: number, aligned: boolean}|null} 选中的种子；aligned 为 false 表示没有能对齐的，取等待最短的
+ */
+function pickAlignedSeed(ranked, options) {
+    const scored = [];
+    for (const seed of ranked.slice(0, ALIGN_CANDIDATE_LIMIT)) {
+        const matureSec = getSeedMatureSec(seed.seedId, { fertilized: !!options.fertilized });
+        if (matureSec <= 0) continue;
+        const exposureSec = estimateExposureSec(matureSec, options);
+        if (exposureSec <= ALIGN_TOLERANCE_SEC) {
+            return { seed, matureSec, exposureSec, aligned: true };
+        }
+        scored.push({ seed, matureSec, exposureSec, aligned: false });
+    }
+
+    let best = null;
+    for (const item of scored) {
+        if (!best || item.exposureSec < best.exposureSec) best = item;
+    }
+    return best;
+}
+
+module.exports = {
+    getSeedMatureSec,
+    estimateExposureSec,
+    pickAlignedSeed,
+};
@@ -1,18 +1,22 @@
 const { Buffer } = require('node:buffer');
 const WebSocket = require('ws');
 const { CONFIG } = require('../config/config');
+const { DEFAULT_USER_AGENT } = require('../utils/device-profile');
 const { loadProto, types } = require('../utils/proto');
+const { createProxyAgent } = require('../utils/proxy');
 const { toLong, toNum } = require('../utils/utils');
 const cryptoWasm = require('../utils/crypto-wasm');
 
-function buildDeviceInfo() {
+// 账号设备信息中的字段优先，未填写的沿用全局 device_info
+function buildDeviceInfo(profile = null) {
     const cfg = (CONFIG.device_info && typeof CONFIG.device_info === 'object') ? CONFIG.device_info : {};
+    const own = (profile && typeof profile === 'object') ? profile : {};
     return {
         client_version: String(CONFIG.clientVersion || cfg.client_version || ''),
-        sys_software: String(cfg.sys_software || 'iOS 26.2.1'),
-        network: String(cfg.network || 'wifi'),
-        memory: String(cfg.memory || '7672'),
-        device_id: String(cfg.device_id || 'iPhone X<iPhone18,3>'),
+        sys_software: String(own.sys_software || cfg.sys_software || 'iOS 26.2.1'),
+        network: String(own.network || cfg.network || 'wifi'),
+        memory: String(own.memory || cfg.memory || '7672'),
+        device_id: String(own.device_id || cfg.device_id || 'iPhone X<iPhone18,3>'),
     };
 }
 
@@ -47,7 +51,8 @@ async function fetchProfileByCode(code, options = {}) {
 
     const timeoutMs = Math.max(1000, Number(options.timeoutMs) || 10000);
     const platform = String(options.platform || CONFIG.platform || 'qq');
-    const os = String(options.os || CONFIG.os || 'iOS');
+    const device = (options.device && typeof options.device === 'object') ? options.device : {};
+    const os = String(options.os || device.os || CONFIG.os || 'iOS');
     const clientVersion = String(options.clientVersion || CONFIG.clientVersion || '');
     const url = `${CONFIG.serverUrl}?platform=${encodeURIComponent(platform)}&os=${encodeURIComponent(os)}&ver=${encodeURIComponent(clientVersion)}&code=${encodeURIComponent(loginCode)}&openID=`;
 
@@ -87,14 +92,19 @@ async function fetchProfileByCode(code, options = {}) {
             finish(new Error('获取账号资料超时'));
         }, timeoutMs);
 
-        ws = new WebSocket(url);
+        const agent = createProxyAgent(options.proxy, { secure: url.startsWith('wss:') });
+        // 与 worker 使用相同的 User-Agent，添加账号时查询资料与之后运行看起来是同一台设备
+        ws = new WebSocket(url, {
+            agent: agent || undefined,
+            headers: { 'User-Agent': device.userAgent || DEFAULT_USER_AGENT },
+        });
 
         ws.on('open', async () => {
             try {
                 const loginBody = types.LoginRequest.encode(types.LoginRequest.create({
                     sharer_id: toLong(0),
                     sharer_open_id: '',
-                    device_info: buildDeviceInfo(),
+                    device_info: buildDeviceInfo(device),
                     share_cfg_id: toLong(0),
                     scene_id: '1256',
                     report_data: {
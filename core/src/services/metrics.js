@@ -0,0 +1,92 @@
+/**
+ * 运行指标 - worker 内记录请求耗时/失败次数，主进程汇总后以 Prometheus 文本格式输出
+ */
+
+// 请求耗时直方图分桶 (ms)
+const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+const BACKSLASH_PATTERN = /\\/g;
+const NEWLINE_PATTERN = /\n/g;
+const QUOTE_PATTERN = /"/g;
+
+const requestStats = new Map(); // `${service}.${method}` -> { service, method, count, errors, timeouts, sumMs, buckets }
+
+/**
+ * 记录一次 sendMsgAsync 请求；outcome: ok | error | timeout
+ */
+function observeRequest(serviceName, methodName, durationMs, outcome = 'ok') {
+    const service = String(serviceName || 'unknown');
+    const method = String(methodName || 'unknown');
+    const key = `${service}.${method}`;
+    let item = requestStats.get(key);
+    if (!item) {
+        item = { service, method, count: 0, errors: 0, timeouts: 0, sumMs: 0, buckets: LATENCY_BUCKETS_MS.map(() => 0) };
+        requestStats.set(key, item);
+    }
+    item.count += 1;
+    if (outcome === 'timeout') item.timeouts += 1;
+    else if (outcome !== 'ok') item.errors += 1;
+    const ms = Math.max(0, Number(durationMs) || 0);
+    item.sumMs += ms;
+    // 累积分桶，与 Prometheus histogram 的 le 语义一致
+    LATENCY_BUCKETS_MS.forEach((le, index) => {
+        if (ms <= le) item.buckets[index] += 1;
+    });
+}
+
+function getRequestMetrics() {
+    return Array.from(requestStats.values(), item => ({ ...item, buckets: [...item.buckets] }));
+}
+
+// 按命名空间汇总 getSchedulerRegistrySnapshot() 的任务数/执行中/累计执行次数
+function summarizeSchedulers(snapshot) {
+    const list = (snapshot && Array.isArray(snapshot.schedulers)) ? snapshot.schedulers : [];
+    return list.map(item => ({
+        namespace: item.namespace,
+        taskCount: item.taskCount,
+        runningCount: item.tasks.filter(task => task.running).length,
+        runCount: item.tasks.reduce((sum, task) => sum + task.runCount, 0),
+    }));
+}
+
+function escapeLabelValue(value) {
+    return String(value ?? '').replace(BACKSLASH_PATTERN, '\\\\').replace(NEWLINE_PATTERN, '\\n').replace(QUOTE_PATTERN, '\\"');
+}
+
+function formatValue(value) {
+    const n = Number(value);
+    if (Number.isNaN(n)) return 'NaN';
+    if (n === Number.POSITIVE_INFINITY) return '+Inf';
+    if (n === Number.NEGATIVE_INFINITY) return '-Inf';
+    return String(n);
+}
+
+function formatLabels(labels) {
+    const parts = Object.entries(labels || {}).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+    return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * 输出 Prometheus 文本格式
+ * families: [{ name, help, type, samples: [{ labels, value, suffix }] }]
+ */
+function renderPrometheus(families) {
+    const lines = [];
+    for (const family of families) {
+        if (!family || !Array.isArray(family.samples)) continue;
+        lines.push(`# HELP ${family.name} ${String(family.help || '').replace(NEWLINE_PATTERN, ' ')}`);
+        lines.push(`# TYPE ${family.name} ${family.type || 'gauge'}`);
+        for (const sample of family.samples) {
+            lines.push(`${family.name}${sample.suffix || ''}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    LATENCY_BUCKETS_MS,
+    observeRequest,
+    getRequestMetrics,
+    summarizeSchedulers,
+    renderPrometheus,
+};
@@ -4,6 +4,7 @@ const { Buffer } = require('node:buffer');
  */
 const axios = require('axios');
 const QRCode = require('qrcode');
+const { buildAxiosProxyConfig } = require('../utils/proxy');
 const { CookieUtils, HashUtils } = require('../utils/qrutils');
 
 const ChromeUA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
@@ -28,7 +29,7 @@ class QRLoginSession {
         },
     };
 
-    static async requestQRCode(presetKey = 'vip') {
+    static async requestQRCode(presetKey = 'vip', options = {}) {
         const config = this.Presets[presetKey] || this.Presets.vip;
 
         const params = new URLSearchParams({
@@ -48,6 +49,7 @@ class QRLoginSession {
 
         try {
             const response = await axios.get(url, {
+                ...buildAxiosProxyConfig(options.proxy),
                 responseType: 'arraybuffer',
                 headers: {
                     'Referer': config.referrer || `https://xui.ptlogin2.qq.com/`,
@@ -66,7 +68,7 @@ class QRLoginSession {
         }
     }
 
-    static async checkStatus(qrsig, presetKey = 'vip') {
+    static async checkStatus(qrsig, presetKey = 'vip', options = {}) {
         const config = this.Presets[presetKey] || this.Presets.vip;
         const ptqrtoken = HashUtils.hash(qrsig);
 
@@ -87,6 +89,7 @@ class QRLoginSession {
 
         try {
             const response = await axios.get(api, {
+                ...buildAxiosProxyConfig(options.proxy),
                 headers: {
                     'Cookie': `qrsig=${qrsig}`,
                     'Referer': config.referrer || 'https://xui.ptlogin2.qq.com/',
@@ -171,6 +174,7 @@ class MiniProgramLoginSession {
         try {
             const api = this.resolveApiConfig(options);
             const response = await axios.get(`${api.apiOrigin}/ide/devtoolAuth/GetLoginCode`, {
+                ...buildAxiosProxyConfig(options.proxy),
                 headers: this.getHeaders(api.apiDomain)
             });
 
@@ -203,6 +207,7 @@ class MiniProgramLoginSession {
         try {
             const api = this.resolveApiConfig(options);
             const response = await axios.get(`${api.apiOrigin}/ide/devtoolAuth/syncScanSateGetTicket?code=${code}`, {
+                ...buildAxiosProxyConfig(options.proxy),
                 headers: this.getHeaders(api.apiDomain)
             });
 
@@ -234,6 +239,7 @@ class MiniProgramLoginSession {
                 appid,
                 ticket
             }, {
+                ...buildAxiosProxyConfig(options.proxy),
                 headers: this.getHeaders(api.apiDomain)
             });
 
@@ -336,6 +336,17 @@ function getFriendOptimizer() {
     return globalFriendOptimizer;
 }
 
+// 各队列当前状态，仅包含已创建的队列（供运行指标上报）
+function getRateLimiterSnapshot() {
+    const list = [];
+    for (const [name, queue] of serviceQueues.entries()) {
+        list.push({ name: `service:${name}`, ...queue.getStatus() });
+    }
+    if (globalFarmOptimizer) list.push({ name: 'farm_optimizer', ...globalFarmOptimizer.getStatus() });
+    if (globalFriendOptimizer) list.push({ name: 'friend_optimizer', ...globalFriendOptimizer.getStatus() });
+    return list;
+}
+
 module.exports = {
     RequestQueue,
     TokenBucket,
@@ -345,5 +356,6 @@ module.exports = {
     BatchOperationOptimizer,
     getFarmOptimizer,
     getFriendOptimizer,
+    getRateLimiterSnapshot,
     DEFAULT_CONFIG,
 };
@@ -0,0 +1,120 @@
+/**
+ * 种子购买预算 - 保留金币、每日与每轮种植的买种上限
+ *
+ * 每日已花费由主进程按账号持久化，worker 启动时恢复，重启账号不会重置当天额度。
+ * 一轮种植指一次巡田中的全部买种，由 farm.js 在种植前开启。
+ */
+
+const { getAutomation } = require('../models/store');
+const { getDateKey } = require('./common');
+
+let spentDate = getDateKey();
+let spentToday = 0;
+let cycleSpent = 0;
+let lastCycle = null; // { at, spent, limited }
+let onSpend = null;
+
+function rolloverIfNeeded() {
+    const today = getDateKey();
+    if (spentDate !== today) {
+        spentDate = today;
+        spentToday = 0;
+    }
+}
+
+function getSeedBudgetRules() {
+    const auto = getAutomation() || {};
+    return {
+        enabled: !!auto.seed_budget,
+        reserveGold: Math.max(0, Number(auto.seed_budget_reserve) || 0),
+        dailyMax: Math.max(0, Number(auto.seed_budget_daily_max) || 0),
+        cycleMax: Math.max(0, Number(auto.seed_budget_cycle_max) || 0),
+        fallback: !!auto.seed_budget_fallback,
+    };
+}
+
+/**
+ * 恢复主进程保存的当天已花费
+ * @param {{date: string, spent: number}|null} saved
+ */
+function restoreSeedSpend(saved) {
+    rolloverIfNeeded();
+    if (saved && saved.date === spentDate) {
+        spentToday = Math.max(spentToday, Number(saved.spent) || 0);
+    }
+}
+
+function setSeedSpendSink(fn) {
+    onSpend = typeof fn === 'function' ? fn : null;
+}
+
+function beginSeedBudgetCycle() {
+    cycleSpent = 0;
+    lastCycle = null;
+}
+
+/**
+ * 本次买种最多可花的金币；未开启预算时即当前金币
+ * @param {number} gold 当前金币
+ * @returns {{amount: number, reason: string}} reason 为最先触达的限制：reserve / daily / cycle，未受限为空
+ */
+function getSeedBudgetAllowance(gold) {
+    const current = Math.max(0, Number(gold) || 0);
+    const rules = getSeedBudgetRules();
+    if (!rules.enabled) return { amount: current, reason: '' };
+    rolloverIfNeeded();
+
+    const limits = [{ amount: current - rules.reserveGold, reason: 'reserve' }];
+    if (rules.dailyMax > 0) limits.push({ amount: rules.dailyMax - spentToday, reason: 'daily' });
+    if (rules.cycleMax > 0) limits.push({ amount: rules.cycleMax - cycleSpent, reason: 'cycle' });
+    const tightest = limits.reduce((a, b) => (b.amount < a.amount ? b : a));
+    if (tightest.amount >= current) return { amount: current, reason: '' };
+    return { amount: Math.max(0, tightest.amount), reason: tightest.reason };
+}
+
+/**
+ * 记录一次买种花费
+ * @param {number} amount 花费金币
+ * @param {boolean} [limited] 本次购买是否因预算被削减或换成更便宜的种子
+ */
+function recordSeedSpend(amount, limited = false) {
+    const cost = Math.max(0, Number(amount) || 0);
+    rolloverIfNeeded();
+    spentToday += cost;
+    cycleSpent += cost;
+    lastCycle = {
+        at: Date.now(),
+        spent: cycleSpent,
+        limited: !!(limited || (lastCycle && lastCycle.limited)),
+    };
+    if (onSpend && cost > 0) onSpend({ date: spentDate, spent: spentToday });
+}
+
+/**
+ * 本轮预算不足、一颗种子也买不起时记录，用于面板提示
+ */
+function markSeedBudgetLimited() {
+    lastCycle = { at: Date.now(), spent: cycleSpent, limited: true };
+}
+
+function getSeedBudgetState() {
+    rolloverIfNeeded();
+    const rules = getSeedBudgetRules();
+    return {
+        ...rules,
+        date: spentDate,
+        spentToday,
+        lastCycle,
+    };
+}
+
+module.exports = {
+    getSeedBudgetRules,
+    restoreSeedSpend,
+    setSeedSpendSink,
+    beginSeedBudgetCycle,
+    getSeedBudgetAllowance,
+    recordSeedSpend,
+    markSeedBudgetLimited,
+    getSeedBudgetState,
+};
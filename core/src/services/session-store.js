@@ -0,0 +1,158 @@
+/**
+ * 面板登录会话 - 持久化、空闲超时与绝对过期
+ *
+ * 只保存 token 的 SHA-256 摘要，落盘数据泄露也无法直接冒用会话。
+ * lastSeenAt 的更新做节流合并写盘，避免每个请求都写一次。
+ */
+
+const crypto = require('node:crypto');
+
+const DOCUMENT_KEY = 'sessions';
+const TOUCH_PERSIST_INTERVAL_MS = 60 * 1000;
+const FLUSH_DELAY_MS = 5000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createSessionStore(options = {}) {
+    const { storage, getPolicy } = options;
+    const sessions = new Map(); // tokenHash -> session
+    let flushTimer = null;
+
+    for (const item of (storage.readDocument(DOCUMENT_KEY, () => []) || [])) {
+        if (item && item.tokenHash && item.id) sessions.set(item.tokenHash, { ...item });
+    }
+
+    function getExpiresAt(session) {
+        const policy = getPolicy();
+        return Math.min(
+            session.lastSeenAt + policy.idleTimeoutHours * 60 * 60 * 1000,
+            session.issuedAt + policy.maxAgeDays * 24 * 60 * 60 * 1000,
+        );
+    }
+
+    function persist() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        storage.writeDocument(DOCUMENT_KEY, Array.from(sessions.values()));
+    }
+
+    function schedulePersist() {
+        if (flushTimer) return;
+        flushTimer = setTimeout(persist, FLUSH_DELAY_MS);
+        if (flushTimer.unref) flushTimer.unref();
+    }
+
+    function prune(now = Date.now()) {
+        let removed = 0;
+        for (const [key, session] of sessions) {
+            if (getExpiresAt(session) > now) continue;
+            sessions.delete(key);
+            removed++;
+        }
+        if (removed > 0) persist();
+        return removed;
+    }
+
+    function issue({ username, builtin = false, ip = '', userAgent = '' }) {
+        const token = crypto.randomBytes(24).toString('hex');
+        const now = Date.now();
+        const session = {
+            id: crypto.randomBytes(8).toString('hex'),
+            tokenHash: hashToken(token),
+            username: String(username || ''),
+            builtin: !!builtin,
+            issuedAt: now,
+            lastSeenAt: now,
+            ip: String(ip || ''),
+            userAgent: String(userAgent || '').slice(0, 300),
+        };
+        sessions.set(session.tokenHash, session);
+        persist();
+        return { token, session };
+    }
+
+    // 校验 token 并刷新最近活跃时间，过期或不存在返回 null
+    function touch(token, meta = {}) {
+        if (!token) return null;
+        const key = hashToken(token);
+        const session = sessions.get(key);
+        if (!session) return null;
+        const now = Date.now();
+        if (getExpiresAt(session) <= now) {
+            sessions.delete(key);
+            persist();
+            return null;
+        }
+        const lastSeenAt = session.lastSeenAt;
+        session.lastSeenAt = now;
+        // userAgent 保持登录时的值，ip 记录最近一次访问来源
+        if (meta.ip) session.ip = String(meta.ip);
+        if (now - lastSeenAt >= TOUCH_PERSIST_INTERVAL_MS) schedulePersist();
+        return session;
+    }
+
+    function findByToken(token) {
+        return token ? (sessions.get(hashToken(token)) || null) : null;
+    }
+
+    function revokeWhere(predicate) {
+        const removed = [];
+        for (const [key, session] of sessions) {
+            if (!predicate(session)) continue;
+            sessions.delete(key);
+            removed.push(session.id);
+        }
+        if (removed.length > 0) persist();
+        return removed;
+    }
+
+    function revoke(id) {
+        return revokeWhere(session => session.id === String(id || '')).length > 0;
+    }
+
+    function revokeToken(token) {
+        const key = token ? hashToken(token) : '';
+        return revokeWhere(session => session.tokenHash === key).length > 0;
+    }
+
+    // 对外展示的会话信息（不含 token 摘要）
+    function toPublicSession(session) {
+        return {
+            id: session.id,
+            username: session.username,
+            builtin: !!session.builtin,
+            issuedAt: session.issuedAt,
+            lastSeenAt: session.lastSeenAt,
+            expiresAt: getExpiresAt(session),
+            ip: session.ip,
+            userAgent: session.userAgent,
+        };
+    }
+
+    function list() {
+        prune();
+        return Array.from(sessions.values(), toPublicSession).sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    }
+
+    prune();
+
+    return {
+        issue,
+        touch,
+        findByToken,
+        revoke,
+        revokeToken,
+        revokeWhere,
+        list,
+        prune,
+        flush: persist,
+    };
+}
+
+module.exports = {
+    createSessionStore,
+};
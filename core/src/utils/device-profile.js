@@ -0,0 +1,121 @@
+const crypto = require('node:crypto');
+/**
+ * 账号设备信息 - 登录请求中的 device_info、连接参数 os 与握手 User-Agent
+ *
+ * 账号设备设置为 { mode, profile }：global 使用全局运行时配置，custom 使用账号自己的 profile。
+ * 添加账号时可传 mode: 'random'，由 generateDeviceProfile 生成一次后按 custom 保存，之后不再变化。
+ */
+
+const DEVICE_MODES = ['global', 'custom'];
+const DEVICE_FIELDS = ['os', 'sys_software', 'network', 'memory', 'device_id', 'userAgent'];
+const MAX_FIELD_LENGTH = 80;
+const MAX_USER_AGENT_LENGTH = 512;
+
+// 未配置账号设备时沿用的握手 User-Agent（PC 微信小程序环境）
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/132.0.0.0 Safari/537.36 MicroMessenger/7.0.20.1781(0x6700143B) NetType/WIFI MiniProgramEnv/Windows WindowsWechat/WMPF WindowsWechat(0x63090a13)';
+
+// memory 为系统报告的可用内存 (MB)，与机型的物理内存对应
+const IOS_DEVICES = [
+    { name: 'iPhone 13', model: 'iPhone14,5', memory: ['3748'] },
+    { name: 'iPhone 14', model: 'iPhone14,7', memory: ['5734'] },
+    { name: 'iPhone 14 Pro', model: 'iPhone15,2', memory: ['5734'] },
+    { name: 'iPhone 15', model: 'iPhone15,4', memory: ['5734'] },
+    { name: 'iPhone 15 Pro', model: 'iPhone16,1', memory: ['7672'] },
+    { name: 'iPhone 15 Pro Max', model: 'iPhone16,2', memory: ['7672'] },
+    { name: 'iPhone 16', model: 'iPhone17,3', memory: ['7672'] },
+    { name: 'iPhone 16 Pro', model: 'iPhone17,1', memory: ['7672'] },
+    { name: 'iPhone 16 Pro Max', model: 'iPhone17,2', memory: ['7672'] },
+    { name: 'iPhone 17 Pro', model: 'iPhone18,1', memory: ['11888'] },
+];
+const IOS_VERSIONS = ['18.5', '18.6.2', '26.0.1', '26.1', '26.2.1'];
+
+const ANDROID_DEVICES = [
+    { name: 'Xiaomi 14', model: '23127PN0CC', memory: ['11580', '15542'] },
+    { name: 'Redmi K70', model: '23113RKC6C', memory: ['11580', '15542'] },
+    { name: 'OPPO Find X7', model: 'PHZ110', memory: ['11580', '15542'] },
+    { name: 'vivo X100', model: 'V2309A', memory: ['11580', '15542'] },
+    { name: 'OnePlus 12', model: 'PJD110', memory: ['11580', '15542'] },
+    { name: 'HONOR Magic6', model: 'BVL-AN00', memory: ['11580'] },
+];
+// 系统版本与对应的 Build 号，出现在 User-Agent 中
+const ANDROID_BUILDS = { 13: 'TKQ1.221114.001', 14: 'UKQ1.231108.001', 15: 'AQ3A.240912.001' };
+const ANDROID_VERSIONS = Object.keys(ANDROID_BUILDS);
+
+const NETWORKS = ['wifi', 'wifi', 'wifi', '5g', '4g'];
+
+function pick(list) {
+    return list[crypto.randomInt(list.length)];
+}
+
+function cleanField(value, maxLength = MAX_FIELD_LENGTH) {
+    return String(value ?? '').trim().slice(0, maxLength);
+}
+
+/**
+ * 清洗设备信息，全部字段为空时返回 null
+ */
+function normalizeDeviceProfile(input) {
+    if (!input || typeof input !== 'object') return null;
+    const profile = {};
+    for (const key of DEVICE_FIELDS) {
+        profile[key] = cleanField(input[key], key === 'userAgent' ? MAX_USER_AGENT_LENGTH : MAX_FIELD_LENGTH);
+    }
+    return DEVICE_FIELDS.some(key => profile[key]) ? profile : null;
+}
+
+function normalizeAccountDevice(input) {
+    const src = (input && typeof input === 'object') ? input : {};
+    const mode = DEVICE_MODES.includes(src.mode) ? src.mode : 'global';
+    const profile = mode === 'custom' ? normalizeDeviceProfile(src.profile) : null;
+    if (!profile) return { mode: 'global', profile: null };
+    return { mode, profile };
+}
+
+/**
+ * 账号实际使用的设备信息，null 表示使用全局配置
+ */
+function resolveAccountDevice(account) {
+    return normalizeAccountDevice(account && account.device).profile;
+}
+
+function buildUserAgent({ os, version, device, network, platform }) {
+    const netType = network === 'wifi' ? 'WIFI' : network.toUpperCase();
+    if (os === 'iOS') {
+        const webkit = `Mozilla/5.0 (iPhone; CPU iPhone OS ${version.replaceAll('.', '_')} like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148`;
+        return platform === 'wx'
+            ? `${webkit} MicroMessenger/8.0.61(0x18003d2b) NetType/${netType} Language/zh_CN`
+            : `${webkit} QQ/9.2.10.622 V1_IPH_SQ_9.2.10_1_APP_A Device/Apple(${device.name}) NetType/${netType} QBWebViewType/1 WKType/1`;
+    }
+    const webview = `Mozilla/5.0 (Linux; Android ${version}; ${device.model} Build/${ANDROID_BUILDS[version]}; wv) AppleWebKit/537.36 (KHTML, like Gecko) Version/4.0 Chrome/134.0.6998.136 Mobile Safari/537.36`;
+    return platform === 'wx'
+        ? `${webview} XWEB/1380085 MMWEBSDK/20250503 MicroMessenger/8.0.61.2880(0x28003D35) WeChat/arm64 Weixin NetType/${netType} Language/zh_CN ABI/arm64 MiniProgramEnv/android`
+        : `${webview} V1_AND_SQ_9.2.10_9958_YYB_D QQ/9.2.10.29175 NetType/${netType} WebP/0.4.1 AppId/537287845 Pixel/1080 StatusBarHeight/96 SimpleUISwitch/0 QQTheme/1000 StudyMode/0 CurrentMode/0 CurrentFontScale/1.0 GlobalDensityScale/0.9 AllowLandscape/false InMagicWin/0`;
+}
+
+/**
+ * 随机生成一套前后一致的设备信息（机型、系统版本、内存、网络与 User-Agent 相互匹配）
+ * @param {string} platform qq 或 wx，决定 User-Agent 使用的宿主 App
+ * @returns {object} 可直接保存为账号 device.profile 的设备信息
+ */
+function generateDeviceProfile(platform = 'qq') {
+    const os = crypto.randomInt(3) === 0 ? 'Android' : 'iOS';
+    const device = pick(os === 'iOS' ? IOS_DEVICES : ANDROID_DEVICES);
+    const version = pick(os === 'iOS' ? IOS_VERSIONS : ANDROID_VERSIONS);
+    const network = pick(NETWORKS);
+    return {
+        os,
+        sys_software: `${os} ${version}`,
+        network,
+        memory: pick(device.memory),
+        device_id: `${device.name}<${device.model}>`,
+        userAgent: buildUserAgent({ os, version, device, network, platform: platform === 'wx' ? 'wx' : 'qq' }),
+    };
+}
+
+module.exports = {
+    DEFAULT_USER_AGENT,
+    normalizeDeviceProfile,
+    normalizeAccountDevice,
+    resolveAccountDevice,
+    generateDeviceProfile,
+};
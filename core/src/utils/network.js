@@ -4,13 +4,18 @@ const EventEmitter = require('node:events');
  * WebSocket 网络层 - 连接/消息编解码/登录/心跳
  */
 
-const process = require('node:process');
 const WebSocket = require('ws');
 const { CONFIG } = require('../config/config');
+const { applyPendingGameData } = require('../config/game-data');
+const { observeRequest } = require('../services/metrics');
 const { createScheduler } = require('../services/scheduler');
+const { DEFAULT_USER_AGENT } = require('./device-profile');
 const { updateStatusFromLogin, updateStatusGold, updateStatusLevel } = require('../services/status');
 const { recordOperation } = require('../services/stats');
 const { types } = require('./proto');
+const { createProxyAgent } = require('./proxy');
+const { inspectFailure, inspectRequest, inspectResponse } = require('./rpc-inspector');
+const { recordOutgoing, recordIncoming } = require('./traffic-recorder');
 const { toLong, toNum, syncServerTime, log, logWarn } = require('./utils');
 const cryptoWasm = require('./crypto-wasm');
 
@@ -28,7 +33,8 @@ const networkScheduler = createScheduler('network');
 function rejectAllPendingRequests(reason = '请求被中断') {
     const entries = Array.from(pendingCallbacks.entries());
     pendingCallbacks.clear();
-    for (const [, callback] of entries) {
+    for (const [seq, callback] of entries) {
+        inspectFailure(seq, 'error', reason);
         try {
             callback(new Error(reason));
         } catch {
@@ -90,6 +96,7 @@ async function sendMsg(serviceName, methodName, bodyBytes, callback) {
         if (callback) callback(new Error('连接未打开'));
         return false;
     }
+    const socket = ws;
     const seq = clientSeq;
     clientSeq += 1;
     let encoded;
@@ -100,19 +107,16 @@ async function sendMsg(serviceName, methodName, bodyBytes, callback) {
         return false;
     }
 
-    if (callback) pendingCallbacks.set(seq, callback);
-
-    // 再次检查连接状态（因为 await 期间可能断开）
-    if (!ws || ws.readyState !== WebSocket.OPEN) {
-        if (callback) {
-            pendingCallbacks.delete(seq);
-            callback(new Error('连接已在加密途中关闭'));
-        }
+    // 再次检查连接状态（因为 await 期间可能断开或已重连，序号属于旧连接时不能发到新连接上）
+    if (ws !== socket || ws.readyState !== WebSocket.OPEN) {
+        if (callback) callback(new Error('连接已在加密途中关闭'));
         return false;
     }
 
+    if (callback) pendingCallbacks.set(seq, callback);
+
     try {
-        ws.send(encoded);
+        socket.send(encoded);
     } catch (err) {
         if (callback) {
             pendingCallbacks.delete(seq);
@@ -120,14 +124,25 @@ async function sendMsg(serviceName, methodName, bodyBytes, callback) {
         }
         return false;
     }
+    recordOutgoing(serviceName, methodName, seq, bodyBytes);
+    inspectRequest(serviceName, methodName, seq, bodyBytes);
     return true;
 }
 
 /** Promise 版发送 */
 function sendMsgAsync(serviceName, methodName, bodyBytes, timeout = 10000) {
     return new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        let observed = false;
+        const observe = (outcome) => {
+            if (observed) return;
+            observed = true;
+            observeRequest(serviceName, methodName, Date.now() - startedAt, outcome);
+        };
+
         // 检查连接状态
         if (!ws || ws.readyState !== WebSocket.OPEN) {
+            observe('error');
             reject(new Error(`连接未打开: ${methodName}`));
             return;
         }
@@ -138,11 +153,14 @@ function sendMsgAsync(serviceName, methodName, bodyBytes, timeout = 10000) {
             pendingCallbacks.delete(seq);
             // 检查当前待处理的请求数
             const pending = pendingCallbacks.size;
+            observe('timeout');
+            inspectFailure(seq, 'timeout', `请求超时 (${timeout}ms)`);
             reject(new Error(`请求超时: ${methodName} (seq=${seq}, pending=${pending})`));
         });
 
         sendMsg(serviceName, methodName, bodyBytes, (err, body, meta) => {
             networkScheduler.clear(timeoutKey);
+            observe(err ? 'error' : 'ok');
             if (err) reject(err);
             else resolve({ body, meta });
         }).then(sent => {
@@ -154,6 +172,7 @@ function sendMsgAsync(serviceName, methodName, bodyBytes, timeout = 10000) {
             }
         }).catch(err => {
             networkScheduler.clear(timeoutKey);
+            observe('error');
             reject(err);
         });
     });
@@ -163,7 +182,15 @@ function sendMsgAsync(serviceName, methodName, bodyBytes, timeout = 10000) {
 function handleMessage(data) {
     try {
         const buf = Buffer.isBuffer(data) ? data : Buffer.from(data);
-        const msg = types.GateMessage.decode(buf);
+        let msg;
+        try {
+            msg = types.GateMessage.decode(buf);
+        } catch (err) {
+            // 外壳解码失败的帧同样写入抓包，便于离线分析
+            recordIncoming(buf, null, err.message);
+            throw err;
+        }
+        recordIncoming(buf, msg);
         const meta = msg.meta;
         if (!meta) return;
 
@@ -184,6 +211,7 @@ function handleMessage(data) {
         if (msgType === 2) {
             const errorCode = toNum(meta.error_code);
             const clientSeqVal = toNum(meta.client_seq);
+            inspectResponse(meta, msg.body);
 
             const cb = pendingCallbacks.get(clientSeqVal);
             if (cb) {
@@ -352,23 +380,25 @@ function handleNotify(msg) {
     }
 }
 
-function buildDeviceInfo() {
+// 账号设备信息中的字段优先，未填写的沿用全局 device_info
+function buildDeviceInfo(profile = null) {
     const cfg = (CONFIG.device_info && typeof CONFIG.device_info === 'object') ? CONFIG.device_info : {};
+    const own = (profile && typeof profile === 'object') ? profile : {};
     return {
         client_version: String(CONFIG.clientVersion || cfg.client_version || ''),
-        sys_software: String(cfg.sys_software || 'iOS 26.2.1'),
-        network: String(cfg.network || 'wifi'),
-        memory: String(cfg.memory || '7672'),
-        device_id: String(cfg.device_id || 'iPhone X<iPhone18,3>'),
+        sys_software: String(own.sys_software || cfg.sys_software || 'iOS 26.2.1'),
+        network: String(own.network || cfg.network || 'wifi'),
+        memory: String(own.memory || cfg.memory || '7672'),
+        device_id: String(own.device_id || cfg.device_id || 'iPhone X<iPhone18,3>'),
     };
 }
 
 // ============ 登录 ============
-function sendLogin(onLoginSuccess) {
+function sendLogin(socket) {
     const body = types.LoginRequest.encode(types.LoginRequest.create({
         sharer_id: toLong(0),
         sharer_open_id: '',
-        device_info: buildDeviceInfo(),
+        device_info: buildDeviceInfo(CONFIG.deviceProfile),
         share_cfg_id: toLong(0),
         scene_id: '1256',
         report_data: {
@@ -377,13 +407,20 @@ function sendLogin(onLoginSuccess) {
         },
     })).finish();
 
+    // 握手成功但迟迟收不到登录回包，按断线处理
+    networkScheduler.setTimeoutTask('login_timeout', LOGIN_TIMEOUT_MS, () => {
+        logWarn('登录', `${LOGIN_TIMEOUT_MS / 1000}s 未收到登录响应，断开后重试`);
+        socket.terminate();
+    });
+
     sendMsg('gamepb.userpb.UserService', 'Login', body, (err, bodyBytes, _meta) => {
+        networkScheduler.clear('login_timeout');
         if (err) {
             log('登录', `失败: ${err.message}`);
-            // 如果是验证失败，直接退出进程
+            // 服务器返回错误码：Code 已被拒绝，停止重连并上报；其余（连接中断等）由 close 事件触发重连
             if (err.message.includes('code=')) {
-                log('系统', '账号验证失败，即将停止运行...');
-                networkScheduler.setTimeoutTask('login_error_exit', 1000, () => process.exit(0));
+                rejectCode(0, err.message);
+                socket.close();
             }
             return;
         }
@@ -422,7 +459,15 @@ function sendLogin(onLoginSuccess) {
             }
 
             startHeartbeat();
-            if (onLoginSuccess) onLoginSuccess();
+            const resumed = loginCount > 0;
+            loginCount += 1;
+            if (resumed) {
+                log('系统', reconnectAttempts > 0 ? `[WS] 第 ${reconnectAttempts} 次重连成功，已恢复会话` : '[WS] 已恢复会话');
+                networkEvents.emit('reconnected', { attempts: reconnectAttempts });
+            }
+            reconnectAttempts = 0;
+            lastDisconnect = null;
+            if (savedLoginCallback) savedLoginCallback({ resumed });
         } catch (e) {
             log('登录', `解码失败: ${e.message}`);
         }
@@ -446,10 +491,11 @@ function startHeartbeat() {
         if (timeSinceLastResponse > 60000) {
             heartbeatMissCount++;
             logWarn('心跳', `连接可能已断开 (${Math.round(timeSinceLastResponse / 1000)}s 无响应, pending=${pendingCallbacks.size})`);
-            if (heartbeatMissCount >= 2) {
-                log('心跳', '尝试重连...');
-                // 清理待处理的回调，避免堆积
-                rejectAllPendingRequests('连接超时，已清理');
+            if (heartbeatMissCount >= 2 && ws) {
+                log('心跳', '连接无响应，断开后重连...');
+                // 半开连接不会触发 close，主动断开交给 close 事件走重连
+                ws.terminate();
+                return;
             }
         }
 
@@ -470,44 +516,105 @@ function startHeartbeat() {
 }
 
 // ============ WebSocket 连接 ============
+// 断线后用仍然有效的 Code 按指数退避重连，只有服务器明确拒绝 Code 时才停止
+const RECONNECT_BASE_MS = 2000;
+const RECONNECT_MAX_MS = 60000;
+const LOGIN_TIMEOUT_MS = 15000;
+
 let savedLoginCallback = null;
 let savedCode = null;
+let autoReconnect = false; // connect() 后开启，cleanup() 或 Code 被拒后关闭
+let codeRejected = false;
+let loginCount = 0; // 本进程内登录成功次数，大于 0 时再次登录即为恢复会话
+let reconnectAttempts = 0;
+let nextReconnectAt = 0;
+let lastDisconnect = null; // { at, reason }
+
+function getReconnectDelay(attempt) {
+    const base = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * (2 ** Math.max(0, attempt - 1)));
+    // 叠加最多 20% 的随机抖动，避免多个账号同时断线后同时重连
+    return base + Math.floor(Math.random() * base * 0.2);
+}
 
-function connect(code, onLoginSuccess) {
-    savedLoginCallback = onLoginSuccess;
-    if (code) savedCode = code;
-    const url = `${CONFIG.serverUrl}?platform=${encodeURIComponent(CONFIG.platform)}&os=${encodeURIComponent(CONFIG.os)}&ver=${encodeURIComponent(CONFIG.clientVersion)}&code=${encodeURIComponent(savedCode)}&openID=`;
+function scheduleReconnect(reason) {
+    if (!autoReconnect || codeRejected) return;
+    reconnectAttempts += 1;
+    const delay = getReconnectDelay(reconnectAttempts);
+    nextReconnectAt = Date.now() + delay;
+    log('系统', `[WS] ${reason}，${Math.round(delay / 1000)}s 后第 ${reconnectAttempts} 次重连`);
+    networkEvents.emit('reconnecting', { attempt: reconnectAttempts, delayMs: delay, reason });
+    networkScheduler.setTimeoutTask('auto_reconnect', delay, () => {
+        nextReconnectAt = 0;
+        openSocket();
+    });
+}
 
-    ws = new WebSocket(url, {
+// 服务器明确拒绝 Code（握手返回 400 或登录返回错误码），不再重连
+function rejectCode(code, message) {
+    if (codeRejected) return;
+    codeRejected = true;
+    nextReconnectAt = 0;
+    networkScheduler.clear('auto_reconnect');
+    log('系统', '[WS] 服务器拒绝当前 Code，停止自动重连');
+    networkEvents.emit('code_rejected', { code, message });
+}
+
+function disposeSocket() {
+    if (!ws) return;
+    const socket = ws;
+    ws = null;
+    socket.removeAllListeners();
+    // 旧连接上迟到的 error 不能抛成未捕获异常
+    socket.on('error', () => {});
+    try {
+        socket.terminate();
+    } catch {
+        // ignore
+    }
+}
+
+function openSocket() {
+    disposeSocket();
+    // 管理端更新了 proto / gameConfig 时，在新连接建立前切换到新定义
+    applyPendingGameData();
+    // 序号属于单条连接：新连接从头计数，服务端序号等收到新连接的消息后再更新
+    clientSeq = 1;
+    serverSeq = 0;
+    userState.gid = 0;
+    const device = CONFIG.deviceProfile || {};
+    const url = `${CONFIG.serverUrl}?platform=${encodeURIComponent(CONFIG.platform)}&os=${encodeURIComponent(device.os || CONFIG.os)}&ver=${encodeURIComponent(CONFIG.clientVersion)}&code=${encodeURIComponent(savedCode)}&openID=`;
+
+    const agent = createProxyAgent(CONFIG.proxy, { secure: url.startsWith('wss:') });
+    const socket = new WebSocket(url, {
+        agent: agent || undefined,
         headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/132.0.0.0 Safari/537.36 MicroMessenger/7.0.20.1781(0x6700143B) NetType/WIFI MiniProgramEnv/Windows WindowsWechat/WMPF WindowsWechat(0x63090a13)',
+            'User-Agent': device.userAgent || DEFAULT_USER_AGENT,
             'Origin': 'https://gate-obt.nqf.qq.com',
         },
     });
+    ws = socket;
 
-    ws.binaryType = 'arraybuffer';
+    socket.binaryType = 'arraybuffer';
 
-    ws.on('open', () => {
-        sendLogin(onLoginSuccess);
+    socket.on('open', () => {
+        sendLogin(socket);
     });
 
-    ws.on('message', (data) => {
+    socket.on('message', (data) => {
         handleMessage(Buffer.isBuffer(data) ? data : Buffer.from(data));
     });
 
-    ws.on('close', (code, _reason) => {
+    socket.on('close', (code, _reason) => {
+        if (ws !== socket) return;
         console.warn(`[WS] 连接关闭 (code=${code})`);
-        cleanup(`连接关闭(code=${code})`);
-        // 自动重连：延迟 5s 后重试，复用已保存的登录回调
-        if (savedLoginCallback) {
-            networkScheduler.setTimeoutTask('auto_reconnect', 5000, () => {
-                log('系统', '[WS] 尝试自动重连...');
-                reconnect(null);
-            });
-        }
+        ws = null;
+        userState.gid = 0;
+        lastDisconnect = { at: Date.now(), reason: `连接关闭(code=${code})` };
+        resetConnection(`连接关闭(code=${code})`);
+        scheduleReconnect(`连接关闭(code=${code})`);
     });
 
-    ws.on('error', (err) => {
+    socket.on('error', (err) => {
         const message = err && err.message ? String(err.message) : '';
         logWarn('系统', `[WS] 错误: ${message}`);
         const match = message.match(/Unexpected server response:\s*(\d+)/i);
@@ -516,33 +623,66 @@ function connect(code, onLoginSuccess) {
             if (code) {
                 setWsErrorState(code, message);
                 networkEvents.emit('ws_error', { code, message });
+                // 400 表示 Code 无效；其余状态码（网关 5xx 等）视为临时故障继续重连
+                if (code === 400) rejectCode(code, message);
             }
         }
+        // 出错后 ws 随即触发 close，重连在 close 中统一处理
     });
 }
 
-function cleanup(reason = '网络清理') {
+function connect(code, onLoginSuccess) {
+    savedLoginCallback = onLoginSuccess;
+    if (code) savedCode = code;
+    autoReconnect = true;
+    codeRejected = false;
+    reconnectAttempts = 0;
+    networkScheduler.clear('auto_reconnect');
+    openSocket();
+}
+
+// 断开后清理待处理请求与网络层定时任务
+function resetConnection(reason) {
     rejectAllPendingRequests(`请求已中断: ${reason}`);
     networkScheduler.clearAll();
+    nextReconnectAt = 0;
+}
+
+// 停止运行：不再自动重连
+function cleanup(reason = '网络清理') {
+    autoReconnect = false;
+    resetConnection(reason);
+    disposeSocket();
 }
 
 function reconnect(newCode) {
-    cleanup('主动重连');
-    if (ws) {
-        ws.removeAllListeners();
-        ws.close();
-        ws = null;
-    }
-    userState.gid = 0;
+    resetConnection('主动重连');
     connect(newCode || savedCode, savedLoginCallback);
 }
 
+function getReconnectState() {
+    return {
+        reconnecting: autoReconnect && !codeRejected && reconnectAttempts > 0,
+        attempts: reconnectAttempts,
+        nextRetryAt: nextReconnectAt,
+        codeRejected,
+        lastDisconnectAt: lastDisconnect ? lastDisconnect.at : 0,
+        lastDisconnectReason: lastDisconnect ? lastDisconnect.reason : '',
+    };
+}
+
 function getWs() { return ws; }
 
+// 最近一次收到服务器心跳回包的时间，供主进程健康检查
+function getLastHeartbeatResponseAt() { return lastHeartbeatResponse; }
+
 module.exports = {
     connect, reconnect, cleanup, getWs,
     sendMsg, sendMsgAsync,
     getUserState,
     getWsErrorState,
+    getReconnectState,
+    getLastHeartbeatResponseAt,
+    handleMessage,
     networkEvents,
 };
@@ -5,6 +5,7 @@
 const protobuf = require('protobufjs');
 const fs = require('node:fs');
 const path = require('node:path');
+const { getOverridePath } = require('../config/runtime-paths');
 const { log } = require('./utils');
 
 let root = null;
@@ -146,28 +147,76 @@ const typeMappings = [
     ['KickoutNotify', 'gatepb.KickoutNotify'],
 ];
 
-async function loadProto() {
-    if (root) return root;
-    log('系统', '正在加载 Protobuf 定义...');
-    root = new protobuf.Root();
+function listProtoNames(dir) {
+    try {
+        return fs.readdirSync(dir).filter(f => f.endsWith('.proto'));
+    } catch {
+        return [];
+    }
+}
 
-    const protoFiles = fs.readdirSync(PROTO_DIR)
-        .filter(f => f.endsWith('.proto'))
-        .map(f => path.join(PROTO_DIR, f));
+/**
+ * 当前生效的 proto 文件：data/overrides/proto 下的同名文件替换内置定义，新文件追加
+ * @returns {{ name: string, file: string, source: 'override' | 'bundled' }[]} 按文件名去重后的文件列表
+ */
+function getProtoFiles() {
+    const files = new Map();
+    for (const name of listProtoNames(PROTO_DIR)) {
+        files.set(name, { name, file: path.join(PROTO_DIR, name), source: 'bundled' });
+    }
+    const overrideDir = getOverridePath('proto');
+    for (const name of listProtoNames(overrideDir)) {
+        files.set(name, { name, file: path.join(overrideDir, name), source: 'override' });
+    }
+    return Array.from(files.values());
+}
 
-    await root.load(protoFiles, { keepCase: true });
+// 构建新的类型注册表；任何文件或映射类型缺失都会抛错，调用方保留旧的定义
+function buildRoot() {
+    const files = getProtoFiles();
+    const byName = new Map(files.map(item => [item.name, item.file]));
+    const next = new protobuf.Root();
+    // import "corepb.proto" 按文件名在覆盖目录与内置目录间解析，覆盖文件无需成套提供
+    next.resolvePath = (origin, target) => byName.get(path.basename(target)) || protobuf.util.path.resolve(origin, target);
+    next.loadSync(files.map(item => item.file), { keepCase: true });
 
+    const nextTypes = {};
     for (const [typeName, fullName] of typeMappings) {
-        types[typeName] = root.lookupType(fullName);
+        nextTypes[typeName] = next.lookupType(fullName);
     }
+    return { next, nextTypes, files };
+}
+
+// types 对象被各模块解构引用，原地替换其中的类型
+function applyRoot(next, nextTypes) {
+    root = next;
+    for (const key of Object.keys(types)) delete types[key];
+    Object.assign(types, nextTypes);
+}
+
+async function loadProto() {
+    if (root) return root;
+    log('系统', '正在加载 Protobuf 定义...');
+    const { next, nextTypes, files } = buildRoot();
+    applyRoot(next, nextTypes);
 
     // Proto 加载完成
-    log('系统', 'Protobuf 定义加载完成');
+    const overrides = files.filter(item => item.source === 'override').length;
+    log('系统', `Protobuf 定义加载完成${overrides > 0 ? ` (${overrides} 个覆盖文件)` : ''}`);
     return root;
 }
 
+/**
+ * 重新加载 proto 定义（包括覆盖目录）；失败时抛错并继续使用旧定义
+ */
+function reloadProto() {
+    const { next, nextTypes, files } = buildRoot();
+    applyRoot(next, nextTypes);
+    return files;
+}
+
 function getRoot() {
     return root;
 }
 
-module.exports = { loadProto, types, getRoot };
+module.exports = { loadProto, reloadProto, getProtoFiles, types, getRoot };
@@ -0,0 +1,99 @@
+/**
+ * 协议调试 - 记录每次 RPC 调用的耗时、错误码及解码后的请求/响应，逐条交给 sink（worker 转发给主进程）
+ *
+ * 只在面板打开协议调试页时启用，未启用时不做任何解码。
+ */
+
+const { decodeRpcBody } = require('./traffic-recorder');
+const { toNum } = require('./utils');
+
+// 等待响应的请求上限，超出时丢弃最早的（对应请求已不会再有响应）
+const MAX_PENDING = 500;
+
+let sink = null;
+const pending = new Map(); // clientSeq -> { seq, service, method, startedAt, request, decodeError }
+
+function setRpcInspectorSink(fn) {
+    sink = typeof fn === 'function' ? fn : null;
+    if (!sink) pending.clear();
+}
+
+function isRpcInspecting() {
+    return !!sink;
+}
+
+function emitCall(call, result) {
+    pending.delete(call.seq);
+    const decodeError = [call.decodeError, result.decodeError].filter(Boolean).join('; ');
+    try {
+        sink({
+            id: `${call.startedAt}-${call.seq}`,
+            ts: call.startedAt,
+            seq: call.seq,
+            service: call.service,
+            method: call.method,
+            latencyMs: Date.now() - call.startedAt,
+            outcome: result.outcome,
+            errorCode: result.errorCode || 0,
+            errorMessage: result.errorMessage || '',
+            request: call.request,
+            reply: result.reply || null,
+            decodeError,
+        });
+    } catch {
+        // sink 失败不影响请求本身
+    }
+}
+
+/**
+ * 请求已发出
+ */
+function inspectRequest(serviceName, methodName, clientSeq, bodyBytes) {
+    if (!sink) return;
+    const { decoded, decodeError } = decodeRpcBody(serviceName, methodName, bodyBytes, false);
+    pending.set(clientSeq, {
+        seq: clientSeq,
+        service: serviceName,
+        method: methodName,
+        startedAt: Date.now(),
+        request: decoded,
+        decodeError: decodeError || '',
+    });
+    if (pending.size > MAX_PENDING) pending.delete(pending.keys().next().value);
+}
+
+/**
+ * 收到响应；meta 为 GateMessage.meta
+ */
+function inspectResponse(meta, body) {
+    if (!sink || !meta) return;
+    const call = pending.get(toNum(meta.client_seq));
+    if (!call) return;
+    const errorCode = toNum(meta.error_code);
+    const reply = errorCode === 0 ? decodeRpcBody(call.service, call.method, body, true) : { decoded: null };
+    emitCall(call, {
+        outcome: errorCode === 0 ? 'ok' : 'error',
+        errorCode,
+        errorMessage: meta.error_message || '',
+        reply: reply.decoded,
+        decodeError: reply.decodeError,
+    });
+}
+
+/**
+ * 请求未收到响应：超时或连接中断；outcome: timeout | error
+ */
+function inspectFailure(clientSeq, outcome, message) {
+    if (!sink) return;
+    const call = pending.get(clientSeq);
+    if (!call) return;
+    emitCall(call, { outcome, errorMessage: message || '' });
+}
+
+module.exports = {
+    setRpcInspectorSink,
+    isRpcInspecting,
+    inspectRequest,
+    inspectResponse,
+    inspectFailure,
+};
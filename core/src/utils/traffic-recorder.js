@@ -0,0 +1,270 @@
+const { Buffer } = require('node:buffer');
+const fs = require('node:fs');
+const path = require('node:path');
+/**
+ * 协议抓包 - 把收发的每个 GateMessage 按 JSON Lines 写入抓包文件，供离线回放排查解码问题
+ *
+ * 首行为 header，其余每行一条消息：
+ *   out: 发出的请求，body 为加密前的明文
+ *   in:  收到的响应/推送，raw 为完整帧，回放时直接交给 network.handleMessage
+ * decoded 是按 proto 定义解码后的内容，仅供阅读，解码失败时记录 decodeError。
+ */
+
+const { getDataDir } = require('../config/runtime-paths');
+const { getRoot, types } = require('./proto');
+const { toNum } = require('./utils');
+
+const CAPTURE_VERSION = 1;
+const CAPTURE_DIR_NAME = 'captures';
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+const MESSAGE_KIND = { 1: 'request', 2: 'response', 3: 'notify' };
+const CAPTURE_NAME_PATTERN = /^[\w-]+\.jsonl$/;
+const TO_OBJECT_OPTIONS = { longs: String, enums: String, bytes: String, defaults: false };
+
+// 同步追加写入：worker 崩溃或 process.exit 时不丢失最后几条消息，而这往往正是要排查的部分
+let recording = null; // { file, fd, accountId, startedAt, entries, bytes, maxBytes }
+
+function getCaptureDir() {
+    return path.join(getDataDir(), CAPTURE_DIR_NAME);
+}
+
+function formatFileTime(ts) {
+    const d = new Date(ts);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+}
+
+function tryLookupType(root, fullName) {
+    try {
+        return root.lookupType(fullName);
+    } catch {
+        return null;
+    }
+}
+
+// 优先使用 proto 中的 service 定义，未声明 service 时按 <包名>.<方法名>Request/Reply 约定查找
+function resolveRpcType(serviceName, methodName, isReply) {
+    const root = getRoot();
+    if (!root || !serviceName || !methodName) return null;
+    try {
+        const method = root.lookupService(serviceName).methods[methodName];
+        if (method) {
+            method.resolve();
+            return isReply ? method.resolvedResponseType : method.resolvedRequestType;
+        }
+    } catch {}
+    const pkg = serviceName.slice(0, serviceName.lastIndexOf('.'));
+    const suffixes = isReply ? ['Reply', 'Response'] : ['Request'];
+    for (const suffix of suffixes) {
+        const type = tryLookupType(root, `${pkg}.${methodName}${suffix}`);
+        if (type) return type;
+    }
+    return null;
+}
+
+function decodeWith(type, bytes) {
+    if (!type || !bytes || bytes.length === 0) return { decoded: null };
+    try {
+        return { decoded: type.toObject(type.decode(bytes), TO_OBJECT_OPTIONS) };
+    } catch (e) {
+        return { decoded: null, decodeError: e.message };
+    }
+}
+
+/**
+ * 按 service/method 查找请求或响应类型并解码 body
+ */
+function decodeRpcBody(serviceName, methodName, bytes, isReply) {
+    const type = resolveRpcType(serviceName, methodName, isReply);
+    if (!type) {
+        return bytes && bytes.length > 0
+            ? { decoded: null, decodeError: `未找到消息类型: ${serviceName}.${methodName}` }
+            : { decoded: null };
+    }
+    return decodeWith(type, bytes);
+}
+
+// 推送 body 为 EventMessage，内层按 message_type 对应的类型解码
+function decodeNotifyBody(bytes) {
+    if (!bytes || bytes.length === 0) return { eventType: '', decoded: null };
+    let event;
+    try {
+        event = types.EventMessage.decode(bytes);
+    } catch (e) {
+        return { eventType: '', decoded: null, decodeError: e.message };
+    }
+    const eventType = String(event.message_type || '');
+    // message_type 可能是完整类型名，也可能只有短名
+    const type = tryLookupType(getRoot(), eventType) || types[eventType.slice(eventType.lastIndexOf('.') + 1)] || null;
+    if (!type) return { eventType, decoded: null, decodeError: `未找到推送类型: ${eventType}` };
+    return { eventType, ...decodeWith(type, event.body) };
+}
+
+function writeEntry(entry) {
+    if (!recording) return;
+    const line = `${JSON.stringify(entry)}\n`;
+    try {
+        fs.writeSync(recording.fd, line);
+    } catch {
+        closeRecording();
+        return;
+    }
+    recording.entries += 1;
+    recording.bytes += Buffer.byteLength(line);
+    if (recording.bytes >= recording.maxBytes) {
+        stopRecording('达到文件大小上限');
+    }
+}
+
+function getRecordingState() {
+    if (!recording) return { recording: false };
+    return {
+        recording: true,
+        file: path.basename(recording.file),
+        startedAt: recording.startedAt,
+        entries: recording.entries,
+        bytes: recording.bytes,
+        maxBytes: recording.maxBytes,
+    };
+}
+
+/**
+ * 开始抓包；已在抓包时直接返回当前状态
+ * options: { accountId, accountName, maxBytes, meta }
+ */
+function startRecording(options = {}) {
+    if (recording) return getRecordingState();
+    const accountId = String(options.accountId || 'unknown');
+    const startedAt = Date.now();
+    const dir = getCaptureDir();
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${accountId}-${formatFileTime(startedAt)}.jsonl`);
+    const fd = fs.openSync(file, 'a');
+    const maxBytes = Math.max(1024 * 1024, Number(options.maxBytes) || DEFAULT_MAX_BYTES);
+    recording = { file, fd, accountId, startedAt, entries: 0, bytes: 0, maxBytes };
+    writeEntry({
+        type: 'header',
+        version: CAPTURE_VERSION,
+        accountId,
+        accountName: String(options.accountName || ''),
+        startedAt,
+        ...(options.meta && typeof options.meta === 'object' ? options.meta : {}),
+    });
+    return getRecordingState();
+}
+
+function closeRecording() {
+    if (!recording) return;
+    try {
+        fs.closeSync(recording.fd);
+    } catch {}
+    recording = null;
+}
+
+function stopRecording(reason = '') {
+    if (!recording) return { recording: false };
+    const state = { ...getRecordingState(), recording: false, stoppedAt: Date.now(), reason };
+    closeRecording();
+    return state;
+}
+
+function isRecording() {
+    return !!recording;
+}
+
+/**
+ * 记录发出的请求（加密前）
+ */
+function recordOutgoing(serviceName, methodName, clientSeq, bodyBytes) {
+    if (!recording) return;
+    const body = bodyBytes || Buffer.alloc(0);
+    writeEntry({
+        ts: Date.now(),
+        dir: 'out',
+        kind: 'request',
+        service: serviceName,
+        method: methodName,
+        clientSeq,
+        body: Buffer.from(body).toString('base64'),
+        ...decodeRpcBody(serviceName, methodName, body, false),
+    });
+}
+
+/**
+ * 记录收到的帧；msg 为已解码的 GateMessage，外壳解码失败时为 null 并传入 frameError
+ */
+function recordIncoming(frame, msg, frameError = '') {
+    if (!recording) return;
+    if (!msg) {
+        writeEntry({ ts: Date.now(), dir: 'in', kind: 'unknown', raw: Buffer.from(frame).toString('base64'), decoded: null, decodeError: frameError });
+        return;
+    }
+    const meta = msg.meta || {};
+    const kind = MESSAGE_KIND[meta.message_type] || 'unknown';
+    const entry = {
+        ts: Date.now(),
+        dir: 'in',
+        kind,
+        service: meta.service_name || '',
+        method: meta.method_name || '',
+        clientSeq: toNum(meta.client_seq),
+        serverSeq: toNum(meta.server_seq),
+        errorCode: toNum(meta.error_code),
+        errorMessage: meta.error_message || '',
+        raw: Buffer.from(frame).toString('base64'),
+    };
+    if (kind === 'notify') {
+        Object.assign(entry, decodeNotifyBody(msg.body));
+    } else if (kind === 'response' && entry.errorCode === 0) {
+        Object.assign(entry, decodeRpcBody(entry.service, entry.method, msg.body, true));
+    }
+    writeEntry(entry);
+}
+
+// 抓包文件名只允许 <accountId>-<时间>.jsonl，防止路径穿越
+function resolveCaptureFile(name) {
+    const fileName = String(name || '');
+    if (!CAPTURE_NAME_PATTERN.test(fileName)) return null;
+    const file = path.join(getCaptureDir(), fileName);
+    return fs.existsSync(file) ? file : null;
+}
+
+function listCaptures(accountId) {
+    const prefix = `${String(accountId || '')}-`;
+    let names = [];
+    try {
+        names = fs.readdirSync(getCaptureDir());
+    } catch {
+        return [];
+    }
+    return names
+        .filter(name => CAPTURE_NAME_PATTERN.test(name) && name.startsWith(prefix))
+        .map((name) => {
+            const stat = fs.statSync(path.join(getCaptureDir(), name));
+            return { name, size: stat.size, updatedAt: stat.mtimeMs };
+        })
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+function deleteCapture(name) {
+    const file = resolveCaptureFile(name);
+    if (!file) return false;
+    fs.unlinkSync(file);
+    return true;
+}
+
+module.exports = {
+    CAPTURE_VERSION,
+    getCaptureDir,
+    startRecording,
+    stopRecording,
+    isRecording,
+    getRecordingState,
+    recordOutgoing,
+    recordIncoming,
+    decodeRpcBody,
+    decodeNotifyBody,
+    resolveCaptureFile,
+    listCaptures,
+    deleteCapture,
+};
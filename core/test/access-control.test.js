@@ -0,0 +1,58 @@
+/**
+ * 面板访问控制：角色等级与账号白名单
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const {
+    BUILTIN_OWNER,
+    canAccessAccount,
+    filterAccountsForUser,
+    hasRole,
+    isAccountRestricted,
+    toPublicUser,
+} = require('../src/services/access-control');
+
+const viewer = { username: 'v', role: 'viewer', accounts: ['1'] };
+const operator = { username: 'o', role: 'operator', accounts: ['1', '2'] };
+const owner = { username: 'a', role: 'owner', accounts: [] };
+
+test('角色等级向下包含，未知角色无权限', () => {
+    assert.equal(hasRole(owner, 'operator'), true);
+    assert.equal(hasRole(operator, 'operator'), true);
+    assert.equal(hasRole(viewer, 'operator'), false);
+    assert.equal(hasRole({ role: 'guest' }, 'viewer'), false);
+    assert.equal(hasRole(owner, 'root'), false);
+    assert.equal(hasRole(null, 'viewer'), false);
+});
+
+test('非 owner 只能访问白名单内账号', () => {
+    assert.equal(canAccessAccount(viewer, '1'), true);
+    assert.equal(canAccessAccount(viewer, '2'), false);
+    assert.equal(canAccessAccount(operator, 2), true);
+    assert.equal(canAccessAccount(operator, ''), false);
+    assert.equal(canAccessAccount(BUILTIN_OWNER, '99'), true);
+    assert.equal(canAccessAccount(null, '1'), false);
+});
+
+test('限定账号的 API 密钥受白名单约束', () => {
+    const key = { role: 'owner', apiKey: true, restricted: true, accounts: ['2'] };
+    assert.equal(isAccountRestricted(key), true);
+    assert.equal(canAccessAccount(key, '1'), false);
+    assert.equal(canAccessAccount(key, '2'), true);
+    assert.equal(isAccountRestricted({ role: 'owner', apiKey: true, restricted: false }), false);
+});
+
+test('账号列表按白名单过滤', () => {
+    const accounts = [{ id: '1' }, { id: '2' }, { id: '3' }, null];
+    assert.deepEqual(filterAccountsForUser(viewer, accounts).map(a => a.id), ['1']);
+    assert.deepEqual(filterAccountsForUser(operator, accounts).map(a => a.id), ['1', '2']);
+    assert.equal(filterAccountsForUser(owner, accounts), accounts);
+    assert.deepEqual(filterAccountsForUser(owner, undefined), []);
+});
+
+test('对外用户信息不含密码哈希', () => {
+    const result = toPublicUser({ ...operator, passwordHash: 'x', createdAt: 1 });
+    assert.deepEqual(result, { username: 'o', role: 'operator', accounts: ['1', '2'], builtin: false, createdAt: 1, updatedAt: 0 });
+    assert.equal(toPublicUser(null), null);
+});
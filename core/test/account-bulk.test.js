@@ -0,0 +1,62 @@
+/**
+ * 账号批量操作：筛选条件匹配与有限并发执行
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { hasFilterCondition, matchAccountFilter, runBulk } = require('../src/services/account-bulk');
+
+const accounts = [
+    { id: '1', name: '主号', platform: 'qq', running: true },
+    { id: '2', name: '小号A', platform: 'wx', running: false },
+    { id: '3', name: '小号B', running: true },
+];
+
+function pick(filter) {
+    return accounts.filter(acc => matchAccountFilter(acc, filter)).map(acc => acc.id);
+}
+
+test('空条件不视为筛选', () => {
+    assert.equal(hasFilterCondition(null), false);
+    assert.equal(hasFilterCondition({ platform: '', remark: '' }), false);
+    assert.equal(hasFilterCondition({ running: false }), true);
+    assert.equal(hasFilterCondition({ remark: '小号' }), true);
+});
+
+test('按平台、备注关键字与运行状态筛选', () => {
+    assert.deepEqual(pick({}), ['1', '2', '3']);
+    assert.deepEqual(pick({ platform: 'QQ' }), ['1', '3'], '未设置平台按 qq 处理');
+    assert.deepEqual(pick({ remark: '小号' }), ['2', '3']);
+    assert.deepEqual(pick({ running: 'true' }), ['1', '3']);
+    assert.deepEqual(pick({ running: false }), ['2']);
+    assert.deepEqual(pick({ remark: '小号', running: true, platform: 'qq' }), ['3']);
+    assert.equal(matchAccountFilter(null, {}), false);
+});
+
+test('逐个执行并按原顺序返回结果，单个失败不影响其它账号', async () => {
+    const targets = [{ id: '1', name: 'a' }, { id: '2', name: 'b' }, { id: '9', error: '账号不存在' }, { id: '3', name: 'c' }];
+    const results = await runBulk(targets, async (target) => {
+        if (target.id === '2') throw new Error('启动失败');
+        return target.id === '3' ? { started: true } : undefined;
+    });
+    assert.deepEqual(results, [
+        { id: '1', name: 'a', ok: true },
+        { id: '2', name: 'b', ok: false, error: '启动失败' },
+        { id: '9', name: '', ok: false, error: '账号不存在' },
+        { id: '3', name: 'c', ok: true, data: { started: true } },
+    ]);
+});
+
+test('同时执行的账号数不超过并发上限', async () => {
+    let active = 0;
+    let peak = 0;
+    const targets = Array.from({ length: 12 }, (_, i) => ({ id: String(i) }));
+    await runBulk(targets, async () => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setImmediate(resolve));
+        active -= 1;
+    }, 3);
+    assert.equal(peak, 3);
+    assert.deepEqual(await runBulk([], () => {}), []);
+});
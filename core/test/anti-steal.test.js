@@ -0,0 +1,166 @@
+/**
+ * 防偷守护：成熟时刻定点收获、守护/警戒/待命的切换，访客记录触发警戒与上报去重，以及被偷记录按好友汇总
+ */
+
+const assert = require('node:assert/strict');
+const process = require('node:process');
+const { after, before, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+const { createMemoryStorage } = require('./helpers/memory-storage');
+
+const temp = createTempDataDir({ env: true });
+process.env.FARM_ACCOUNT_ID = '1';
+const { CONFIG } = require('../src/config/config');
+const { createMockGameServer } = require('../src/devtools/mock-game-server');
+const store = require('../src/models/store');
+const { createStealRecordService } = require('../src/runtime/steal-records');
+const { isAntiStealAlert, startAntiStealMonitor, stopAntiStealMonitor } = require('../src/services/anti-steal');
+const { checkFarm, startFarmCheckLoop, stopFarmCheckLoop } = require('../src/services/farm');
+const { getSchedulerRegistrySnapshot } = require('../src/services/scheduler');
+const { cleanup, connect, networkEvents } = require('../src/utils/network');
+const { loadProto } = require('../src/utils/proto');
+
+const SCALLION = 20064;
+const ACTION_STEAL = 1;
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+const server = createMockGameServer({
+    port: 0,
+    scenario: {
+        user: { gid: 10001, name: '本地农夫', level: 10, exp: 1200, gold: 5000, coupon: 0 },
+        lands: [
+            { id: 1, plant: { seedId: SCALLION, state: 'growing', matureInSec: 2 } },
+            { id: 2, plant: { seedId: SCALLION, state: 'growing', matureInSec: 400 } },
+        ],
+        bag: [],
+        shop: [],
+        friends: [],
+    },
+});
+let interactRecords = [];
+
+function getGuardTasks() {
+    const { schedulers } = getSchedulerRegistrySnapshot('farm');
+    const tasks = schedulers.length > 0 ? schedulers[0].tasks : [];
+    return tasks.filter(task => task.name.startsWith('steal_guard_'))
+        .map(task => ({ mode: task.name.slice('steal_guard_'.length), delaySec: Math.round(task.delayMs / 1000) }));
+}
+
+async function waitUntil(check, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!check() && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+function stealRecord(serverTime, gid, nick, count, landId = 1) {
+    return { server_time: serverTime, action_type: ACTION_STEAL, visitor_gid: gid, nick, crop_id: SCALLION, crop_count: count, extra: { land_id: landId } };
+}
+
+before(async () => {
+    mock.method(console, 'warn', () => {});
+    server.setHandler('gamepb.interactpb.InteractService', 'InteractRecords', {
+        req: 'InteractRecordsRequest',
+        reply: 'InteractRecordsReply',
+        handle: () => ({ records: interactRecords }),
+    });
+    const { url } = await server.start();
+    CONFIG.serverUrl = url;
+    await loadProto();
+    store.addOrUpdateAccount({ name: '测试号', code: 'guard-code' });
+    store.setAutomation('farm_anti_steal', true, '1');
+    store.setAutomation('friend', false, '1');
+    store.setAutomation('fertilizer_land_types', [], '1');
+    await new Promise((resolve) => {
+        networkEvents.once('test_login', resolve);
+        connect('guard-code', () => networkEvents.emit('test_login'));
+    });
+    startFarmCheckLoop({ externalScheduler: true });
+});
+
+after(async () => {
+    stopAntiStealMonitor();
+    stopFarmCheckLoop();
+    cleanup();
+    await server.stop();
+    mock.restoreAll();
+    temp.cleanup();
+});
+
+test('守护窗口内的土地在成熟时刻直接收获，不先拉取全部土地', async () => {
+    await checkFarm();
+    assert.deepEqual(getGuardTasks().map(task => task.mode), ['guard']);
+
+    server.clearRequests();
+    const harvested = await server.waitForRequest('Harvest', 8000);
+    assert.deepEqual(harvested.body.land_ids, [1]);
+    assert.equal(harvested.error, '');
+    assert.equal(server.getRequests({ method: 'AllLands' }).length, 0, '收获前不巡田');
+
+    // 收获后巡田一次补种，并为下一块土地重新安排守护
+    await server.waitForRequest('AllLands', 3000);
+    await waitUntil(() => getGuardTasks().some(task => task.mode !== 'guard'));
+    const tasks = getGuardTasks();
+    assert.deepEqual(tasks.map(task => task.mode), ['arm'], '未进入守护窗口的土地只在进入窗口时唤醒');
+    assert.ok(Math.abs(tasks[0].delaySec - (400 - 30)) <= 5, `唤醒延迟: ${tasks[0].delaySec}`);
+});
+
+test('旧访客记录只上报不警戒，近期偷菜进入警戒且不重复上报', async () => {
+    const reported = [];
+    let alerts = 0;
+    const start = () => new Promise((resolve) => {
+        startAntiStealMonitor({
+            onAlert: () => { alerts += 1; resolve('alert'); },
+            onStealRecords: (records) => { reported.push(...records); resolve('records'); },
+        });
+    });
+
+    interactRecords = [stealRecord(nowSec() - 3600, 20001, '邻居阿花', 2)];
+    assert.equal(await start(), 'records');
+    assert.deepEqual([isAntiStealAlert(), alerts], [false, 0]);
+    assert.deepEqual(reported.map(r => [r.nick, r.cropCount, r.landId]), [['邻居阿花', 2, 1]]);
+
+    stopAntiStealMonitor();
+    interactRecords = [stealRecord(nowSec() - 30, 20002, '邻居老王', 3, 2), ...interactRecords];
+    // 上报与警戒在同一次拉取中先后进行
+    await start();
+    assert.deepEqual([isAntiStealAlert(), alerts], [true, 1]);
+    assert.deepEqual(reported.map(r => r.nick), ['邻居阿花', '邻居老王'], '已上报的记录不再上报');
+});
+
+test('警戒期间 10 分钟内成熟的土地缩短巡田间隔', async () => {
+    assert.equal(isAntiStealAlert(), true);
+    await checkFarm();
+    const tasks = getGuardTasks();
+    assert.deepEqual(tasks.map(task => task.mode), ['alert']);
+    assert.equal(tasks[0].delaySec, 30);
+
+    stopAntiStealMonitor();
+    assert.equal(isAntiStealAlert(), false);
+    await checkFarm();
+    assert.deepEqual(getGuardTasks().map(task => task.mode), ['arm']);
+});
+
+test('被偷记录按好友汇总，重复上报的记录去重', () => {
+    const storage = createMemoryStorage();
+    const service = createStealRecordService({ storage, log: () => {} });
+    const records = [
+        { serverTimeSec: 100, visitorGid: 20001, nick: '邻居阿花', cropId: 1, cropName: '白萝卜', cropCount: 2, landId: 1 },
+        { serverTimeSec: 120, visitorGid: 20002, nick: '邻居老王', cropId: 1, cropName: '白萝卜', cropCount: 1, landId: 2 },
+        { serverTimeSec: 130, visitorGid: 20001, nick: '阿花', cropId: 2, cropName: '胡萝卜', cropCount: 3, landId: 3 },
+        { serverTimeSec: 140, visitorGid: 0, nick: '系统', cropCount: 9 },
+    ];
+    assert.equal(service.addRecords('1', records), 3, '没有访客 GID 的记录忽略');
+    assert.equal(service.addRecords('1', records.slice(0, 3)), 0, 'worker 重启后重复上报');
+    assert.equal(service.addRecords('1', [{ ...records[0], serverTimeSec: 90 }]), 0, '早于已同步时间的记录忽略');
+
+    const { friends, recent } = service.getAccountRecords('1');
+    assert.deepEqual(friends.map(f => [f.gid, f.nick, f.times, f.count, f.lastAt]), [
+        [20001, '阿花', 2, 5, 130],
+        [20002, '邻居老王', 1, 1, 120],
+    ]);
+    assert.deepEqual(friends[0].crops.map(c => [c.cropName, c.count]), [['胡萝卜', 3], ['白萝卜', 2]]);
+    assert.deepEqual(recent.map(r => r.serverTimeSec), [130, 120, 100]);
+    assert.ok(storage.docs.steal_records['1'], '写入存储');
+
+    service.removeAccount('1');
+    assert.deepEqual(service.getAccountRecords('1'), { friends: [], recent: [] });
+});
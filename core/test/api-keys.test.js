@@ -0,0 +1,99 @@
+/**
+ * API 密钥：scope 解析、密钥校验与账号白名单
+ */
+
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+const { createApiKeyStore, resolveRequiredScope } = require('../src/services/api-keys');
+const { createMemoryStorage } = require('./helpers/memory-storage');
+
+describe('resolveRequiredScope', () => {
+    test('GET 请求区分状态与日志读取', () => {
+        assert.equal(resolveRequiredScope('get', '/status'), 'read:status');
+        assert.equal(resolveRequiredScope('GET', '/accounts'), 'read:status');
+        assert.equal(resolveRequiredScope('GET', '/logs'), 'read:logs');
+        assert.equal(resolveRequiredScope('GET', '/account-logs'), 'read:logs');
+    });
+
+    test('管理类接口与仅所有者可读的数据不对密钥开放', () => {
+        for (const path of ['/users', '/users/bob', '/admin/sessions', '/api-keys', '/api-keys/abc']) {
+            assert.equal(resolveRequiredScope('GET', path), null, path);
+            assert.equal(resolveRequiredScope('POST', path), null, path);
+        }
+        for (const path of ['/audit', '/game-data', '/traffic/1/stats', '/proxy-pool']) {
+            assert.equal(resolveRequiredScope('GET', path), null, path);
+        }
+    });
+
+    test('写操作按规则映射 scope，未登记的写接口拒绝', () => {
+        assert.equal(resolveRequiredScope('POST', '/farm/operate'), 'write:farm');
+        assert.equal(resolveRequiredScope('POST', '/friend/123/op'), 'write:farm');
+        assert.equal(resolveRequiredScope('DELETE', '/steal-records'), 'write:farm');
+        assert.equal(resolveRequiredScope('POST', '/automation'), 'write:settings');
+        assert.equal(resolveRequiredScope('POST', '/config/revisions/3/rollback'), 'write:settings');
+        assert.equal(resolveRequiredScope('POST', '/accounts/7/start'), 'write:accounts');
+        assert.equal(resolveRequiredScope('DELETE', '/accounts/7'), 'write:accounts');
+        assert.equal(resolveRequiredScope('DELETE', '/farm/operate'), null);
+        assert.equal(resolveRequiredScope('POST', '/settings/theme'), null);
+        assert.equal(resolveRequiredScope('PUT', '/automation'), null);
+    });
+
+    test('批量接口按 action 决定 scope', () => {
+        assert.equal(resolveRequiredScope('POST', '/accounts/bulk', { action: 'restart' }), 'write:accounts');
+        assert.equal(resolveRequiredScope('POST', '/accounts/bulk', { action: 'settings' }), 'write:settings');
+        assert.equal(resolveRequiredScope('POST', '/accounts/bulk', { action: 'farm' }), 'write:farm');
+        assert.equal(resolveRequiredScope('POST', '/accounts/bulk', { action: 'toString' }), null);
+        assert.equal(resolveRequiredScope('POST', '/accounts/bulk'), null);
+    });
+});
+
+describe('createApiKeyStore', () => {
+    test('明文密钥只在创建时返回，落盘仅保存摘要', () => {
+        const storage = createMemoryStorage();
+        const keys = createApiKeyStore({ storage });
+        const { key, record } = keys.create({ name: ' ci ', scopes: ['write:farm', 'read:status', 'bogus'] });
+
+        assert.match(key, /^fk_[0-9a-f]{8}_[0-9a-f]{48}$/);
+        assert.equal(record.name, 'ci');
+        assert.deepEqual(record.scopes, ['read:status', 'write:farm']);
+        assert.equal(record.restricted, false);
+        assert.equal(JSON.stringify(storage.docs.api_keys).includes(key.split('_')[2]), false);
+        assert.equal(keys.list()[0].prefix.startsWith(`fk_${record.id}_`), true);
+    });
+
+    test('名称或 scope 为空时拒绝创建', () => {
+        const keys = createApiKeyStore({ storage: createMemoryStorage() });
+        assert.throws(() => keys.create({ name: '', scopes: ['read:status'] }), /密钥名称/);
+        assert.throws(() => keys.create({ name: 'x', scopes: ['admin'] }), /权限范围/);
+    });
+
+    test('校验密钥并记录最近使用，撤销后失效', () => {
+        const storage = createMemoryStorage();
+        const keys = createApiKeyStore({ storage });
+        const { key, record } = keys.create({ name: 'ci', scopes: ['read:status'] });
+
+        assert.equal(keys.verify(key, { ip: '10.0.0.1' }).lastUsedIp, '10.0.0.1');
+        assert.equal(keys.verify(`${key}x`), null);
+        assert.equal(keys.verify(key.replace('fk_', 'xx_')), null);
+        assert.equal(keys.verify('fk_nosep'), null);
+
+        assert.equal(createApiKeyStore({ storage }).verify(key).id, record.id, '重新加载后仍可校验');
+        assert.equal(keys.revoke(record.id), true);
+        assert.equal(keys.verify(key), null);
+        assert.equal(keys.revoke(record.id), false);
+    });
+
+    test('限定账号的密钥剔除已删除账号，全部删除后仍保持受限', () => {
+        let accountIds = ['1', '2'];
+        const keys = createApiKeyStore({ storage: createMemoryStorage(), getAccountIds: () => accountIds });
+        const { key } = keys.create({ name: 'ci', scopes: ['read:status'], accounts: [1, '2', '2', ' '] });
+
+        assert.deepEqual(keys.verify(key).accounts, ['1', '2']);
+        accountIds = ['2'];
+        assert.deepEqual(keys.verify(key).accounts, ['2']);
+        accountIds = [];
+        const record = keys.verify(key);
+        assert.deepEqual(record.accounts, []);
+        assert.equal(record.restricted, true);
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * 审计日志：配置快照差异与记录查询
+ */
+
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, mock, test } = require('node:test');
+const { createJsonDriver } = require('../src/models/storage/json-driver');
+const { createAuditLog, diffSnapshots } = require('../src/services/audit-log');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+test('diffSnapshots 列出叶子字段变化，数组整体比较', () => {
+    const before = { automation: { farm: true, fertilizer: 'both' }, plantingStrategy: 'preferred', friendBlacklist: [1, 2] };
+    const after = { automation: { farm: false, fertilizer: 'both', sell: true }, plantingStrategy: 'preferred', friendBlacklist: [2, 1] };
+    assert.deepEqual(diffSnapshots(before, after), [
+        { path: 'automation.farm', before: true, after: false },
+        { path: 'automation.sell', before: null, after: true },
+        { path: 'friendBlacklist', before: [1, 2], after: [2, 1] },
+    ]);
+    assert.deepEqual(diffSnapshots(before, structuredClone(before)), []);
+});
+
+describe('createAuditLog', () => {
+    let temp = null;
+    let audit = null;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: new Date(2026, 0, 10, 12).getTime() });
+        temp = createTempDataDir();
+        audit = createAuditLog({ storage: createJsonDriver({ dataDir: temp.dir }) });
+        audit.record({ actor: 'admin', accountId: '1', method: 'post', route: '/api/automation', status: 200, changes: [{ path: 'automation.farm' }] });
+        mock.timers.tick(1000);
+        audit.record({ actor: 'bob', accountId: '2', method: 'POST', route: '/api/settings/save', status: 200 });
+        mock.timers.tick(1000);
+        audit.record({ actor: 'admin', accountId: '2', method: 'DELETE', route: '/api/accounts/2', status: 403 });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        temp.cleanup();
+    });
+
+    test('记录字段规范化，默认查询最近 30 天且新记录在前', () => {
+        const result = audit.query();
+        assert.equal(result.total, 3);
+        assert.deepEqual(result.items.map(item => item.route), ['/api/accounts/2', '/api/settings/save', '/api/automation']);
+        assert.equal(result.items[2].method, 'POST');
+        assert.equal(result.items[2].actorType, 'user');
+        assert.deepEqual(result.items[1].changes, []);
+        assert.equal(result.to - result.from, 30 * 24 * 60 * 60 * 1000);
+    });
+
+    test('按操作者、账号、关键字与可见性过滤', () => {
+        assert.equal(audit.query({ actor: 'admin' }).total, 2);
+        assert.equal(audit.query({ accountId: '2' }).total, 2);
+        assert.deepEqual(audit.query({ keyword: 'AUTOMATION.FARM' }).items.map(item => item.actor), ['admin']);
+        assert.deepEqual(audit.query({ keyword: 'settings' }).items.map(item => item.actor), ['bob']);
+        assert.equal(audit.query({ canView: item => item.accountId === '1' }).total, 1);
+    });
+
+    test('分页限制在 1~500 之间，时间范围反转时报错', () => {
+        const page = audit.query({ limit: 1, offset: 1 });
+        assert.equal(page.total, 3);
+        assert.deepEqual(page.items.map(item => item.actor), ['bob']);
+        assert.equal(audit.query({ limit: 0 }).items.length, 3);
+        assert.throws(() => audit.query({ from: Date.now(), to: Date.now() - 1 }), /from 不能晚于 to/);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * 配置模板：关联应用、覆盖字段、模板更新同步与解除关联
+ */
+
+const assert = require('node:assert/strict');
+const { after, beforeEach, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const temp = createTempDataDir({ env: true });
+const store = require('../src/models/store');
+
+const PROFILE_CONFIG = {
+    automation: { farm: false, fertilizer: 'organic' },
+    plantingStrategy: 'preferred',
+    preferredSeedId: 20003,
+    bagSeedPriority: [20003, 20001],
+    intervals: { farmMin: 30, farmMax: 60 },
+};
+
+beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+});
+
+after(() => temp.cleanup());
+
+test('关联时应用模板字段（含偏好种子），覆盖字段保留账号自己的值', () => {
+    store.applyConfigSnapshot({ plantingStrategy: 'max_exp', intervals: { farmMin: 5, farmMax: 5 } }, { accountId: '2' });
+    const { profile } = store.saveConfigProfile({ name: '默认', config: PROFILE_CONFIG });
+    assert.deepEqual(Object.keys(profile.config).sort(), [
+        'automation', 'bagSeedPriority', 'friendBlockLevel', 'friendQuietHours', 'intervals', 'plantingStrategy', 'preferredSeedId',
+    ]);
+
+    assert.deepEqual(store.setAccountProfileLinks(['1', '1'], { profileId: profile.id }), ['1']);
+    store.setAccountProfileLinks(['2'], { profileId: profile.id, overrides: ['intervals', 'friendCache', 'automation.bogus', 'automation.farm'] });
+    assert.deepEqual(store.getAccountProfileLinks()['2'].overrides, ['intervals', 'automation.farm']);
+
+    const first = store.getConfigSnapshot('1');
+    assert.equal(first.automation.farm, false);
+    assert.equal(first.automation.fertilizer, 'organic');
+    assert.equal(first.plantingStrategy, 'preferred');
+    assert.equal(first.preferredSeedId, 20003);
+    assert.deepEqual(store.getBagSeedPriority('1'), [20003, 20001]);
+    assert.equal(first.intervals.farmMin, 30);
+    assert.equal(store.getConfigRevisions('1')[0].profile, '默认');
+
+    const second = store.getConfigSnapshot('2');
+    assert.equal(second.intervals.farmMin, 5);
+    assert.equal(second.automation.farm, true);
+    assert.equal(second.preferredSeedId, 20003);
+});
+
+test('更新模板同步到所有关联账号，名称不可重复', () => {
+    const [profile] = store.getConfigProfiles();
+    const result = store.saveConfigProfile({ id: profile.id, config: { preferredSeedId: 20005 } });
+    assert.deepEqual(result.accountIds.sort(), ['1', '2']);
+    assert.equal(result.profile.config.plantingStrategy, 'preferred');
+    assert.equal(store.getPreferredSeed('1'), 20005);
+    assert.equal(store.getPreferredSeed('2'), 20005);
+
+    assert.throws(() => store.saveConfigProfile({ name: '默认', config: {} }), /已存在/);
+    assert.throws(() => store.saveConfigProfile({ id: 'missing', config: {} }), /不存在/);
+});
+
+test('解除关联或删除模板后账号保留当前配置', () => {
+    const [profile] = store.getConfigProfiles();
+    assert.deepEqual(store.setAccountProfileLinks(['1'], { profileId: '' }), []);
+    assert.equal(store.getAccountProfileLinks()['1'], undefined);
+    assert.equal(store.getPreferredSeed('1'), 20005);
+
+    assert.equal(store.deleteConfigProfile(profile.id), true);
+    assert.deepEqual(store.getAccountProfileLinks(), {});
+    assert.equal(store.getPreferredSeed('2'), 20005);
+    assert.equal(store.deleteConfigProfile(profile.id), false);
+    assert.throws(() => store.setAccountProfileLinks(['1'], { profileId: profile.id }), /不存在/);
+});
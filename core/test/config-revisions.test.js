@@ -0,0 +1,65 @@
+/**
+ * 账号配置版本：连续修改合并、基线版本与回滚
+ */
+
+const assert = require('node:assert/strict');
+const { after, afterEach, beforeEach, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const temp = createTempDataDir({ env: true });
+const store = require('../src/models/store');
+
+beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+after(() => temp.cleanup());
+
+test('首次修改记录基线版本，短时间内的连续修改合并为一个版本', () => {
+    store.applyConfigSnapshot({ automation: { farm: false } }, { accountId: '1' });
+    mock.timers.tick(500);
+    store.applyConfigSnapshot({ intervals: { farm: 600 } }, { accountId: '1' });
+
+    const revisions = store.getConfigRevisions('1');
+    assert.deepEqual(revisions.map(r => r.revision), [2, 1]);
+    assert.equal(revisions[1].baseline, true);
+    assert.equal(revisions[1].config.automation.farm, true);
+    assert.equal(revisions[0].config.automation.farm, false);
+    assert.equal(revisions[0].config.intervals.farm, 600);
+
+    mock.timers.tick(2000);
+    store.applyConfigSnapshot({ automation: { task: false } }, { accountId: '1' });
+    assert.deepEqual(store.getConfigRevisions('1').map(r => r.revision), [3, 2, 1]);
+});
+
+test('配置未变化或只改好友缓存时不记录版本', () => {
+    store.applyConfigSnapshot({ automation: { farm: false } }, { accountId: '2' });
+    mock.timers.tick(5000);
+    store.applyConfigSnapshot({ automation: { farm: false } }, { accountId: '2' });
+    store.applyConfigSnapshot({ friendCache: [{ gid: 123, nick: 'a' }] }, { accountId: '2' });
+    assert.equal(store.getConfigRevisions('2').length, 2);
+    assert.equal('friendCache' in store.getRevisionableConfig('2'), false);
+});
+
+test('回滚记为新版本且不与随后的修改合并', () => {
+    store.applyConfigSnapshot({ plantingStrategy: 'max_exp' }, { accountId: '3' });
+    mock.timers.tick(5000);
+    store.applyConfigSnapshot({ plantingStrategy: 'max_profit' }, { accountId: '3' });
+    mock.timers.tick(5000);
+
+    const snapshot = store.rollbackAccountConfig('3', 2);
+    assert.equal(snapshot.plantingStrategy, 'max_exp');
+    const [latest] = store.getConfigRevisions('3');
+    assert.equal(latest.revision, 4);
+    assert.equal(latest.rollbackOf, 2);
+
+    store.applyConfigSnapshot({ plantingStrategy: 'level' }, { accountId: '3' });
+    assert.deepEqual(store.getConfigRevisions('3').map(r => r.revision), [5, 4, 3, 2, 1]);
+    assert.throws(() => store.rollbackAccountConfig('3', 99), /配置版本 99 不存在/);
+});
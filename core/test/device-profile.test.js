@@ -0,0 +1,109 @@
+/**
+ * 账号设备信息：随机生成的机型/系统/内存/User-Agent 前后一致、设置清洗，以及登录时下发到握手头与 device_info
+ */
+
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { after, before, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const temp = createTempDataDir({ env: true });
+const { CONFIG } = require('../src/config/config');
+const { buildDefaultScenario, createMockGameServer } = require('../src/devtools/mock-game-server');
+const {
+    DEFAULT_USER_AGENT,
+    generateDeviceProfile,
+    normalizeAccountDevice,
+    normalizeDeviceProfile,
+    resolveAccountDevice,
+} = require('../src/utils/device-profile');
+const { cleanup, connect } = require('../src/utils/network');
+const { loadProto } = require('../src/utils/proto');
+
+const SAMPLES = 200;
+
+const server = createMockGameServer({ port: 0, scenario: buildDefaultScenario() });
+
+before(async () => {
+    const { url } = await server.start();
+    CONFIG.serverUrl = url;
+    await loadProto();
+});
+
+after(async () => {
+    cleanup();
+    await server.stop();
+    temp.cleanup();
+});
+
+test('随机设备信息的系统、机型、内存与 User-Agent 相互匹配', () => {
+    const seen = new Set();
+    for (let i = 0; i < SAMPLES; i++) {
+        const profile = generateDeviceProfile('qq');
+        seen.add(profile.os);
+        assert.deepEqual(normalizeDeviceProfile(profile), profile, '生成结果无需再清洗');
+        const version = profile.sys_software.slice(profile.os.length + 1);
+        assert.ok(profile.sys_software.startsWith(`${profile.os} `));
+        assert.match(profile.device_id, /^[^<]+<[^>]+>$/);
+        assert.match(profile.memory, /^\d+$/);
+        assert.ok(['wifi', '5g', '4g'].includes(profile.network));
+        const netType = profile.network === 'wifi' ? 'WIFI' : profile.network.toUpperCase();
+        assert.ok(profile.userAgent.includes(`NetType/${netType}`));
+        assert.ok(profile.userAgent.includes(' QQ/'), 'qq 平台使用 QQ 的 User-Agent');
+        if (profile.os === 'iOS') {
+            assert.match(profile.device_id, /<iPhone\d+,\d+>$/);
+            assert.ok(profile.userAgent.includes(`iPhone OS ${version.replaceAll('.', '_')} like Mac OS X`));
+        } else {
+            const model = profile.device_id.match(/<([^>]+)>$/)[1];
+            assert.ok(profile.userAgent.includes(`Android ${version}; ${model} Build/`));
+        }
+    }
+    assert.deepEqual([...seen].sort(), ['Android', 'iOS'], '两种系统都会生成');
+});
+
+test('按平台选择 User-Agent 的宿主 App，未知平台按 qq 处理', () => {
+    for (let i = 0; i < 20; i++) {
+        const wx = generateDeviceProfile('wx').userAgent;
+        assert.ok(wx.includes('MicroMessenger/') && wx.includes('Language/zh_CN'));
+        assert.ok(!wx.includes(' QQ/'));
+        assert.ok(generateDeviceProfile('other').userAgent.includes(' QQ/'));
+    }
+});
+
+test('清洗账号设备设置', () => {
+    const global = { mode: 'global', profile: null };
+    assert.deepEqual(normalizeAccountDevice(null), global);
+    assert.deepEqual(normalizeAccountDevice({ mode: 'random' }), global, 'random 只在添加账号时展开，不会被保存');
+    assert.deepEqual(normalizeAccountDevice({ mode: 'global', profile: { os: 'iOS' } }), global);
+    assert.deepEqual(normalizeAccountDevice({ mode: 'custom', profile: { os: ' ', device_id: '' } }), global, '空设备信息退回全局');
+
+    const device = normalizeAccountDevice({ mode: 'custom', profile: { os: ' Android ', memory: 8192, extra: 'x', userAgent: 'u'.repeat(600) } });
+    assert.equal(device.mode, 'custom');
+    assert.deepEqual(Object.keys(device.profile), ['os', 'sys_software', 'network', 'memory', 'device_id', 'userAgent']);
+    assert.deepEqual([device.profile.os, device.profile.memory, device.profile.sys_software], ['Android', '8192', '']);
+    assert.equal(device.profile.userAgent.length, 512);
+    assert.equal(normalizeDeviceProfile({ device_id: 'd'.repeat(100) }).device_id.length, 80);
+
+    assert.equal(resolveAccountDevice({ device: { mode: 'custom', profile: { os: 'iOS' } } }).os, 'iOS');
+    assert.equal(resolveAccountDevice({ device: { mode: 'global' } }), null);
+    assert.equal(resolveAccountDevice(null), null);
+});
+
+test('登录时使用账号设备信息，未填写的字段沿用全局配置', async () => {
+    const profile = { ...generateDeviceProfile('qq'), network: '', memory: '' };
+    CONFIG.deviceProfile = profile;
+    const connected = once(server.events, 'connection');
+    const loggedIn = server.waitForRequest('Login');
+    connect('device-code', () => {});
+    const [{ headers }] = await connected;
+    const record = await loggedIn;
+    cleanup();
+    CONFIG.deviceProfile = null;
+
+    assert.equal(headers['user-agent'], profile.userAgent);
+    assert.notEqual(headers['user-agent'], DEFAULT_USER_AGENT);
+    const info = record.body.device_info;
+    assert.deepEqual([info.sys_software, info.device_id], [profile.sys_software, profile.device_id]);
+    assert.equal(info.network, CONFIG.device_info.network);
+    assert.equal(info.memory, Number(CONFIG.device_info.memory), 'memory 在协议中为整数');
+});
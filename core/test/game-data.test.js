@@ -0,0 +1,89 @@
+/**
+ * 游戏数据热更新：data/overrides 下的 proto 与 gameConfig 覆盖、出错时保留原定义、worker 延迟生效
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { after, afterEach, before, beforeEach, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const temp = createTempDataDir({ env: true });
+const { applyPendingGameData, getGameDataSources, markGameDataStale, reloadGameData } = require('../src/config/game-data');
+const { getPlantBySeedId } = require('../src/config/gameConfig');
+const { getRoot, loadProto, types } = require('../src/utils/proto');
+
+const OVERRIDE_DIR = path.join(temp.dir, 'overrides');
+const BUNDLED_PLANT_PROTO = path.join(__dirname, '../src/proto/plantpb.proto');
+
+function writeOverride(kind, name, content) {
+    fs.mkdirSync(path.join(OVERRIDE_DIR, kind), { recursive: true });
+    fs.writeFileSync(path.join(OVERRIDE_DIR, kind, name), content, 'utf8');
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    await loadProto();
+    mock.restoreAll();
+});
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    fs.rmSync(OVERRIDE_DIR, { recursive: true, force: true });
+    reloadGameData();
+    mock.restoreAll();
+});
+
+after(() => temp.cleanup());
+
+test('gameConfig 覆盖文件优先于内置配置', () => {
+    writeOverride('gameConfig', 'Plant.json', JSON.stringify([{ id: 999001, seed_id: 999002, name: '测试作物' }]));
+    const result = reloadGameData();
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.gameConfig.find(item => item.name === 'Plant.json'), { name: 'Plant.json', source: 'override', count: 1, error: '' });
+    assert.equal(getPlantBySeedId(999002).name, '测试作物');
+    assert.equal(getGameDataSources().gameConfig.find(item => item.name === 'Plant.json').source, 'override');
+});
+
+test('gameConfig 覆盖文件格式错误时报告并保留上一次的数据', () => {
+    const previous = getPlantBySeedId(20002);
+    assert.ok(previous);
+    writeOverride('gameConfig', 'Plant.json', '{"not":"array"}');
+    const result = reloadGameData();
+    assert.equal(result.ok, false);
+    assert.match(result.gameConfig.find(item => item.name === 'Plant.json').error, /不是数组/);
+    assert.equal(getPlantBySeedId(20002), previous);
+});
+
+test('proto 覆盖文件替换同名内置定义，import 仍可引用内置文件', () => {
+    const extended = `${fs.readFileSync(BUNDLED_PLANT_PROTO, 'utf8')}\nmessage OverrideProbe {\n    int64 value = 1;\n}\n`;
+    writeOverride('proto', 'plantpb.proto', extended);
+    const result = reloadGameData();
+    assert.deepEqual(result.protoOverrides, ['plantpb.proto']);
+    assert.ok(getRoot().lookupType('gamepb.plantpb.OverrideProbe'));
+    assert.ok(types.HarvestRequest);
+    assert.equal(getGameDataSources().proto.find(item => item.name === 'plantpb.proto').source, 'override');
+});
+
+test('proto 有误时抛错并继续使用原定义', () => {
+    const rootBefore = getRoot();
+    const harvestBefore = types.HarvestRequest;
+    writeOverride('proto', 'plantpb.proto', 'syntax = "proto3";\npackage gamepb.plantpb;\nmessage Broken {');
+    assert.throws(() => reloadGameData());
+    assert.equal(getRoot(), rootBefore);
+    assert.equal(types.HarvestRequest, harvestBefore);
+});
+
+test('worker 标记待更新后只在下次连接前加载一次', () => {
+    assert.equal(applyPendingGameData(), false);
+    markGameDataStale();
+    writeOverride('gameConfig', 'Plant.json', JSON.stringify([{ id: 999003, seed_id: 999004, name: '延迟作物' }]));
+    assert.equal(getPlantBySeedId(999004), undefined);
+    assert.equal(applyPendingGameData(), true);
+    assert.equal(getPlantBySeedId(999004).name, '延迟作物');
+    assert.equal(applyPendingGameData(), false);
+});
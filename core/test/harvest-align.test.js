@@ -0,0 +1,63 @@
+/**
+ * 收获对齐选种：成熟时间（含普通化肥加速）、按巡田间隔估算暴露时间，以及在排名靠前的作物中挑选
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { estimateExposureSec, getSeedMatureSec, pickAlignedSeed } = require('../src/services/harvest-align');
+
+// 白萝卜 60 秒、胡萝卜 120 秒、大白菜 300 秒、大蒜 600 秒、大葱 1200 秒、玉米 4800 秒、鲜姜 6000 秒
+const SEEDS = {
+    radish: { seedId: 20002 },
+    carrot: { seedId: 20003 },
+    cabbage: { seedId: 20059 },
+    garlic: { seedId: 20065 },
+    scallion: { seedId: 20064 },
+    corn: { seedId: 20004 },
+    ginger: { seedId: 20066 },
+};
+
+test('种子成熟时间取第一季，施普通化肥时扣除加速', () => {
+    assert.equal(getSeedMatureSec(SEEDS.scallion.seedId), 1200);
+    assert.equal(getSeedMatureSec(SEEDS.scallion.seedId, { fertilized: true }), 900);
+    assert.equal(getSeedMatureSec(SEEDS.radish.seedId, { fertilized: true }), 30);
+    assert.equal(getSeedMatureSec(1), 0, '未知种子');
+});
+
+test('暴露时间为成熟到下一次巡田的等待', () => {
+    assert.equal(estimateExposureSec(100, { intervalSec: 60 }), 20);
+    assert.equal(estimateExposureSec(1200, { intervalSec: 600 }), 0);
+    assert.equal(estimateExposureSec(1200, { intervalSec: 1 }), 0, '成熟定时收获按 1 秒间隔计算');
+    assert.equal(estimateExposureSec(1200, { intervalSec: 0 }), 0, '无效间隔按 1 秒处理');
+});
+
+test('取排名最靠前的已对齐作物', () => {
+    const picked = pickAlignedSeed([SEEDS.corn, SEEDS.scallion, SEEDS.garlic], { intervalSec: 1250 });
+    assert.equal(picked.seed, SEEDS.scallion, '玉米要等 200 秒，大葱只等 50 秒');
+    assert.deepEqual([picked.matureSec, picked.exposureSec, picked.aligned], [1200, 50, true]);
+
+    const first = pickAlignedSeed([SEEDS.corn, SEEDS.scallion], { intervalSec: 1 });
+    assert.equal(first.seed, SEEDS.corn, '成熟即收时排名第一的作物总能对齐');
+});
+
+test('都对不齐时取等待最短的', () => {
+    const picked = pickAlignedSeed([SEEDS.scallion, SEEDS.garlic, SEEDS.radish], { intervalSec: 1000 });
+    assert.equal(picked.seed, SEEDS.garlic);
+    assert.deepEqual([picked.exposureSec, picked.aligned], [400, false]);
+});
+
+test('按施肥后的成熟时间对齐', () => {
+    assert.equal(pickAlignedSeed([SEEDS.scallion], { intervalSec: 900 }).exposureSec, 600);
+    const fertilized = pickAlignedSeed([SEEDS.scallion], { intervalSec: 900, fertilized: true });
+    assert.deepEqual([fertilized.matureSec, fertilized.exposureSec, fertilized.aligned], [900, 0, true]);
+});
+
+test('只在排名前 5 的作物中挑选，跳过未知种子', () => {
+    const ranked = [SEEDS.radish, SEEDS.carrot, SEEDS.cabbage, SEEDS.garlic, SEEDS.scallion, SEEDS.ginger];
+    const picked = pickAlignedSeed(ranked, { intervalSec: 6000 });
+    assert.equal(picked.seed, SEEDS.scallion, '第 6 名的鲜姜能对齐也不参与');
+    assert.equal(picked.aligned, false);
+
+    assert.equal(pickAlignedSeed([{ seedId: 1 }, SEEDS.scallion], { intervalSec: 1200 }).seed, SEEDS.scallion);
+    assert.equal(pickAlignedSeed([{ seedId: 1 }], { intervalSec: 60 }), null);
+});
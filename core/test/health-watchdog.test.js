@@ -0,0 +1,111 @@
+/**
+ * 健康检查：心跳/调度/服务器心跳阈值判定与持续异常自动重启
+ */
+
+const assert = require('node:assert/strict');
+const { after, afterEach, beforeEach, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const temp = createTempDataDir({ env: true });
+const { createHealthWatchdog } = require('../src/runtime/health-watchdog');
+
+const SEC = 1000;
+
+let cfg = null;
+let workers = null;
+let restarted = null;
+let watchdog = null;
+
+function heartbeat(extra = {}) {
+    const now = Date.now();
+    return { receivedAt: now, loginReady: true, lastTickAt: now, tickStartedAt: 0, nextTickAt: now + 60 * SEC, serverHeartbeatAt: now, ...extra };
+}
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['Date', 'setInterval'], now: 10_000_000 });
+    cfg = { enabled: true, heartbeatTimeoutSec: 60, tickTimeoutSec: 300, serverTimeoutSec: 180, autoRestart: true, restartAfterSec: 120 };
+    workers = {};
+    restarted = [];
+    watchdog = createHealthWatchdog({
+        store: { getHealthWatchdogConfig: () => cfg },
+        workers,
+        restartWorker: account => restarted.push(account.id),
+        getAccounts: () => ({ accounts: [{ id: '1' }] }),
+        log: () => {},
+        addAccountLog: () => {},
+    });
+});
+
+afterEach(() => {
+    watchdog.stop();
+    mock.timers.reset();
+});
+
+after(() => temp.cleanup());
+
+test('登录完成且各项正常为 healthy，未登录只检查进程心跳', () => {
+    workers['1'] = { name: 'a', startedAt: Date.now(), heartbeat: heartbeat() };
+    workers['2'] = { name: 'b', startedAt: Date.now(), heartbeat: heartbeat({ loginReady: false, serverHeartbeatAt: 1 }) };
+    watchdog.checkAll();
+    assert.equal(workers['1'].health.state, 'healthy');
+    assert.equal(workers['2'].health.state, 'starting');
+    assert.deepEqual(workers['2'].health.reasons, []);
+});
+
+test('各项超过阈值标记为对应原因', () => {
+    const now = Date.now();
+    workers['1'] = { heartbeat: heartbeat({ receivedAt: now - 61 * SEC }) };
+    workers['2'] = { heartbeat: heartbeat({ tickStartedAt: now - 301 * SEC, nextTickAt: now - 400 * SEC }) };
+    workers['3'] = { heartbeat: heartbeat({ nextTickAt: now - 301 * SEC }) };
+    workers['4'] = { heartbeat: heartbeat({ serverHeartbeatAt: now - 181 * SEC }) };
+    workers['5'] = { heartbeat: heartbeat({ receivedAt: now - 60 * SEC, nextTickAt: now - 300 * SEC, serverHeartbeatAt: now - 180 * SEC }) };
+    workers['6'] = { startedAt: now - 61 * SEC };
+    watchdog.checkAll();
+    const reasons = id => workers[id].health.reasons;
+    assert.deepEqual(reasons('1'), ['heartbeat']);
+    assert.deepEqual(reasons('2'), ['tick_hung'], '执行卡住时不再重复报告调度过期');
+    assert.deepEqual(reasons('3'), ['tick_overdue']);
+    assert.deepEqual(reasons('4'), ['server_heartbeat']);
+    assert.deepEqual(reasons('5'), [], '恰好等于阈值不算异常');
+    assert.deepEqual(reasons('6'), ['heartbeat'], '从未上报心跳时按启动时间计算');
+});
+
+test('降级持续 restartAfterSec 后自动重启，中途恢复则重新计时', () => {
+    workers['1'] = { heartbeat: heartbeat({ serverHeartbeatAt: Date.now() - 200 * SEC }) };
+    watchdog.checkAll();
+    const since = workers['1'].health.since;
+    mock.timers.tick(119 * SEC);
+    watchdog.checkAll();
+    assert.equal(workers['1'].health.since, since);
+    assert.deepEqual(restarted, []);
+    mock.timers.tick(SEC);
+    watchdog.checkAll();
+    assert.deepEqual(restarted, ['1']);
+
+    workers['1'].heartbeat = heartbeat();
+    watchdog.checkAll();
+    assert.equal(workers['1'].health.state, 'healthy');
+});
+
+test('关闭自动重启只标记状态，停止中的 worker 不检查', () => {
+    cfg.autoRestart = false;
+    workers['1'] = { heartbeat: heartbeat({ receivedAt: Date.now() - 600 * SEC }) };
+    workers['2'] = { stopping: true, heartbeat: heartbeat({ receivedAt: 1 }) };
+    watchdog.checkAll();
+    mock.timers.tick(600 * SEC);
+    watchdog.checkAll();
+    assert.equal(workers['1'].health.state, 'degraded');
+    assert.equal(workers['2'].health, undefined);
+    assert.deepEqual(restarted, []);
+});
+
+test('启用时每 15 秒巡检一次，关闭后清除健康状态', () => {
+    workers['1'] = { heartbeat: heartbeat() };
+    watchdog.start();
+    mock.timers.tick(15 * SEC);
+    assert.equal(workers['1'].health.state, 'healthy');
+
+    cfg.enabled = false;
+    watchdog.refresh();
+    assert.equal(workers['1'].health, null);
+});
@@ -0,0 +1,22 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const process = require('node:process');
+
+/**
+ * 创建临时数据目录；设置 DATA_DIR 时须在加载 store 等模块之前调用
+ * @param {{env?: boolean}} [options] env 为 true 时同时设置 DATA_DIR
+ * @returns {{dir: string, cleanup: Function}} cleanup 删除目录
+ */
+function createTempDataDir(options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qq-farm-test-'));
+    if (options.env) process.env.DATA_DIR = dir;
+    return {
+        dir,
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+    };
+}
+
+module.exports = {
+    createTempDataDir,
+};
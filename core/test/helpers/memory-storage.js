@@ -0,0 +1,17 @@
+/**
+ * 内存存储：只实现 readDocument / writeDocument，写入时深拷贝以模拟落盘
+ * @param {object} [initial] 初始文档
+ * @returns {{docs: object, readDocument: Function, writeDocument: Function}} docs 为已写入的文档
+ */
+function createMemoryStorage(initial = {}) {
+    const docs = { ...initial };
+    return {
+        docs,
+        readDocument: (key, fallback) => (key in docs ? docs[key] : fallback()),
+        writeDocument: (key, value) => {
+            docs[key] = JSON.parse(JSON.stringify(value));
+        },
+    };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,97 @@
+/**
+ * 成熟定时收获：成熟时间相近的土地合并登记，收获、种植后按回复中的土地更新成熟时间，不再额外拉取全部土地
+ */
+
+const assert = require('node:assert/strict');
+const process = require('node:process');
+const { after, before, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const temp = createTempDataDir({ env: true });
+process.env.FARM_ACCOUNT_ID = '1';
+const { CONFIG } = require('../src/config/config');
+const { createMockGameServer } = require('../src/devtools/mock-game-server');
+const store = require('../src/models/store');
+const { checkFarm, startFarmCheckLoop, stopFarmCheckLoop } = require('../src/services/farm');
+const { getSchedulerRegistrySnapshot } = require('../src/services/scheduler');
+const { cleanup, connect, networkEvents } = require('../src/utils/network');
+const { loadProto } = require('../src/utils/proto');
+
+const RADISH = 20002;
+const SCALLION = 20064; // 模拟服务器中新种下的作物统一 60 秒成熟
+
+const server = createMockGameServer({
+    port: 0,
+    scenario: {
+        user: { gid: 10001, name: '本地农夫', level: 10, exp: 1200, gold: 5000, coupon: 0 },
+        lands: [
+            { id: 1, plant: { seedId: RADISH, state: 'mature' } },
+            { id: 2, plant: { seedId: SCALLION, state: 'growing', matureInSec: 600 } },
+            { id: 3, plant: { seedId: SCALLION, state: 'growing', matureInSec: 605 } },
+            { id: 4, plant: { seedId: SCALLION, state: 'growing', matureInSec: 900 } },
+            { id: 5 },
+        ],
+        bag: [{ id: SCALLION, count: 2 }],
+        shop: [],
+        friends: [],
+    },
+});
+
+function getHarvestTasks() {
+    const { schedulers } = getSchedulerRegistrySnapshot('farm');
+    const tasks = schedulers.length > 0 ? schedulers[0].tasks : [];
+    return tasks.filter(task => task.name.startsWith('harvest_at_'))
+        .map(task => ({ matureAt: Number(task.name.slice('harvest_at_'.length)), delaySec: Math.round(task.delayMs / 1000) }))
+        .sort((a, b) => a.matureAt - b.matureAt);
+}
+
+before(async () => {
+    mock.method(console, 'warn', () => {});
+    const { url } = await server.start();
+    CONFIG.serverUrl = url;
+    await loadProto();
+    store.addOrUpdateAccount({ name: '测试号', code: 'mature-code' });
+    store.setAutomation('farm_precise_harvest', true, '1');
+    store.setAutomation('friend', false, '1');
+    // 不勾选施肥范围，施肥前不会为判断土地类型拉取土地
+    store.setAutomation('fertilizer_land_types', [], '1');
+    store.setPlantingStrategy('1', 'bag_priority');
+    await new Promise((resolve) => {
+        networkEvents.once('test_login', resolve);
+        connect('mature-code', () => networkEvents.emit('test_login'));
+    });
+    // 外部调度模式只标记巡田循环运行，不安排间隔巡田
+    startFarmCheckLoop({ externalScheduler: true });
+});
+
+after(async () => {
+    stopFarmCheckLoop();
+    cleanup();
+    await server.stop();
+    mock.restoreAll();
+    temp.cleanup();
+});
+
+test('收获并补种后按回复登记定时收获，成熟时间相差 10 秒内的合并', async () => {
+    server.clearRequests();
+    await checkFarm();
+
+    assert.equal(server.getRequests({ method: 'AllLands' }).length, 1, '收获、种植后不再拉取全部土地');
+    assert.equal(server.getRequests({ method: 'Harvest' }).length, 1);
+    assert.equal(server.getRequests({ method: 'Plant' }).length, 2, '收获后的土地 1 与空地 5 都补种大葱');
+
+    // 成熟后 2 秒收获：新种的 1、5 按种植回复中的成熟时间登记，土地 2、3 合并后按较晚的成熟时间收获
+    const delays = getHarvestTasks().map(task => task.delaySec);
+    assert.equal(delays.length, 3);
+    // 场景创建与巡田之间可能跨过整秒，允许 2 秒误差
+    [62, 607, 902].forEach((expected, index) => assert.ok(Math.abs(delays[index] - expected) <= 2, `第 ${index + 1} 组: ${delays[index]}`));
+});
+
+test('没有收获和种植时沿用巡田开始时的成熟时间', async () => {
+    const previous = getHarvestTasks().map(task => task.matureAt);
+    server.clearRequests();
+    await checkFarm();
+
+    assert.deepEqual(server.getRequests().map(r => r.method), ['AllLands']);
+    assert.deepEqual(getHarvestTasks().map(task => task.matureAt), previous);
+});
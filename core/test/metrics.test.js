@@ -0,0 +1,89 @@
+/**
+ * 运行指标：请求耗时分桶、Prometheus 文本输出与全局指标汇总
+ */
+
+const assert = require('node:assert/strict');
+const { after, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const temp = createTempDataDir({ env: true });
+const { getRequestMetrics, observeRequest, renderPrometheus, summarizeSchedulers } = require('../src/services/metrics');
+const { createFleetMetrics } = require('../src/runtime/fleet-metrics');
+
+after(() => temp.cleanup());
+
+test('请求耗时按累积分桶记录，超时与失败分别计数', () => {
+    observeRequest('PlantService', 'AllLands', 80);
+    observeRequest('PlantService', 'AllLands', 3000, 'timeout');
+    observeRequest('PlantService', 'AllLands', -5, 'error');
+    const [item] = getRequestMetrics();
+    assert.equal(item.count, 3);
+    assert.equal(item.errors, 1);
+    assert.equal(item.timeouts, 1);
+    assert.equal(item.sumMs, 3080);
+    assert.deepEqual(item.buckets, [1, 2, 2, 2, 2, 2, 3, 3]);
+});
+
+test('renderPrometheus 输出 HELP/TYPE 与转义后的标签', () => {
+    const text = renderPrometheus([
+        { name: 'demo_total', type: 'counter', help: 'line1\nline2', samples: [{ labels: { name: 'a"b\\c\nd' }, value: 2 }] },
+        { name: 'demo_seconds', type: 'histogram', help: 'h', samples: [{ suffix: '_sum', value: Number.POSITIVE_INFINITY }, { suffix: '_count', value: 'x' }] },
+        null,
+    ]);
+    assert.equal(text, [
+        '# HELP demo_total line1 line2',
+        '# TYPE demo_total counter',
+        'demo_total{name="a\\"b\\\\c\\nd"} 2',
+        '# HELP demo_seconds h',
+        '# TYPE demo_seconds histogram',
+        'demo_seconds_sum +Inf',
+        'demo_seconds_count NaN',
+        '',
+    ].join('\n'));
+});
+
+test('summarizeSchedulers 汇总执行中与累计执行次数', () => {
+    const result = summarizeSchedulers({
+        schedulers: [{ namespace: 'farm', taskCount: 2, tasks: [{ running: true, runCount: 3 }, { running: false, runCount: 4 }] }],
+    });
+    assert.deepEqual(result, [{ namespace: 'farm', taskCount: 2, runningCount: 1, runCount: 7 }]);
+    assert.deepEqual(summarizeSchedulers(null), []);
+});
+
+test('全局指标：账号名只出现在 account_info，直方图按 service 合并', () => {
+    const workers = {
+        1: {
+            status: { connection: { connected: true }, status: { level: 12, gold: 500 }, operations: { harvest: 3 }, uptime: 60 },
+            metrics: {
+                requests: [
+                    { service: 'PlantService', method: 'AllLands', count: 2, errors: 1, timeouts: 0, sumMs: 300, buckets: [1, 1, 2, 2, 2, 2, 2, 2] },
+                    { service: 'PlantService', method: 'Harvest', count: 1, errors: 0, timeouts: 1, sumMs: 6000, buckets: [0, 0, 0, 0, 0, 0, 0, 1] },
+                ],
+                rateLimiter: [{ name: 'default', queueSize: 4, availableTokens: 1 }],
+                schedulers: [{ namespace: 'farm', taskCount: 2, runningCount: 0, runCount: 9 }],
+            },
+        },
+    };
+    const fleet = createFleetMetrics({
+        workers,
+        getAccounts: () => ({ accounts: [{ id: '1', name: '主号', platform: 'qq' }, { id: '2', name: '小号' }] }),
+    });
+    const lines = fleet.render().split('\n');
+
+    assert.ok(lines.includes('qqfarm_accounts 2'));
+    assert.ok(lines.includes('qqfarm_workers_running 1'));
+    assert.ok(lines.includes('qqfarm_account_info{account_id="1",name="主号",platform="qq"} 1'));
+    assert.ok(lines.includes('qqfarm_account_running{account_id="2"} 0'));
+    assert.ok(lines.includes('qqfarm_account_online{account_id="1"} 1'));
+    assert.ok(lines.includes('qqfarm_account_gold{account_id="1"} 500'));
+    assert.equal(lines.some(line => line.startsWith('qqfarm_account_gold{account_id="2"}')), false);
+    assert.ok(lines.includes('qqfarm_account_operations_total{account_id="1",op="harvest"} 3'));
+    assert.ok(lines.includes('qqfarm_request_errors_total{account_id="1",service="PlantService",method="Harvest",type="timeout"} 1'));
+    assert.ok(lines.includes('qqfarm_request_duration_seconds_bucket{account_id="1",service="PlantService",le="0.05"} 1'));
+    assert.ok(lines.includes('qqfarm_request_duration_seconds_bucket{account_id="1",service="PlantService",le="10"} 3'));
+    assert.ok(lines.includes('qqfarm_request_duration_seconds_bucket{account_id="1",service="PlantService",le="+Inf"} 3'));
+    assert.ok(lines.includes('qqfarm_request_duration_seconds_sum{account_id="1",service="PlantService"} 6.3'));
+    assert.ok(lines.includes('qqfarm_rate_limiter_queue_depth{account_id="1",queue="default"} 4'));
+    assert.ok(lines.includes('qqfarm_scheduler_task_runs_total{scope="worker",account_id="1",namespace="farm"} 9'));
+    assert.equal(lines.filter(line => line.includes('主号')).length, 1);
+});
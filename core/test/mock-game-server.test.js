@@ -0,0 +1,85 @@
+/**
+ * 模拟游戏服务器联调：登录后跑一轮巡田与好友巡查，断言发往服务器的请求
+ *
+ * 运行: pnpm -C core test
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const process = require('node:process');
+const { after, before, test } = require('node:test');
+
+// 配置与好友缓存写到临时目录，不动本地 data；须在加载 store 之前设置
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qq-farm-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { CONFIG } = require('../src/config/config');
+const { createMockGameServer, buildDefaultScenario } = require('../src/devtools/mock-game-server');
+const { checkFarm, stopFarmCheckLoop } = require('../src/services/farm');
+const { checkFriends, stopFriendCheckLoop } = require('../src/services/friend');
+const { connect, cleanup, getUserState } = require('../src/utils/network');
+const { loadProto } = require('../src/utils/proto');
+
+const LOGIN_TIMEOUT_MS = 10000;
+
+const server = createMockGameServer({ port: 0, scenario: buildDefaultScenario() });
+
+function methodsOf(service) {
+    return server.getRequests({ service }).map(r => r.method);
+}
+
+before(async () => {
+    const { url } = await server.start();
+    CONFIG.serverUrl = url;
+    await loadProto();
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('登录模拟服务器超时')), LOGIN_TIMEOUT_MS);
+        connect('mock-code', () => {
+            clearTimeout(timer);
+            resolve();
+        });
+    });
+});
+
+after(async () => {
+    stopFarmCheckLoop();
+    stopFriendCheckLoop();
+    cleanup();
+    await server.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('登录后拿到剧本中的账号信息', () => {
+    assert.equal(getUserState().gid, 10001);
+    assert.ok(server.getRequests({ method: 'Login' }).length > 0);
+});
+
+test('巡田收获成熟作物、处理异常土地并补种', async () => {
+    server.clearRequests();
+    assert.equal(await checkFarm(), true);
+
+    const methods = methodsOf('gamepb.plantpb.PlantService');
+    assert.ok(methods.includes('AllLands'));
+    const harvest = server.getRequests({ method: 'Harvest' });
+    assert.equal(harvest.length, 1);
+    assert.deepEqual(harvest[0].body.land_ids.map(Number), [1]);
+    for (const method of ['WeedOut', 'WaterLand', 'Insecticide', 'RemovePlant', 'Plant']) {
+        assert.ok(methods.includes(method), `缺少 ${method} 请求`);
+    }
+});
+
+test('好友巡查偷取成熟作物', async () => {
+    server.clearRequests();
+    await checkFriends();
+
+    assert.ok(methodsOf('gamepb.friendpb.FriendService').includes('SyncAll'));
+    const visited = server.getRequests({ method: 'Enter' }).map(r => Number(r.body.host_gid));
+    assert.deepEqual(visited.sort(), [20001, 20002]);
+    // 偷菜与收获同为 Harvest，host_gid 为好友
+    const steals = server.getRequests({ method: 'Harvest' });
+    assert.equal(steals.length, 1);
+    assert.equal(Number(steals[0].body.host_gid), 20001);
+    assert.equal(server.getRequests({ method: 'Leave' }).length, 2);
+});
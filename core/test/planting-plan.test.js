@@ -0,0 +1,108 @@
+/**
+ * 种植计划：规则清洗与保存，以及按土地编号 > 土地类型 > 账号策略分组种植（背包优先、不足再买）
+ */
+
+const assert = require('node:assert/strict');
+const process = require('node:process');
+const { after, before, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const temp = createTempDataDir({ env: true });
+process.env.FARM_ACCOUNT_ID = '1';
+const { CONFIG } = require('../src/config/config');
+const { getAllSeeds } = require('../src/config/gameConfig');
+const { createMockGameServer } = require('../src/devtools/mock-game-server');
+const store = require('../src/models/store');
+const { runFarmOperation } = require('../src/services/farm');
+const { cleanup, connect, networkEvents } = require('../src/utils/network');
+const { loadProto } = require('../src/utils/proto');
+
+const seeds = getAllSeeds().filter(s => s.requiredLevel > 0 && s.requiredLevel <= 10).slice(0, 4);
+const [SEED_A, SEED_B] = seeds.map(s => s.seedId);
+
+const server = createMockGameServer({
+    port: 0,
+    scenario: {
+        user: { gid: 10001, name: '本地农夫', level: 10, exp: 1200, gold: 5000, coupon: 0 },
+        // 1、2 为金土地，3、4 为普通土地，5 单独指定作物
+        lands: [{ id: 1, level: 4 }, { id: 2, level: 4 }, { id: 3 }, { id: 4 }, { id: 5 }],
+        bag: [{ id: SEED_A, count: 1 }],
+        shop: seeds.map((s, i) => ({ goodsId: i + 1, seedId: s.seedId, price: 10, level: s.requiredLevel })),
+        friends: [],
+    },
+});
+
+before(async () => {
+    mock.method(console, 'warn', () => {});
+    const { url } = await server.start();
+    CONFIG.serverUrl = url;
+    await loadProto();
+    store.addOrUpdateAccount({ name: '测试号', code: 'plan-code' });
+    await new Promise((resolve) => {
+        networkEvents.once('test_login', resolve);
+        connect('plan-code', () => networkEvents.emit('test_login'));
+    });
+});
+
+after(async () => {
+    cleanup();
+    await server.stop();
+    mock.restoreAll();
+    temp.cleanup();
+});
+
+test('清洗种植计划规则', () => {
+    const plan = store.setPlantingPlan('1', {
+        landTypes: {
+            gold: { strategy: 'preferred', seedId: SEED_A },
+            black: { strategy: 'max_exp' },
+            red: { strategy: 'bogus' },
+            normal: { strategy: 'preferred', seedId: 0 },
+            purple: { strategy: 'level' },
+        },
+        lands: {
+            5: { strategy: 'preferred', seedId: String(SEED_B) },
+            abc: { strategy: 'level' },
+            0: { strategy: 'level' },
+            9999: { strategy: 'level' },
+        },
+    });
+    assert.deepEqual(plan, {
+        landTypes: {
+            gold: { strategy: 'preferred', seedId: SEED_A },
+            black: { strategy: 'max_exp', seedId: 0 },
+        },
+        lands: { 5: { strategy: 'preferred', seedId: SEED_B } },
+    });
+    assert.deepEqual(store.getPlantingPlan('1'), plan, '种植计划按账号保存');
+    assert.deepEqual(store.getPlantingPlan('2'), { landTypes: {}, lands: {} });
+});
+
+test('按计划分组种植：指定作物先用背包种子，其余土地走账号策略', async () => {
+    store.setPlantingStrategy('1', 'level');
+    store.setPlantingPlan('1', {
+        landTypes: { gold: { strategy: 'preferred', seedId: SEED_A } },
+        lands: { 5: { strategy: 'preferred', seedId: SEED_B } },
+    });
+    server.clearRequests();
+    await runFarmOperation('plant');
+
+    const plants = server.getRequests({ method: 'Plant' });
+    const plantedBy = new Map();
+    for (const { body } of plants) {
+        for (const item of body.items || []) {
+            for (const landId of item.land_ids) plantedBy.set(landId, item.seed_id);
+        }
+    }
+    const seedOf = landId => plantedBy.get(landId);
+    assert.deepEqual([seedOf(1), seedOf(2)], [SEED_A, SEED_A], '金土地种计划作物');
+    assert.equal(seedOf(5), SEED_B, '土地编号规则优先于类型');
+    const levelSeed = seeds.reduce((best, s) => (s.requiredLevel > best.requiredLevel ? s : best)).seedId;
+    assert.deepEqual([seedOf(3), seedOf(4)], [levelSeed, levelSeed], '普通土地按账号策略种最高等级作物');
+    const lastLands = plants.at(-1).body.items.flatMap(item => item.land_ids);
+    assert.ok(lastLands.every(id => id === 3 || id === 4), '账号策略的土地最后种');
+
+    const bought = server.getRequests({ method: 'BuyGoods' }).map(r => seeds[r.body.goods_id - 1].seedId);
+    assert.equal(bought.filter(id => id === SEED_A).length, 1, '背包只有 1 颗计划种子，另 1 块再从商店买');
+    assert.ok(bought.includes(SEED_B));
+});
@@ -0,0 +1,72 @@
+/**
+ * 断线重连：连接中断后按退避重连并恢复会话，服务器拒绝 Code 时停止重连
+ */
+
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { after, before, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const temp = createTempDataDir({ env: true });
+const { CONFIG } = require('../src/config/config');
+const { buildDefaultScenario, createMockGameServer } = require('../src/devtools/mock-game-server');
+const { cleanup, connect, getReconnectState, getUserState, networkEvents } = require('../src/utils/network');
+const { loadProto } = require('../src/utils/proto');
+
+const WAIT_MS = 10000;
+
+const server = createMockGameServer({ port: 0, scenario: buildDefaultScenario(), rejectCodes: ['expired-code'] });
+const logins = [];
+
+function waitFor(emitter, event, timeoutMs = WAIT_MS) {
+    return once(emitter, event, { signal: AbortSignal.timeout(timeoutMs) });
+}
+
+before(async () => {
+    mock.method(Math, 'random', () => 0); // 去掉重连抖动，第一次重连固定 2 秒
+    const { url } = await server.start();
+    CONFIG.serverUrl = url;
+    await loadProto();
+});
+
+after(async () => {
+    cleanup();
+    await server.stop();
+    mock.restoreAll();
+    temp.cleanup();
+});
+
+test('连接中断后自动重连并恢复会话', async () => {
+    const firstLogin = waitFor(networkEvents, 'test_login');
+    connect('mock-code', (info) => {
+        logins.push(info);
+        networkEvents.emit('test_login');
+    });
+    await firstLogin;
+    assert.deepEqual(logins, [{ resumed: false }]);
+
+    const reconnecting = waitFor(networkEvents, 'reconnecting');
+    server.dropConnections();
+    const [event] = await reconnecting;
+    assert.deepEqual([event.attempt, event.delayMs], [1, 2000]);
+    const state = getReconnectState();
+    assert.equal(state.reconnecting, true);
+    assert.match(state.lastDisconnectReason, /code=1006/);
+    assert.equal(getUserState().gid, 0);
+
+    const [reconnected] = await waitFor(networkEvents, 'reconnected');
+    assert.equal(reconnected.attempts, 1);
+    assert.deepEqual(logins, [{ resumed: false }, { resumed: true }]);
+    assert.equal(getUserState().gid, 10001);
+    assert.deepEqual([getReconnectState().reconnecting, getReconnectState().lastDisconnectAt], [false, 0]);
+});
+
+test('服务器拒绝 Code 时停止重连', async () => {
+    const rejected = waitFor(networkEvents, 'code_rejected');
+    connect('expired-code', () => {});
+    const [event] = await rejected;
+    assert.match(event.message, /code=/);
+    // 首次重连延迟为 2 秒，等 3 秒足以确认没有安排重连
+    await waitFor(networkEvents, 'reconnecting', 3000).then(() => assert.fail('不应再重连'), () => {});
+    assert.deepEqual([getReconnectState().codeRejected, getReconnectState().reconnecting], [true, false]);
+});
@@ -0,0 +1,82 @@
+/**
+ * 协议调试：请求与响应按 client_seq 配对，超时/错误同样输出，未启用时不记录
+ */
+
+const assert = require('node:assert/strict');
+const { after, afterEach, before, beforeEach, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const temp = createTempDataDir({ env: true });
+const { loadProto, types } = require('../src/utils/proto');
+const inspector = require('../src/utils/rpc-inspector');
+
+const PLANT_SERVICE = 'gamepb.plantpb.PlantService';
+
+let calls = null;
+
+function harvestRequest() {
+    return types.HarvestRequest.encode(types.HarvestRequest.create({ land_ids: [3] })).finish();
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    await loadProto();
+    mock.restoreAll();
+});
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+    calls = [];
+    inspector.setRpcInspectorSink(call => calls.push(call));
+});
+
+afterEach(() => {
+    inspector.setRpcInspectorSink(null);
+    mock.timers.reset();
+});
+
+after(() => temp.cleanup());
+
+test('响应按 client_seq 与请求配对并记录耗时', () => {
+    inspector.inspectRequest(PLANT_SERVICE, 'Harvest', 1, harvestRequest());
+    mock.timers.tick(120);
+    const reply = types.HarvestReply.encode(types.HarvestReply.create({ land: [{ id: 3 }] })).finish();
+    inspector.inspectResponse({ client_seq: 1, error_code: 0 }, reply);
+    inspector.inspectResponse({ client_seq: 1, error_code: 0 }, reply);
+
+    assert.equal(calls.length, 1, '同一请求只输出一次');
+    const [call] = calls;
+    assert.equal(call.id, '1000000-1');
+    assert.equal(call.latencyMs, 120);
+    assert.equal(call.outcome, 'ok');
+    assert.deepEqual(call.request.land_ids, ['3']);
+    assert.equal(call.reply.land[0].id, '3');
+    assert.equal(call.decodeError, '');
+});
+
+test('错误码响应不解码，超时单独标记', () => {
+    inspector.inspectRequest(PLANT_SERVICE, 'Harvest', 2, harvestRequest());
+    inspector.inspectResponse({ client_seq: 2, error_code: 1001, error_message: '土地未成熟' }, null);
+    inspector.inspectRequest(PLANT_SERVICE, 'NoSuchMethod', 3, harvestRequest());
+    inspector.inspectFailure(3, 'timeout', '请求超时');
+    inspector.inspectFailure(99, 'error', '连接断开');
+
+    assert.deepEqual(calls.map(call => [call.outcome, call.errorCode, call.errorMessage]), [
+        ['error', 1001, '土地未成熟'],
+        ['timeout', 0, '请求超时'],
+    ]);
+    assert.equal(calls[0].reply, null);
+    assert.match(calls[1].decodeError, /未找到消息类型/);
+});
+
+test('未启用时不记录，sink 抛错不影响调用方', () => {
+    inspector.setRpcInspectorSink(null);
+    assert.equal(inspector.isRpcInspecting(), false);
+    inspector.inspectRequest(PLANT_SERVICE, 'Harvest', 4, harvestRequest());
+    inspector.setRpcInspectorSink(() => {
+        throw new Error('sink failed');
+    });
+    inspector.inspectResponse({ client_seq: 4, error_code: 0 }, null);
+    inspector.inspectRequest(PLANT_SERVICE, 'Harvest', 5, harvestRequest());
+    assert.doesNotThrow(() => inspector.inspectFailure(5, 'error', '连接断开'));
+});
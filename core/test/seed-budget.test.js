@@ -0,0 +1,195 @@
+/**
+ * 买种预算：保留金币/每日/每轮上限的额度计算、花费记录与跨天重置、主进程保存的当天花费，
+ * 以及预算不足时按策略排名改种预算内能种满的种子
+ */
+
+const assert = require('node:assert/strict');
+const process = require('node:process');
+const { after, before, describe, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+const { createMemoryStorage } = require('./helpers/memory-storage');
+
+const temp = createTempDataDir({ env: true });
+process.env.FARM_ACCOUNT_ID = '1';
+const { CONFIG } = require('../src/config/config');
+const { createMockGameServer } = require('../src/devtools/mock-game-server');
+const store = require('../src/models/store');
+const { createSeedSpendService } = require('../src/runtime/seed-spend');
+const { runFarmOperation } = require('../src/services/farm');
+const {
+    beginSeedBudgetCycle,
+    getSeedBudgetAllowance,
+    getSeedBudgetState,
+    markSeedBudgetLimited,
+    recordSeedSpend,
+    restoreSeedSpend,
+    setSeedSpendSink,
+} = require('../src/services/seed-budget');
+const { cleanup, connect, networkEvents } = require('../src/utils/network');
+const { loadProto } = require('../src/utils/proto');
+
+// 按最高等级策略的排名：大蒜 > 大白菜 > 胡萝卜 > 白萝卜
+const SHOP = [
+    { goodsId: 1, seedId: 20065, price: 50, level: 4 },
+    { goodsId: 2, seedId: 20059, price: 30, level: 3 },
+    { goodsId: 3, seedId: 20003, price: 20, level: 2 },
+    { goodsId: 4, seedId: 20002, price: 10, level: 1 },
+];
+
+function setBudget(rules) {
+    for (const [key, value] of Object.entries(rules)) store.setAutomation(key, value, '1');
+}
+
+before(() => {
+    mock.method(console, 'warn', () => {});
+    store.addOrUpdateAccount({ name: '测试号', code: 'budget-code' });
+});
+
+after(() => {
+    mock.restoreAll();
+    temp.cleanup();
+});
+
+describe('预算额度', () => {
+    test('未开启预算时可花全部金币', () => {
+        setBudget({ seed_budget: false, seed_budget_reserve: 100 });
+        assert.deepEqual(getSeedBudgetAllowance(500), { amount: 500, reason: '' });
+    });
+
+    test('取最先触达的限制', () => {
+        beginSeedBudgetCycle();
+        setBudget({ seed_budget: true, seed_budget_reserve: 100, seed_budget_daily_max: 0, seed_budget_cycle_max: 0 });
+        assert.deepEqual(getSeedBudgetAllowance(500), { amount: 400, reason: 'reserve' });
+        assert.deepEqual(getSeedBudgetAllowance(50), { amount: 0, reason: 'reserve' }, '金币低于保留值时一颗也不买');
+
+        setBudget({ seed_budget_reserve: 0, seed_budget_daily_max: 1000, seed_budget_cycle_max: 300 });
+        assert.deepEqual(getSeedBudgetAllowance(500), { amount: 300, reason: 'cycle' });
+        assert.deepEqual(getSeedBudgetAllowance(200), { amount: 200, reason: '' }, '上限高于当前金币时不算受限');
+
+        const today = getSeedBudgetState().spentToday;
+        setBudget({ seed_budget_daily_max: today + 120 });
+        assert.deepEqual(getSeedBudgetAllowance(500), { amount: 120, reason: 'daily' });
+    });
+});
+
+describe('花费记录', () => {
+    test('记录花费并通知主进程，新一轮只重置每轮花费', () => {
+        const saved = [];
+        setSeedSpendSink(usage => saved.push(usage));
+        setBudget({ seed_budget: true, seed_budget_reserve: 0, seed_budget_daily_max: 0, seed_budget_cycle_max: 100 });
+        beginSeedBudgetCycle();
+        const startSpent = getSeedBudgetState().spentToday;
+
+        recordSeedSpend(60);
+        recordSeedSpend(0, true);
+        assert.deepEqual(getSeedBudgetAllowance(1000), { amount: 40, reason: 'cycle' });
+        const state = getSeedBudgetState();
+        assert.equal(state.spentToday, startSpent + 60);
+        assert.deepEqual([state.lastCycle.spent, state.lastCycle.limited], [60, true]);
+        recordSeedSpend(10);
+        assert.equal(getSeedBudgetState().lastCycle.limited, true, '本轮受限后一直标记为受限');
+        assert.deepEqual(saved, [
+            { date: state.date, spent: startSpent + 60 },
+            { date: state.date, spent: startSpent + 70 },
+        ], '没有花费时不通知');
+
+        beginSeedBudgetCycle();
+        assert.equal(getSeedBudgetState().lastCycle, null);
+        assert.deepEqual(getSeedBudgetAllowance(1000), { amount: 100, reason: 'cycle' });
+        assert.equal(getSeedBudgetState().spentToday, startSpent + 70);
+
+        markSeedBudgetLimited();
+        assert.deepEqual([getSeedBudgetState().lastCycle.spent, getSeedBudgetState().lastCycle.limited], [0, true]);
+        setSeedSpendSink(null);
+    });
+
+    test('恢复主进程保存的当天花费，其它日期的记录忽略', () => {
+        const { date, spentToday } = getSeedBudgetState();
+        restoreSeedSpend({ date: '2000-01-01', spent: 99999 });
+        assert.equal(getSeedBudgetState().spentToday, spentToday);
+        restoreSeedSpend({ date, spent: spentToday + 500 });
+        assert.equal(getSeedBudgetState().spentToday, spentToday + 500);
+        restoreSeedSpend({ date, spent: 1 });
+        assert.equal(getSeedBudgetState().spentToday, spentToday + 500, '不会用更小的值覆盖');
+    });
+
+    test('跨天后每日花费清零', (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: new Date(2030, 0, 1, 23, 59).getTime() });
+        assert.deepEqual([getSeedBudgetState().date, getSeedBudgetState().spentToday], ['2030-01-01', 0]);
+        recordSeedSpend(80);
+        assert.equal(getSeedBudgetState().spentToday, 80);
+        t.mock.timers.tick(2 * 60 * 1000);
+        assert.deepEqual([getSeedBudgetState().date, getSeedBudgetState().spentToday], ['2030-01-02', 0]);
+    });
+
+    test('主进程按账号保存当天花费', () => {
+        const storage = createMemoryStorage();
+        const service = createSeedSpendService({ storage, log: () => {} });
+        service.record('1', { date: '2030-01-02', spent: '120' });
+        service.record('', { date: '2030-01-02', spent: 1 });
+        service.record('2', { spent: 1 });
+        assert.deepEqual(service.get('1'), { date: '2030-01-02', spent: 120 });
+        assert.equal(service.get('2'), null, '缺少日期的记录不保存');
+        assert.deepEqual(storage.docs.seed_spend, { 1: { date: '2030-01-02', spent: 120 } });
+
+        const reloaded = createSeedSpendService({ storage, log: () => {} });
+        assert.deepEqual(reloaded.get('1'), { date: '2030-01-02', spent: 120 });
+        reloaded.removeAccount('1');
+        assert.equal(reloaded.get('1'), null);
+    });
+});
+
+describe('预算不足时的选种', () => {
+    const server = createMockGameServer({
+        port: 0,
+        scenario: {
+            user: { gid: 10001, name: '本地农夫', level: 10, exp: 1200, gold: 5000, coupon: 0 },
+            lands: [{ id: 1 }, { id: 2 }, { id: 3 }],
+            bag: [],
+            shop: SHOP,
+            friends: [],
+        },
+    });
+
+    function clearLands() {
+        for (const land of server.getWorld().lands) land.plant = null;
+        server.clearRequests();
+    }
+
+    function getBuys() {
+        return server.getRequests({ method: 'BuyGoods' }).map(r => [r.body.goods_id, r.body.num]);
+    }
+
+    before(async () => {
+        const { url } = await server.start();
+        CONFIG.serverUrl = url;
+        await loadProto();
+        store.setPlantingStrategy('1', 'level');
+        setBudget({ seed_budget: true, seed_budget_reserve: 0, seed_budget_daily_max: 0, seed_budget_cycle_max: 60 });
+        await new Promise((resolve) => {
+            networkEvents.once('test_login', resolve);
+            connect('budget-code', () => networkEvents.emit('test_login'));
+        });
+    });
+
+    after(async () => {
+        cleanup();
+        await server.stop();
+    });
+
+    test('改种排名最靠前、预算内能种满的种子', async () => {
+        setBudget({ seed_budget_fallback: true });
+        clearLands();
+        await runFarmOperation('plant');
+        assert.deepEqual(getBuys(), [[3, 3]], '大蒜、大白菜种不满 3 块地，胡萝卜刚好 60 金币');
+        assert.deepEqual([getSeedBudgetState().lastCycle.spent, getSeedBudgetState().lastCycle.limited], [60, true]);
+    });
+
+    test('关闭回退时用预算买尽可能多的首选种子', async () => {
+        setBudget({ seed_budget_fallback: false });
+        clearLands();
+        await runFarmOperation('plant');
+        assert.deepEqual(getBuys(), [[1, 1]]);
+        assert.equal(server.getRequests({ method: 'Plant' }).length, 1);
+    });
+});
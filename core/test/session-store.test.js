@@ -0,0 +1,84 @@
+/**
+ * 登录会话：空闲超时、绝对过期与持久化
+ */
+
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, mock, test } = require('node:test');
+const { createSessionStore } = require('../src/services/session-store');
+const { createMemoryStorage } = require('./helpers/memory-storage');
+
+const HOUR = 60 * 60 * 1000;
+
+let policy = null;
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 1_000_000 });
+    policy = { idleTimeoutHours: 2, maxAgeDays: 1 };
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+test('落盘只保存 token 摘要', () => {
+    const storage = createMemoryStorage();
+    const sessions = createSessionStore({ storage, getPolicy: () => policy });
+    const { token, session } = sessions.issue({ username: 'admin', ip: '1.2.3.4' });
+
+    const saved = storage.docs.sessions;
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].id, session.id);
+    assert.notEqual(saved[0].tokenHash, token);
+    assert.equal(JSON.stringify(saved).includes(token), false);
+    assert.equal(sessions.touch(token).username, 'admin');
+    assert.equal(sessions.touch('bad-token'), null);
+});
+
+test('超过空闲时长后会话失效，活跃访问会续期', () => {
+    const sessions = createSessionStore({ storage: createMemoryStorage(), getPolicy: () => policy });
+    const { token } = sessions.issue({ username: 'admin' });
+
+    mock.timers.tick(1.5 * HOUR);
+    assert.ok(sessions.touch(token));
+    mock.timers.tick(1.5 * HOUR);
+    assert.ok(sessions.touch(token), '上次访问后未超过空闲时长');
+    mock.timers.tick(2 * HOUR);
+    assert.equal(sessions.touch(token), null);
+    assert.equal(sessions.findByToken(token), null);
+});
+
+test('持续活跃也不能超过绝对有效期', () => {
+    const sessions = createSessionStore({ storage: createMemoryStorage(), getPolicy: () => policy });
+    const { token } = sessions.issue({ username: 'admin' });
+
+    for (let i = 0; i < 23; i++) {
+        mock.timers.tick(HOUR);
+        assert.ok(sessions.touch(token));
+    }
+    mock.timers.tick(HOUR);
+    assert.equal(sessions.touch(token), null);
+});
+
+test('收紧策略后过期会话在列出时清理', () => {
+    const storage = createMemoryStorage();
+    const sessions = createSessionStore({ storage, getPolicy: () => policy });
+    sessions.issue({ username: 'a' });
+    mock.timers.tick(HOUR);
+    sessions.issue({ username: 'b' });
+
+    policy = { idleTimeoutHours: 0.5, maxAgeDays: 1 };
+    assert.deepEqual(sessions.list().map(s => s.username), ['b']);
+    assert.equal(storage.docs.sessions.length, 1);
+});
+
+test('重新加载时恢复未过期会话并支持撤销', () => {
+    const storage = createMemoryStorage();
+    const first = createSessionStore({ storage, getPolicy: () => policy });
+    const { token, session } = first.issue({ username: 'admin' });
+
+    const second = createSessionStore({ storage, getPolicy: () => policy });
+    assert.equal(second.touch(token).id, session.id);
+    assert.equal(second.revoke(session.id), true);
+    assert.equal(second.touch(token), null);
+    assert.deepEqual(storage.docs.sessions, []);
+});
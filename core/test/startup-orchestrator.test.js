@@ -0,0 +1,119 @@
+/**
+ * 启动编排：优先级排序、并发上限、登录超时重试与失败处理
+ */
+
+const assert = require('node:assert/strict');
+const { after, afterEach, beforeEach, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const temp = createTempDataDir({ env: true });
+const { createStartupOrchestrator } = require('../src/runtime/startup-orchestrator');
+
+const POLICY = {
+    concurrency: 2,
+    delayMinSec: 0,
+    delayMaxSec: 0,
+    loginTimeoutSec: 10,
+    maxRetries: 1,
+    retryBaseSec: 5,
+    retryMaxSec: 60,
+    priorityAccountIds: ['3'],
+};
+const ACCOUNTS = [{ id: '1', name: 'a' }, { id: '2', name: 'b' }, { id: '3', name: 'c' }];
+
+let workers = null;
+let launched = null;
+let stopped = null;
+let orchestrator = null;
+
+function states() {
+    return Object.fromEntries(orchestrator.getProgress().items.map(item => [item.id, item.state]));
+}
+
+function online(id) {
+    orchestrator.handleStatus(id, { connection: { connected: true } });
+}
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 1_000_000 });
+    mock.method(Math, 'random', () => 0.5); // 抖动系数为 1
+    workers = {};
+    launched = [];
+    stopped = [];
+    orchestrator = createStartupOrchestrator({
+        store: { getStartupPolicy: () => POLICY, getAccounts: () => ({ accounts: ACCOUNTS }) },
+        workers,
+        startWorker: (account) => {
+            launched.push(account.id);
+            workers[account.id] = {};
+            return true;
+        },
+        stopWorker: (id) => {
+            stopped.push(id);
+            delete workers[id];
+        },
+        log: () => {},
+    });
+});
+
+afterEach(() => {
+    orchestrator.cancelAll();
+    mock.timers.reset();
+    mock.restoreAll();
+});
+
+after(() => temp.cleanup());
+
+test('优先账号先启动，同时登录的账号不超过并发数', () => {
+    orchestrator.startAll(ACCOUNTS);
+    assert.deepEqual(launched, ['3', '1']);
+    assert.deepEqual(states(), { 3: 'starting', 1: 'starting', 2: 'queued' });
+
+    online('3');
+    assert.deepEqual(launched, ['3', '1', '2']);
+    online('1');
+    online('2');
+    const progress = orchestrator.getProgress();
+    assert.equal(progress.active, false);
+    assert.ok(progress.finishedAt > 0);
+});
+
+test('登录超时按退避重试，超过重试次数后放弃', () => {
+    orchestrator.startAll([ACCOUNTS[0]]);
+    mock.timers.tick(10_000);
+    let [item] = orchestrator.getProgress().items;
+    assert.equal(item.state, 'retrying');
+    assert.equal(item.nextRetryAt, Date.now() + 5000);
+    assert.match(item.error, /登录超时/);
+    assert.deepEqual(stopped, ['1'], '超时的进程先停掉');
+
+    mock.timers.tick(5000);
+    assert.deepEqual(launched, ['1', '1']);
+    mock.timers.tick(10_000);
+    [item] = orchestrator.getProgress().items;
+    assert.equal(item.state, 'failed');
+    assert.equal(item.attempts, 2);
+    assert.equal(orchestrator.getProgress().active, false);
+});
+
+test('Code 失效不重试，登录阶段的主动停止视为取消', () => {
+    orchestrator.startAll(ACCOUNTS.slice(0, 2));
+    orchestrator.handleWsError('1', { code: 500 });
+    assert.equal(states()[1], 'starting');
+    orchestrator.handleWsError('1', { code: 400 });
+    assert.equal(states()[1], 'failed');
+
+    assert.equal(orchestrator.handleWorkerExit('2', { stopping: true }), true);
+    assert.equal(states()[2], 'cancelled');
+    assert.equal(orchestrator.handleWorkerExit('2', { code: 1 }), false);
+    mock.timers.tick(60_000);
+    assert.deepEqual(launched, ['1', '2']);
+});
+
+test('登录前进程退出计为一次失败', () => {
+    orchestrator.startAll([ACCOUNTS[1]]);
+    assert.equal(orchestrator.handleWorkerExit('2', { code: 1 }), true);
+    const [item] = orchestrator.getProgress().items;
+    assert.equal(item.state, 'retrying');
+    assert.match(item.error, /code=1/);
+});
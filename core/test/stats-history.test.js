@@ -0,0 +1,80 @@
+/**
+ * 历史统计：采样周期内的计数增量、worker 重启后的计数回退与按桶聚合
+ */
+
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, test } = require('node:test');
+const { createJsonDriver } = require('../src/models/storage/json-driver');
+const { createStatsHistoryService } = require('../src/runtime/stats-history');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+let temp = null;
+let workers = null;
+let service = null;
+
+function setStatus(accountId, basic, operations) {
+    workers[accountId] = { status: { connection: { connected: true }, status: basic, operations } };
+}
+
+beforeEach(() => {
+    temp = createTempDataDir();
+    workers = {};
+    service = createStatsHistoryService({
+        workers,
+        store: { getStatsHistoryConfig: () => ({ enabled: true, intervalSec: 300, retentionDays: 30 }) },
+        storage: createJsonDriver({ dataDir: temp.dir }),
+        log: () => {},
+    });
+});
+
+afterEach(() => {
+    service.stop();
+    temp.cleanup();
+});
+
+test('每次采样记录计数增量，帮忙次数合并浇水/除草/除虫', () => {
+    setStatus('1', { gold: 100, exp: 5, level: 3 }, { harvest: 2, steal: 1, helpWater: 1, helpWeed: 1 });
+    service.sampleAll();
+    setStatus('1', { gold: 150, exp: 8, level: 3 }, { harvest: 5, steal: 1, helpWater: 2, helpWeed: 1, helpBug: 1 });
+    service.sampleAll();
+
+    const { points } = service.query('1', { from: 1 });
+    assert.equal(points.length, 2);
+    assert.deepEqual(
+        points.map(p => [p.gold, p.harvest, p.steal, p.help]),
+        [[100, 2, 1, 2], [150, 3, 0, 2]],
+    );
+});
+
+test('计数回退视为 worker 重启，以当前值作为增量', () => {
+    setStatus('1', { gold: 1 }, { harvest: 10 });
+    service.sampleAll();
+    setStatus('1', { gold: 1 }, { harvest: 3 });
+    service.sampleAll();
+    assert.deepEqual(service.query('1', { from: 1 }).points.map(p => p.harvest), [10, 3]);
+});
+
+test('未连接的账号不采样', () => {
+    workers['2'] = { status: { connection: { connected: false }, status: { gold: 1 } } };
+    service.sampleAll();
+    assert.deepEqual(service.query('2', { from: 1 }).points, []);
+});
+
+test('按桶聚合：数值取最后一次，计数求和', () => {
+    setStatus('1', { gold: 100 }, { harvest: 1 });
+    service.sampleAll();
+    setStatus('1', { gold: 120 }, { harvest: 4 });
+    service.sampleAll();
+
+    const result = service.query('1', { from: 1, bucket: '1d' });
+    assert.equal(result.bucketSec, 86400);
+    assert.equal(result.points.length, 1);
+    assert.equal(result.points[0].gold, 120);
+    assert.equal(result.points[0].harvest, 4);
+    assert.equal(result.points[0].samples, 2);
+});
+
+test('bucket 格式无效或 from 晚于 to 时报错', () => {
+    assert.throws(() => service.query('1', { bucket: '5x' }), /bucket 格式无效/);
+    assert.throws(() => service.query('1', { from: 2000, to: 1000 }), /from 不能晚于 to/);
+});
@@ -0,0 +1,93 @@
+/**
+ * 存储驱动：JSON 驱动的文档/时序枚举，以及 JSON → SQLite 的一次性导入
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { afterEach, beforeEach, describe, test } = require('node:test');
+const { createJsonDriver } = require('../src/models/storage/json-driver');
+const { getImportOptions } = require('../src/models/storage/index');
+const { createSqliteDriver, isSqliteAvailable } = require('../src/models/storage/sqlite-driver');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let temp = null;
+let json = null;
+
+function seedJsonData(driver) {
+    const now = Date.now();
+    driver.saveStore({ ui: { theme: 'dark' }, accountConfigs: { 1: { plantingStrategy: 'level' } } });
+    driver.saveAccounts({ accounts: [{ id: '1', name: 'a' }, { id: '2', name: 'b' }], nextId: 3 });
+    driver.writeDocument('sessions', [{ id: 's1' }]);
+    driver.writeDocument('seed_spend', { 1: { date: '2026-01-01', spent: 10 } });
+    driver.appendSample('stats_history', '1', { ts: now - 2 * DAY_MS, gold: 1 });
+    driver.appendSample('stats_history', '1', { ts: now - 1000, gold: 2 });
+    driver.appendSample('stats_history', '2', { ts: now - 1000, gold: 3 });
+    driver.appendRecord('audit', { ts: now - 2000, route: 'a' });
+    driver.appendRecord('audit', { ts: now - 1000, route: 'b' });
+}
+
+beforeEach(() => {
+    temp = createTempDataDir();
+    json = createJsonDriver({ dataDir: temp.dir });
+});
+
+afterEach(() => temp.cleanup());
+
+describe('json 驱动', () => {
+    test('listDocuments 列出 store/accounts 以外的 json 文档', () => {
+        seedJsonData(json);
+        fs.mkdirSync(path.join(temp.dir, 'captures'));
+        fs.writeFileSync(path.join(temp.dir, 'captures', '1-x.jsonl'), '{}\n');
+        assert.deepEqual(json.listDocuments(), ['seed_spend', 'sessions']);
+    });
+
+    test('listSampleAccounts 按账号目录列出时序数据', () => {
+        seedJsonData(json);
+        assert.deepEqual(json.listSampleAccounts('stats_history').sort(), ['1', '2']);
+        assert.deepEqual(json.listSampleAccounts('missing'), []);
+    });
+
+    test('getImportOptions 带上全部文档与已知的时序数据、记录流', () => {
+        seedJsonData(json);
+        const options = getImportOptions(json, { force: true });
+        assert.equal(options.force, true);
+        assert.deepEqual(options.documentKeys, ['seed_spend', 'sessions']);
+        assert.deepEqual(options.series, ['stats_history']);
+        assert.deepEqual(options.streams, ['audit']);
+    });
+});
+
+describe('sqlite 导入', { skip: !isSqliteAvailable() && '需要 Node.js 22.5+ 的 node:sqlite' }, () => {
+    test('导入账号、配置、文档、历史统计与审计记录', () => {
+        seedJsonData(json);
+        const sqlite = createSqliteDriver({ dataDir: temp.dir });
+        try {
+            const result = sqlite.importFrom(json, getImportOptions(json));
+            assert.deepEqual(result, { imported: true, accounts: 2, configs: 1, documents: 2, samples: 3, records: 2 });
+            assert.deepEqual(sqlite.loadAccounts(), { accounts: [{ id: '1', name: 'a' }, { id: '2', name: 'b' }], nextId: 3 });
+            assert.deepEqual(sqlite.loadStore().accountConfigs, { 1: { plantingStrategy: 'level' } });
+            assert.deepEqual(sqlite.readDocument('sessions'), [{ id: 's1' }]);
+            assert.equal(sqlite.querySamples('stats_history', '1', { from: 0 }).length, 2);
+            assert.deepEqual(sqlite.queryRecords('audit', { from: 0 }).map(r => r.route), ['a', 'b']);
+        } finally {
+            sqlite.close();
+        }
+    });
+
+    test('已导入过时跳过，force 重新导入不重复记录', () => {
+        seedJsonData(json);
+        const sqlite = createSqliteDriver({ dataDir: temp.dir });
+        try {
+            sqlite.importFrom(json, getImportOptions(json));
+            assert.deepEqual(sqlite.importFrom(json, getImportOptions(json)), { imported: false, reason: 'already_migrated' });
+            sqlite.importFrom(json, getImportOptions(json, { force: true }));
+            assert.equal(sqlite.queryRecords('audit', { from: 0 }).length, 2);
+            assert.equal(sqlite.querySamples('stats_history', '1', { from: 0 }).length, 2);
+        } finally {
+            sqlite.close();
+        }
+    });
+});
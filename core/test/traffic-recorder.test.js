@@ -0,0 +1,94 @@
+/**
+ * 协议抓包：请求/响应/推送的记录与解码、文件大小上限与抓包文件名校验
+ */
+
+const { Buffer } = require('node:buffer');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { after, afterEach, before, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+
+const temp = createTempDataDir({ env: true });
+const { loadProto, types } = require('../src/utils/proto');
+const recorder = require('../src/utils/traffic-recorder');
+
+const PLANT_SERVICE = 'gamepb.plantpb.PlantService';
+
+function encodeFrame(meta, body) {
+    return types.GateMessage.encode(types.GateMessage.create({ meta, body })).finish();
+}
+
+function readEntries(file) {
+    return fs.readFileSync(path.join(recorder.getCaptureDir(), file), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    await loadProto();
+    mock.restoreAll();
+});
+
+afterEach(() => recorder.stopRecording());
+
+after(() => temp.cleanup());
+
+test('记录请求明文、响应与推送帧并附带解码结果', () => {
+    const state = recorder.startRecording({ accountId: '7', accountName: '主号', meta: { gid: 1001 } });
+    assert.equal(state.recording, true);
+    assert.match(state.file, /^7-\d{8}-\d{6}\.jsonl$/);
+    assert.equal(recorder.startRecording({ accountId: '8' }).file, state.file, '重复开始沿用当前文件');
+
+    const reqBody = types.HarvestRequest.encode(types.HarvestRequest.create({ land_ids: [1, 2], is_all: true })).finish();
+    recorder.recordOutgoing(PLANT_SERVICE, 'Harvest', 5, reqBody);
+    const replyBody = types.HarvestReply.encode(types.HarvestReply.create({ land: [{ id: 1 }] })).finish();
+    const replyMeta = { service_name: PLANT_SERVICE, method_name: 'Harvest', message_type: 2, client_seq: 5, server_seq: 9, error_code: 0 };
+    recorder.recordIncoming(encodeFrame(replyMeta, replyBody), { meta: replyMeta, body: replyBody });
+    const notifyBody = types.EventMessage.encode(types.EventMessage.create({
+        message_type: 'gamepb.plantpb.LandsNotify',
+        body: types.LandsNotify.encode(types.LandsNotify.create({ host_gid: 1001 })).finish(),
+    })).finish();
+    const notifyMeta = { message_type: 3 };
+    recorder.recordIncoming(encodeFrame(notifyMeta, notifyBody), { meta: notifyMeta, body: notifyBody });
+    recorder.recordIncoming(Buffer.from([1, 2, 3]), null, 'invalid wire type');
+
+    const stopped = recorder.stopRecording('手动停止');
+    assert.equal(stopped.entries, 5);
+    assert.equal(stopped.reason, '手动停止');
+    assert.equal(recorder.isRecording(), false);
+
+    const [header, out, reply, notify, broken] = readEntries(state.file);
+    assert.deepEqual([header.type, header.accountId, header.accountName, header.gid], ['header', '7', '主号', 1001]);
+    assert.deepEqual([out.dir, out.kind, out.clientSeq], ['out', 'request', 5]);
+    assert.deepEqual(out.decoded.land_ids, ['1', '2']);
+    assert.equal(Buffer.from(out.body, 'base64').equals(Buffer.from(reqBody)), true);
+    assert.deepEqual([reply.kind, reply.serverSeq, reply.decoded.land[0].id], ['response', 9, '1']);
+    assert.deepEqual([notify.kind, notify.eventType, notify.decoded.host_gid], ['notify', 'gamepb.plantpb.LandsNotify', '1001']);
+    assert.deepEqual([broken.kind, broken.decodeError], ['unknown', 'invalid wire type']);
+});
+
+test('找不到消息类型时记录解码错误', () => {
+    assert.match(recorder.decodeRpcBody(PLANT_SERVICE, 'NoSuchMethod', Buffer.from([8, 1]), false).decodeError, /未找到消息类型/);
+    assert.deepEqual(recorder.decodeRpcBody(PLANT_SERVICE, 'NoSuchMethod', Buffer.alloc(0), false), { decoded: null });
+    assert.ok(recorder.decodeNotifyBody(Buffer.from([0xFF])).decodeError);
+});
+
+test('达到文件大小上限时自动停止', () => {
+    recorder.startRecording({ accountId: '9', maxBytes: 1 });
+    const body = Buffer.alloc(700 * 1024);
+    recorder.recordOutgoing(PLANT_SERVICE, 'NoSuchMethod', 1, body);
+    assert.equal(recorder.isRecording(), true, '上限最小为 1MB');
+    recorder.recordOutgoing(PLANT_SERVICE, 'NoSuchMethod', 2, body);
+    assert.equal(recorder.isRecording(), false);
+});
+
+test('抓包文件按账号列出，文件名不合法时拒绝访问', () => {
+    const { file } = recorder.startRecording({ accountId: '10' });
+    recorder.stopRecording();
+    assert.deepEqual(recorder.listCaptures('10').map(item => item.name), [file]);
+    assert.deepEqual(recorder.listCaptures('1'), []);
+    assert.equal(recorder.resolveCaptureFile('../store.json'), null);
+    assert.equal(recorder.resolveCaptureFile('10-missing.jsonl'), null);
+    assert.equal(recorder.deleteCapture(file), true);
+    assert.equal(recorder.deleteCapture(file), false);
+});
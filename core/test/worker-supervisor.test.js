@@ -0,0 +1,118 @@
+/**
+ * 崩溃重启：重启判定、指数退避、崩溃循环告警与崩溃记录
+ */
+
+const assert = require('node:assert/strict');
+const { after, afterEach, beforeEach, mock, test } = require('node:test');
+const { createTempDataDir } = require('./helpers/data-dir');
+const { createMemoryStorage } = require('./helpers/memory-storage');
+
+const temp = createTempDataDir({ env: true });
+const { createWorkerSupervisor } = require('../src/runtime/worker-supervisor');
+
+let policy = null;
+let workers = null;
+let started = null;
+let pushes = null;
+let supervisor = null;
+
+// 让上一次自动重启拉起的 worker 再次退出
+function crash(info = { code: 1 }) {
+    delete workers['1'];
+    supervisor.handleWorkerExit('1', { accountName: 'a', ...info });
+}
+
+beforeEach(() => {
+    mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 1_000_000 });
+    policy = { mode: 'on-failure', maxRestarts: 3, windowSec: 600, backoffBaseSec: 5, backoffMaxSec: 15 };
+    workers = {};
+    started = [];
+    pushes = [];
+    supervisor = createWorkerSupervisor({
+        store: {
+            getRestartPolicy: () => policy,
+            getOfflineReminder: () => ({ channel: 'webhook', endpoint: 'http://127.0.0.1/hook', token: 't' }),
+        },
+        storage: createMemoryStorage(),
+        workers,
+        startWorker: (account) => {
+            started.push(Date.now());
+            workers[account.id] = {};
+        },
+        getAccounts: () => ({ accounts: [{ id: '1', name: 'a' }] }),
+        log: () => {},
+        addAccountLog: () => {},
+        sendPushooMessage: async (msg) => {
+            pushes.push(msg);
+            return { ok: true };
+        },
+    });
+});
+
+afterEach(() => {
+    supervisor.reset('1');
+    mock.timers.reset();
+});
+
+after(() => temp.cleanup());
+
+test('on-failure 只在异常退出时重启，主动停止不记录', () => {
+    crash({ code: 0 });
+    supervisor.handleWorkerExit('1', { code: 1, stopping: true });
+    mock.timers.tick(60_000);
+    assert.deepEqual(started, []);
+    assert.deepEqual(supervisor.getAccountCrashes('1').history.map(item => item.action), ['none']);
+
+    crash({ code: null, signal: 'SIGKILL' });
+    assert.equal(supervisor.getAccountCrashes('1').nextRestartAt, Date.now() + 5000);
+    mock.timers.tick(5000);
+    assert.equal(started.length, 1);
+});
+
+test('重启间隔按窗口内重启次数指数退避并封顶，达到上限后停止重启并告警', async () => {
+    const delays = [];
+    for (let i = 0; i < 3; i++) {
+        crash();
+        const { history } = supervisor.getAccountCrashes('1');
+        delays.push(history[0].delayMs);
+        mock.timers.tick(history[0].delayMs);
+    }
+    assert.deepEqual(delays, [5000, 10_000, 15_000]);
+    assert.equal(started.length, 3);
+
+    crash({ code: 1, logs: Array.from({ length: 15 }, (_, i) => ({ ts: i, tag: '农场', msg: `line${i}` })) });
+    await Promise.resolve();
+    const crashes = supervisor.getAccountCrashes('1');
+    assert.equal(crashes.crashLoop, true);
+    assert.equal(crashes.history[0].action, 'crash_loop');
+    assert.equal(crashes.history[0].lastLogs.length, 10);
+    assert.equal(crashes.history[0].lastLogs[0].msg, 'line5');
+    mock.timers.tick(60_000);
+    assert.equal(started.length, 3);
+    assert.equal(pushes.length, 1);
+    assert.match(pushes[0].title, /账号崩溃告警 a/);
+});
+
+test('超出统计窗口的重启不再计数', () => {
+    crash();
+    mock.timers.tick(5000);
+    mock.timers.tick(600_000);
+    crash();
+    assert.equal(supervisor.getAccountCrashes('1').history[0].delayMs, 5000);
+});
+
+test('never 模式不重启，取消后不再执行待重启任务', () => {
+    policy = { ...policy, mode: 'never' };
+    crash();
+    assert.equal(supervisor.getAccountCrashes('1').history[0].action, 'none');
+
+    policy = { ...policy, mode: 'always' };
+    crash({ code: 0 });
+    supervisor.cancel('1');
+    mock.timers.tick(60_000);
+    assert.deepEqual(started, []);
+    assert.equal(supervisor.getAccountCrashes('1').nextRestartAt, 0);
+
+    supervisor.removeAccount('1');
+    assert.deepEqual(supervisor.getAccountCrashes('1').history, []);
+});
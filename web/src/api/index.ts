@@ -38,6 +38,9 @@ api.interceptors.response.use((response) => {
         toast.warning('登录已过期，请重新登录')
       }
     }
+    else if (error.response.status === 403) {
+      toast.warning(String(error.response.data?.error || '当前用户无权执行该操作'))
+    }
     else if (error.response.status >= 500) {
       const backendError = String(error.response.data?.error || error.response.data?.message || '')
       // 后端运行态可预期错误：不弹全局500，交给页面状态处理
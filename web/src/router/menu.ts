@@ -42,6 +42,20 @@ export const menuRoutes: MenuItem[] = [
     icon: 'i-carbon-user-settings',
     component: () => import('@/views/Accounts.vue'),
   },
+  {
+    path: 'audit',
+    name: 'audit',
+    label: '审计',
+    icon: 'i-carbon-document-security',
+    component: () => import('@/views/Audit.vue'),
+  },
+  {
+    path: 'inspector',
+    name: 'inspector',
+    label: '协议',
+    icon: 'i-carbon-network-3',
+    component: () => import('@/views/Inspector.vue'),
+  },
   {
     path: 'settings',
     name: 'Settings',
@@ -3,6 +3,19 @@ import { defineStore } from 'pinia'
 import { computed, ref } from 'vue'
 import api from '@/api'
 
+// 主进程根据 worker 心跳判断的运行健康状态
+export type AccountHealthState = 'starting' | 'healthy' | 'degraded'
+export type AccountHealthReason = 'heartbeat' | 'tick_hung' | 'tick_overdue' | 'server_heartbeat'
+
+export interface AccountHealth {
+  state: AccountHealthState
+  reasons: AccountHealthReason[]
+  since: number
+  lastHeartbeatAt: number
+  lastTickAt: number
+  checkedAt: number
+}
+
 export interface Account {
   id: string
   name: string
@@ -10,9 +23,38 @@ export interface Account {
   uin?: number
   platform?: string
   running?: boolean
+  health?: AccountHealth | null
   // Add other fields as discovered
 }
 
+export type BulkAction = 'start' | 'stop' | 'restart' | 'delete' | 'settings' | 'farm'
+
+export interface BulkAccountFilter {
+  platform?: string
+  remark?: string
+  running?: boolean
+}
+
+export interface BulkTarget {
+  accountIds?: string[]
+  filter?: BulkAccountFilter
+}
+
+export interface BulkResultItem {
+  id: string
+  name: string
+  ok: boolean
+  error?: string
+}
+
+export interface BulkResult {
+  action: BulkAction
+  total: number
+  succeeded: number
+  failed: number
+  results: BulkResultItem[]
+}
+
 export interface AccountLog {
   time: string
   action: string
@@ -36,6 +78,13 @@ export function getPlatformClass(p?: string) {
   return ''
 }
 
+export const HEALTH_REASON_LABELS: Record<AccountHealthReason, string> = {
+  heartbeat: '进程心跳中断',
+  tick_hung: '调度执行卡住',
+  tick_overdue: '调度长时间未执行',
+  server_heartbeat: '服务器心跳无响应',
+}
+
 export const useAccountStore = defineStore('account', () => {
   const accounts = ref<Account[]>([])
   const currentAccountId = useStorage('current_account_id', '')
@@ -97,6 +146,23 @@ export const useAccountStore = defineStore('account', () => {
     await fetchAccounts()
   }
 
+  // 批量操作：每个账号的结果单独返回
+  async function bulkAction(action: BulkAction, target: BulkTarget, payload?: Record<string, unknown>) {
+    try {
+      const { data } = await api.post('/api/accounts/bulk', { action, ...target, payload })
+      if (data && data.ok) {
+        if (action === 'delete' && (data.data.results as BulkResultItem[]).some(r => r.ok && r.id === currentAccountId.value))
+          currentAccountId.value = ''
+        await fetchAccounts()
+        return { ok: true, data: data.data as BulkResult }
+      }
+      return { ok: false, error: data?.error || '批量操作失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '批量操作失败' }
+    }
+  }
+
   async function fetchLogs() {
     try {
       const res = await api.get('/api/account-logs?limit=100')
@@ -143,6 +209,7 @@ export const useAccountStore = defineStore('account', () => {
     startAccount,
     stopAccount,
     deleteAccount,
+    bulkAction,
     fetchLogs,
     addAccount,
     updateAccount,
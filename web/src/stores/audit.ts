@@ -0,0 +1,71 @@
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+import api from '@/api'
+
+export interface AuditChange {
+  path: string
+  before: unknown
+  after: unknown
+}
+
+export interface AuditEntry {
+  id: string
+  ts: number
+  actor: string
+  actorType: 'user' | 'builtin' | 'apikey'
+  ip: string
+  accountId: string
+  accountName: string
+  method: string
+  route: string
+  status: number
+  changes: AuditChange[]
+}
+
+export interface AuditFilters {
+  from?: number
+  to?: number
+  actor?: string
+  accountId?: string
+  keyword?: string
+}
+
+const PAGE_SIZE = 50
+
+export const useAuditStore = defineStore('audit', () => {
+  const items = ref<AuditEntry[]>([])
+  const total = ref(0)
+  const loading = ref(false)
+  const error = ref('')
+
+  // append 为 true 时加载下一页
+  async function fetchAudit(filters: AuditFilters, append = false) {
+    loading.value = true
+    error.value = ''
+    try {
+      const params: Record<string, string | number> = { limit: PAGE_SIZE, offset: append ? items.value.length : 0 }
+      for (const [key, value] of Object.entries(filters)) {
+        if (value !== undefined && value !== '')
+          params[key] = value
+      }
+      const { data } = await api.get('/api/audit', { params })
+      if (data && data.ok && data.data) {
+        const list = Array.isArray(data.data.items) ? data.data.items : []
+        items.value = append ? [...items.value, ...list] : list
+        total.value = Number(data.data.total) || 0
+      }
+    }
+    catch (e: any) {
+      error.value = e?.response?.data?.error || e?.message || '加载失败'
+      if (!append) {
+        items.value = []
+        total.value = 0
+      }
+    }
+    finally {
+      loading.value = false
+    }
+  }
+
+  return { items, total, loading, error, fetchAudit }
+})
@@ -17,11 +17,64 @@ export interface Land {
 
 export type SingleLandAction = 'remove' | 'plant' | 'organic_fertilize'
 
+export type PlanLandType = 'gold' | 'black' | 'red' | 'normal'
+
+// strategy 为 preferred 时 seedId 指定作物，其余策略 seedId 为 0
+export interface PlantingRule {
+  strategy: string
+  seedId: number
+}
+
+export interface PlantingPlan {
+  landTypes: Partial<Record<PlanLandType, PlantingRule>>
+  lands: Record<string, PlantingRule>
+}
+
+export const PLAN_LAND_TYPE_LABELS: Record<PlanLandType, string> = {
+  gold: '金土地',
+  black: '黑土地',
+  red: '红土地',
+  normal: '普通/黄土地',
+}
+
+// 计划中可选的策略；指定作物通过 preferred + seedId 表达
+export const PLAN_STRATEGY_LABELS: Record<string, string> = {
+  bag_priority: '优先背包种子',
+  level: '最高等级作物',
+  max_exp: '最大经验/时',
+  max_fert_exp: '最大普通肥经验/时',
+  max_profit: '最大净利润/时',
+  max_fert_profit: '最大普通肥净利润/时',
+}
+
+export function formatPlantingRule(rule: PlantingRule | null | undefined, seeds: any[] = []) {
+  if (!rule)
+    return ''
+  if (rule.strategy === 'preferred') {
+    const seed = seeds.find(s => Number(s.seedId) === Number(rule.seedId))
+    return seed?.name || `种子 ${rule.seedId}`
+  }
+  return PLAN_STRATEGY_LABELS[rule.strategy] || rule.strategy
+}
+
+// 与后端 getLandTypeByLevel 一致：黄土地并入普通地
+export function getPlanLandType(level: number): PlanLandType {
+  const lv = Number(level) || 0
+  if (lv >= 4)
+    return 'gold'
+  if (lv === 3)
+    return 'black'
+  if (lv === 2)
+    return 'red'
+  return 'normal'
+}
+
 export const useFarmStore = defineStore('farm', () => {
   const lands = ref<Land[]>([])
   const seeds = ref<any[]>([])
   const summary = ref<any>({})
   const loading = ref(false)
+  const plantingPlan = ref<PlantingPlan>({ landTypes: {}, lands: {} })
 
   async function fetchLands(accountId: string) {
     if (!accountId)
@@ -85,5 +138,46 @@ export const useFarmStore = defineStore('farm', () => {
     return data?.data || null
   }
 
-  return { lands, summary, seeds, loading, fetchLands, fetchSeeds, fetchBagSeeds, operate, operateSingleLand }
+  async function fetchPlantingPlan(accountId: string) {
+    if (!accountId)
+      return
+    const { data } = await api.get('/api/planting-plan', {
+      headers: { 'x-account-id': accountId },
+    })
+    if (data && data.ok)
+      plantingPlan.value = { landTypes: data.data?.landTypes || {}, lands: data.data?.lands || {} }
+  }
+
+  async function savePlantingPlan(accountId: string, plan: PlantingPlan): Promise<{ ok: boolean, error?: string }> {
+    if (!accountId)
+      return { ok: false, error: '未选择账号' }
+    try {
+      const { data } = await api.post('/api/planting-plan', plan, {
+        headers: { 'x-account-id': accountId },
+      })
+      if (data && data.ok) {
+        plantingPlan.value = data.data?.plantingPlan || plan
+        return { ok: true }
+      }
+      return { ok: false, error: data?.error || '保存失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '保存失败' }
+    }
+  }
+
+  return {
+    lands,
+    summary,
+    seeds,
+    loading,
+    plantingPlan,
+    fetchLands,
+    fetchSeeds,
+    fetchBagSeeds,
+    operate,
+    operateSingleLand,
+    fetchPlantingPlan,
+    savePlantingPlan,
+  }
 })
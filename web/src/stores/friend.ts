@@ -2,6 +2,20 @@ import { defineStore } from 'pinia'
 import { ref } from 'vue'
 import api from '@/api'
 
+export interface StealFriendSummary {
+  gid: number
+  nick: string
+  times: number
+  count: number
+  lastAt: number
+  crops: { cropId: number, cropName: string, count: number }[]
+}
+
+export interface StealRecords {
+  friends: StealFriendSummary[]
+  recent: { serverTimeSec: number, visitorGid: number, nick: string, cropId: number, cropName: string, cropCount: number, landId: number }[]
+}
+
 export const useFriendStore = defineStore('friend', () => {
   const friends = ref<any[]>([])
   const loading = ref(false)
@@ -245,6 +259,37 @@ export const useFriendStore = defineStore('friend', () => {
     }
   }
 
+  async function fetchStealRecords(accountId: string): Promise<StealRecords | null> {
+    if (!accountId)
+      return null
+    try {
+      const res = await api.get('/api/steal-records', {
+        headers: { 'x-account-id': accountId },
+      })
+      return res.data.ok ? res.data.data : null
+    }
+    catch (e) {
+      console.error('获取被偷记录失败', e)
+      return null
+    }
+  }
+
+  async function clearStealRecords(accountId: string) {
+    if (!accountId)
+      return { ok: false, message: '参数错误' }
+    try {
+      const res = await api.delete('/api/steal-records', {
+        headers: { 'x-account-id': accountId },
+      })
+      if (res.data.ok)
+        return { ok: true, message: '已清空被偷记录' }
+      return { ok: false, message: res.data.error || '清空失败' }
+    }
+    catch (error: any) {
+      return { ok: false, message: error?.response?.data?.error || error?.message || '清空失败' }
+    }
+  }
+
   return {
     friends,
     loading,
@@ -265,6 +310,8 @@ export const useFriendStore = defineStore('friend', () => {
     importGids,
     removeCachedFriend,
     fetchInteractRecords,
+    fetchStealRecords,
+    clearStealRecords,
     fetchFriendLands,
     operate,
   }
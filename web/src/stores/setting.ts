@@ -13,6 +13,10 @@ export interface AutomationConfig {
   farm_weed?: boolean
   farm_bug?: boolean
   farm_push?: boolean
+  farm_harvest_align?: boolean
+  farm_precise_harvest?: boolean
+  farm_anti_steal?: boolean
+  farm_anti_steal_window?: number
   land_upgrade?: boolean
   friend?: boolean
   friend_help_exp_limit?: boolean
@@ -24,6 +28,11 @@ export interface AutomationConfig {
   fertilizer_buy_max?: number
   fertilizer_buy_mode?: FertilizerBuyMode
   fertilizer_buy_threshold?: number
+  seed_budget?: boolean
+  seed_budget_reserve?: number
+  seed_budget_daily_max?: number
+  seed_budget_cycle_max?: number
+  seed_budget_fallback?: boolean
   sell?: boolean
   fertilizer?: FertilizerMode
   fertilizer_multi_season?: boolean
@@ -94,6 +103,101 @@ export interface RuntimeClientConfig {
   device_info: RuntimeClientDeviceInfo
 }
 
+// 面板启动时拉起账号的节奏，priorityAccountIds 中的账号按顺序优先启动
+export interface StartupPolicy {
+  concurrency: number
+  delayMinSec: number
+  delayMaxSec: number
+  loginTimeoutSec: number
+  maxRetries: number
+  retryBaseSec: number
+  retryMaxSec: number
+  priorityAccountIds: string[]
+}
+
+// worker 意外退出后的重启策略
+export type RestartMode = 'always' | 'on-failure' | 'never'
+
+export interface RestartPolicy {
+  mode: RestartMode
+  maxRestarts: number
+  windowSec: number
+  backoffBaseSec: number
+  backoffMaxSec: number
+}
+
+// 根据 worker 心跳判断卡死并自动重启
+export interface HealthWatchdogConfig {
+  enabled: boolean
+  heartbeatTimeoutSec: number
+  tickTimeoutSec: number
+  serverTimeoutSec: number
+  autoRestart: boolean
+  restartAfterSec: number
+}
+
+// Prometheus /metrics 输出
+export interface MetricsConfig {
+  enabled: boolean
+  token: string
+  // 非所有者拿不到令牌，只返回是否已设置
+  hasToken?: boolean
+}
+
+export interface GameDataFile {
+  name: string
+  source: 'override' | 'bundled'
+  updatedAt: number
+}
+
+export interface GameDataReload {
+  reloadedAt: number
+  protoFiles: number
+  protoOverrides: string[]
+  gameConfig: { name: string, source: 'override' | 'bundled', count: number, error: string }[]
+  ok: boolean
+  notifiedWorkers: number
+}
+
+export interface GameDataInfo {
+  overrideDir: string
+  proto: GameDataFile[]
+  gameConfig: GameDataFile[]
+  lastReload: GameDataReload | null
+}
+
+export type ProxyMode = 'none' | 'custom' | 'pool'
+
+export interface AccountProxy {
+  mode: ProxyMode
+  url: string
+}
+
+export interface ProxyTestResult {
+  proxy: string
+  available: boolean
+  latencyMs?: number
+  target?: string
+  error?: string
+}
+
+// random 仅在保存时使用：服务端按账号平台生成一次后存为 custom
+export type DeviceMode = 'global' | 'custom' | 'random'
+
+export interface DeviceProfile {
+  os: string
+  sys_software: string
+  network: string
+  memory: string
+  device_id: string
+  userAgent: string
+}
+
+export interface AccountDevice {
+  mode: DeviceMode
+  profile: DeviceProfile | null
+}
+
 export interface BagSeed {
   seedId: number
   name: string
@@ -114,6 +218,89 @@ export interface SettingsState {
   offlineReminder: OfflineConfig
   qrLogin: QrLoginConfig
   runtimeClient: RuntimeClientConfig
+  startupPolicy: StartupPolicy
+  restartPolicy: RestartPolicy
+  healthWatchdog: HealthWatchdogConfig
+  metrics: MetricsConfig
+}
+
+export interface ConfigChange {
+  path: string
+  before: unknown
+  after: unknown
+}
+
+export interface ConfigRevision {
+  revision: number
+  ts: number
+  current: boolean
+  baseline?: boolean
+  rollbackOf?: number
+  profile?: string
+  changes: ConfigChange[]
+}
+
+export interface ConfigProfileConfig {
+  automation: AutomationConfig
+  plantingStrategy: string
+  preferredSeedId: number
+  bagSeedPriority: number[]
+  intervals: IntervalsConfig
+  friendQuietHours: FriendQuietHoursConfig
+  friendBlockLevel: FriendBlockLevelConfig
+}
+
+export interface ConfigProfile {
+  id: string
+  name: string
+  config: ConfigProfileConfig
+  createdAt: number
+  updatedAt: number
+}
+
+// 账号与模板的关联，overrides 为该账号不跟随模板的字段
+export interface ConfigProfileLink {
+  profileId: string
+  overrides: string[]
+}
+
+export interface SaveConfigProfilePayload {
+  id?: string
+  name?: string
+  config?: Partial<ConfigProfileConfig>
+}
+
+const DEFAULT_STARTUP_POLICY: StartupPolicy = {
+  concurrency: 3,
+  delayMinSec: 2,
+  delayMaxSec: 6,
+  loginTimeoutSec: 60,
+  maxRetries: 3,
+  retryBaseSec: 30,
+  retryMaxSec: 600,
+  priorityAccountIds: [],
+}
+
+const DEFAULT_RESTART_POLICY: RestartPolicy = {
+  mode: 'on-failure',
+  maxRestarts: 5,
+  windowSec: 600,
+  backoffBaseSec: 5,
+  backoffMaxSec: 300,
+}
+
+const DEFAULT_HEALTH_WATCHDOG: HealthWatchdogConfig = {
+  enabled: true,
+  heartbeatTimeoutSec: 60,
+  tickTimeoutSec: 300,
+  serverTimeoutSec: 180,
+  autoRestart: true,
+  restartAfterSec: 120,
+}
+
+const DEFAULT_METRICS: MetricsConfig = {
+  enabled: false,
+  token: '',
 }
 
 export const useSettingStore = defineStore('setting', () => {
@@ -152,6 +339,10 @@ export const useSettingStore = defineStore('setting', () => {
         device_id: 'iPhone X<iPhone18,3>',
       },
     },
+    startupPolicy: { ...DEFAULT_STARTUP_POLICY },
+    restartPolicy: { ...DEFAULT_RESTART_POLICY },
+    healthWatchdog: { ...DEFAULT_HEALTH_WATCHDOG },
+    metrics: { ...DEFAULT_METRICS },
   })
   const loading = ref(false)
 
@@ -200,6 +391,10 @@ export const useSettingStore = defineStore('setting', () => {
             device_id: 'iPhone X<iPhone18,3>',
           },
         }
+        settings.value.startupPolicy = { ...DEFAULT_STARTUP_POLICY, ...(d.startupPolicy || {}) }
+        settings.value.restartPolicy = { ...DEFAULT_RESTART_POLICY, ...(d.restartPolicy || {}) }
+        settings.value.healthWatchdog = { ...DEFAULT_HEALTH_WATCHDOG, ...(d.healthWatchdog || {}) }
+        settings.value.metrics = { ...DEFAULT_METRICS, ...(d.metrics || {}) }
       }
     }
     finally {
@@ -287,6 +482,133 @@ export const useSettingStore = defineStore('setting', () => {
     }
   }
 
+  async function saveStartupPolicy(config: StartupPolicy) {
+    loading.value = true
+    try {
+      const { data } = await api.post('/api/settings/startup', config)
+      if (data && data.ok) {
+        settings.value.startupPolicy = data.data || config
+        return { ok: true }
+      }
+      return { ok: false, error: data?.error || '保存失败' }
+    }
+    finally {
+      loading.value = false
+    }
+  }
+
+  async function saveRestartPolicy(config: RestartPolicy) {
+    loading.value = true
+    try {
+      const { data } = await api.post('/api/settings/restart-policy', config)
+      if (data && data.ok) {
+        settings.value.restartPolicy = data.data || config
+        return { ok: true }
+      }
+      return { ok: false, error: data?.error || '保存失败' }
+    }
+    finally {
+      loading.value = false
+    }
+  }
+
+  async function saveHealthWatchdog(config: HealthWatchdogConfig) {
+    loading.value = true
+    try {
+      const { data } = await api.post('/api/settings/health-watchdog', config)
+      if (data && data.ok) {
+        settings.value.healthWatchdog = data.data || config
+        return { ok: true }
+      }
+      return { ok: false, error: data?.error || '保存失败' }
+    }
+    finally {
+      loading.value = false
+    }
+  }
+
+  async function saveMetricsConfig(config: MetricsConfig) {
+    loading.value = true
+    try {
+      const { data } = await api.post('/api/settings/metrics', config)
+      if (data && data.ok) {
+        settings.value.metrics = data.data || config
+        return { ok: true }
+      }
+      return { ok: false, error: data?.error || '保存失败' }
+    }
+    finally {
+      loading.value = false
+    }
+  }
+
+  async function fetchGameData(): Promise<GameDataInfo | null> {
+    try {
+      const { data } = await api.get('/api/game-data')
+      return data && data.ok ? data.data : null
+    }
+    catch {
+      return null
+    }
+  }
+
+  async function reloadGameData(): Promise<{ ok: boolean, data?: GameDataReload, error?: string }> {
+    try {
+      const { data } = await api.post('/api/game-data/reload')
+      if (data && data.ok)
+        return { ok: true, data: data.data }
+      return { ok: false, error: data?.error || '重新加载失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '重新加载失败' }
+    }
+  }
+
+  async function fetchProxyPool(): Promise<string[]> {
+    try {
+      const { data } = await api.get('/api/proxy-pool')
+      return data && data.ok ? (data.data?.proxies || []) : []
+    }
+    catch {
+      return []
+    }
+  }
+
+  async function saveProxyPool(proxies: string[]): Promise<{ ok: boolean, data?: string[], error?: string }> {
+    try {
+      const { data } = await api.post('/api/proxy-pool', { proxies })
+      if (data && data.ok)
+        return { ok: true, data: data.data?.proxies || [] }
+      return { ok: false, error: data?.error || '保存失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '保存失败' }
+    }
+  }
+
+  // payload: { url } 测试指定地址，或 { proxy, accountId } 测试账号设置实际使用的代理
+  async function testProxy(payload: { url?: string, proxy?: AccountProxy, accountId?: string }): Promise<{ ok: boolean, data?: ProxyTestResult, error?: string }> {
+    try {
+      const { data } = await api.post('/api/proxy/test', payload)
+      if (data && data.ok)
+        return { ok: true, data: data.data }
+      return { ok: false, error: data?.error || '测试失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '测试失败' }
+    }
+  }
+
+  async function generateDeviceProfile(platform: string): Promise<DeviceProfile | null> {
+    try {
+      const { data } = await api.get('/api/device-profile/random', { params: { platform } })
+      return data && data.ok ? data.data : null
+    }
+    catch {
+      return null
+    }
+  }
+
   async function changeAdminPassword(oldPassword: string, newPassword: string) {
     loading.value = true
     try {
@@ -298,5 +620,120 @@ export const useSettingStore = defineStore('setting', () => {
     }
   }
 
-  return { settings, loading, fetchSettings, saveSettings, saveOfflineConfig, saveQrLoginConfig, saveRuntimeClientConfig, changeAdminPassword }
+  async function fetchConfigRevisions(accountId: string): Promise<ConfigRevision[]> {
+    if (!accountId)
+      return []
+    try {
+      const { data } = await api.get('/api/config/revisions', {
+        headers: { 'x-account-id': accountId },
+      })
+      return data && data.ok && data.data && Array.isArray(data.data.revisions) ? data.data.revisions : []
+    }
+    catch {
+      return []
+    }
+  }
+
+  // 回滚到该版本会产生的变更
+  async function fetchRevisionChanges(accountId: string, revision: number): Promise<ConfigChange[]> {
+    try {
+      const { data } = await api.get(`/api/config/revisions/${revision}`, {
+        headers: { 'x-account-id': accountId },
+      })
+      return data && data.ok && data.data && Array.isArray(data.data.changesFromCurrent) ? data.data.changesFromCurrent : []
+    }
+    catch {
+      return []
+    }
+  }
+
+  async function rollbackConfig(accountId: string, revision: number) {
+    try {
+      const { data } = await api.post(`/api/config/revisions/${revision}/rollback`, {}, {
+        headers: { 'x-account-id': accountId },
+      })
+      if (data && data.ok) {
+        await fetchSettings(accountId)
+        return { ok: true }
+      }
+      return { ok: false, error: data?.error || '回滚失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '回滚失败' }
+    }
+  }
+
+  async function fetchConfigProfiles(): Promise<{ profiles: ConfigProfile[], links: Record<string, ConfigProfileLink> }> {
+    try {
+      const { data } = await api.get('/api/config-profiles')
+      return {
+        profiles: data && data.ok && Array.isArray(data.data?.profiles) ? data.data.profiles : [],
+        links: (data && data.ok && data.data?.links) || {},
+      }
+    }
+    catch {
+      return { profiles: [], links: {} }
+    }
+  }
+
+  async function saveConfigProfile(payload: SaveConfigProfilePayload) {
+    try {
+      const { data } = await api.post('/api/config-profiles', payload)
+      if (data && data.ok)
+        return { ok: true, profile: data.data.profile as ConfigProfile, accountIds: (data.data.accountIds || []) as string[] }
+      return { ok: false, error: data?.error || '保存失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '保存失败' }
+    }
+  }
+
+  async function deleteConfigProfile(id: string) {
+    try {
+      const { data } = await api.delete(`/api/config-profiles/${encodeURIComponent(id)}`)
+      return data && data.ok ? { ok: true } : { ok: false, error: data?.error || '删除失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '删除失败' }
+    }
+  }
+
+  // profileId 为空表示解除关联；不传 overrides 时保留账号原有的覆盖字段
+  async function linkConfigProfile(accountIds: string[], profileId: string, overrides?: string[]) {
+    try {
+      const { data } = await api.post('/api/config-profiles/link', { accountIds, profileId, overrides })
+      return data && data.ok ? { ok: true } : { ok: false, error: data?.error || '关联失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '关联失败' }
+    }
+  }
+
+  return {
+    settings,
+    loading,
+    fetchSettings,
+    saveSettings,
+    saveOfflineConfig,
+    saveQrLoginConfig,
+    saveRuntimeClientConfig,
+    saveStartupPolicy,
+    saveRestartPolicy,
+    saveHealthWatchdog,
+    saveMetricsConfig,
+    fetchGameData,
+    reloadGameData,
+    fetchProxyPool,
+    saveProxyPool,
+    testProxy,
+    generateDeviceProfile,
+    changeAdminPassword,
+    fetchConfigRevisions,
+    fetchRevisionChanges,
+    rollbackConfig,
+    fetchConfigProfiles,
+    saveConfigProfile,
+    deleteConfigProfile,
+    linkConfigProfile,
+  }
 })
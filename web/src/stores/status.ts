@@ -23,15 +23,75 @@ interface DailyGiftsResponse {
   gifts: DailyGift[]
 }
 
+// queued: 排队中 starting: 登录中 running: 已上线 retrying: 等待重试 failed: 放弃 cancelled: 已手动停止/删除
+export type StartupState = 'queued' | 'starting' | 'running' | 'retrying' | 'failed' | 'cancelled'
+
+export interface StartupItem {
+  id: string
+  name: string
+  state: StartupState
+  attempts: number
+  error: string
+  nextRetryAt: number
+}
+
+export interface StartupProgress {
+  active: boolean
+  startedAt: number
+  finishedAt: number
+  concurrency: number
+  items: StartupItem[]
+}
+
+export interface CrashEntry {
+  ts: number
+  code: number | null
+  signal: string | null
+  // restart: 已安排自动重启 crash_loop: 持续崩溃，停止重启 none: 按策略不重启
+  action: 'restart' | 'crash_loop' | 'none'
+  delayMs: number
+  lastLogs: { ts: number, tag: string, msg: string }[]
+}
+
+export interface CrashHistory {
+  crashLoop: boolean
+  nextRestartAt: number
+  recentRestarts: number
+  history: CrashEntry[]
+}
+
+// ok: 正常响应 error: 返回错误码或连接中断 timeout: 超时未响应
+export type RpcOutcome = 'ok' | 'error' | 'timeout'
+
+export interface RpcCall {
+  id: string
+  ts: number
+  seq: number
+  service: string
+  method: string
+  latencyMs: number
+  outcome: RpcOutcome
+  errorCode: number
+  errorMessage: string
+  request: unknown
+  reply: unknown
+  decodeError: string
+}
+
+const RPC_CALLS_LIMIT = 500
+
 export const useStatusStore = defineStore('status', () => {
   const status = ref<any>(null)
   const logs = ref<any[]>([])
   const accountLogs = ref<any[]>([])
   const dailyGifts = ref<DailyGiftsResponse | null>(null)
+  const startupProgress = ref<StartupProgress | null>(null)
   const loading = ref(false)
   const error = ref('')
   const realtimeConnected = ref(false)
   const realtimeLogsEnabled = ref(true)
+  const rpcCalls = ref<RpcCall[]>([])
+  const rpcInspecting = ref(false)
   const currentRealtimeAccountId = ref('')
   const tokenRef = useStorage('admin_token', '')
 
@@ -98,6 +158,30 @@ export const useStatusStore = defineStore('status', () => {
     accountLogs.value = list
   }
 
+  function handleRpcCall(payload: any) {
+    const body = (payload && typeof payload === 'object') ? payload : {}
+    if (!body.call || String(body.accountId || '') !== currentRealtimeAccountId.value)
+      return
+    rpcCalls.value.push(body.call)
+    if (rpcCalls.value.length > RPC_CALLS_LIMIT)
+      rpcCalls.value = rpcCalls.value.slice(-RPC_CALLS_LIMIT)
+  }
+
+  function handleRpcSnapshot(payload: any) {
+    const body = (payload && typeof payload === 'object') ? payload : {}
+    rpcCalls.value = Array.isArray(body.calls) ? body.calls : []
+  }
+
+  function buildSubscribePayload() {
+    const accountId = currentRealtimeAccountId.value || 'all'
+    return rpcInspecting.value ? { accountId, inspector: true } : { accountId }
+  }
+
+  function handleStartupProgress(payload: any) {
+    if (payload && typeof payload === 'object' && Array.isArray(payload.items))
+      startupProgress.value = payload
+  }
+
   function ensureRealtimeSocket() {
     if (socket)
       return socket
@@ -113,12 +197,7 @@ export const useStatusStore = defineStore('status', () => {
 
     socket.on('connect', () => {
       realtimeConnected.value = true
-      if (currentRealtimeAccountId.value) {
-        socket?.emit('subscribe', { accountId: currentRealtimeAccountId.value })
-      }
-      else {
-        socket?.emit('subscribe', { accountId: 'all' })
-      }
+      socket?.emit('subscribe', buildSubscribePayload())
     })
 
     socket.on('disconnect', () => {
@@ -135,6 +214,9 @@ export const useStatusStore = defineStore('status', () => {
     socket.on('account-log:new', handleRealtimeAccountLog)
     socket.on('logs:snapshot', handleRealtimeLogsSnapshot)
     socket.on('account-logs:snapshot', handleRealtimeAccountLogsSnapshot)
+    socket.on('startup:progress', handleStartupProgress)
+    socket.on('rpc:call', handleRpcCall)
+    socket.on('rpc:snapshot', handleRpcSnapshot)
     return socket
   }
 
@@ -150,7 +232,7 @@ export const useStatusStore = defineStore('status', () => {
     }
 
     if (client.connected) {
-      client.emit('subscribe', { accountId: currentRealtimeAccountId.value || 'all' })
+      client.emit('subscribe', buildSubscribePayload())
       return
     }
     client.connect()
@@ -167,6 +249,9 @@ export const useStatusStore = defineStore('status', () => {
     socket.off('account-log:new', handleRealtimeAccountLog)
     socket.off('logs:snapshot', handleRealtimeLogsSnapshot)
     socket.off('account-logs:snapshot', handleRealtimeAccountLogsSnapshot)
+    socket.off('startup:progress', handleStartupProgress)
+    socket.off('rpc:call', handleRpcCall)
+    socket.off('rpc:snapshot', handleRpcSnapshot)
     socket.disconnect()
     socket = null
     realtimeConnected.value = false
@@ -264,25 +349,71 @@ export const useStatusStore = defineStore('status', () => {
     }
   }
 
+  async function fetchStartupProgress() {
+    try {
+      const { data } = await api.get('/api/startup')
+      if (data.ok)
+        handleStartupProgress(data.data)
+    }
+    catch (e) {
+      console.error('获取启动进度失败', e)
+    }
+  }
+
+  async function fetchCrashHistory(accountId: string): Promise<CrashHistory | null> {
+    if (!accountId)
+      return null
+    try {
+      const { data } = await api.get('/api/crashes', {
+        headers: { 'x-account-id': accountId },
+      })
+      return data.ok ? data.data : null
+    }
+    catch (e) {
+      console.error('获取崩溃记录失败', e)
+      return null
+    }
+  }
+
   function setRealtimeLogsEnabled(enabled: boolean) {
     realtimeLogsEnabled.value = !!enabled
   }
 
+  // 协议调试页打开期间让服务端推送当前账号的 RPC 调用
+  function setRpcInspecting(enabled: boolean) {
+    rpcInspecting.value = !!enabled
+    if (!enabled)
+      rpcCalls.value = []
+    if (socket?.connected)
+      socket.emit('subscribe', buildSubscribePayload())
+  }
+
+  function clearRpcCalls() {
+    rpcCalls.value = []
+  }
+
   return {
     status,
     logs,
     accountLogs,
     dailyGifts,
+    startupProgress,
     loading,
     error,
     realtimeConnected,
     realtimeLogsEnabled,
+    rpcCalls,
+    rpcInspecting,
     fetchStatus,
     fetchLogs,
     clearLogs,
     fetchAccountLogs,
     fetchDailyGifts,
+    fetchStartupProgress,
+    fetchCrashHistory,
     setRealtimeLogsEnabled,
+    setRpcInspecting,
+    clearRpcCalls,
     connectRealtime,
     disconnectRealtime,
   }
@@ -0,0 +1,101 @@
+import { defineStore } from 'pinia'
+import api from '@/api'
+
+export interface TrafficCaptureFile {
+  name: string
+  size: number
+  updatedAt: number
+}
+
+export interface TrafficCaptureState {
+  recording: boolean
+  running: boolean
+  file?: string
+  startedAt?: number
+  entries?: number
+  bytes?: number
+  maxBytes?: number
+  files: TrafficCaptureFile[]
+}
+
+export const useTrafficStore = defineStore('traffic', () => {
+  async function fetchCaptures(accountId: string): Promise<TrafficCaptureState | null> {
+    if (!accountId)
+      return null
+    try {
+      const { data } = await api.get('/api/traffic/captures', {
+        headers: { 'x-account-id': accountId },
+      })
+      return data.ok ? data.data : null
+    }
+    catch (e) {
+      console.error('获取抓包状态失败', e)
+      return null
+    }
+  }
+
+  async function startCapture(accountId: string, maxMb: number) {
+    try {
+      const { data } = await api.post('/api/traffic/capture/start', { maxMb }, {
+        headers: { 'x-account-id': accountId },
+      })
+      return data && data.ok ? { ok: true } : { ok: false, error: data?.error || '开始抓包失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '开始抓包失败' }
+    }
+  }
+
+  async function stopCapture(accountId: string) {
+    try {
+      const { data } = await api.post('/api/traffic/capture/stop', {}, {
+        headers: { 'x-account-id': accountId },
+      })
+      return data && data.ok ? { ok: true } : { ok: false, error: data?.error || '停止抓包失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '停止抓包失败' }
+    }
+  }
+
+  // 抓包文件需要携带认证头下载，不能直接用链接
+  async function downloadCapture(accountId: string, name: string) {
+    try {
+      const { data } = await api.get(`/api/traffic/captures/${encodeURIComponent(name)}`, {
+        headers: { 'x-account-id': accountId },
+        responseType: 'blob',
+        timeout: 60000,
+      })
+      const url = URL.createObjectURL(data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = name
+      link.click()
+      URL.revokeObjectURL(url)
+      return { ok: true }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.message || '下载失败' }
+    }
+  }
+
+  async function deleteCapture(accountId: string, name: string) {
+    try {
+      const { data } = await api.delete(`/api/traffic/captures/${encodeURIComponent(name)}`, {
+        headers: { 'x-account-id': accountId },
+      })
+      return data && data.ok ? { ok: true } : { ok: false, error: data?.error || '删除失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '删除失败' }
+    }
+  }
+
+  return {
+    fetchCaptures,
+    startCapture,
+    stopCapture,
+    downloadCapture,
+    deleteCapture,
+  }
+})
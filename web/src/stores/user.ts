@@ -0,0 +1,245 @@
+import { defineStore } from 'pinia'
+import { computed, ref } from 'vue'
+import api from '@/api'
+
+export type UserRole = 'owner' | 'operator' | 'viewer'
+
+export interface PanelUser {
+  username: string
+  role: UserRole
+  accounts: string[]
+  builtin?: boolean
+  createdAt?: number
+  updatedAt?: number
+}
+
+export interface SaveUserPayload {
+  username: string
+  role: UserRole
+  accounts: string[]
+  password?: string
+}
+
+export interface AdminSession {
+  id: string
+  username: string
+  builtin: boolean
+  issuedAt: number
+  lastSeenAt: number
+  expiresAt: number
+  ip: string
+  userAgent: string
+  current: boolean
+}
+
+export interface SessionPolicy {
+  idleTimeoutHours: number
+  maxAgeDays: number
+}
+
+export type ApiKeyScope = 'read:status' | 'read:logs' | 'write:farm' | 'write:settings' | 'write:accounts'
+
+export interface ApiKey {
+  id: string
+  name: string
+  prefix: string
+  scopes: ApiKeyScope[]
+  restricted: boolean
+  accounts: string[]
+  createdAt: number
+  createdBy: string
+  lastUsedAt: number
+  lastUsedIp: string
+}
+
+export interface CreateApiKeyPayload {
+  name: string
+  scopes: ApiKeyScope[]
+  accounts: string[]
+}
+
+export const API_KEY_SCOPE_LABELS: Record<ApiKeyScope, string> = {
+  'read:status': '读取状态',
+  'read:logs': '读取日志',
+  'write:farm': '农场/好友操作',
+  'write:settings': '修改账号设置',
+  'write:accounts': '管理账号',
+}
+
+export const ROLE_LABELS: Record<UserRole, string> = {
+  owner: '所有者',
+  operator: '操作员',
+  viewer: '只读',
+}
+
+export const useUserStore = defineStore('user', () => {
+  const currentUser = ref<PanelUser | null>(null)
+  const users = ref<PanelUser[]>([])
+  const loading = ref(false)
+  const sessions = ref<AdminSession[]>([])
+  const sessionPolicy = ref<SessionPolicy>({ idleTimeoutHours: 24, maxAgeDays: 7 })
+  const apiKeys = ref<ApiKey[]>([])
+
+  const isOwner = computed(() => currentUser.value?.role === 'owner')
+  const canOperate = computed(() => currentUser.value?.role === 'owner' || currentUser.value?.role === 'operator')
+
+  async function fetchCurrentUser() {
+    try {
+      const { data } = await api.get('/api/auth/validate')
+      currentUser.value = (data && data.ok && data.data && data.data.user) ? data.data.user : null
+    }
+    catch {
+      currentUser.value = null
+    }
+  }
+
+  async function fetchUsers() {
+    loading.value = true
+    try {
+      const { data } = await api.get('/api/users')
+      if (data && data.ok && data.data)
+        users.value = Array.isArray(data.data.users) ? data.data.users : []
+    }
+    finally {
+      loading.value = false
+    }
+  }
+
+  async function saveUser(payload: SaveUserPayload) {
+    try {
+      const { data } = await api.post('/api/users', payload)
+      if (data && data.ok) {
+        await fetchUsers()
+        return { ok: true }
+      }
+      return { ok: false, error: data?.error || '保存失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '保存失败' }
+    }
+  }
+
+  async function deleteUser(username: string) {
+    try {
+      const { data } = await api.delete(`/api/users/${encodeURIComponent(username)}`)
+      if (data && data.ok) {
+        await fetchUsers()
+        return { ok: true }
+      }
+      return { ok: false, error: data?.error || '删除失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '删除失败' }
+    }
+  }
+
+  async function fetchSessions() {
+    try {
+      const { data } = await api.get('/api/admin/sessions')
+      if (data && data.ok && data.data) {
+        sessions.value = Array.isArray(data.data.sessions) ? data.data.sessions : []
+        if (data.data.policy)
+          sessionPolicy.value = data.data.policy
+      }
+    }
+    catch {
+      sessions.value = []
+    }
+  }
+
+  async function revokeSession(id: string) {
+    try {
+      const { data } = await api.delete(`/api/admin/sessions/${encodeURIComponent(id)}`)
+      await fetchSessions()
+      return data && data.ok ? { ok: true } : { ok: false, error: data?.error || '注销失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '注销失败' }
+    }
+  }
+
+  async function revokeOtherSessions() {
+    try {
+      const { data } = await api.post('/api/admin/sessions/revoke-others')
+      await fetchSessions()
+      return data && data.ok ? { ok: true, revoked: Number(data.data?.revoked) || 0 } : { ok: false, error: data?.error || '操作失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '操作失败' }
+    }
+  }
+
+  async function saveSessionPolicy(policy: SessionPolicy) {
+    try {
+      const { data } = await api.post('/api/admin/sessions/policy', policy)
+      if (data && data.ok) {
+        sessionPolicy.value = data.data || policy
+        await fetchSessions()
+        return { ok: true }
+      }
+      return { ok: false, error: data?.error || '保存失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '保存失败' }
+    }
+  }
+
+  async function fetchApiKeys() {
+    try {
+      const { data } = await api.get('/api/api-keys')
+      if (data && data.ok && data.data)
+        apiKeys.value = Array.isArray(data.data.keys) ? data.data.keys : []
+    }
+    catch {
+      apiKeys.value = []
+    }
+  }
+
+  // 明文密钥只在创建成功时返回一次
+  async function createApiKey(payload: CreateApiKeyPayload) {
+    try {
+      const { data } = await api.post('/api/api-keys', payload)
+      if (data && data.ok && data.data) {
+        await fetchApiKeys()
+        return { ok: true, key: String(data.data.key || '') }
+      }
+      return { ok: false, error: data?.error || '创建失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '创建失败' }
+    }
+  }
+
+  async function revokeApiKey(id: string) {
+    try {
+      const { data } = await api.delete(`/api/api-keys/${encodeURIComponent(id)}`)
+      await fetchApiKeys()
+      return data && data.ok ? { ok: true } : { ok: false, error: data?.error || '吊销失败' }
+    }
+    catch (e: any) {
+      return { ok: false, error: e?.response?.data?.error || e?.message || '吊销失败' }
+    }
+  }
+
+  return {
+    currentUser,
+    users,
+    loading,
+    sessions,
+    sessionPolicy,
+    apiKeys,
+    isOwner,
+    canOperate,
+    fetchCurrentUser,
+    fetchUsers,
+    saveUser,
+    deleteUser,
+    fetchSessions,
+    revokeSession,
+    revokeOtherSessions,
+    saveSessionPolicy,
+    fetchApiKeys,
+    createApiKey,
+    revokeApiKey,
+  }
+})